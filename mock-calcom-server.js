@@ -0,0 +1,108 @@
+import express from 'express';
+import { randomUUID } from 'crypto';
+
+// Minimal stand-in for the Cal.com v1 API used by supabase/functions/utils/calcomClient.ts.
+// Run it, then serve the functions with CALCOM_API_URL=http://host.docker.internal:4010/v1
+// (or http://localhost:4010/v1 outside Docker) to test AI agent bookings without a Cal.com account.
+
+const app = express();
+const port = process.env.MOCK_CALCOM_PORT || 4010;
+
+app.use(express.json());
+
+const SLOT_MINUTES = 60;
+const OPENING_HOURS = [9, 10, 11, 14, 15, 16, 17]; // UTC hours offered on weekdays
+
+const bookings = [];
+let nextBookingId = 1;
+
+const isBooked = (start) => bookings.some(booking =>
+  booking.status !== 'CANCELLED' && booking.startTime === start
+);
+
+// Every request must carry an apiKey, like the real API
+app.use((req, res, next) => {
+  if (!req.query.apiKey) {
+    return res.status(401).json({ message: 'No apiKey provided' });
+  }
+  next();
+});
+
+app.get('/v1/slots', (req, res) => {
+  const { eventTypeId, startTime, endTime } = req.query;
+  if (!eventTypeId || !startTime || !endTime) {
+    return res.status(400).json({ message: 'eventTypeId, startTime and endTime are required' });
+  }
+
+  const slots = {};
+  const day = new Date(startTime);
+  day.setUTCHours(0, 0, 0, 0);
+  const end = new Date(endTime);
+
+  while (day <= end) {
+    const weekday = day.getUTCDay();
+    if (weekday !== 0 && weekday !== 6) {
+      const key = day.toISOString().slice(0, 10);
+      slots[key] = OPENING_HOURS
+        .map(hour => {
+          const slot = new Date(day);
+          slot.setUTCHours(hour);
+          return slot.toISOString();
+        })
+        .filter(time => time >= new Date(startTime).toISOString() && !isBooked(time))
+        .map(time => ({ time }));
+    }
+    day.setUTCDate(day.getUTCDate() + 1);
+  }
+
+  res.json({ slots });
+});
+
+app.get('/v1/bookings', (req, res) => {
+  res.json({ bookings });
+});
+
+app.post('/v1/bookings', (req, res) => {
+  const { eventTypeId, start, responses = {}, metadata = {} } = req.body;
+  if (!eventTypeId || !start || !responses.name || !responses.email) {
+    return res.status(400).json({ message: 'eventTypeId, start, responses.name and responses.email are required' });
+  }
+
+  const startTime = new Date(start).toISOString();
+  if (isBooked(startTime)) {
+    return res.status(409).json({ message: 'Slot is no longer available' });
+  }
+
+  const booking = {
+    id: nextBookingId++,
+    uid: randomUUID(),
+    eventTypeId,
+    title: `Visite avec ${responses.name}`,
+    description: responses.notes || null,
+    startTime,
+    endTime: new Date(new Date(startTime).getTime() + SLOT_MINUTES * 60 * 1000).toISOString(),
+    status: 'ACCEPTED',
+    attendees: [{ name: responses.name, email: responses.email }],
+    location: null,
+    metadata
+  };
+  bookings.push(booking);
+
+  console.log(`[Mock Cal.com] Booked ${booking.startTime} for ${responses.name}`);
+  res.status(201).json(booking);
+});
+
+app.delete('/v1/bookings/:id/cancel', (req, res) => {
+  const booking = bookings.find(b => b.id === Number(req.params.id));
+  if (!booking) {
+    return res.status(404).json({ message: 'Booking not found' });
+  }
+
+  booking.status = 'CANCELLED';
+  console.log(`[Mock Cal.com] Cancelled ${booking.startTime} for ${booking.attendees[0].name}`);
+  res.json({ message: 'Booking successfully cancelled' });
+});
+
+app.listen(port, () => {
+  console.log(`Mock Cal.com API listening on http://localhost:${port}/v1`);
+});
@@ -0,0 +1,93 @@
+import express from 'express';
+import { randomUUID } from 'crypto';
+
+// Minimal stand-in for the ElevenLabs voices-add and voice deletion endpoints used by
+// supabase/functions/utils/elevenlabsClient.ts. Run it, then serve the functions with
+// ELEVENLABS_VOICES_API_URL=http://host.docker.internal:4020/v1 (or http://localhost:4020/v1
+// outside Docker) to test voice cloning without creating voices in the ElevenLabs workspace.
+
+const app = express();
+const port = process.env.MOCK_ELEVENLABS_VOICES_PORT || 4020;
+
+const MAX_FILES = 25;
+const MAX_FILE_BYTES = 10 * 1024 * 1024;
+
+const voices = new Map();
+
+// Every request must carry an xi-api-key, like the real API
+app.use((req, res, next) => {
+  if (!req.get('xi-api-key')) {
+    return res.status(401).json({ detail: { status: 'invalid_api_key', message: 'No xi-api-key provided' } });
+  }
+  next();
+});
+
+const parseMultipart = (req) => new Request('http://mock.local', {
+  method: 'POST',
+  headers: { 'content-type': req.get('content-type') },
+  body: req.body
+}).formData();
+
+// Same shape as the validation errors of the real API
+const invalid = (res, field, msg) => res.status(422).json({
+  detail: [{ loc: ['body', field], msg, type: 'value_error' }]
+});
+
+app.post('/v1/voices/add', express.raw({ type: 'multipart/form-data', limit: '300mb' }), async (req, res) => {
+  let form;
+  try {
+    form = await parseMultipart(req);
+  } catch {
+    return invalid(res, 'files', 'Expected a multipart/form-data body');
+  }
+
+  const name = form.get('name');
+  const files = form.getAll('files');
+
+  if (!name) return invalid(res, 'name', 'field required');
+  if (files.length === 0) return invalid(res, 'files', 'field required');
+  if (files.length > MAX_FILES) return invalid(res, 'files', `At most ${MAX_FILES} files are allowed`);
+
+  for (const file of files) {
+    if (!file.type.startsWith('audio/')) {
+      return invalid(res, 'files', `${file.name} is not an audio file`);
+    }
+    if (file.size > MAX_FILE_BYTES) {
+      return invalid(res, 'files', `${file.name} is larger than 10 MB`);
+    }
+  }
+
+  const voiceId = randomUUID().replace(/-/g, '').slice(0, 20);
+  voices.set(voiceId, {
+    voice_id: voiceId,
+    name,
+    description: form.get('description') || null,
+    labels: form.get('labels') ? JSON.parse(form.get('labels')) : {},
+    category: 'cloned',
+    samples: files.map(file => ({ file_name: file.name, mime_type: file.type, size_bytes: file.size }))
+  });
+
+  console.log(`[Mock ElevenLabs] Cloned voice ${voiceId} "${name}" from ${files.length} samples`);
+  res.json({ voice_id: voiceId, requires_verification: false });
+});
+
+app.get('/v1/voices/:voiceId', (req, res) => {
+  const voice = voices.get(req.params.voiceId);
+  if (!voice) {
+    return res.status(404).json({ detail: { status: 'voice_not_found', message: 'A voice with the voice_id was not found.' } });
+  }
+  res.json(voice);
+});
+
+app.delete('/v1/voices/:voiceId', (req, res) => {
+  if (!voices.delete(req.params.voiceId)) {
+    return res.status(404).json({ detail: { status: 'voice_not_found', message: 'A voice with the voice_id was not found.' } });
+  }
+
+  console.log(`[Mock ElevenLabs] Deleted voice ${req.params.voiceId}`);
+  res.json({ status: 'ok' });
+});
+
+app.listen(port, () => {
+  console.log(`Mock ElevenLabs voices API listening on http://localhost:${port}/v1`);
+});
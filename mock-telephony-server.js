@@ -0,0 +1,91 @@
+import express from 'express';
+import { randomUUID } from 'crypto';
+
+// Minimal stand-in for the telephony provider transfer API used by
+// supabase/functions/utils/telephonyClient.ts. Run it, then serve the functions with
+// TELEPHONY_API_URL=http://host.docker.internal:4030 (or http://localhost:4030 outside Docker)
+// and any TELEPHONY_API_KEY to test live transfers without placing real calls.
+//
+// The number dialled decides the outcome: numbers ending in 0000 ring out, numbers
+// ending in 1111 are busy, any other number picks up after a few seconds.
+
+const app = express();
+const port = process.env.MOCK_TELEPHONY_PORT || 4030;
+const answerAfterSecs = Number(process.env.MOCK_TELEPHONY_ANSWER_SECS || 4);
+
+app.use(express.json());
+
+const transfers = new Map();
+
+// Every request must carry an API key, like the real provider
+app.use((req, res, next) => {
+  if (!req.headers.authorization?.startsWith('Bearer ')) {
+    return res.status(401).json({ message: 'Missing API key' });
+  }
+  next();
+});
+
+// Moves a transfer along as time passes, the way the provider reports it
+const currentState = (transfer) => {
+  if (transfer.status !== 'ringing') return transfer;
+
+  const elapsedSecs = (Date.now() - transfer.startedAt) / 1000;
+  const endAt = new Date().toISOString();
+
+  if (transfer.to.endsWith('1111') && elapsedSecs >= 1) {
+    Object.assign(transfer, { status: 'busy', ended_at: endAt });
+  } else if (transfer.to.endsWith('0000')) {
+    if (elapsedSecs >= transfer.ringTimeoutSecs) {
+      Object.assign(transfer, { status: 'no_answer', ended_at: endAt });
+    }
+  } else if (elapsedSecs >= answerAfterSecs) {
+    Object.assign(transfer, { status: 'connected', answered_at: endAt });
+    console.log(`[Mock Telephony] ${transfer.to} picked up, bridged with call ${transfer.call_sid}`);
+  }
+
+  return transfer;
+};
+
+const serialize = ({ id, status, answered_at, ended_at, error }) => ({ id, status, answered_at, ended_at, error });
+
+app.post('/transfers', (req, res) => {
+  const { call_sid, to, caller_id, whisper, ring_timeout_secs = 25, metadata = {} } = req.body;
+  if (!call_sid || !to || !whisper) {
+    return res.status(400).json({ message: 'call_sid, to and whisper are required' });
+  }
+  if (!/^\+\d{8,15}$/.test(to)) {
+    return res.status(422).json({ message: `Invalid destination number: ${to}` });
+  }
+
+  const transfer = {
+    id: randomUUID(),
+    call_sid,
+    to,
+    caller_id,
+    whisper,
+    metadata,
+    ringTimeoutSecs: Number(ring_timeout_secs),
+    startedAt: Date.now(),
+    status: 'ringing',
+    answered_at: null,
+    ended_at: null,
+    error: null
+  };
+  transfers.set(transfer.id, transfer);
+
+  console.log(`[Mock Telephony] Ringing ${to} for call ${call_sid}: "${whisper}"`);
+  res.status(201).json(serialize(transfer));
+});
+
+app.get('/transfers/:transferId', (req, res) => {
+  const transfer = transfers.get(req.params.transferId);
+  if (!transfer) {
+    return res.status(404).json({ message: 'Transfer not found' });
+  }
+
+  res.json(serialize(currentState(transfer)));
+});
+
+app.listen(port, () => {
+  console.log(`Mock telephony API listening on http://localhost:${port}`);
+});
@@ -15,6 +15,11 @@ import RegisterPage from './pages/auth/RegisterPage';
 // Admin Pages
 import UsersPage from './pages/admin/UsersPage';
 import AiAgentsAdminPage from './pages/admin/AiAgentsAdminPage';
+import AgentExperimentsPage from './pages/admin/AgentExperimentsPage';
+import AgentDriftPage from './pages/admin/AgentDriftPage';
+import UsagePage from './pages/admin/UsagePage';
+import VoiceClonesPage from './pages/admin/VoiceClonesPage';
+import PhoneNumbersPage from './pages/admin/PhoneNumbersPage';
 
 // Main App Pages
 import Dashboard from './components/Dashboard';
@@ -27,6 +32,7 @@ import { AddPropertyPage } from './components/properties/AddPropertyPage';
 import { EditPropertyPage } from './components/properties/EditPropertyPage';
 import { AppointmentsPage } from './components/appointments/AppointmentsPage';
 import { CallHistoryPage } from './components/calls/CallHistoryPage';
+import { CallDetailPage } from './components/calls/CallDetailPage';
 import { AiAgentPage } from './components/ai/AiAgentPage';
 import { SettingsPage } from './components/settings/SettingsPage';
 
@@ -47,6 +53,11 @@ export default function App() {
           <Route path="/admin" element={<AdminLayout />}>
             <Route path="users" element={<UsersPage />} />
             <Route path="ai-agents" element={<AiAgentsAdminPage />} />
+            <Route path="experiments" element={<AgentExperimentsPage />} />
+            <Route path="agent-sync" element={<AgentDriftPage />} />
+            <Route path="usage" element={<UsagePage />} />
+            <Route path="voice-clones" element={<VoiceClonesPage />} />
+            <Route path="phone-numbers" element={<PhoneNumbersPage />} />
             {/* Redirect /admin to /admin/users by default */}
             <Route index element={<Navigate to="users" replace />} />
           </Route>
@@ -64,6 +75,7 @@ export default function App() {
             <Route path="properties/edit/:propertyId" element={<EditPropertyPage />} />
             <Route path="appointments" element={<AppointmentsPage />} />
             <Route path="call-history" element={<CallHistoryPage />} />
+            <Route path="call-history/:callId" element={<CallDetailPage />} />
             <Route path="ai-agent" element={<AiAgentPage />} />
             <Route path="settings" element={<SettingsPage />} />
           </Route>
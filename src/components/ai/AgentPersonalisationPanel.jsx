@@ -0,0 +1,175 @@
+import React, { useState, useEffect } from 'react';
+import { Card, CardHeader, CardContent } from '../ui/Card';
+import { Button } from '../ui/Button';
+import { useAssignedAgent } from '../../hooks/useAssignedAgent';
+import { findUnknownPromptVariables, renderPromptTemplate } from './promptTemplate';
+import toast from 'react-hot-toast';
+
+const inputClassName = 'w-full px-4 py-2 rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-dark-hover text-gray-900 dark:text-white focus:ring-2 focus:ring-primary/20 focus:border-primary';
+
+// Overrides edited here; the name and voice are set from onboarding
+const FIELDS = [
+  { name: 'agency_name', label: 'Agency name', placeholder: 'Ex: Dupont Immobilier', maxLength: 100 },
+  { name: 'first_message', label: 'Greeting', placeholder: 'Ex: Bonjour, {{agency_name}}, {{agent_name}} à votre écoute !', maxLength: 1000, rows: 2 },
+  { name: 'signature', label: 'Signature sentence', placeholder: 'Ex: Merci de votre appel, à très bientôt chez {{agency_name}} !', maxLength: 300 },
+  { name: 'opening_hours', label: 'Opening hours', placeholder: 'Ex: du lundi au vendredi, 9h-12h et 14h-19h', maxLength: 500 },
+  { name: 'extra_instructions', label: 'Extra instructions', placeholder: 'Added at the end of the agent\'s prompt', maxLength: 4000, rows: 4 }
+];
+
+// Free text fields: prompt variables are not resolved in them
+const PLAIN_FIELDS = ['agency_name', 'opening_hours'];
+
+const toForm = (overrides) => Object.fromEntries(FIELDS.map(field => [field.name, overrides?.[field.name] || '']));
+
+function EffectiveConfig({ agent, effective, variables }) {
+  return (
+    <div className="space-y-4">
+      <div>
+        <p className="text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">Greeting</p>
+        <p className="text-sm whitespace-pre-wrap rounded-lg p-3 bg-gray-50 dark:bg-dark-hover text-gray-900 dark:text-white">
+          {effective.first_message
+            ? renderPromptTemplate(effective.first_message, variables)
+            : 'The agent waits for the caller to speak first.'}
+        </p>
+      </div>
+      <div>
+        <p className="text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">Voice</p>
+        <p className="text-sm text-gray-900 dark:text-white font-mono">
+          {effective.elevenlabs_voice_id}
+          {effective.elevenlabs_voice_id !== agent.elevenlabs_voice_id && (
+            <span className="ml-2 font-sans text-xs text-gray-500 dark:text-gray-400">(your voice)</span>
+          )}
+        </p>
+      </div>
+      <div>
+        <p className="text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">Prompt</p>
+        <pre className="text-xs whitespace-pre-wrap break-words rounded-lg p-3 bg-gray-50 dark:bg-dark-hover text-gray-900 dark:text-white max-h-96 overflow-y-auto font-sans">
+          {renderPromptTemplate(effective.system_prompt || '', variables) || 'The prompt is empty.'}
+        </pre>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Personal overrides layered on the assigned agent, and the configuration callers get once merged
+ */
+export function AgentPersonalisationPanel() {
+  const { state, loading, error, fetchAgent, saveOverrides } = useAssignedAgent();
+  const [formData, setFormData] = useState(toForm(null));
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchAgent();
+  }, [fetchAgent]);
+
+  useEffect(() => {
+    setFormData(toForm(state?.overrides));
+  }, [state?.overrides]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const unknown = FIELDS
+      .filter(field => !PLAIN_FIELDS.includes(field.name))
+      .flatMap(field => findUnknownPromptVariables(formData[field.name]));
+    if (unknown.length > 0) {
+      toast.error(`Unknown variables: ${[...new Set(unknown)].join(', ')}`);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      // An empty field falls back to the agent's value
+      await saveOverrides(Object.fromEntries(
+        FIELDS.map(field => [field.name, formData[field.name].trim() || null])
+      ));
+      toast.success('Personalisation saved');
+    } catch (err) {
+      console.error('Error saving agent overrides:', err);
+      toast.error(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!state?.agent) {
+    if (loading && !state) {
+      return null;
+    }
+    return error ? (
+      <Card>
+        <CardContent>
+          <div className="text-center py-8">
+            <p className="text-red-500 dark:text-red-400 mb-4">{error}</p>
+            <Button onClick={fetchAgent}>Retry</Button>
+          </div>
+        </CardContent>
+      </Card>
+    ) : null;
+  }
+
+  const { agent, effective, variables } = state;
+
+  return (
+    <Card>
+      <CardHeader>
+        <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+          Personalise {agent.agent_name}
+        </h2>
+        <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+          Your settings are layered on the agent{agent.is_shared ? ' shared by your administrator' : ''}:
+          changes made to it keep applying to your calls.
+        </p>
+      </CardHeader>
+      <CardContent>
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          <form onSubmit={handleSubmit} className="space-y-4">
+            {FIELDS.map(field => (
+              <div key={field.name}>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                  {field.label}
+                </label>
+                {field.rows ? (
+                  <textarea
+                    value={formData[field.name]}
+                    onChange={(e) => setFormData({ ...formData, [field.name]: e.target.value })}
+                    placeholder={field.placeholder}
+                    maxLength={field.maxLength}
+                    rows={field.rows}
+                    className={inputClassName}
+                  />
+                ) : (
+                  <input
+                    type="text"
+                    value={formData[field.name]}
+                    onChange={(e) => setFormData({ ...formData, [field.name]: e.target.value })}
+                    placeholder={field.placeholder}
+                    maxLength={field.maxLength}
+                    className={inputClassName}
+                  />
+                )}
+              </div>
+            ))}
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+              Leave a field empty to keep the agent's value. The greeting, signature and instructions
+              may use the same {'{{variables}}'} as the prompt.
+            </p>
+            <div className="flex justify-end">
+              <Button type="submit" disabled={saving}>
+                {saving ? 'Saving...' : 'Save'}
+              </Button>
+            </div>
+          </form>
+
+          <div>
+            <h3 className="text-sm font-semibold text-gray-900 dark:text-white mb-3">
+              What your callers get
+            </h3>
+            <EffectiveConfig agent={agent} effective={effective} variables={variables} />
+          </div>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,135 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link } from 'react-router-dom';
+import { Card, CardHeader, CardContent } from '../ui/Card';
+import { Button } from '../ui/Button';
+import { useAgentTestSession } from '../../hooks/useAgentTestSession';
+import toast from 'react-hot-toast';
+
+const STATUS_LABELS = {
+  idle: 'Not connected',
+  connecting: 'Connecting...',
+  connected: 'In conversation',
+  ended: 'Conversation ended'
+};
+
+function MicLevelMeter({ level, active }) {
+  return (
+    <div className="flex items-center gap-2">
+      <span className="text-xs text-gray-500 dark:text-gray-400">Mic</span>
+      <div className="w-32 h-2 rounded-full bg-gray-200 dark:bg-gray-700 overflow-hidden">
+        <div
+          className={`h-full rounded-full transition-[width] duration-100 ${active ? 'bg-green-500' : 'bg-gray-400'}`}
+          style={{ width: `${Math.round(level * 100)}%` }}
+        />
+      </div>
+    </div>
+  );
+}
+
+/**
+ * "Test my agent" panel: a live conversation with the assigned agent from the browser
+ */
+export function AgentTestPanel() {
+  const { status, transcript, micLevel, conversationId, agent, error, start, end, save } = useAgentTestSession();
+  const [saving, setSaving] = useState(false);
+  const [savedCallId, setSavedCallId] = useState(null);
+  const transcriptEndRef = useRef(null);
+
+  useEffect(() => {
+    transcriptEndRef.current?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+  }, [transcript]);
+
+  const handleStart = () => {
+    setSavedCallId(null);
+    start();
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const call = await save();
+      setSavedCallId(call.id);
+      toast.success('Test conversation saved to your call history');
+    } catch (err) {
+      console.error('Error saving test call:', err);
+      toast.error(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inCall = status === 'connecting' || status === 'connected';
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+              Test my agent
+            </h2>
+            <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+              Talk to {agent?.agent_name || 'your assigned agent'} from your browser, as a caller would.
+              Its tools run for real: a visit booked during a test is a real booking.
+            </p>
+          </div>
+          <div className="flex items-center gap-3">
+            <MicLevelMeter level={micLevel} active={status === 'connected'} />
+            {inCall ? (
+              <Button variant="secondary" onClick={end}>
+                Hang up
+              </Button>
+            ) : (
+              <Button onClick={handleStart}>
+                {status === 'ended' ? 'Start again' : 'Start conversation'}
+              </Button>
+            )}
+          </div>
+        </div>
+      </CardHeader>
+      <CardContent>
+        <p className="text-xs text-gray-500 dark:text-gray-400 mb-2">
+          {STATUS_LABELS[status]}
+        </p>
+        {error && (
+          <p className="text-sm text-red-500 dark:text-red-400 mb-2">{error}</p>
+        )}
+
+        <div className="h-64 overflow-y-auto rounded-lg border border-gray-200 dark:border-gray-700 p-3 space-y-2">
+          {transcript.length === 0 ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400 text-center py-8">
+              {inCall ? 'Say hello to start the conversation.' : 'The transcript will appear here.'}
+            </p>
+          ) : (
+            transcript.map((turn, index) => (
+              <div key={index} className={`flex ${turn.speaker === 'agent' ? 'justify-start' : 'justify-end'}`}>
+                <p className={`max-w-[80%] px-3 py-2 rounded-lg text-sm ${
+                  turn.speaker === 'agent'
+                    ? 'bg-gray-100 dark:bg-dark-hover text-gray-900 dark:text-white'
+                    : 'bg-primary text-white'
+                }`}>
+                  {turn.text}
+                </p>
+              </div>
+            ))
+          )}
+          <div ref={transcriptEndRef} />
+        </div>
+
+        {status === 'ended' && conversationId && (
+          <div className="flex items-center justify-end gap-3 mt-4">
+            {savedCallId ? (
+              <Link to={`/call-history/${savedCallId}`} className="text-sm text-primary hover:text-primary-light">
+                View in call history
+              </Link>
+            ) : (
+              <Button variant="secondary" onClick={handleSave} disabled={saving}>
+                {saving ? 'Saving...' : 'Save to call history'}
+              </Button>
+            )}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
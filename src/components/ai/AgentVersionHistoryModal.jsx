@@ -0,0 +1,198 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import Modal from '../ui/Modal';
+import { Button } from '../ui/Button';
+import { diffPromptLines } from './promptDiff';
+import toast from 'react-hot-toast';
+
+const FIELD_LABELS = {
+  agent_name: 'Name',
+  system_prompt: 'Prompt',
+  elevenlabs_voice_id: 'Voice',
+  description: 'Description',
+  tts_model_id: 'Model',
+  tts_stability: 'Stability',
+  tts_similarity_boost: 'Similarity boost',
+  tts_style: 'Style',
+  tts_use_speaker_boost: 'Speaker boost',
+  tts_speed: 'Speed',
+  language: 'Language',
+  first_message: 'First message',
+  first_messages: 'Other greetings',
+  max_duration_seconds: 'Max duration',
+  silence_end_call_timeout_seconds: 'Silence timeout',
+  end_call_conditions: 'End call conditions'
+};
+
+// Fields compared inline, the prompt gets its own diff
+const INLINE_FIELDS = Object.keys(FIELD_LABELS).filter(field => field !== 'system_prompt');
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '-';
+  if (typeof value === 'object') {
+    const entries = Object.entries(value);
+    return entries.length > 0 ? entries.map(([key, item]) => `${key}: ${item}`).join(' / ') : '-';
+  }
+  return String(value);
+};
+
+const ROW_STYLES = {
+  same: { left: '', right: '' },
+  removed: { left: 'bg-red-50 dark:bg-red-900/20 text-red-800 dark:text-red-300', right: 'bg-gray-50 dark:bg-dark-hover' },
+  added: { left: 'bg-gray-50 dark:bg-dark-hover', right: 'bg-green-50 dark:bg-green-900/20 text-green-800 dark:text-green-300' },
+  changed: {
+    left: 'bg-red-50 dark:bg-red-900/20 text-red-800 dark:text-red-300',
+    right: 'bg-green-50 dark:bg-green-900/20 text-green-800 dark:text-green-300'
+  }
+};
+
+function PromptDiff({ before, after }) {
+  const rows = useMemo(() => diffPromptLines(before, after), [before, after]);
+
+  return (
+    <div className="grid grid-cols-2 text-xs font-mono border border-gray-200 dark:border-gray-700 rounded-lg overflow-hidden max-h-96 overflow-y-auto">
+      {rows.map((row, index) => (
+        <React.Fragment key={index}>
+          <div className={`px-2 py-0.5 whitespace-pre-wrap break-words border-r border-gray-200 dark:border-gray-700 text-gray-700 dark:text-gray-300 ${ROW_STYLES[row.type].left}`}>
+            {row.left ?? ''}
+          </div>
+          <div className={`px-2 py-0.5 whitespace-pre-wrap break-words text-gray-700 dark:text-gray-300 ${ROW_STYLES[row.type].right}`}>
+            {row.right ?? ''}
+          </div>
+        </React.Fragment>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * Lists the saved configurations of an agent, compares one with the current
+ * configuration and rolls back to it
+ */
+export function AgentVersionHistoryModal({ isOpen, onClose, agent, fetchVersions, onRollback }) {
+  const [versions, setVersions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [selectedId, setSelectedId] = useState(null);
+  const [rollingBack, setRollingBack] = useState(false);
+
+  useEffect(() => {
+    if (!isOpen || !agent) return;
+
+    setLoading(true);
+    fetchVersions(agent.id)
+      .then((data) => {
+        setVersions(data);
+        setSelectedId(data[1]?.id || data[0]?.id || null);
+      })
+      .catch((err) => {
+        console.error('Error fetching agent versions:', err);
+        toast.error(err.message);
+      })
+      .finally(() => setLoading(false));
+  }, [isOpen, agent, fetchVersions]);
+
+  const current = versions[0];
+  const selected = versions.find(version => version.id === selectedId);
+
+  const handleRollback = async () => {
+    if (!window.confirm(`Restore version ${selected.version_number}? The agent is updated in ElevenLabs immediately.`)) {
+      return;
+    }
+
+    setRollingBack(true);
+    try {
+      const { version } = await onRollback(agent.id, selected.id);
+      toast.success(`Version ${selected.version_number} restored as version ${version.version_number}`);
+      onClose();
+    } catch (err) {
+      console.error('Error rolling back agent:', err);
+      toast.error(err.message);
+    } finally {
+      setRollingBack(false);
+    }
+  };
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title={`Version History${agent ? ` - ${agent.agent_name}` : ''}`}
+      size="5xl"
+    >
+      {loading ? (
+        <div className="text-center py-8">
+          <div className="w-8 h-8 border-4 border-primary border-t-transparent rounded-full animate-spin mx-auto mb-2"></div>
+          <p className="text-gray-500 dark:text-gray-400">Loading versions...</p>
+        </div>
+      ) : versions.length === 0 ? (
+        <p className="text-center py-8 text-gray-500 dark:text-gray-400">No versions recorded yet</p>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <ul className="space-y-2 max-h-[28rem] overflow-y-auto">
+            {versions.map((version) => (
+              <li key={version.id}>
+                <button
+                  type="button"
+                  onClick={() => setSelectedId(version.id)}
+                  className={`w-full text-left p-3 rounded-lg border ${
+                    version.id === selectedId
+                      ? 'border-primary bg-primary/5'
+                      : 'border-gray-200 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-dark-hover'
+                  }`}
+                >
+                  <div className="flex items-center justify-between">
+                    <span className="text-sm font-medium text-gray-900 dark:text-white">
+                      Version {version.version_number}
+                    </span>
+                    {version.id === current.id && (
+                      <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-400">
+                        Current
+                      </span>
+                    )}
+                  </div>
+                  <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                    {new Date(version.created_at).toLocaleString()} · {version.author?.email || 'Unknown'}
+                  </p>
+                  <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                    {version.rollback_of_version_id
+                      ? `Rollback to version ${versions.find(v => v.id === version.rollback_of_version_id)?.version_number ?? '?'}`
+                      : Object.keys(version.diff || {}).map(field => FIELD_LABELS[field] || field).join(', ') || 'Initial version'}
+                  </p>
+                </button>
+              </li>
+            ))}
+          </ul>
+
+          <div className="md:col-span-2 space-y-4">
+            {selected && (
+              <>
+                <div className="flex items-center justify-between">
+                  <p className="text-sm text-gray-500 dark:text-gray-400">
+                    Version {selected.version_number} (left) compared with the current version {current.version_number} (right)
+                  </p>
+                  <Button
+                    onClick={handleRollback}
+                    disabled={rollingBack || selected.id === current.id}
+                  >
+                    {rollingBack ? 'Restoring...' : 'Restore this version'}
+                  </Button>
+                </div>
+
+                {INLINE_FIELDS
+                  .filter(field => formatValue(selected[field]) !== formatValue(current[field]))
+                  .map(field => (
+                    <p key={field} className="text-sm text-gray-700 dark:text-gray-300">
+                      <span className="font-medium">{FIELD_LABELS[field]}:</span>{' '}
+                      <span className="line-through text-red-600 dark:text-red-400">{formatValue(selected[field])}</span>{' '}
+                      → <span className="text-green-600 dark:text-green-400">{formatValue(current[field])}</span>
+                    </p>
+                  ))}
+
+                <PromptDiff before={selected.system_prompt} after={current.system_prompt} />
+              </>
+            )}
+          </div>
+        </div>
+      )}
+    </Modal>
+  );
+}
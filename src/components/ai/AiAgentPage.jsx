@@ -3,6 +3,8 @@ import { Card, CardHeader, CardContent } from '../ui/Card';
 import { Button } from '../ui/Button';
 import toast from 'react-hot-toast';
 import { supabase } from '../../lib/supabaseClient';
+import { AgentTestPanel } from './AgentTestPanel';
+import { AgentPersonalisationPanel } from './AgentPersonalisationPanel';
 
 function AgentCard({ agent, onSelect, isSelected }) {
   return (
@@ -185,6 +187,15 @@ export function AiAgentPage() {
             </CardContent>
           </Card>
         </div>
+
+        <div className="p-4">
+          {/* Remounted on assignment so it loads the newly selected agent */}
+          <AgentPersonalisationPanel key={sharedAgents.find(agent => agent.is_assigned)?.id ?? 'none'} />
+        </div>
+
+        <div className="p-4">
+          <AgentTestPanel />
+        </div>
       </div>
     </main>
   );
@@ -1,7 +1,7 @@
 import React, { useState, useEffect, useMemo } from 'react';
 import toast from 'react-hot-toast';
 
-export function AiVoiceSelector({ selectedVoiceId, onSelect }) {
+export function AiVoiceSelector({ selectedVoiceId, onSelect, clonedVoices = [] }) {
   const [allVoices, setAllVoices] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -165,6 +165,43 @@ export function AiVoiceSelector({ selectedVoiceId, onSelect }) {
 
   return (
     <div className="space-y-6">
+      {/* Voices cloned for agencies, see admin/VoiceClonesPage */}
+      {clonedVoices.length > 0 && (
+        <div>
+          <h4 className="text-sm font-medium text-gray-900 dark:text-white mb-2">Agency voices</h4>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {clonedVoices.map((voice) => (
+              <div
+                key={voice.elevenlabs_voice_id}
+                className={`p-4 rounded-lg border transition-all cursor-pointer ${
+                  selectedVoiceId === voice.elevenlabs_voice_id
+                    ? 'border-primary bg-primary/5 dark:bg-primary/10'
+                    : 'border-gray-200 dark:border-gray-700 hover:border-primary/50'
+                }`}
+                onClick={() => onSelect(voice.elevenlabs_voice_id)}
+              >
+                <h3 className="text-sm font-medium text-gray-900 dark:text-white">
+                  {voice.name}
+                </h3>
+                <div className="flex flex-wrap gap-1 mt-1">
+                  <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-primary/10 text-primary">
+                    cloned
+                  </span>
+                  <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-300">
+                    {voice.agency_name}
+                  </span>
+                </div>
+                {voice.description && (
+                  <p className="mt-2 text-sm text-gray-500 dark:text-gray-400">
+                    {voice.description}
+                  </p>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Search and Filter Controls */}
       <div className="space-y-4">
         {/* Search */}
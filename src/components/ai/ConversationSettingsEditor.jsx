@@ -0,0 +1,165 @@
+import React, { useState } from 'react';
+import { Button } from '../ui/Button';
+import { LANGUAGES, isMultilingualModel } from './VoiceSettingsEditor';
+import { findUnknownPromptVariables } from './promptTemplate';
+
+const inputClassName = 'w-full px-4 py-2 rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-dark-hover text-gray-900 dark:text-white focus:ring-2 focus:ring-primary/20 focus:border-primary';
+
+const languageLabel = (code) => LANGUAGES.find(language => language.code === code)?.label || code;
+
+/**
+ * Greetings (main language and one per extra language), duration limits and
+ * end-call behaviour of an agent. Empty settings keep the ElevenLabs defaults.
+ */
+export function ConversationSettingsEditor({ settings, onChange }) {
+  const [newLanguage, setNewLanguage] = useState('');
+
+  const update = (field, value) => onChange({ ...settings, [field]: value });
+
+  const mainLanguage = settings.language || 'en';
+  const firstMessages = settings.first_messages || {};
+  const availableLanguages = LANGUAGES.filter(
+    language => language.code !== mainLanguage && !(language.code in firstMessages)
+  );
+
+  const updateGreeting = (code, message) => {
+    update('first_messages', { ...firstMessages, [code]: message });
+  };
+
+  const removeGreeting = (code) => {
+    const { [code]: removed, ...rest } = firstMessages;
+    // No extra greeting means a single-language agent
+    update('first_messages', Object.keys(rest).length > 0 ? rest : null);
+  };
+
+  const addGreeting = () => {
+    if (!newLanguage) return;
+    updateGreeting(newLanguage, '');
+    setNewLanguage('');
+  };
+
+  const unknownVariables = [
+    ...new Set([settings.first_message || '', ...Object.values(firstMessages)].flatMap(findUnknownPromptVariables))
+  ];
+
+  const numberOrNull = (value) => (value === '' ? null : Number(value));
+
+  return (
+    <div className="space-y-4 rounded-lg border border-gray-200 dark:border-gray-700 p-4">
+      <div>
+        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+          First message ({languageLabel(mainLanguage)})
+        </label>
+        <textarea
+          value={settings.first_message || ''}
+          onChange={(e) => update('first_message', e.target.value || null)}
+          rows={2}
+          placeholder="Leave empty to let the caller speak first"
+          className={inputClassName}
+        />
+      </div>
+
+      {Object.entries(firstMessages).map(([code, message]) => (
+        <div key={code}>
+          <div className="flex items-center justify-between mb-1">
+            <label className="text-sm font-medium text-gray-700 dark:text-gray-300">
+              First message ({languageLabel(code)})
+            </label>
+            <button
+              type="button"
+              onClick={() => removeGreeting(code)}
+              className="text-xs text-red-500 hover:text-red-600 dark:text-red-400"
+            >
+              Remove
+            </button>
+          </div>
+          <textarea
+            value={message}
+            onChange={(e) => updateGreeting(code, e.target.value)}
+            rows={2}
+            className={inputClassName}
+            required
+          />
+          {code === mainLanguage ? (
+            <p className="mt-1 text-sm text-red-500 dark:text-red-400">
+              This is now the main language: move this greeting to the first message above.
+            </p>
+          ) : !isMultilingualModel(settings.tts_model_id) && code !== 'en' && (
+            <p className="mt-1 text-sm text-red-500 dark:text-red-400">
+              This language needs a multilingual (v2.5) model.
+            </p>
+          )}
+        </div>
+      ))}
+
+      {availableLanguages.length > 0 && (
+        <div className="flex gap-2">
+          <select
+            value={newLanguage}
+            onChange={(e) => setNewLanguage(e.target.value)}
+            className={inputClassName}
+          >
+            <option value="">Add a language the agent can switch to...</option>
+            {availableLanguages.map(language => (
+              <option key={language.code} value={language.code}>{language.label}</option>
+            ))}
+          </select>
+          <Button type="button" variant="secondary" onClick={addGreeting} disabled={!newLanguage}>
+            Add
+          </Button>
+        </div>
+      )}
+
+      {unknownVariables.length > 0 && (
+        <p className="text-sm text-red-500 dark:text-red-400">
+          Unknown variables in the first messages: {unknownVariables.map(name => `{{${name}}}`).join(', ')}
+        </p>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+            Max duration (seconds)
+          </label>
+          <input
+            type="number"
+            min={30}
+            max={3600}
+            value={settings.max_duration_seconds ?? ''}
+            onChange={(e) => update('max_duration_seconds', numberOrNull(e.target.value))}
+            placeholder="600"
+            className={inputClassName}
+          />
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+            Hang up after silence (seconds)
+          </label>
+          <input
+            type="number"
+            min={5}
+            max={300}
+            value={settings.silence_end_call_timeout_seconds ?? ''}
+            onChange={(e) => update('silence_end_call_timeout_seconds', numberOrNull(e.target.value))}
+            placeholder="Never"
+            className={inputClassName}
+          />
+        </div>
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+          End the call when
+        </label>
+        <textarea
+          value={settings.end_call_conditions || ''}
+          onChange={(e) => update('end_call_conditions', e.target.value || null)}
+          rows={2}
+          placeholder="The caller says goodbye or the conversation is over."
+          className={inputClassName}
+        />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,210 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Button } from '../ui/Button';
+import toast from 'react-hot-toast';
+
+const TTS_MODELS = [
+  { id: 'eleven_turbo_v2', label: 'Turbo v2 (English only)' },
+  { id: 'eleven_turbo_v2_5', label: 'Turbo v2.5 (multilingual)' },
+  { id: 'eleven_flash_v2', label: 'Flash v2 (English only)' },
+  { id: 'eleven_flash_v2_5', label: 'Flash v2.5 (multilingual)' }
+];
+
+export const LANGUAGES = [
+  { code: 'en', label: 'English' },
+  { code: 'fr', label: 'French' },
+  { code: 'es', label: 'Spanish' },
+  { code: 'de', label: 'German' },
+  { code: 'it', label: 'Italian' },
+  { code: 'pt', label: 'Portuguese' },
+  { code: 'nl', label: 'Dutch' }
+];
+
+// ElevenLabs defaults, shown while a setting is left empty
+const SLIDERS = [
+  { field: 'tts_stability', label: 'Stability', min: 0, max: 1, step: 0.05, defaultValue: 0.5 },
+  { field: 'tts_similarity_boost', label: 'Similarity boost', min: 0, max: 1, step: 0.05, defaultValue: 0.8 },
+  { field: 'tts_style', label: 'Style exaggeration', min: 0, max: 1, step: 0.05, defaultValue: 0 },
+  { field: 'tts_speed', label: 'Speed', min: 0.7, max: 1.2, step: 0.05, defaultValue: 1 }
+];
+
+export const isMultilingualModel = (modelId) => !modelId || modelId.endsWith('_v2_5');
+
+/**
+ * TTS settings of an agent (model, language, voice tuning) with a spoken preview.
+ * Empty settings keep the ElevenLabs defaults.
+ */
+export function VoiceSettingsEditor({ voiceId, settings, onChange }) {
+  const [previewText, setPreviewText] = useState('Bonjour, je suis votre assistant immobilier. Comment puis-je vous aider ?');
+  const [previewing, setPreviewing] = useState(false);
+  const audioRef = useRef(null);
+
+  useEffect(() => () => {
+    if (audioRef.current) {
+      audioRef.current.pause();
+      URL.revokeObjectURL(audioRef.current.src);
+    }
+  }, []);
+
+  const update = (field, value) => onChange({ ...settings, [field]: value });
+
+  const languageIssue = settings.language && settings.language !== 'en' && !isMultilingualModel(settings.tts_model_id)
+    ? 'This language needs a multilingual (v2.5) model.'
+    : null;
+
+  const handlePreview = async () => {
+    setPreviewing(true);
+    try {
+      const response = await fetch(`${import.meta.env.VITE_SUPABASE_URL}/functions/v1/text-to-speech`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${import.meta.env.VITE_SUPABASE_ANON_KEY}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          text: previewText,
+          voiceId,
+          stability: settings.tts_stability ?? undefined,
+          similarityBoost: settings.tts_similarity_boost ?? undefined,
+          style: settings.tts_style ?? undefined,
+          useSpeakerBoost: settings.tts_use_speaker_boost ?? undefined,
+          speed: settings.tts_speed ?? undefined,
+          modelId: settings.tts_model_id || undefined,
+          languageCode: settings.language || undefined
+        })
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || `Failed to generate preview (${response.status})`);
+      }
+
+      if (audioRef.current) {
+        audioRef.current.pause();
+        URL.revokeObjectURL(audioRef.current.src);
+      }
+      audioRef.current = new Audio(URL.createObjectURL(await response.blob()));
+      await audioRef.current.play();
+
+    } catch (err) {
+      console.error('Error previewing voice:', err);
+      toast.error(err.message || 'Failed to generate preview');
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4 rounded-lg border border-gray-200 dark:border-gray-700 p-4">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+            Model
+          </label>
+          <select
+            value={settings.tts_model_id || ''}
+            onChange={(e) => update('tts_model_id', e.target.value || null)}
+            className="w-full px-4 py-2 rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-dark-hover text-gray-900 dark:text-white focus:ring-2 focus:ring-primary/20 focus:border-primary"
+          >
+            <option value="">ElevenLabs default</option>
+            {TTS_MODELS.map(model => (
+              <option key={model.id} value={model.id}>{model.label}</option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+            Output language
+          </label>
+          <select
+            value={settings.language || ''}
+            onChange={(e) => update('language', e.target.value || null)}
+            className="w-full px-4 py-2 rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-dark-hover text-gray-900 dark:text-white focus:ring-2 focus:ring-primary/20 focus:border-primary"
+          >
+            <option value="">ElevenLabs default (English)</option>
+            {LANGUAGES.map(language => (
+              <option key={language.code} value={language.code}>{language.label}</option>
+            ))}
+          </select>
+          {languageIssue && (
+            <p className="mt-1 text-sm text-red-500 dark:text-red-400">{languageIssue}</p>
+          )}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {SLIDERS.map(slider => {
+          const value = settings[slider.field];
+          return (
+            <div key={slider.field}>
+              <div className="flex items-center justify-between mb-1">
+                <label className="text-sm font-medium text-gray-700 dark:text-gray-300">
+                  {slider.label}
+                </label>
+                <span className="text-xs text-gray-500 dark:text-gray-400">
+                  {value ?? slider.defaultValue}
+                  {value != null && (
+                    <button
+                      type="button"
+                      onClick={() => update(slider.field, null)}
+                      className="ml-2 text-primary hover:text-primary-light"
+                    >
+                      Reset
+                    </button>
+                  )}
+                </span>
+              </div>
+              <input
+                type="range"
+                min={slider.min}
+                max={slider.max}
+                step={slider.step}
+                value={value ?? slider.defaultValue}
+                onChange={(e) => update(slider.field, Number(e.target.value))}
+                className="w-full accent-primary"
+              />
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="flex items-center gap-2">
+        <input
+          type="checkbox"
+          id="tts_use_speaker_boost"
+          checked={settings.tts_use_speaker_boost ?? true}
+          onChange={(e) => update('tts_use_speaker_boost', e.target.checked)}
+          className="rounded border-gray-300 text-primary focus:ring-primary"
+        />
+        <label htmlFor="tts_use_speaker_boost" className="text-sm font-medium text-gray-700 dark:text-gray-300">
+          Speaker boost
+        </label>
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+          Preview text
+        </label>
+        <div className="flex gap-2">
+          <input
+            type="text"
+            value={previewText}
+            onChange={(e) => setPreviewText(e.target.value)}
+            className="w-full px-4 py-2 rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-dark-hover text-gray-900 dark:text-white focus:ring-2 focus:ring-primary/20 focus:border-primary"
+          />
+          <Button
+            type="button"
+            variant="secondary"
+            onClick={handlePreview}
+            disabled={previewing || !voiceId || !previewText.trim()}
+          >
+            {previewing ? 'Generating...' : 'Preview'}
+          </Button>
+        </div>
+        {!voiceId && (
+          <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">Select a voice to preview it.</p>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,53 @@
+/**
+ * Line diff of two prompts, aligned for a side-by-side view.
+ * Each row has a `left` and/or `right` line and a `type`:
+ * `same`, `removed` (left only), `added` (right only) or `changed` (both).
+ * @param {string} before - Older prompt
+ * @param {string} after - Newer prompt
+ * @returns {Array<{type: string, left: string|null, right: string|null}>} Rows
+ */
+export function diffPromptLines(before = '', after = '') {
+  const a = (before || '').split('\n');
+  const b = (after || '').split('\n');
+
+  // Longest common subsequence table, filled from the end
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const rows = [];
+  let removed = [];
+  let added = [];
+
+  // Pair up removed and added lines of the same hunk so edits show on one row
+  const flush = () => {
+    for (let k = 0; k < Math.max(removed.length, added.length); k++) {
+      const left = removed[k] ?? null;
+      const right = added[k] ?? null;
+      rows.push({ type: left !== null && right !== null ? 'changed' : left !== null ? 'removed' : 'added', left, right });
+    }
+    removed = [];
+    added = [];
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      flush();
+      rows.push({ type: 'same', left: a[i], right: b[j] });
+      i++;
+      j++;
+    } else if (j < b.length && (i === a.length || lcs[i][j + 1] >= lcs[i + 1][j])) {
+      added.push(b[j++]);
+    } else {
+      removed.push(a[i++]);
+    }
+  }
+  flush();
+
+  return rows;
+}
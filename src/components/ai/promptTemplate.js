@@ -0,0 +1,56 @@
+/**
+ * Variables available in agent system prompts as `{{name}}`. They are resolved per
+ * conversation for the user the call is attributed to.
+ * Keep in sync with supabase/functions/utils/promptTemplate.ts.
+ */
+export const PROMPT_VARIABLES = [
+  { name: 'user_full_name', description: 'Name of the user the agent speaks for', sample: 'Marie Dupont' },
+  { name: 'agency_name', description: 'Agency of the user (falls back to their name)', sample: 'Dupont Immobilier' },
+  { name: 'active_listing_count', description: 'Number of active listings of the user', sample: '12' },
+  { name: 'caller_first_name', description: 'First name of the caller when already a contact, empty otherwise', sample: 'Julien' },
+  { name: 'agent_name', description: 'Name the user gave the agent', sample: 'Sarah' }
+];
+
+const VARIABLE_PATTERN = /\{\{\s*([a-zA-Z0-9_]+)\s*\}\}/g;
+
+// Filled by the backend (ROUTING_VARIABLES there) or by ElevenLabs itself, never typed by admins
+const ROUTING_VARIABLES = [
+  'prospeo_user_id',
+  'prospeo_experiment_id',
+  'prospeo_experiment_variant',
+  'prospeo_agent_mode',
+  'prospeo_test_session'
+];
+
+const isBuiltInVariable = (name) => ROUTING_VARIABLES.includes(name) || name.startsWith('system__');
+
+/**
+ * Lists the variables of a prompt that cannot be resolved
+ * @param {string} template - System prompt
+ * @returns {string[]} Unknown variable names
+ */
+export function findUnknownPromptVariables(template = '') {
+  const known = new Set(PROMPT_VARIABLES.map(variable => variable.name));
+  const names = [...template.matchAll(VARIABLE_PATTERN)].map(match => match[1]);
+  return [...new Set(names)].filter(name => !known.has(name) && !isBuiltInVariable(name));
+}
+
+/**
+ * Renders a prompt the way the agent will read it
+ * @param {string} template - System prompt
+ * @param {Object} values - Value of each variable
+ * @returns {string} Rendered prompt; unknown variables are left as-is
+ */
+export function renderPromptTemplate(template = '', values = {}) {
+  return template.replace(VARIABLE_PATTERN, (match, name) =>
+    Object.prototype.hasOwnProperty.call(values, name) ? values[name] : match
+  );
+}
+
+/**
+ * Sample values used by the prompt preview
+ * @returns {Object} Value of each variable
+ */
+export function getSamplePromptValues() {
+  return Object.fromEntries(PROMPT_VARIABLES.map(variable => [variable.name, variable.sample]));
+}
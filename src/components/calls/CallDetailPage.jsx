@@ -0,0 +1,261 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { Card, CardHeader, CardContent } from '../ui/Card';
+import { Button } from '../ui/Button';
+import { useAuth } from '../../hooks/useAuth';
+import { TranscriptViewer } from './TranscriptViewer';
+import { CallRecordingPlayer } from './CallRecordingPlayer';
+import { TalkTimeBreakdown } from './TalkTimeBreakdown';
+import { ToolInvocationsList } from './ToolInvocationsList';
+import { CallTagsEditor } from './CallTagsEditor';
+import { formatDuration, CALL_STATUS_LABELS, CALL_STATUS_STYLES, AGENT_MODE_LABELS, CALL_DIRECTION_LABELS, TRANSFER_STATUS_LABELS } from './formatters';
+import { format } from 'date-fns';
+import toast from 'react-hot-toast';
+
+const DetailItem = ({ label, value }) => (
+  <div className="space-y-1">
+    <dt className="text-sm text-gray-500 dark:text-gray-400">{label}</dt>
+    <dd className="text-sm font-medium text-gray-900 dark:text-white">{value}</dd>
+  </div>
+);
+
+export function CallDetailPage() {
+  const { callId } = useParams();
+  const navigate = useNavigate();
+  const { session } = useAuth();
+  const [call, setCall] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [playbackTime, setPlaybackTime] = useState(null);
+  const playerRef = useRef(null);
+
+  useEffect(() => {
+    const fetchCallDetails = async () => {
+      try {
+        const response = await fetch(
+          `${import.meta.env.VITE_SUPABASE_URL}/functions/v1/get-call-details/${callId}`,
+          {
+            headers: {
+              'Authorization': `Bearer ${session.access_token}`,
+            },
+          }
+        );
+
+        const data = await response.json();
+
+        if (!response.ok) {
+          throw new Error(data.error || 'Failed to fetch call details');
+        }
+
+        setCall(data.call);
+        setError(null);
+
+      } catch (err) {
+        console.error('Error fetching call:', err);
+        setError(err.message);
+        toast.error(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    if (callId && session?.access_token) {
+      fetchCallDetails();
+    }
+  }, [callId, session?.access_token]);
+
+  if (loading) {
+    return (
+      <main className="flex-1 min-w-0 overflow-auto">
+        <div className="max-w-[1440px] mx-auto animate-fade-in p-4">
+          <div className="flex items-center justify-center h-64">
+            <p className="text-gray-500 dark:text-gray-400">Chargement de l'appel...</p>
+          </div>
+        </div>
+      </main>
+    );
+  }
+
+  if (error) {
+    return (
+      <main className="flex-1 min-w-0 overflow-auto">
+        <div className="max-w-[1440px] mx-auto animate-fade-in p-4">
+          <div className="flex flex-col items-center justify-center h-64 gap-4">
+            <p className="text-red-500 dark:text-red-400">{error}</p>
+            <button
+              onClick={() => navigate('/call-history')}
+              className="text-primary hover:text-primary-light"
+            >
+              Retour à l'historique
+            </button>
+          </div>
+        </div>
+      </main>
+    );
+  }
+
+  const hasRecording = Boolean(call.recording_storage_path || call.recording_url);
+
+  return (
+    <main className="flex-1 min-w-0 overflow-auto">
+      <div className="max-w-[1440px] mx-auto animate-fade-in">
+        <div className="flex flex-wrap items-center justify-between gap-4 p-4">
+          <h1 className="text-gray-900 dark:text-white text-2xl md:text-3xl font-bold">
+            Détails de l'Appel
+          </h1>
+          <Button variant="secondary" onClick={() => navigate('/call-history')}>
+            Retour
+          </Button>
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-4 p-4">
+          {/* Recording */}
+          {hasRecording && (
+            <Card className="lg:col-span-3">
+              <CardHeader>
+                <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Enregistrement</h2>
+              </CardHeader>
+              <CardContent>
+                <CallRecordingPlayer
+                  ref={playerRef}
+                  callId={call.id}
+                  onTimeUpdate={setPlaybackTime}
+                />
+              </CardContent>
+            </Card>
+          )}
+
+          {/* Transcript */}
+          <Card className="lg:col-span-2">
+            <CardHeader>
+              <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Transcription</h2>
+            </CardHeader>
+            <CardContent>
+              {call.summary && (
+                <div className="mb-6 p-4 rounded-lg bg-gray-50 dark:bg-dark-hover">
+                  <h3 className="text-sm font-medium text-gray-900 dark:text-white mb-2">Résumé</h3>
+                  <p className="text-sm text-gray-500 dark:text-gray-400 whitespace-pre-wrap">
+                    {call.summary}
+                  </p>
+                </div>
+              )}
+              <TranscriptViewer
+                transcript={call.transcript}
+                currentTime={playbackTime}
+                onSegmentClick={hasRecording ? (segment) => playerRef.current?.seekTo(segment.start) : undefined}
+              />
+            </CardContent>
+          </Card>
+
+          <div className="space-y-4">
+            <Card>
+              <CardHeader>
+                <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Informations</h2>
+              </CardHeader>
+              <CardContent>
+                <dl className="grid grid-cols-1 gap-4">
+                  <DetailItem
+                    label="Date"
+                    value={format(new Date(call.call_timestamp), 'dd/MM/yyyy HH:mm')}
+                  />
+                  {call.direction === 'outbound' && (
+                    <DetailItem
+                      label="Sens"
+                      value={`${CALL_DIRECTION_LABELS.outbound}${call.voice_campaign ? ` (campagne ${call.voice_campaign.name})` : ''}`}
+                    />
+                  )}
+                  {/* On outbound calls the contact is the one called, from our line */}
+                  <DetailItem
+                    label={call.direction === 'outbound' ? 'Numéro appelé' : 'Numéro appelant'}
+                    value={call.caller_number}
+                  />
+                  {call.called_number && (
+                    <DetailItem
+                      label={call.direction === 'outbound' ? 'Ligne utilisée' : 'Numéro appelé'}
+                      value={call.phone_number?.label ? `${call.called_number} (${call.phone_number.label})` : call.called_number}
+                    />
+                  )}
+                  <DetailItem label="Durée" value={formatDuration(call.duration_seconds)} />
+                  {call.agent_mode && (
+                    <DetailItem label="Horaires" value={AGENT_MODE_LABELS[call.agent_mode]} />
+                  )}
+                  {call.transfer_status && (
+                    <DetailItem
+                      label="Transfert"
+                      value={`${TRANSFER_STATUS_LABELS[call.transfer_status] || call.transfer_status}${
+                        call.transfer_requested_at ? ` à ${format(new Date(call.transfer_requested_at), 'HH:mm')}` : ''
+                      } (${call.transfer_number})`}
+                    />
+                  )}
+                  <DetailItem
+                    label="Statut"
+                    value={
+                      <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${
+                        CALL_STATUS_STYLES[call.status] || 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-300'
+                      }`}>
+                        {CALL_STATUS_LABELS[call.status] || call.status}
+                      </span>
+                    }
+                  />
+                  <DetailItem
+                    label="Agent"
+                    value={call.agent
+                      ? `${call.agent.agent_name}${call.agent_version ? ` (v${call.agent_version.version_number})` : ''}`
+                      : '-'}
+                  />
+                  <DetailItem
+                    label="Contact"
+                    value={call.contact ? (
+                      <Link to={`/contacts/${call.contact.id}`} className="text-primary hover:text-primary-light">
+                        {call.contact.first_name} {call.contact.last_name}
+                      </Link>
+                    ) : '-'}
+                  />
+                  <DetailItem
+                    label="Bien"
+                    value={call.property ? (
+                      <Link to={`/properties/${call.property.id}`} className="text-primary hover:text-primary-light">
+                        {call.property.name}
+                      </Link>
+                    ) : '-'}
+                  />
+                </dl>
+              </CardContent>
+            </Card>
+
+            <Card>
+              <CardHeader>
+                <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Temps de parole</h2>
+              </CardHeader>
+              <CardContent>
+                <TalkTimeBreakdown transcript={call.transcript} />
+              </CardContent>
+            </Card>
+
+            <Card>
+              <CardHeader>
+                <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Actions de l'agent</h2>
+              </CardHeader>
+              <CardContent>
+                <ToolInvocationsList invocations={call.tool_invocations} />
+              </CardContent>
+            </Card>
+
+            <Card>
+              <CardHeader>
+                <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Tags</h2>
+              </CardHeader>
+              <CardContent>
+                <CallTagsEditor
+                  callId={call.id}
+                  tags={call.tags}
+                  onChange={(tags) => setCall(prev => ({ ...prev, tags }))}
+                />
+              </CardContent>
+            </Card>
+          </div>
+        </div>
+      </div>
+    </main>
+  );
+}
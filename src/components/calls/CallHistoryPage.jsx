@@ -1,7 +1,304 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
 import { Card, CardHeader, CardContent } from '../ui/Card';
+import { useCalls } from '../../hooks/useCalls';
+import { useTags } from '../../hooks/useTags';
+import { useProperties } from '../../hooks/useProperties';
+import { useContacts } from '../../hooks/useContacts';
+import { supabase } from '../../lib/supabaseClient';
+import { TagBadge } from './TagBadge';
+import { formatDuration, CALL_STATUS_LABELS, CALL_STATUS_STYLES, AGENT_MODE_LABELS, CALL_DIRECTION_LABELS } from './formatters';
+import { format } from 'date-fns';
+
+const selectClassName = "px-4 py-2 rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-dark-hover text-gray-900 dark:text-white focus:ring-2 focus:ring-primary/20 focus:border-primary";
+
+// Date inputs give local calendar days, list-calls expects ISO datetimes
+const toDayBoundary = (value, endOfDay) => {
+  if (!value) return undefined;
+  return new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00'}`).toISOString();
+};
+
+const CallsTable = ({ calls, onViewDetails }) => (
+  <div className="overflow-x-auto">
+    <table className="w-full min-w-[900px]">
+      <thead>
+        <tr className="border-b border-gray-100 dark:border-gray-800">
+          <th className="text-left py-3 px-4 text-sm font-medium text-gray-500 dark:text-gray-400">Date</th>
+          <th className="text-left py-3 px-4 text-sm font-medium text-gray-500 dark:text-gray-400">Appelant</th>
+          <th className="text-left py-3 px-4 text-sm font-medium text-gray-500 dark:text-gray-400">Agent</th>
+          <th className="text-left py-3 px-4 text-sm font-medium text-gray-500 dark:text-gray-400">Bien</th>
+          <th className="text-left py-3 px-4 text-sm font-medium text-gray-500 dark:text-gray-400">Statut</th>
+          <th className="text-left py-3 px-4 text-sm font-medium text-gray-500 dark:text-gray-400">Tags</th>
+          <th className="text-right py-3 px-4 text-sm font-medium text-gray-500 dark:text-gray-400">Durée</th>
+        </tr>
+      </thead>
+      <tbody>
+        {calls.map((call) => (
+          <tr
+            key={call.id}
+            onClick={() => onViewDetails(call.id)}
+            className="border-b border-gray-100 dark:border-gray-800 hover:bg-gray-50 dark:hover:bg-dark-hover transition-colors cursor-pointer"
+          >
+            <td className="py-3 px-4">
+              <p className="text-sm font-medium text-gray-900 dark:text-white">
+                {format(new Date(call.call_timestamp), 'dd/MM/yyyy HH:mm')}
+              </p>
+            </td>
+            <td className="py-3 px-4">
+              <div>
+                <p className="text-sm font-medium text-gray-900 dark:text-white">
+                  {call.contact ? `${call.contact.first_name} ${call.contact.last_name}` : call.caller_number}
+                </p>
+                {call.contact && (
+                  <p className="text-sm text-gray-500 dark:text-gray-400">{call.caller_number}</p>
+                )}
+              </div>
+            </td>
+            <td className="py-3 px-4 text-sm text-gray-500 dark:text-gray-400">
+              <p>{call.agent?.agent_name || '-'}</p>
+              {call.called_number && (
+                <p className="text-xs" title={call.called_number}>
+                  {call.phone_number?.label || call.called_number}
+                </p>
+              )}
+            </td>
+            <td className="py-3 px-4 text-sm text-gray-500 dark:text-gray-400">
+              {call.property?.name || '-'}
+            </td>
+            <td className="py-3 px-4">
+              <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${
+                CALL_STATUS_STYLES[call.status] || 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-300'
+              }`}>
+                {CALL_STATUS_LABELS[call.status] || call.status}
+              </span>
+              {call.is_test && (
+                <span className="ml-1 inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-purple-100 text-purple-800 dark:bg-purple-900/30 dark:text-purple-400">
+                  Test
+                </span>
+              )}
+              {call.agent_mode === 'after_hours' && (
+                <span className="ml-1 inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-indigo-100 text-indigo-800 dark:bg-indigo-900/30 dark:text-indigo-400">
+                  {AGENT_MODE_LABELS.after_hours}
+                </span>
+              )}
+              {call.direction === 'outbound' && (
+                <span
+                  className="ml-1 inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-teal-100 text-teal-800 dark:bg-teal-900/30 dark:text-teal-400"
+                  title={call.voice_campaign?.name}
+                >
+                  {CALL_DIRECTION_LABELS.outbound}
+                </span>
+              )}
+            </td>
+            <td className="py-3 px-4">
+              <div className="flex flex-wrap gap-1">
+                {call.tags.map(tag => <TagBadge key={tag.id} tag={tag} />)}
+              </div>
+            </td>
+            <td className="py-3 px-4 text-right text-sm text-gray-900 dark:text-white">
+              {formatDuration(call.duration_seconds)}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+const CallFilters = ({ filters, onChange, agents, properties, contacts, tags }) => {
+  // Any filter change sends the user back to the first page
+  const update = (changes) => onChange({ ...filters, ...changes, page: 1 });
+
+  return (
+    <div className="flex flex-wrap items-center gap-4">
+      <div className="flex items-center gap-2">
+        <input
+          type="date"
+          value={filters.dateFromDay || ''}
+          onChange={(e) => update({ dateFromDay: e.target.value || undefined })}
+          className={selectClassName}
+          aria-label="Date de début"
+        />
+        <span className="text-sm text-gray-500 dark:text-gray-400">au</span>
+        <input
+          type="date"
+          value={filters.dateToDay || ''}
+          onChange={(e) => update({ dateToDay: e.target.value || undefined })}
+          className={selectClassName}
+          aria-label="Date de fin"
+        />
+      </div>
+
+      <select
+        value={filters.status || ''}
+        onChange={(e) => update({ status: e.target.value || undefined })}
+        className={selectClassName}
+      >
+        <option value="">Tous les statuts</option>
+        {Object.entries(CALL_STATUS_LABELS).map(([value, label]) => (
+          <option key={value} value={value}>{label}</option>
+        ))}
+      </select>
+
+      <select
+        value={filters.agent_mode || ''}
+        onChange={(e) => update({ agent_mode: e.target.value || undefined })}
+        className={selectClassName}
+      >
+        <option value="">Tous les horaires</option>
+        {Object.entries(AGENT_MODE_LABELS).map(([value, label]) => (
+          <option key={value} value={value}>{label}</option>
+        ))}
+      </select>
+
+      <select
+        value={filters.direction || ''}
+        onChange={(e) => update({ direction: e.target.value || undefined })}
+        className={selectClassName}
+      >
+        <option value="">Entrants et sortants</option>
+        {Object.entries(CALL_DIRECTION_LABELS).map(([value, label]) => (
+          <option key={value} value={value}>{label}</option>
+        ))}
+      </select>
+
+      <select
+        value={filters.ai_agent_id || ''}
+        onChange={(e) => update({ ai_agent_id: e.target.value || undefined })}
+        className={selectClassName}
+      >
+        <option value="">Tous les agents</option>
+        {agents.map(agent => (
+          <option key={agent.id} value={agent.id}>{agent.agent_name}</option>
+        ))}
+      </select>
+
+      <select
+        value={filters.property_id || ''}
+        onChange={(e) => update({ property_id: e.target.value || undefined })}
+        className={selectClassName}
+      >
+        <option value="">Tous les biens</option>
+        {properties.map(property => (
+          <option key={property.id} value={property.id}>{property.name}</option>
+        ))}
+      </select>
+
+      <select
+        value={filters.contact_id || ''}
+        onChange={(e) => update({ contact_id: e.target.value || undefined })}
+        className={selectClassName}
+      >
+        <option value="">Tous les contacts</option>
+        {contacts.map(contact => (
+          <option key={contact.id} value={contact.id}>
+            {contact.first_name} {contact.last_name}
+          </option>
+        ))}
+      </select>
+
+      <select
+        value={filters.tag_id || ''}
+        onChange={(e) => update({ tag_id: e.target.value || undefined })}
+        className={selectClassName}
+      >
+        <option value="">Tous les tags</option>
+        {tags.map(tag => (
+          <option key={tag.id} value={tag.id}>{tag.name}</option>
+        ))}
+      </select>
+
+      <select
+        value={`${filters.sort}:${filters.order}`}
+        onChange={(e) => {
+          const [sort, order] = e.target.value.split(':');
+          update({ sort, order });
+        }}
+        className={selectClassName}
+      >
+        <option value="call_timestamp:desc">Plus récents</option>
+        <option value="call_timestamp:asc">Plus anciens</option>
+        <option value="duration_seconds:desc">Plus longs</option>
+        <option value="status:asc">Par statut</option>
+      </select>
+    </div>
+  );
+};
+
+const Pagination = ({ meta, onPageChange }) => {
+  const pages = Array.from({ length: meta.totalPages }, (_, i) => i + 1);
+
+  return (
+    <div className="flex items-center justify-between mt-4">
+      <p className="text-sm text-gray-500 dark:text-gray-400">
+        Appels {((meta.currentPage - 1) * meta.itemsPerPage) + 1} à {Math.min(meta.currentPage * meta.itemsPerPage, meta.totalItems)} sur {meta.totalItems}
+      </p>
+      <div className="flex items-center gap-2">
+        {pages.map(page => (
+          <button
+            key={page}
+            onClick={() => onPageChange(page)}
+            className={`px-3 py-1 rounded-lg text-sm font-medium ${
+              page === meta.currentPage
+                ? 'bg-primary text-white'
+                : 'text-gray-500 hover:bg-gray-100 dark:hover:bg-dark-hover'
+            }`}
+          >
+            {page}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
 
 export function CallHistoryPage() {
+  const navigate = useNavigate();
+  const { calls, loading, error, meta, fetchCalls } = useCalls();
+  const { tags, fetchTags } = useTags();
+  const { properties, fetchProperties } = useProperties();
+  const { contacts, fetchContacts } = useContacts();
+  const [agents, setAgents] = useState([]);
+  const [filters, setFilters] = useState({
+    page: 1,
+    limit: 10,
+    sort: 'call_timestamp',
+    order: 'desc'
+  });
+
+  useEffect(() => {
+    const { dateFromDay, dateToDay, ...rest } = filters;
+    fetchCalls({
+      ...rest,
+      dateFrom: toDayBoundary(dateFromDay, false),
+      dateTo: toDayBoundary(dateToDay, true)
+    });
+  }, [filters, fetchCalls]);
+
+  // Load the options of the filter dropdowns
+  useEffect(() => {
+    fetchTags();
+    fetchProperties({ limit: 100, sort: 'name', order: 'asc' });
+    fetchContacts({ limit: 100, sort: 'last_name', order: 'asc' });
+  }, [fetchTags, fetchProperties, fetchContacts]);
+
+  useEffect(() => {
+    const fetchAgents = async () => {
+      const { data, error: fetchError } = await supabase
+        .from('ai_agents')
+        .select('id, agent_name')
+        .order('agent_name');
+
+      if (fetchError) {
+        console.error('Error fetching agents:', fetchError);
+        return;
+      }
+      setAgents(data || []);
+    };
+
+    fetchAgents();
+  }, []);
+
   return (
     <main className="flex-1 min-w-0 overflow-auto">
       <div className="max-w-[1440px] mx-auto animate-fade-in">
@@ -10,22 +307,48 @@ export function CallHistoryPage() {
             Historique des Appels
           </h1>
         </div>
-        
+
         <div className="p-4">
           <Card>
             <CardHeader>
-              <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
-                Appels Récents
-              </h2>
+              <CallFilters
+                filters={filters}
+                onChange={setFilters}
+                agents={agents}
+                properties={properties}
+                contacts={contacts}
+                tags={tags}
+              />
             </CardHeader>
             <CardContent>
-              <p className="text-gray-500 dark:text-gray-400">
-                Contenu à venir...
-              </p>
+              {loading ? (
+                <div className="py-8 text-center text-gray-500 dark:text-gray-400">
+                  Chargement des appels...
+                </div>
+              ) : error ? (
+                <div className="py-8 text-center text-red-500">
+                  {error}
+                </div>
+              ) : calls.length === 0 ? (
+                <div className="py-8 text-center text-gray-500 dark:text-gray-400">
+                  Aucun appel trouvé
+                </div>
+              ) : (
+                <>
+                  <CallsTable
+                    calls={calls}
+                    onViewDetails={(callId) => navigate(`/call-history/${callId}`)}
+                  />
+                  <Pagination
+                    meta={meta}
+                    onPageChange={(page) => setFilters(f => ({ ...f, page }))}
+                  />
+                </>
+              )}
             </CardContent>
           </Card>
         </div>
       </div>
     </main>
   );
-}
\ No newline at end of file
+}
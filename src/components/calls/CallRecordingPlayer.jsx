@@ -0,0 +1,195 @@
+import React, { useState, useEffect, useRef, useCallback, forwardRef, useImperativeHandle } from 'react';
+import { useAuth } from '../../hooks/useAuth';
+import { formatClock } from './formatters';
+
+const PLAYBACK_RATES = [0.75, 1, 1.25, 1.5, 2];
+
+export const CallRecordingPlayer = forwardRef(function CallRecordingPlayer({ callId, onTimeUpdate }, ref) {
+  const { session } = useAuth();
+  const audioRef = useRef(null);
+  const resumeAtRef = useRef(null);
+  const [urls, setUrls] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [playing, setPlaying] = useState(false);
+  const [currentTime, setCurrentTime] = useState(0);
+  const [duration, setDuration] = useState(0);
+  const [playbackRate, setPlaybackRate] = useState(1);
+
+  const fetchRecordingUrl = useCallback(async () => {
+    if (!session?.access_token) return;
+
+    setLoading(true);
+    try {
+      const response = await fetch(
+        `${import.meta.env.VITE_SUPABASE_URL}/functions/v1/get-call-recording-url/${callId}`,
+        {
+          headers: {
+            'Authorization': `Bearer ${session.access_token}`,
+          },
+        }
+      );
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load recording');
+      }
+
+      setUrls(data);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching recording URL:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [callId, session?.access_token]);
+
+  useEffect(() => {
+    fetchRecordingUrl();
+  }, [fetchRecordingUrl]);
+
+  // Lets the transcript seek the recording when a line is clicked
+  useImperativeHandle(ref, () => ({
+    seekTo: (seconds) => {
+      const audio = audioRef.current;
+      if (!audio) return;
+      if (audio.readyState < 1) {
+        resumeAtRef.current = seconds;
+      } else {
+        audio.currentTime = seconds;
+      }
+      setCurrentTime(seconds);
+      onTimeUpdate?.(seconds);
+      audio.play().catch(err => console.error('Playback failed:', err));
+    }
+  }), [onTimeUpdate]);
+
+  const handleTimeUpdate = () => {
+    const time = audioRef.current.currentTime;
+    setCurrentTime(time);
+    onTimeUpdate?.(time);
+  };
+
+  // Signed URLs are short-lived: on a playback error, fetch a fresh one and resume
+  const handleError = () => {
+    if (resumeAtRef.current !== null) {
+      setError('Impossible de lire l\'enregistrement');
+      return;
+    }
+    resumeAtRef.current = audioRef.current?.currentTime || 0;
+    fetchRecordingUrl();
+  };
+
+  const handleLoadedMetadata = () => {
+    const audio = audioRef.current;
+    setDuration(audio.duration || 0);
+    audio.playbackRate = playbackRate;
+    if (resumeAtRef.current !== null) {
+      audio.currentTime = resumeAtRef.current;
+      resumeAtRef.current = null;
+    }
+  };
+
+  const togglePlay = () => {
+    const audio = audioRef.current;
+    if (!audio) return;
+    if (audio.paused) {
+      audio.play().catch(err => console.error('Playback failed:', err));
+    } else {
+      audio.pause();
+    }
+  };
+
+  const handleSeek = (e) => {
+    const time = Number(e.target.value);
+    audioRef.current.currentTime = time;
+    setCurrentTime(time);
+    onTimeUpdate?.(time);
+  };
+
+  const handleRateChange = (e) => {
+    const rate = Number(e.target.value);
+    setPlaybackRate(rate);
+    if (audioRef.current) audioRef.current.playbackRate = rate;
+  };
+
+  if (loading && !urls) {
+    return (
+      <p className="text-sm text-gray-500 dark:text-gray-400">Chargement de l'enregistrement...</p>
+    );
+  }
+
+  if (error || !urls) {
+    return (
+      <p className="text-sm text-gray-500 dark:text-gray-400">{error || 'Aucun enregistrement disponible'}</p>
+    );
+  }
+
+  return (
+    <div className="flex flex-wrap items-center gap-4">
+      <audio
+        ref={audioRef}
+        src={urls.url}
+        preload="metadata"
+        onLoadedMetadata={handleLoadedMetadata}
+        onTimeUpdate={handleTimeUpdate}
+        onPlay={() => setPlaying(true)}
+        onPause={() => setPlaying(false)}
+        onEnded={() => setPlaying(false)}
+        onError={handleError}
+      />
+
+      <button
+        type="button"
+        onClick={togglePlay}
+        className="w-10 h-10 rounded-full bg-primary hover:bg-primary-light text-white flex items-center justify-center"
+        aria-label={playing ? 'Pause' : 'Lecture'}
+      >
+        {playing ? (
+          <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" viewBox="0 0 24 24">
+            <path d="M6 5h4v14H6zM14 5h4v14h-4z" />
+          </svg>
+        ) : (
+          <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" viewBox="0 0 24 24">
+            <path d="M8 5v14l11-7z" />
+          </svg>
+        )}
+      </button>
+
+      <div className="flex flex-1 min-w-[200px] items-center gap-3">
+        <span className="text-xs text-gray-500 dark:text-gray-400 tabular-nums">{formatClock(currentTime)}</span>
+        <input
+          type="range"
+          min={0}
+          max={duration || 0}
+          step={0.1}
+          value={currentTime}
+          onChange={handleSeek}
+          className="flex-1 accent-primary"
+          aria-label="Position de lecture"
+        />
+        <span className="text-xs text-gray-500 dark:text-gray-400 tabular-nums">{formatClock(duration)}</span>
+      </div>
+
+      <select
+        value={playbackRate}
+        onChange={handleRateChange}
+        className="px-2 py-1 rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-dark-hover text-sm text-gray-900 dark:text-white focus:ring-2 focus:ring-primary/20 focus:border-primary"
+        aria-label="Vitesse de lecture"
+      >
+        {PLAYBACK_RATES.map(rate => (
+          <option key={rate} value={rate}>{rate}x</option>
+        ))}
+      </select>
+
+      <a
+        href={urls.download_url}
+        className="text-primary hover:text-primary-light text-sm font-medium"
+      >
+        Télécharger
+      </a>
+    </div>
+  );
+});
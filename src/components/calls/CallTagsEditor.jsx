@@ -0,0 +1,86 @@
+import React, { useState, useEffect } from 'react';
+import { Button } from '../ui/Button';
+import { useTags } from '../../hooks/useTags';
+import { TagBadge } from './TagBadge';
+import toast from 'react-hot-toast';
+
+export function CallTagsEditor({ callId, tags, onChange }) {
+  const { tags: availableTags, fetchTags, addTagToCall, removeTagFromCall } = useTags();
+  const [tagName, setTagName] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchTags();
+  }, [fetchTags]);
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    const name = tagName.trim();
+    if (!name) return;
+
+    // Reuse an existing tag when the name matches, otherwise create it
+    const existing = availableTags.find(t => t.name.toLowerCase() === name.toLowerCase());
+    if (existing && tags.some(t => t.id === existing.id)) {
+      setTagName('');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const tag = await addTagToCall(callId, existing ? { tag_id: existing.id } : { name });
+      onChange([...tags, tag]);
+      setTagName('');
+    } catch (error) {
+      console.error('Error adding tag:', error);
+      toast.error(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemove = async (tag) => {
+    setSaving(true);
+    try {
+      await removeTagFromCall(callId, tag.id);
+      onChange(tags.filter(t => t.id !== tag.id));
+    } catch (error) {
+      console.error('Error removing tag:', error);
+      toast.error(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap gap-2">
+        {tags.length === 0 ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400">Aucun tag</p>
+        ) : (
+          tags.map(tag => (
+            <TagBadge key={tag.id} tag={tag} onRemove={handleRemove} disabled={saving} />
+          ))
+        )}
+      </div>
+
+      <form onSubmit={handleAdd} className="flex gap-2">
+        <input
+          type="text"
+          list={`call-tags-${callId}`}
+          value={tagName}
+          onChange={(e) => setTagName(e.target.value)}
+          placeholder="Ajouter un tag..."
+          className="flex-1 min-w-0 px-4 py-2 rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-dark-hover text-gray-900 dark:text-white placeholder-gray-400 focus:ring-2 focus:ring-primary/20 focus:border-primary"
+        />
+        <datalist id={`call-tags-${callId}`}>
+          {availableTags
+            .filter(t => !tags.some(tag => tag.id === t.id))
+            .map(t => <option key={t.id} value={t.name} />)}
+        </datalist>
+        <Button type="submit" disabled={saving || !tagName.trim()}>
+          Ajouter
+        </Button>
+      </form>
+    </div>
+  );
+}
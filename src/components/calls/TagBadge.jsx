@@ -0,0 +1,23 @@
+import React from 'react';
+
+export function TagBadge({ tag, onRemove, disabled }) {
+  return (
+    <span
+      className="inline-flex items-center gap-1 px-2 py-1 rounded-full text-xs font-medium bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-300"
+      style={tag.color ? { backgroundColor: `${tag.color}22`, color: tag.color } : undefined}
+    >
+      {tag.name}
+      {onRemove && (
+        <button
+          type="button"
+          onClick={() => onRemove(tag)}
+          disabled={disabled}
+          className="ml-1 hover:opacity-70 disabled:opacity-50"
+          aria-label={`Retirer le tag ${tag.name}`}
+        >
+          ×
+        </button>
+      )}
+    </span>
+  );
+}
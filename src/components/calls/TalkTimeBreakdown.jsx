@@ -0,0 +1,44 @@
+import React from 'react';
+import { computeTalkTime, formatDuration, getTranscriptSegments } from './formatters';
+
+export function TalkTimeBreakdown({ transcript }) {
+  const { agent, caller, total } = computeTalkTime(getTranscriptSegments(transcript));
+
+  if (total === 0) {
+    return (
+      <p className="text-sm text-gray-500 dark:text-gray-400">Pas de temps de parole mesurable</p>
+    );
+  }
+
+  const agentPercent = Math.round((agent / total) * 100);
+  const callerPercent = 100 - agentPercent;
+
+  return (
+    <div className="space-y-3">
+      <div className="flex h-3 rounded-full overflow-hidden bg-gray-100 dark:bg-dark-hover">
+        <div className="bg-primary" style={{ width: `${agentPercent}%` }} />
+        <div className="bg-green-500" style={{ width: `${callerPercent}%` }} />
+      </div>
+      <dl className="grid grid-cols-2 gap-4">
+        <div className="space-y-1">
+          <dt className="flex items-center gap-2 text-sm text-gray-500 dark:text-gray-400">
+            <span className="w-2 h-2 rounded-full bg-primary" />
+            Agent IA
+          </dt>
+          <dd className="text-sm font-medium text-gray-900 dark:text-white">
+            {agentPercent}% · {formatDuration(Math.round(agent))}
+          </dd>
+        </div>
+        <div className="space-y-1">
+          <dt className="flex items-center gap-2 text-sm text-gray-500 dark:text-gray-400">
+            <span className="w-2 h-2 rounded-full bg-green-500" />
+            Appelant
+          </dt>
+          <dd className="text-sm font-medium text-gray-900 dark:text-white">
+            {callerPercent}% · {formatDuration(Math.round(caller))}
+          </dd>
+        </div>
+      </dl>
+    </div>
+  );
+}
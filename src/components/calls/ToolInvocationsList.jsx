@@ -0,0 +1,52 @@
+import React from 'react';
+import { format } from 'date-fns';
+
+const TOOL_LABELS = {
+  search_properties: 'Recherche de biens',
+  get_property_details: 'Détail d\'un bien',
+  get_property_catalogue: 'Lecture du catalogue'
+};
+
+// Render the arguments the agent sent as "city: Lyon · max_price: 300000"
+const describeParameters = (parameters = {}) =>
+  Object.entries(parameters)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => `${key}: ${value}`)
+    .join(' · ');
+
+export function ToolInvocationsList({ invocations = [] }) {
+  if (invocations.length === 0) {
+    return (
+      <p className="text-sm text-gray-500 dark:text-gray-400">Aucune action pendant cet appel</p>
+    );
+  }
+
+  const sorted = [...invocations].sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+
+  return (
+    <ul className="space-y-3">
+      {sorted.map((invocation) => (
+        <li key={invocation.id} className="p-3 rounded-lg bg-gray-50 dark:bg-dark-hover">
+          <div className="flex items-center justify-between gap-2">
+            <p className="text-sm font-medium text-gray-900 dark:text-white">
+              {TOOL_LABELS[invocation.tool_name] || invocation.tool_name}
+            </p>
+            <span className="text-xs text-gray-500 dark:text-gray-400">
+              {format(new Date(invocation.created_at), 'HH:mm:ss')}
+            </span>
+          </div>
+          <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+            {describeParameters(invocation.parameters) || 'Sans critère'}
+          </p>
+          <p className={`text-xs mt-1 ${
+            invocation.status === 'error' ? 'text-red-500 dark:text-red-400' : 'text-gray-500 dark:text-gray-400'
+          }`}>
+            {invocation.status === 'error'
+              ? 'Échec'
+              : `${invocation.result_count ?? 0} résultat(s)`}
+          </p>
+        </li>
+      ))}
+    </ul>
+  );
+}
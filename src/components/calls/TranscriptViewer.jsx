@@ -0,0 +1,61 @@
+import React, { useEffect, useRef } from 'react';
+import { formatClock, getTranscriptSegments } from './formatters';
+
+const SPEAKER_LABELS = {
+  agent: 'Agent IA',
+  caller: 'Appelant'
+};
+
+const isActiveSegment = (segment, currentTime) =>
+  currentTime != null && currentTime >= segment.start && currentTime < segment.end;
+
+export function TranscriptViewer({ transcript, currentTime = null, onSegmentClick }) {
+  const segments = getTranscriptSegments(transcript);
+  const activeIndex = segments.findIndex(segment => isActiveSegment(segment, currentTime));
+  const activeRef = useRef(null);
+
+  // Keep the line being played visible while the recording advances
+  useEffect(() => {
+    activeRef.current?.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+  }, [activeIndex]);
+
+  if (segments.length === 0) {
+    return (
+      <p className="text-sm text-gray-500 dark:text-gray-400">
+        Aucune transcription disponible
+      </p>
+    );
+  }
+
+  return (
+    <ol className="space-y-3 max-h-[600px] overflow-y-auto pr-2">
+      {segments.map((segment, index) => {
+        const isAgent = segment.speaker === 'agent';
+        const isActive = index === activeIndex;
+        return (
+          <li
+            key={index}
+            ref={isActive ? activeRef : null}
+            className={`flex flex-col max-w-[80%] ${isAgent ? 'items-start' : 'items-end ml-auto'}`}
+          >
+            <div className="flex items-center gap-2 mb-1 text-xs text-gray-500 dark:text-gray-400">
+              <span className="font-medium">{SPEAKER_LABELS[segment.speaker] || segment.speaker}</span>
+              <span>{formatClock(segment.start)}</span>
+            </div>
+            <p
+              onClick={onSegmentClick ? () => onSegmentClick(segment) : undefined}
+              title={onSegmentClick ? `Écouter à partir de ${formatClock(segment.start)}` : undefined}
+              className={`px-4 py-2 rounded-lg text-sm whitespace-pre-wrap transition-colors ${
+                isAgent
+                  ? 'bg-gray-100 text-gray-900 dark:bg-dark-hover dark:text-white'
+                  : 'bg-primary/10 text-gray-900 dark:text-white'
+              } ${isActive ? 'ring-2 ring-primary' : ''} ${onSegmentClick ? 'cursor-pointer hover:ring-1 hover:ring-primary/50' : ''}`}
+            >
+              {segment.text}
+            </p>
+          </li>
+        );
+      })}
+    </ol>
+  );
+}
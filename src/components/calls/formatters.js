@@ -0,0 +1,87 @@
+/**
+ * Formats a number of seconds as `m:ss` (or `h:mm:ss` for long calls)
+ * @param {number} totalSeconds - Offset or duration in seconds
+ * @returns {string} Formatted time
+ */
+export function formatClock(totalSeconds = 0) {
+  const seconds = Math.max(0, Math.floor(totalSeconds));
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = String(seconds % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+/**
+ * Formats a call duration as `2m 05s`
+ * @param {number} totalSeconds - Duration in seconds
+ * @returns {string} Formatted duration
+ */
+export function formatDuration(totalSeconds) {
+  if (totalSeconds == null) return '-';
+  return `${Math.floor(totalSeconds / 60)}m ${String(totalSeconds % 60).padStart(2, '0')}s`;
+}
+
+export const CALL_STATUS_LABELS = {
+  completed: 'Terminé',
+  missed: 'Manqué',
+  failed: 'Échoué',
+  'in-progress': 'En cours',
+  requires_review: 'À vérifier',
+  transferred: 'Transféré'
+};
+
+export const CALL_STATUS_STYLES = {
+  completed: 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-400',
+  missed: 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-400',
+  failed: 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-400',
+  'in-progress': 'bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-400',
+  requires_review: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-400',
+  transferred: 'bg-indigo-100 text-indigo-800 dark:bg-indigo-900/30 dark:text-indigo-400'
+};
+
+// Mode the agent answered in, from the opening hours of the user (`call_history.agent_mode`)
+export const AGENT_MODE_LABELS = {
+  in_hours: 'Heures d\'ouverture',
+  after_hours: 'Hors horaires'
+};
+
+// Who placed the call (`call_history.direction`): outbound calls come from voice campaigns
+export const CALL_DIRECTION_LABELS = {
+  inbound: 'Entrant',
+  outbound: 'Sortant'
+};
+
+// Outcome of the live transfer the agent attempted (`call_history.transfer_status`)
+export const TRANSFER_STATUS_LABELS = {
+  ringing: 'En cours',
+  connected: 'Conseiller joint',
+  no_answer: 'Sans réponse',
+  busy: 'Occupé',
+  failed: 'Échec'
+};
+
+/**
+ * Returns the segments of a `call_history.transcript` value.
+ * The column holds `{ segments: [...] }`; older rows may hold a bare array.
+ * @param {Object|Array|null} transcript - Raw transcript JSON
+ * @returns {Array} Transcript segments
+ */
+export function getTranscriptSegments(transcript) {
+  if (Array.isArray(transcript)) return transcript;
+  return transcript?.segments || [];
+}
+
+/**
+ * Sums the speaking time of each speaker
+ * @param {Array} segments - Transcript segments with `speaker`, `start` and `end`
+ * @returns {{ agent: number, caller: number, total: number }} Seconds per speaker
+ */
+export function computeTalkTime(segments) {
+  const totals = { agent: 0, caller: 0 };
+  segments.forEach((segment) => {
+    const length = Math.max(0, (segment.end ?? segment.start) - segment.start);
+    const speaker = segment.speaker === 'agent' ? 'agent' : 'caller';
+    totals[speaker] += length;
+  });
+  return { ...totals, total: totals.agent + totals.caller };
+}
@@ -1,9 +1,20 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
 import { Card, CardHeader, CardContent } from '../ui/Card';
 import { Button } from '../ui/Button';
 import { CampaignsList } from './CampaignsList';
 import { CampaignModal } from './CampaignModal';
 import { CampaignStats } from './CampaignStats';
+import { VoiceCampaignsList } from './VoiceCampaignsList';
+import { VoiceCampaignModal } from './VoiceCampaignModal';
+import { useVoiceCampaigns } from '../../hooks/useVoiceCampaigns';
+
+// How often the progress of running voice campaigns is refreshed
+const VOICE_POLL_INTERVAL_MS = 10000;
+
+const STATUS_CONFIRMATIONS = {
+  cancelled: 'Cancel this campaign? Contacts not called yet will be skipped.'
+};
 
 const initialCampaigns = [
   {
@@ -68,6 +79,54 @@ export function CampaignsPage() {
     type: 'all',
     search: ''
   });
+  const [isVoiceModalOpen, setIsVoiceModalOpen] = useState(false);
+  const [updatingVoiceCampaignId, setUpdatingVoiceCampaignId] = useState(null);
+  const {
+    campaigns: voiceCampaigns,
+    agent,
+    phoneNumbers,
+    callingHoursOpen,
+    loading: voiceLoading,
+    error: voiceError,
+    fetchVoiceCampaigns,
+    createVoiceCampaign,
+    updateVoiceCampaignStatus
+  } = useVoiceCampaigns();
+
+  useEffect(() => {
+    fetchVoiceCampaigns();
+  }, [fetchVoiceCampaigns]);
+
+  // Live progress while calls are being placed
+  const hasActiveVoiceCampaign = voiceCampaigns.some(campaign => campaign.status === 'active');
+  useEffect(() => {
+    if (!hasActiveVoiceCampaign) return undefined;
+    const interval = setInterval(() => fetchVoiceCampaigns({ silent: true }), VOICE_POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [hasActiveVoiceCampaign, fetchVoiceCampaigns]);
+
+  const handleVoiceCampaignStatus = async (campaign, status) => {
+    if (STATUS_CONFIRMATIONS[status] && !window.confirm(STATUS_CONFIRMATIONS[status])) return;
+
+    setUpdatingVoiceCampaignId(campaign.id);
+    try {
+      const updated = await updateVoiceCampaignStatus(campaign.id, status);
+      // A resumed campaign pauses again straight away if what stopped it is still there
+      if (status === 'active' && updated?.status === 'paused') {
+        toast.error('The campaign could not be resumed, check its pause reason');
+      }
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setUpdatingVoiceCampaignId(null);
+    }
+  };
+
+  const filteredVoiceCampaigns = voiceCampaigns.filter(campaign => {
+    if (filters.status !== 'all' && campaign.status !== filters.status) return false;
+    if (filters.search && !campaign.name.toLowerCase().includes(filters.search.toLowerCase())) return false;
+    return true;
+  });
 
   const handleCreateCampaign = (campaign) => {
     setCampaigns([...campaigns, { ...campaign, id: Date.now() }]);
@@ -105,12 +164,17 @@ export function CampaignsPage() {
       <div className="max-w-[1440px] mx-auto animate-fade-in">
         <div className="flex flex-wrap items-center justify-between gap-4 p-4">
           <h1 className="text-gray-900 dark:text-white text-2xl md:text-3xl font-bold">Campaigns</h1>
-          <Button onClick={() => {
-            setSelectedCampaign(null);
-            setIsModalOpen(true);
-          }}>
-            Create Campaign
-          </Button>
+          <div className="flex gap-2">
+            <Button variant="secondary" onClick={() => setIsVoiceModalOpen(true)}>
+              New Voice Campaign
+            </Button>
+            <Button onClick={() => {
+              setSelectedCampaign(null);
+              setIsModalOpen(true);
+            }}>
+              Create Campaign
+            </Button>
+          </div>
         </div>
 
         <div className="grid grid-cols-1 md:grid-cols-3 gap-4 p-4">
@@ -154,6 +218,8 @@ export function CampaignsPage() {
                   <option value="active">Active</option>
                   <option value="scheduled">Scheduled</option>
                   <option value="completed">Completed</option>
+                  <option value="paused">Paused</option>
+                  <option value="cancelled">Cancelled</option>
                 </select>
                 <select
                   value={filters.type}
@@ -163,21 +229,54 @@ export function CampaignsPage() {
                   <option value="all">All Types</option>
                   <option value="email">Email</option>
                   <option value="social">Social</option>
+                  <option value="voice">Voice</option>
                 </select>
               </div>
             </CardHeader>
             <CardContent>
-              <CampaignsList
-                campaigns={filteredCampaigns}
-                onEdit={(campaign) => {
-                  setSelectedCampaign(campaign);
-                  setIsModalOpen(true);
-                }}
-                onDelete={handleDeleteCampaign}
-              />
+              {filters.type !== 'voice' && (
+                <CampaignsList
+                  campaigns={filteredCampaigns}
+                  onEdit={(campaign) => {
+                    setSelectedCampaign(campaign);
+                    setIsModalOpen(true);
+                  }}
+                  onDelete={handleDeleteCampaign}
+                />
+              )}
             </CardContent>
           </Card>
         </div>
+
+        {(filters.type === 'all' || filters.type === 'voice') && (
+          <div className="p-4">
+            <Card>
+              <CardHeader>
+                <div className="flex flex-wrap items-center justify-between gap-2">
+                  <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Voice Campaigns</h2>
+                  {callingHoursOpen === false && hasActiveVoiceCampaign && (
+                    <p className="text-sm text-gray-500 dark:text-gray-400">
+                      Outside calling hours, calls resume at the next calling window.
+                    </p>
+                  )}
+                </div>
+              </CardHeader>
+              <CardContent>
+                {voiceError ? (
+                  <p className="text-sm text-red-600 dark:text-red-400">{voiceError}</p>
+                ) : voiceLoading && voiceCampaigns.length === 0 ? (
+                  <p className="py-8 text-center text-sm text-gray-500 dark:text-gray-400">Loading...</p>
+                ) : (
+                  <VoiceCampaignsList
+                    campaigns={filteredVoiceCampaigns}
+                    onChangeStatus={handleVoiceCampaignStatus}
+                    updatingId={updatingVoiceCampaignId}
+                  />
+                )}
+              </CardContent>
+            </Card>
+          </div>
+        )}
       </div>
 
       <CampaignModal
@@ -189,6 +288,14 @@ export function CampaignsPage() {
         onSubmit={selectedCampaign ? handleUpdateCampaign : handleCreateCampaign}
         campaign={selectedCampaign}
       />
+
+      <VoiceCampaignModal
+        isOpen={isVoiceModalOpen}
+        onClose={() => setIsVoiceModalOpen(false)}
+        onSubmit={createVoiceCampaign}
+        agent={agent}
+        phoneNumbers={phoneNumbers}
+      />
     </main>
   );
 }
\ No newline at end of file
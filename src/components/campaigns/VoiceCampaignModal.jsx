@@ -0,0 +1,248 @@
+import React, { useState, useEffect } from 'react';
+import { Dialog } from '@headlessui/react';
+import { format, subDays } from 'date-fns';
+import { Card } from '../ui/Card';
+import toast from 'react-hot-toast';
+
+const CONTACT_STATUSES = [
+  { value: 'new', label: 'New' },
+  { value: 'contacted', label: 'Contacted' },
+  { value: 'qualified', label: 'Qualified' },
+  { value: 'unqualified', label: 'Unqualified' },
+  { value: 'client', label: 'Client' }
+];
+
+const inputClassName = 'w-full px-4 py-2 rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-dark-hover text-gray-900 dark:text-white focus:ring-2 focus:ring-primary/20 focus:border-primary';
+
+// Contacts added over the last week, by default
+const buildInitialFormData = (phoneNumbers) => ({
+  name: '',
+  phone_number_id: phoneNumbers[0]?.id || '',
+  statuses: ['new'],
+  createdFrom: format(subDays(new Date(), 7), 'yyyy-MM-dd'),
+  createdTo: format(new Date(), 'yyyy-MM-dd'),
+  max_attempts: 3,
+  retry_delay_hours: 4,
+  max_concurrent_calls: 2
+});
+
+const Field = ({ label, hint, children }) => (
+  <div>
+    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+      {label}
+    </label>
+    {children}
+    {hint && <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">{hint}</p>}
+  </div>
+);
+
+/**
+ * Form creating an outbound voice campaign: who to call, from which number and how often
+ */
+export function VoiceCampaignModal({ isOpen, onClose, onSubmit, agent, phoneNumbers }) {
+  const [formData, setFormData] = useState(() => buildInitialFormData(phoneNumbers));
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) setFormData(buildInitialFormData(phoneNumbers));
+  }, [isOpen, phoneNumbers]);
+
+  const toggleStatus = (status) => {
+    const statuses = formData.statuses.includes(status)
+      ? formData.statuses.filter(s => s !== status)
+      : [...formData.statuses, status];
+    setFormData({ ...formData, statuses });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!formData.name || !formData.phone_number_id || formData.statuses.length === 0) {
+      toast.error('Please fill in all required fields');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      await onSubmit({
+        name: formData.name,
+        phone_number_id: formData.phone_number_id,
+        audience: {
+          statuses: formData.statuses,
+          // Whole days, in the user's timezone
+          created_from: formData.createdFrom ? new Date(`${formData.createdFrom}T00:00:00`).toISOString() : undefined,
+          created_to: formData.createdTo ? new Date(`${formData.createdTo}T23:59:59`).toISOString() : undefined
+        },
+        max_attempts: formData.max_attempts,
+        retry_delay_minutes: formData.retry_delay_hours * 60,
+        max_concurrent_calls: formData.max_concurrent_calls
+      });
+      toast.success('Campaign created');
+      onClose();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const cannotCall = !agent?.elevenlabs_agent_id
+    ? 'No deployed agent is assigned to you yet.'
+    : phoneNumbers.length === 0
+      ? 'No phone number is assigned to you yet. Ask an administrator for one.'
+      : null;
+
+  return (
+    <Dialog
+      open={isOpen}
+      onClose={onClose}
+      className="relative z-50"
+    >
+      <div className="fixed inset-0 bg-black/20 dark:bg-black/40" aria-hidden="true" />
+
+      <div className="fixed inset-0 flex items-center justify-center p-4">
+        <Dialog.Panel className="w-full max-w-lg">
+          <Card>
+            <div className="flex items-center justify-between p-6 border-b border-gray-100 dark:border-gray-800">
+              <Dialog.Title className="text-lg font-semibold text-gray-900 dark:text-white">
+                New Voice Campaign
+              </Dialog.Title>
+              <button
+                onClick={onClose}
+                className="p-2 text-gray-400 hover:text-gray-500 dark:hover:text-gray-300"
+              >
+                <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                </svg>
+              </button>
+            </div>
+
+            <form onSubmit={handleSubmit}>
+              <div className="p-6 space-y-4 max-h-[70vh] overflow-y-auto">
+                {cannotCall && (
+                  <p className="p-3 rounded-lg text-sm bg-yellow-50 text-yellow-800 dark:bg-yellow-900/20 dark:text-yellow-400">
+                    {cannotCall}
+                  </p>
+                )}
+
+                <Field label="Campaign Name *">
+                  <input
+                    type="text"
+                    value={formData.name}
+                    onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                    className={inputClassName}
+                    required
+                  />
+                </Field>
+
+                <Field label="Call From *" hint={agent ? `Calls are made by ${agent.agent_name}.` : undefined}>
+                  <select
+                    value={formData.phone_number_id}
+                    onChange={(e) => setFormData({ ...formData, phone_number_id: e.target.value })}
+                    className={inputClassName}
+                    required
+                  >
+                    {phoneNumbers.map(number => (
+                      <option key={number.id} value={number.id}>
+                        {number.label ? `${number.label} (${number.phone_number})` : number.phone_number}
+                      </option>
+                    ))}
+                  </select>
+                </Field>
+
+                <Field label="Contacts to Call *" hint="Contacts marked do not call are skipped.">
+                  <div className="flex flex-wrap gap-2">
+                    {CONTACT_STATUSES.map(({ value, label }) => (
+                      <label key={value} className="flex items-center gap-1.5 text-sm text-gray-700 dark:text-gray-300">
+                        <input
+                          type="checkbox"
+                          checked={formData.statuses.includes(value)}
+                          onChange={() => toggleStatus(value)}
+                          className="rounded border-gray-300 text-primary focus:ring-primary"
+                        />
+                        {label}
+                      </label>
+                    ))}
+                  </div>
+                </Field>
+
+                <div className="grid grid-cols-2 gap-4">
+                  <Field label="Added From">
+                    <input
+                      type="date"
+                      value={formData.createdFrom}
+                      onChange={(e) => setFormData({ ...formData, createdFrom: e.target.value })}
+                      className={inputClassName}
+                    />
+                  </Field>
+                  <Field label="Added To">
+                    <input
+                      type="date"
+                      value={formData.createdTo}
+                      onChange={(e) => setFormData({ ...formData, createdTo: e.target.value })}
+                      className={inputClassName}
+                    />
+                  </Field>
+                </div>
+
+                <div className="grid grid-cols-3 gap-4">
+                  <Field label="Attempts">
+                    <select
+                      value={formData.max_attempts}
+                      onChange={(e) => setFormData({ ...formData, max_attempts: Number(e.target.value) })}
+                      className={inputClassName}
+                    >
+                      {[1, 2, 3, 4].map(n => <option key={n} value={n}>{n}</option>)}
+                    </select>
+                  </Field>
+                  <Field label="Retry After (h)">
+                    <input
+                      type="number"
+                      min="1"
+                      max="168"
+                      value={formData.retry_delay_hours}
+                      onChange={(e) => setFormData({ ...formData, retry_delay_hours: Number(e.target.value) })}
+                      className={inputClassName}
+                    />
+                  </Field>
+                  <Field label="Parallel Calls">
+                    <input
+                      type="number"
+                      min="1"
+                      max="10"
+                      value={formData.max_concurrent_calls}
+                      onChange={(e) => setFormData({ ...formData, max_concurrent_calls: Number(e.target.value) })}
+                      className={inputClassName}
+                    />
+                  </Field>
+                </div>
+
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                  Calls are only placed on weekdays from 10:00 to 13:00 and 14:00 to 20:00 (Paris time), outside public holidays.
+                  Contacts who don't pick up are called again up to the number of attempts.
+                </p>
+              </div>
+
+              <div className="flex items-center justify-end gap-3 p-6 border-t border-gray-100 dark:border-gray-800">
+                <button
+                  type="button"
+                  onClick={onClose}
+                  className="px-4 py-2 text-sm font-medium text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-dark-hover rounded-lg transition-colors"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={submitting || !!cannotCall}
+                  className="px-4 py-2 text-sm font-medium text-white bg-primary hover:bg-primary-light rounded-lg transition-colors disabled:opacity-50"
+                >
+                  {submitting ? 'Creating...' : 'Start Campaign'}
+                </button>
+              </div>
+            </form>
+          </Card>
+        </Dialog.Panel>
+      </div>
+    </Dialog>
+  );
+}
@@ -0,0 +1,152 @@
+import React from 'react';
+import { format } from 'date-fns';
+import clsx from 'clsx';
+
+const STATUS_STYLES = {
+  active: 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-400',
+  paused: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-400',
+  completed: 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-300',
+  cancelled: 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-400'
+};
+
+// Why the dialer paused a campaign on its own (`voice_campaigns.pause_reason`)
+const PAUSE_REASON_LABELS = {
+  quota_exceeded: 'Monthly minutes used up',
+  phone_number_unavailable: 'Phone number no longer in service',
+  agent_unavailable: 'No deployed agent'
+};
+
+const ActionButton = ({ onClick, disabled, danger, children }) => (
+  <button
+    onClick={onClick}
+    disabled={disabled}
+    className={clsx(
+      'px-3 py-1 text-sm font-medium rounded-lg transition-colors disabled:opacity-50',
+      danger
+        ? 'text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/20'
+        : 'text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-dark-hover'
+    )}
+  >
+    {children}
+  </button>
+);
+
+/**
+ * Outbound voice campaigns with how far their call queue has got
+ */
+export function VoiceCampaignsList({ campaigns, onChangeStatus, updatingId }) {
+  if (campaigns.length === 0) {
+    return (
+      <p className="py-8 text-center text-sm text-gray-500 dark:text-gray-400">
+        No voice campaigns yet.
+      </p>
+    );
+  }
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full min-w-[800px]">
+        <thead>
+          <tr className="border-b border-gray-100 dark:border-gray-800">
+            <th className="text-left py-3 px-4 text-sm font-medium text-gray-500 dark:text-gray-400">Campaign</th>
+            <th className="text-left py-3 px-4 text-sm font-medium text-gray-500 dark:text-gray-400">Status</th>
+            <th className="text-left py-3 px-4 text-sm font-medium text-gray-500 dark:text-gray-400">Progress</th>
+            <th className="text-left py-3 px-4 text-sm font-medium text-gray-500 dark:text-gray-400">Created</th>
+            <th className="text-right py-3 px-4 text-sm font-medium text-gray-500 dark:text-gray-400">Actions</th>
+          </tr>
+        </thead>
+        <tbody>
+          {campaigns.map((campaign) => {
+            const { total, pending, calling, completed, failed, skipped } = campaign.progress;
+            const done = completed + failed + skipped;
+            const percent = total > 0 ? Math.round((done / total) * 100) : 0;
+            const isOver = campaign.status === 'completed' || campaign.status === 'cancelled';
+
+            return (
+              <tr
+                key={campaign.id}
+                className="border-b border-gray-100 dark:border-gray-800 hover:bg-gray-50 dark:hover:bg-dark-hover transition-colors"
+              >
+                <td className="py-3 px-4">
+                  <p className="text-sm font-medium text-gray-900 dark:text-white">{campaign.name}</p>
+                  <p className="text-sm text-gray-500 dark:text-gray-400">
+                    {campaign.phone_number?.label || campaign.phone_number?.phone_number || '-'}
+                    {' · '}
+                    {campaign.max_attempts} attempt{campaign.max_attempts > 1 ? 's' : ''} max
+                  </p>
+                </td>
+                <td className="py-3 px-4">
+                  <span className={clsx(
+                    'inline-flex items-center px-2 py-1 rounded-full text-xs font-medium',
+                    STATUS_STYLES[campaign.status]
+                  )}>
+                    {campaign.status}
+                  </span>
+                  {campaign.pause_reason && (
+                    <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                      {PAUSE_REASON_LABELS[campaign.pause_reason] || campaign.pause_reason}
+                    </p>
+                  )}
+                </td>
+                <td className="py-3 px-4">
+                  <div className="flex items-center gap-2">
+                    <div className="flex-1 h-2 bg-gray-100 dark:bg-gray-700 rounded-full overflow-hidden">
+                      <div
+                        className="h-full bg-primary rounded-full"
+                        style={{ width: `${percent}%` }}
+                      />
+                    </div>
+                    <span className="text-sm text-gray-500 dark:text-gray-400">
+                      {done}/{total}
+                    </span>
+                  </div>
+                  <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                    {completed} reached · {failed} unreachable · {skipped} skipped
+                    {!isOver && ` · ${calling} calling · ${pending} to call`}
+                  </p>
+                </td>
+                <td className="py-3 px-4">
+                  <p className="text-sm text-gray-900 dark:text-white">
+                    {format(new Date(campaign.created_at), 'MMM d, yyyy')}
+                  </p>
+                  {campaign.completed_at && (
+                    <p className="text-sm text-gray-500 dark:text-gray-400">
+                      Ended {format(new Date(campaign.completed_at), 'MMM d, yyyy')}
+                    </p>
+                  )}
+                </td>
+                <td className="py-3 px-4 text-right whitespace-nowrap">
+                  {campaign.status === 'active' && (
+                    <ActionButton
+                      onClick={() => onChangeStatus(campaign, 'paused')}
+                      disabled={updatingId === campaign.id}
+                    >
+                      Pause
+                    </ActionButton>
+                  )}
+                  {campaign.status === 'paused' && (
+                    <ActionButton
+                      onClick={() => onChangeStatus(campaign, 'active')}
+                      disabled={updatingId === campaign.id}
+                    >
+                      Resume
+                    </ActionButton>
+                  )}
+                  {!isOver && (
+                    <ActionButton
+                      onClick={() => onChangeStatus(campaign, 'cancelled')}
+                      disabled={updatingId === campaign.id}
+                      danger
+                    >
+                      Cancel
+                    </ActionButton>
+                  )}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -4,6 +4,7 @@ import { Card, CardHeader, CardContent } from '../ui/Card';
 import { Button } from '../ui/Button';
 import { format } from 'date-fns';
 import toast from 'react-hot-toast';
+import { PURCHASE_TIMELINE_LABELS, FINANCING_STATUS_LABELS } from './ContactForm';
 
 const DetailItem = ({ label, value }) => (
   <div className="space-y-1">
@@ -12,6 +13,20 @@ const DetailItem = ({ label, value }) => (
   </div>
 );
 
+const QUALIFICATION_SOURCE_LABELS = {
+  agent: 'Collected by the AI agent',
+  transcript: 'Extracted from a call transcript',
+  manual: 'Entered manually'
+};
+
+const formatBudget = (min, max) => {
+  const euros = (value) => `${Number(value).toLocaleString('fr-FR')} €`;
+  if (min != null && max != null) return `${euros(min)} - ${euros(max)}`;
+  if (max != null) return `Up to ${euros(max)}`;
+  if (min != null) return `From ${euros(min)}`;
+  return '-';
+};
+
 const CallHistoryItem = ({ call }) => (
   <div className="flex items-center justify-between p-4 rounded-lg bg-gray-50 dark:bg-dark-hover">
     <div>
@@ -185,6 +200,14 @@ export function ContactDetailPage() {
                   label="Phone" 
                   value={contact.phone || '-'}
                 />
+                <DetailItem
+                  label="Outbound Calls"
+                  value={contact.do_not_call ? (
+                    <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-400">
+                      Do not call
+                    </span>
+                  ) : 'Allowed'}
+                />
                 <DetailItem 
                   label="Status" 
                   value={
@@ -264,6 +287,45 @@ export function ContactDetailPage() {
               </div>
             </CardContent>
           </Card>
+
+          {/* Buyer Criteria */}
+          <Card className="lg:col-span-2">
+            <CardHeader>
+              <div className="flex flex-wrap items-center justify-between gap-2">
+                <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Buyer Criteria</h2>
+                {contact.qualification_source && (
+                  <span className="text-xs text-gray-500 dark:text-gray-400">
+                    {QUALIFICATION_SOURCE_LABELS[contact.qualification_source]}
+                    {contact.qualified_at && ` • Qualified on ${format(new Date(contact.qualified_at), 'MMM d, yyyy')}`}
+                  </span>
+                )}
+              </div>
+            </CardHeader>
+            <CardContent>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                <DetailItem
+                  label="Budget"
+                  value={formatBudget(contact.budget_min, contact.budget_max)}
+                />
+                <DetailItem
+                  label="Property Type"
+                  value={contact.desired_property_type || '-'}
+                />
+                <DetailItem
+                  label="City"
+                  value={contact.desired_city || '-'}
+                />
+                <DetailItem
+                  label="Purchase Timeline"
+                  value={PURCHASE_TIMELINE_LABELS[contact.purchase_timeline] || '-'}
+                />
+                <DetailItem
+                  label="Financing"
+                  value={FINANCING_STATUS_LABELS[contact.financing_status] || '-'}
+                />
+              </div>
+            </CardContent>
+          </Card>
         </div>
       </div>
     </main>
@@ -23,11 +23,44 @@ const contactSchema = z.object({
   company_name: z.string().optional().nullable(),
   job_title: z.string().optional().nullable(),
   interested_property_id: z.string().uuid().optional().nullable(),
+  budget_min: z.number().nonnegative().optional().nullable(),
+  budget_max: z.number().nonnegative().optional().nullable(),
+  desired_property_type: z.enum(['Maison', 'Appartement']).optional().nullable(),
+  desired_city: z.string().optional().nullable(),
+  purchase_timeline: z.enum(['immediate', 'within_3_months', 'within_6_months', 'within_12_months', 'undecided'])
+    .optional()
+    .nullable(),
+  financing_status: z.enum(['cash', 'mortgage_approved', 'mortgage_in_progress', 'not_started', 'unknown'])
+    .optional()
+    .nullable(),
+  do_not_call: z.boolean().optional(),
 }).refine(
   data => data.email || data.phone,
   { message: "Either email or phone must be provided" }
 );
 
+const CRITERIA_FIELDS = ['budget_min', 'budget_max', 'desired_property_type', 'desired_city', 'purchase_timeline', 'financing_status'];
+
+export const PURCHASE_TIMELINE_LABELS = {
+  immediate: 'Immediately',
+  within_3_months: 'Within 3 months',
+  within_6_months: 'Within 6 months',
+  within_12_months: 'Within 12 months',
+  undecided: 'Undecided'
+};
+
+export const FINANCING_STATUS_LABELS = {
+  cash: 'Cash buyer',
+  mortgage_approved: 'Mortgage approved',
+  mortgage_in_progress: 'Mortgage in progress',
+  not_started: 'Not started',
+  unknown: 'Unknown'
+};
+
+// Empty inputs are sent as null rather than '' or NaN
+const toNullableNumber = (value) => (value === '' || value === null ? null : Number(value));
+const toNullableString = (value) => value || null;
+
 const FormField = ({ label, error, children }) => (
   <div>
     <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
@@ -49,7 +82,7 @@ export function ContactForm({ initialData, mode = 'create', contactId }) {
   const {
     register,
     handleSubmit,
-    formState: { errors, isSubmitting },
+    formState: { errors, isSubmitting, dirtyFields },
     reset
   } = useForm({
     resolver: zodResolver(contactSchema),
@@ -63,11 +96,27 @@ export function ContactForm({ initialData, mode = 'create', contactId }) {
       notes: '',
       company_name: '',
       job_title: '',
-      interested_property_id: null
+      interested_property_id: null,
+      budget_min: null,
+      budget_max: null,
+      desired_property_type: null,
+      desired_city: null,
+      purchase_timeline: null,
+      financing_status: null,
+      do_not_call: false
     }
   });
 
-  const onSubmit = async (data) => {
+  const onSubmit = async (formData) => {
+    // Only send the buyer criteria the user touched, so values extracted from
+    // calls are not re-submitted (and flagged as manual) on every edit
+    const data = { ...formData };
+    if (isEditMode) {
+      CRITERIA_FIELDS.forEach((field) => {
+        if (!dirtyFields[field]) delete data[field];
+      });
+    }
+
     try {
       const url = isEditMode
         ? `${import.meta.env.VITE_SUPABASE_URL}/functions/v1/update-contact/${contactId}`
@@ -186,6 +235,98 @@ export function ContactForm({ initialData, mode = 'create', contactId }) {
             </FormField>
           </div>
 
+          <label className="flex items-start gap-3">
+            <input
+              type="checkbox"
+              {...register('do_not_call')}
+              className="mt-1 rounded border-gray-300 dark:border-gray-600 text-primary focus:ring-primary"
+            />
+            <span>
+              <span className="block text-sm font-medium text-gray-700 dark:text-gray-300">Do not call</span>
+              <span className="block text-xs text-gray-500 dark:text-gray-400">
+                The contact asked not to be called. Voice campaigns will skip them.
+              </span>
+            </span>
+          </label>
+
+          <div className="pt-2 border-t border-gray-200 dark:border-gray-700">
+            <h3 className="text-sm font-semibold text-gray-900 dark:text-white mt-4 mb-4">
+              Buyer Criteria
+            </h3>
+
+            <div className="space-y-6">
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                <FormField label="Budget Min (€)" error={errors.budget_min?.message}>
+                  <input
+                    type="number"
+                    min="0"
+                    step="1000"
+                    {...register('budget_min', { setValueAs: toNullableNumber })}
+                    className="w-full px-4 py-2 rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-dark-hover text-gray-900 dark:text-white focus:ring-2 focus:ring-primary/20 focus:border-primary"
+                  />
+                </FormField>
+
+                <FormField label="Budget Max (€)" error={errors.budget_max?.message}>
+                  <input
+                    type="number"
+                    min="0"
+                    step="1000"
+                    {...register('budget_max', { setValueAs: toNullableNumber })}
+                    className="w-full px-4 py-2 rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-dark-hover text-gray-900 dark:text-white focus:ring-2 focus:ring-primary/20 focus:border-primary"
+                  />
+                </FormField>
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                <FormField label="Property Type" error={errors.desired_property_type?.message}>
+                  <select
+                    {...register('desired_property_type', { setValueAs: toNullableString })}
+                    className="w-full px-4 py-2 rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-dark-hover text-gray-900 dark:text-white focus:ring-2 focus:ring-primary/20 focus:border-primary"
+                  >
+                    <option value="">Any</option>
+                    <option value="Maison">Maison</option>
+                    <option value="Appartement">Appartement</option>
+                  </select>
+                </FormField>
+
+                <FormField label="City" error={errors.desired_city?.message}>
+                  <input
+                    type="text"
+                    {...register('desired_city', { setValueAs: toNullableString })}
+                    placeholder="e.g., Lyon"
+                    className="w-full px-4 py-2 rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-dark-hover text-gray-900 dark:text-white focus:ring-2 focus:ring-primary/20 focus:border-primary"
+                  />
+                </FormField>
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                <FormField label="Purchase Timeline" error={errors.purchase_timeline?.message}>
+                  <select
+                    {...register('purchase_timeline', { setValueAs: toNullableString })}
+                    className="w-full px-4 py-2 rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-dark-hover text-gray-900 dark:text-white focus:ring-2 focus:ring-primary/20 focus:border-primary"
+                  >
+                    <option value="">Not specified</option>
+                    {Object.entries(PURCHASE_TIMELINE_LABELS).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                </FormField>
+
+                <FormField label="Financing" error={errors.financing_status?.message}>
+                  <select
+                    {...register('financing_status', { setValueAs: toNullableString })}
+                    className="w-full px-4 py-2 rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-dark-hover text-gray-900 dark:text-white focus:ring-2 focus:ring-primary/20 focus:border-primary"
+                  >
+                    <option value="">Not specified</option>
+                    {Object.entries(FINANCING_STATUS_LABELS).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                </FormField>
+              </div>
+            </div>
+          </div>
+
           <FormField label="Notes" error={errors.notes?.message}>
             <textarea
               {...register('notes')}
@@ -31,7 +31,7 @@ const ContactsTable = ({ contacts, onViewDetails }) => (
                   <p className="text-sm font-medium text-gray-900 dark:text-white">
                     {contact.first_name} {contact.last_name}
                   </p>
-                  <p className="text-sm text-gray-500 dark:text-gray-400">{contact.email}</p>
+                  <p className="text-sm text-gray-500 dark:text-gray-400">{contact.email || contact.phone}</p>
                 </div>
               </div>
             </td>
@@ -45,6 +45,11 @@ const ContactsTable = ({ contacts, onViewDetails }) => (
               }`}>
                 {contact.status}
               </span>
+              {contact.source === 'ai_call' && (
+                <span className="ml-2 inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-purple-100 text-purple-800 dark:bg-purple-900/30 dark:text-purple-400">
+                  AI Call
+                </span>
+              )}
             </td>
             <td className="py-3 px-4">
               <p className="text-sm text-gray-900 dark:text-white">{contact.company_name || '-'}</p>
@@ -96,6 +101,15 @@ const ContactFilters = ({ filters, onChange }) => (
       <option value="unqualified">Unqualified</option>
       <option value="client">Client</option>
     </select>
+
+    <select
+      value={filters.source || ''}
+      onChange={(e) => onChange({ ...filters, source: e.target.value || undefined })}
+      className="px-4 py-2 rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-dark-hover text-gray-900 dark:text-white focus:ring-2 focus:ring-primary/20 focus:border-primary"
+    >
+      <option value="">All Sources</option>
+      <option value="ai_call">AI Call</option>
+    </select>
     
     <select
       value={filters.sort}
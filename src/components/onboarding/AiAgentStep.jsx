@@ -1,35 +1,56 @@
 import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
 import { Card } from '../ui/Card';
 import { Button } from '../ui/Button';
 import { AiVoiceSelector } from '../ai/AiVoiceSelector';
 import toast from 'react-hot-toast';
 import { supabase } from '../../lib/supabaseClient';
 
+const inputClassName = 'w-full px-4 py-2 rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-dark-hover text-gray-900 dark:text-white focus:ring-2 focus:ring-primary/20 focus:border-primary';
+
 export function AiAgentStep({ onComplete }) {
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
+  const [agent, setAgent] = useState(null);
+  const [canEditAgent, setCanEditAgent] = useState(false);
+  // Personal overrides, layered on the assigned agent
+  const [overrides, setOverrides] = useState({
+    agent_name: '',
+    elevenlabs_voice_id: null
+  });
+  // Configuration of the agent itself, only editable by admins or the owner of a private agent
   const [config, setConfig] = useState({
     agent_name: '',
     system_prompt: '',
     elevenlabs_voice_id: null
   });
 
+  const applyState = (state) => {
+    setAgent(state.agent);
+    setCanEditAgent(state.can_edit_agent);
+    setOverrides({
+      agent_name: state.overrides?.agent_name || '',
+      elevenlabs_voice_id: state.overrides?.elevenlabs_voice_id || null
+    });
+    if (state.agent) {
+      setConfig({
+        agent_name: state.agent.agent_name || '',
+        system_prompt: state.agent.system_prompt || '',
+        elevenlabs_voice_id: state.agent.elevenlabs_voice_id || null
+      });
+    }
+  };
+
   useEffect(() => {
     const fetchConfig = async () => {
       try {
-        const { data, error } = await supabase.functions.invoke('get-ai-agent');
-        
+        const { data, error } = await supabase.functions.invoke('get-ai-agent', { method: 'GET' });
+
         if (error) {
           throw error;
         }
 
-        if (data.agent) {
-          setConfig({
-            agent_name: data.agent.agent_name || '',
-            system_prompt: data.agent.system_prompt || '',
-            elevenlabs_voice_id: data.agent.elevenlabs_voice_id || null
-          });
-        }
+        applyState(data);
 
       } catch (error) {
         console.error('Error fetching agent config:', error);
@@ -44,8 +65,8 @@ export function AiAgentStep({ onComplete }) {
 
   const handleSubmit = async (e) => {
     e.preventDefault();
-    
-    if (!config.agent_name || !config.elevenlabs_voice_id) {
+
+    if (canEditAgent && (!config.agent_name || !config.elevenlabs_voice_id || !config.system_prompt)) {
       toast.error('Please fill in all required fields');
       return;
     }
@@ -53,12 +74,20 @@ export function AiAgentStep({ onComplete }) {
     setSaving(true);
 
     try {
-      const { error } = await supabase.functions.invoke('update-ai-agent', {
-        body: config
+      const { data, error } = await supabase.functions.invoke('update-ai-agent', {
+        method: 'PUT',
+        body: {
+          overrides: {
+            agent_name: overrides.agent_name.trim() || null,
+            elevenlabs_voice_id: overrides.elevenlabs_voice_id
+          },
+          ...(canEditAgent ? { agent: config } : {})
+        }
       });
 
       if (error) throw error;
 
+      applyState(data);
       toast.success('Agent configuration saved successfully');
       onComplete?.();
 
@@ -78,6 +107,23 @@ export function AiAgentStep({ onComplete }) {
     );
   }
 
+  if (!agent) {
+    return (
+      <div className="max-w-4xl mx-auto">
+        <Card>
+          <div className="p-6 text-center space-y-4">
+            <p className="text-gray-500 dark:text-gray-400">
+              No AI agent is assigned to you yet. Select one of the available agents first.
+            </p>
+            <Link to="/ai-agent">
+              <Button>Choose an agent</Button>
+            </Link>
+          </div>
+        </Card>
+      </div>
+    );
+  }
+
   return (
     <div className="max-w-4xl mx-auto space-y-6">
       <Card>
@@ -85,49 +131,111 @@ export function AiAgentStep({ onComplete }) {
           <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
             AI Agent Configuration
           </h2>
+          <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+            {agent.agent_name}{agent.is_shared ? ' (shared agent)' : ''}
+            {agent.description ? ` - ${agent.description}` : ''}
+          </p>
         </div>
         <div className="p-6">
           <form onSubmit={handleSubmit} className="space-y-6">
             <div>
-              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
-                Agent Name *
-              </label>
-              <input
-                type="text"
-                value={config.agent_name}
-                onChange={(e) => setConfig({ ...config, agent_name: e.target.value })}
-                placeholder="Ex: Sarah"
-                className="w-full px-4 py-2 rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-dark-hover text-gray-900 dark:text-white focus:ring-2 focus:ring-primary/20 focus:border-primary"
-              />
+              <h3 className="text-sm font-semibold text-gray-900 dark:text-white mb-3">
+                Your personalisation
+              </h3>
+              <div className="space-y-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                    Name the agent introduces itself with
+                  </label>
+                  <input
+                    type="text"
+                    value={overrides.agent_name}
+                    onChange={(e) => setOverrides({ ...overrides, agent_name: e.target.value })}
+                    placeholder="Ex: Sarah"
+                    maxLength={50}
+                    className={inputClassName}
+                  />
+                </div>
+
+                <div>
+                  <div className="flex items-center justify-between mb-2">
+                    <label className="text-sm font-medium text-gray-700 dark:text-gray-300">
+                      Voice
+                    </label>
+                    {overrides.elevenlabs_voice_id && (
+                      <button
+                        type="button"
+                        onClick={() => setOverrides({ ...overrides, elevenlabs_voice_id: null })}
+                        className="text-xs text-primary hover:text-primary-light"
+                      >
+                        Use the agent's voice
+                      </button>
+                    )}
+                  </div>
+                  <AiVoiceSelector
+                    selectedVoiceId={overrides.elevenlabs_voice_id || agent.elevenlabs_voice_id}
+                    onSelect={(voiceId) => setOverrides({
+                      ...overrides,
+                      elevenlabs_voice_id: voiceId === agent.elevenlabs_voice_id ? null : voiceId
+                    })}
+                  />
+                </div>
+              </div>
             </div>
 
-            <div>
-              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
-                System Prompt
-              </label>
-              <textarea
-                value={config.system_prompt}
-                onChange={(e) => setConfig({ ...config, system_prompt: e.target.value })}
-                rows={4}
-                placeholder="Instructions for the agent..."
-                className="w-full px-4 py-2 rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-dark-hover text-gray-900 dark:text-white focus:ring-2 focus:ring-primary/20 focus:border-primary"
-              />
-            </div>
-
-            <div>
-              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
-                Agent Voice *
-              </label>
-              <AiVoiceSelector
-                selectedVoiceId={config.elevenlabs_voice_id}
-                onSelect={(voiceId) => setConfig({ ...config, elevenlabs_voice_id: voiceId })}
-              />
-            </div>
+            {canEditAgent && (
+              <div className="pt-6 border-t border-gray-100 dark:border-gray-800">
+                <h3 className="text-sm font-semibold text-gray-900 dark:text-white">
+                  Agent configuration
+                </h3>
+                <p className="text-xs text-gray-500 dark:text-gray-400 mb-3">
+                  {agent.is_shared
+                    ? 'Changes apply to every user of this shared agent.'
+                    : 'This agent is private to you.'}
+                </p>
+                <div className="space-y-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                      Agent Name *
+                    </label>
+                    <input
+                      type="text"
+                      value={config.agent_name}
+                      onChange={(e) => setConfig({ ...config, agent_name: e.target.value })}
+                      className={inputClassName}
+                    />
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                      System Prompt *
+                    </label>
+                    <textarea
+                      value={config.system_prompt}
+                      onChange={(e) => setConfig({ ...config, system_prompt: e.target.value })}
+                      rows={4}
+                      placeholder="Instructions for the agent..."
+                      className={inputClassName}
+                    />
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                      Agent Voice *
+                    </label>
+                    <AiVoiceSelector
+                      selectedVoiceId={config.elevenlabs_voice_id}
+                      onSelect={(voiceId) => setConfig({ ...config, elevenlabs_voice_id: voiceId })}
+                    />
+                  </div>
+                </div>
+              </div>
+            )}
 
             <div className="flex justify-end pt-4">
               <Button
                 type="submit"
-                disabled={saving || !config.agent_name || !config.elevenlabs_voice_id}
+                disabled={saving}
               >
                 {saving ? 'Saving...' : 'Continue'}
               </Button>
@@ -137,4 +245,4 @@ export function AiAgentStep({ onComplete }) {
       </Card>
     </div>
   );
-}
\ No newline at end of file
+}
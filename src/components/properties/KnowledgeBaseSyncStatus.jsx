@@ -0,0 +1,73 @@
+import React, { useEffect } from 'react';
+import { formatDistanceToNow } from 'date-fns';
+import { useKnowledgeBaseSync } from '../../hooks/useKnowledgeBaseSync';
+import toast from 'react-hot-toast';
+
+const STATUS_DISPLAY = {
+  synced: { label: 'Agent up to date', dot: 'bg-green-500' },
+  outdated: { label: 'Agent out of date', dot: 'bg-yellow-500' },
+  pending: { label: 'Syncing agent...', dot: 'bg-blue-500 animate-pulse' },
+  failed: { label: 'Agent sync failed', dot: 'bg-red-500' },
+  no_agent: { label: 'No agent assigned', dot: 'bg-gray-400' },
+  // The agent reads the catalogue with a tool on each call instead
+  shared_agent: { label: 'Shared agent, reads listings on each call', dot: 'bg-green-500' },
+  never: { label: 'Agent never synced', dot: 'bg-gray-400' }
+};
+
+/**
+ * Shows whether the assigned agent knows the current listings, with a manual resync.
+ * @param {number} refreshKey - Change it to reload the status (e.g. after a deletion)
+ */
+export function KnowledgeBaseSyncStatus({ refreshKey }) {
+  const { sync, syncing, fetchStatus, resync } = useKnowledgeBaseSync();
+
+  useEffect(() => {
+    fetchStatus();
+  }, [fetchStatus, refreshKey]);
+
+  const handleResync = async () => {
+    try {
+      await resync();
+      toast.success('Property catalogue sent to your agent');
+    } catch (error) {
+      console.error('Error syncing knowledge base:', error);
+      toast.error(error.message);
+    }
+  };
+
+  const state = syncing ? 'pending'
+    : !sync ? 'never'
+    : sync.status === 'synced' && sync.outdated ? 'outdated'
+    : sync.status;
+  const display = STATUS_DISPLAY[state] || STATUS_DISPLAY.never;
+
+  const details = [
+    sync?.agent?.agent_name,
+    (sync?.status === 'synced' || sync?.status === 'shared_agent') && `${sync.property_count} active listings`,
+    sync?.last_synced_at && `synced ${formatDistanceToNow(new Date(sync.last_synced_at), { addSuffix: true })}`
+  ].filter(Boolean).join(' • ');
+
+  return (
+    <div className="flex items-center gap-3 px-3 py-2 rounded-xl border border-gray-200 dark:border-gray-700">
+      <span className={`h-2.5 w-2.5 rounded-full ${display.dot}`} />
+      <div className="min-w-0">
+        <p
+          className="text-sm font-medium text-gray-900 dark:text-white"
+          title={sync?.status === 'failed' ? sync.last_error : undefined}
+        >
+          {display.label}
+        </p>
+        {details && (
+          <p className="text-xs text-gray-500 dark:text-gray-400">{details}</p>
+        )}
+      </div>
+      <button
+        onClick={handleResync}
+        disabled={syncing || state === 'no_agent'}
+        className="text-sm font-medium text-primary hover:text-primary-light disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {syncing ? 'Syncing...' : 'Resync'}
+      </button>
+    </div>
+  );
+}
@@ -2,6 +2,7 @@ import React, { useState } from 'react';
 import { Card, CardHeader, CardContent } from '../ui/Card';
 import { Button } from '../ui/Button';
 import { useProperties } from '../../hooks/useProperties';
+import { KnowledgeBaseSyncStatus } from './KnowledgeBaseSyncStatus';
 import { format } from 'date-fns';
 import toast from 'react-hot-toast';
 
@@ -157,6 +158,8 @@ export function PropertiesPage({ onAddProperty, onEditProperty }) {
     order: 'desc'
   });
   const [deletingId, setDeletingId] = useState(null);
+  // Bumped after a deletion so the sync indicator picks up the new document
+  const [syncRefreshKey, setSyncRefreshKey] = useState(0);
 
   const handleDeleteProperty = async (propertyId) => {
     if (!window.confirm('Are you sure you want to delete this property? This action cannot be undone.')) {
@@ -183,6 +186,7 @@ export function PropertiesPage({ onAddProperty, onEditProperty }) {
 
       toast.success('Property deleted successfully');
       fetchProperties(filters); // Refresh the list
+      setSyncRefreshKey(key => key + 1);
 
     } catch (error) {
       console.error('Error deleting property:', error);
@@ -197,7 +201,10 @@ export function PropertiesPage({ onAddProperty, onEditProperty }) {
       <div className="max-w-[1440px] mx-auto animate-fade-in">
         <div className="flex flex-wrap items-center justify-between gap-4 p-4">
           <h1 className="text-gray-900 dark:text-white text-2xl md:text-3xl font-bold">Properties</h1>
-          <Button onClick={onAddProperty}>Add Property</Button>
+          <div className="flex flex-wrap items-center gap-3">
+            <KnowledgeBaseSyncStatus refreshKey={syncRefreshKey} />
+            <Button onClick={onAddProperty}>Add Property</Button>
+          </div>
         </div>
 
         <div className="p-4">
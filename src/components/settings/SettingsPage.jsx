@@ -3,6 +3,9 @@ import { Card, CardHeader, CardContent } from '../ui/Card';
 import { GeneralSettings } from './sections/GeneralSettings';
 import { SecuritySettings } from './sections/SecuritySettings';
 import { IntegrationSettings } from './sections/IntegrationSettings';
+import { TagRulesSettings } from './sections/TagRulesSettings';
+import { BusinessHoursSettings } from './sections/BusinessHoursSettings';
+import { BillingSettings } from './sections/BillingSettings';
 
 export function SettingsPage() {
   return (
@@ -15,7 +18,10 @@ export function SettingsPage() {
         <div className="p-4 space-y-4">
           <GeneralSettings />
           <SecuritySettings />
+          <BusinessHoursSettings />
+          <TagRulesSettings />
           <IntegrationSettings />
+          <BillingSettings />
         </div>
       </div>
     </main>
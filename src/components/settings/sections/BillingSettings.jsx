@@ -1,6 +1,7 @@
-import React from 'react';
+import React, { useEffect } from 'react';
 import { Card, CardHeader, CardContent } from '../../ui/Card';
 import { Button } from '../../ui/Button';
+import { useUsage } from '../../../hooks/useUsage';
 
 const plans = [
   {
@@ -41,6 +42,91 @@ const plans = [
   }
 ];
 
+const formatMinutes = (seconds) => Math.round(seconds / 60).toLocaleString();
+
+const formatMonth = (period) =>
+  new Date(`${period}T00:00:00Z`).toLocaleDateString(undefined, { month: 'long', year: 'numeric', timeZone: 'UTC' });
+
+function UsageBar({ percent }) {
+  const color = percent >= 100 ? 'bg-red-500' : percent >= 80 ? 'bg-yellow-500' : 'bg-primary';
+  return (
+    <div className="w-full h-2 rounded-full bg-gray-200 dark:bg-gray-700 overflow-hidden">
+      <div className={`h-full rounded-full ${color}`} style={{ width: `${Math.min(percent, 100)}%` }} />
+    </div>
+  );
+}
+
+// Conversation minutes of the agent this month, against the quota set by an admin
+function ConversationUsage() {
+  const { usage, loading, error, fetchUsage } = useUsage();
+
+  useEffect(() => {
+    fetchUsage();
+  }, [fetchUsage]);
+
+  if (loading && !usage) {
+    return <p className="text-sm text-gray-500 dark:text-gray-400">Loading usage...</p>;
+  }
+
+  if (error) {
+    return (
+      <div className="flex items-center justify-between">
+        <p className="text-sm text-red-500 dark:text-red-400">{error}</p>
+        <Button variant="secondary" onClick={fetchUsage}>Retry</Button>
+      </div>
+    );
+  }
+
+  if (!usage) return null;
+
+  const { current, history } = usage;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-baseline justify-between gap-2">
+        <p className="text-sm text-gray-700 dark:text-gray-300">
+          <span className="text-2xl font-bold text-gray-900 dark:text-white">{formatMinutes(current.total_seconds)}</span>
+          {current.quota_minutes !== null
+            ? ` of ${current.quota_minutes.toLocaleString()} minutes used in ${formatMonth(current.period_month)}`
+            : ` minutes used in ${formatMonth(current.period_month)}`}
+        </p>
+        <p className="text-xs text-gray-500 dark:text-gray-400">
+          Calls {formatMinutes(current.call_seconds)} min · Tests {formatMinutes(current.test_seconds)} min
+        </p>
+      </div>
+      {current.quota_minutes !== null && <UsageBar percent={current.percent_used} />}
+      {current.exceeded && (
+        <p className="text-sm text-red-500 dark:text-red-400">
+          Your monthly minutes are used up: outbound calls are paused until next month. Contact your administrator to raise your quota.
+        </p>
+      )}
+
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-xs text-gray-500 dark:text-gray-400">
+            <th className="py-2 font-medium">Month</th>
+            <th className="py-2 font-medium text-right">Conversations</th>
+            <th className="py-2 font-medium text-right">Calls (min)</th>
+            <th className="py-2 font-medium text-right">Tests (min)</th>
+            <th className="py-2 font-medium text-right">Total (min)</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-100 dark:divide-gray-800">
+          {history.map((month) => (
+            <tr key={month.period_month} className="text-gray-700 dark:text-gray-300">
+              <td className="py-2">{formatMonth(month.period_month)}</td>
+              <td className="py-2 text-right">{month.conversation_count}</td>
+              <td className="py-2 text-right">{formatMinutes(month.call_seconds)}</td>
+              <td className="py-2 text-right">{formatMinutes(month.test_seconds)}</td>
+              <td className="py-2 text-right font-medium text-gray-900 dark:text-white">{formatMinutes(month.total_seconds)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
 export function BillingSettings() {
   return (
     <Card>
@@ -48,6 +134,11 @@ export function BillingSettings() {
         <h2 className="text-gray-900 dark:text-white text-lg font-semibold">Billing & Plans</h2>
       </CardHeader>
       <CardContent>
+        <div className="mb-8 pb-6 border-b border-gray-100 dark:border-gray-800">
+          <h3 className="text-sm font-medium text-gray-900 dark:text-white mb-4">Conversation minutes</h3>
+          <ConversationUsage />
+        </div>
+
         <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
           {plans.map((plan) => (
             <div
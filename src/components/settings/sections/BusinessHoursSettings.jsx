@@ -0,0 +1,300 @@
+import React, { useState, useEffect } from 'react';
+import { Card, CardHeader, CardContent } from '../../ui/Card';
+import { Button } from '../../ui/Button';
+import { useBusinessHours } from '../../../hooks/useBusinessHours';
+import toast from 'react-hot-toast';
+
+const inputClassName = 'px-3 py-1 rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-dark-hover text-gray-900 dark:text-white text-sm focus:ring-2 focus:ring-primary/20 focus:border-primary';
+
+const WEEKDAYS = [
+  { key: 'mon', label: 'Monday' },
+  { key: 'tue', label: 'Tuesday' },
+  { key: 'wed', label: 'Wednesday' },
+  { key: 'thu', label: 'Thursday' },
+  { key: 'fri', label: 'Friday' },
+  { key: 'sat', label: 'Saturday' },
+  { key: 'sun', label: 'Sunday' }
+];
+
+const MAX_INTERVALS = 4;
+
+const TIMEZONES = Intl.supportedValuesOf?.('timeZone') ?? ['Europe/Paris'];
+
+// Starting point: a weekday agency closed at lunch time
+const DEFAULT_HOURS = {
+  timezone: 'Europe/Paris',
+  weekly_hours: Object.fromEntries(['mon', 'tue', 'wed', 'thu', 'fri'].map(day => [
+    day,
+    [{ open: '09:00', close: '12:30' }, { open: '14:00', close: '19:00' }]
+  ])),
+  live_transfer: false,
+  holidays: []
+};
+
+function DayHours({ label, intervals, onChange }) {
+  const updateInterval = (index, changes) =>
+    onChange(intervals.map((interval, i) => (i === index ? { ...interval, ...changes } : interval)));
+
+  return (
+    <div className="flex flex-wrap items-center gap-3 py-2">
+      <label className="w-32 flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+        <input
+          type="checkbox"
+          checked={intervals.length > 0}
+          onChange={(e) => onChange(e.target.checked ? [{ open: '09:00', close: '18:00' }] : [])}
+        />
+        {label}
+      </label>
+      {intervals.length === 0 ? (
+        <span className="text-sm text-gray-500 dark:text-gray-400">Closed</span>
+      ) : (
+        intervals.map((interval, index) => (
+          <div key={index} className="flex items-center gap-1">
+            <input
+              type="time"
+              value={interval.open}
+              onChange={(e) => updateInterval(index, { open: e.target.value })}
+              className={inputClassName}
+            />
+            <span className="text-sm text-gray-500 dark:text-gray-400">-</span>
+            <input
+              type="time"
+              value={interval.close}
+              onChange={(e) => updateInterval(index, { close: e.target.value })}
+              className={inputClassName}
+            />
+            {intervals.length > 1 && (
+              <button
+                type="button"
+                onClick={() => onChange(intervals.filter((_, i) => i !== index))}
+                className="px-1 text-sm text-gray-400 hover:text-red-500"
+                aria-label="Remove interval"
+              >
+                ×
+              </button>
+            )}
+          </div>
+        ))
+      )}
+      {intervals.length > 0 && intervals.length < MAX_INTERVALS && (
+        <button
+          type="button"
+          onClick={() => onChange([...intervals, { open: '14:00', close: '18:00' }])}
+          className="text-sm text-primary hover:underline"
+        >
+          Add hours
+        </button>
+      )}
+    </div>
+  );
+}
+
+function HolidaysEditor({ holidays, onChange }) {
+  const updateHoliday = (index, changes) =>
+    onChange(holidays.map((holiday, i) => (i === index ? { ...holiday, ...changes } : holiday)));
+
+  return (
+    <div className="space-y-2">
+      {holidays.map((holiday, index) => (
+        <div key={index} className="flex flex-wrap items-center gap-2">
+          <input
+            type="date"
+            value={holiday.starts_on}
+            onChange={(e) => updateHoliday(index, {
+              starts_on: e.target.value,
+              ends_on: holiday.ends_on < e.target.value ? e.target.value : holiday.ends_on
+            })}
+            className={inputClassName}
+            aria-label="First day"
+          />
+          <span className="text-sm text-gray-500 dark:text-gray-400">to</span>
+          <input
+            type="date"
+            value={holiday.ends_on}
+            min={holiday.starts_on}
+            onChange={(e) => updateHoliday(index, { ends_on: e.target.value })}
+            className={inputClassName}
+            aria-label="Last day"
+          />
+          <input
+            type="text"
+            value={holiday.label || ''}
+            onChange={(e) => updateHoliday(index, { label: e.target.value })}
+            placeholder="Ex: Lundi de Pâques"
+            maxLength={100}
+            className={`${inputClassName} flex-1 min-w-[160px]`}
+          />
+          <button
+            type="button"
+            onClick={() => onChange(holidays.filter((_, i) => i !== index))}
+            className="px-1 text-sm text-gray-400 hover:text-red-500"
+            aria-label="Remove holiday"
+          >
+            ×
+          </button>
+        </div>
+      ))}
+      <button
+        type="button"
+        onClick={() => {
+          const today = new Date().toISOString().slice(0, 10);
+          onChange([...holidays, { starts_on: today, ends_on: today, label: '' }]);
+        }}
+        className="text-sm text-primary hover:underline"
+      >
+        Add a closing day
+      </button>
+    </div>
+  );
+}
+
+export function BusinessHoursSettings() {
+  const { businessHours, current, mobileNumber, loading, error, fetchBusinessHours, saveBusinessHours } = useBusinessHours();
+  const [form, setForm] = useState(null);
+  const [mobile, setMobile] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchBusinessHours();
+  }, [fetchBusinessHours]);
+
+  useEffect(() => {
+    setForm(businessHours);
+  }, [businessHours]);
+
+  useEffect(() => {
+    setMobile(mobileNumber || '');
+  }, [mobileNumber]);
+
+  const save = async (hours, number) => {
+    setSaving(true);
+    try {
+      await saveBusinessHours(hours, number);
+      toast.success(hours ? 'Opening hours saved' : 'Opening hours removed');
+    } catch (err) {
+      console.error('Error saving business hours:', err);
+      toast.error(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSave = () => save({
+    ...form,
+    holidays: form.holidays.map(holiday => ({ ...holiday, label: holiday.label?.trim() || null }))
+  }, mobile.trim() || null);
+
+  return (
+    <Card>
+      <CardHeader>
+        <h2 className="text-gray-900 dark:text-white text-lg font-semibold">Business Hours</h2>
+        <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+          Outside opening hours and on closing days, your agent takes a message and promises a callback.
+        </p>
+      </CardHeader>
+      <CardContent>
+        {loading && !form ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400">Loading opening hours...</p>
+        ) : error ? (
+          <div className="flex items-center justify-between">
+            <p className="text-sm text-red-500 dark:text-red-400">{error}</p>
+            <Button variant="secondary" onClick={fetchBusinessHours}>Retry</Button>
+          </div>
+        ) : !form ? (
+          <div className="flex flex-wrap items-center justify-between gap-4">
+            <p className="text-sm text-gray-700 dark:text-gray-300">
+              No opening hours: your agent answers the same way at any time.
+            </p>
+            <Button onClick={() => setForm(DEFAULT_HOURS)}>Set opening hours</Button>
+          </div>
+        ) : (
+          <div className="space-y-6">
+            {current && businessHours && (
+              <p className="text-sm text-gray-700 dark:text-gray-300">
+                {current.mode === 'in_hours'
+                  ? 'Your agency is open: your agent answers in the in-hours mode.'
+                  : 'Your agency is closed: your agent answers in the after-hours mode.'}
+              </p>
+            )}
+
+            <div className="flex flex-wrap items-center gap-3">
+              <label className="text-sm font-medium text-gray-700 dark:text-gray-300">Time zone</label>
+              <select
+                value={form.timezone}
+                onChange={(e) => setForm({ ...form, timezone: e.target.value })}
+                className={inputClassName}
+              >
+                {TIMEZONES.map(timezone => (
+                  <option key={timezone} value={timezone}>{timezone}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="divide-y divide-gray-100 dark:divide-gray-800">
+              {WEEKDAYS.map(({ key, label }) => (
+                <DayHours
+                  key={key}
+                  label={label}
+                  intervals={form.weekly_hours[key] || []}
+                  onChange={(intervals) => setForm({
+                    ...form,
+                    weekly_hours: { ...form.weekly_hours, [key]: intervals }
+                  })}
+                />
+              ))}
+            </div>
+
+            <div>
+              <h3 className="text-sm font-medium text-gray-900 dark:text-white mb-2">Closing days</h3>
+              <HolidaysEditor
+                holidays={form.holidays}
+                onChange={(holidays) => setForm({ ...form, holidays })}
+              />
+            </div>
+
+            <label className="flex items-start gap-2 text-sm text-gray-700 dark:text-gray-300">
+              <input
+                type="checkbox"
+                checked={form.live_transfer}
+                onChange={(e) => setForm({ ...form, live_transfer: e.target.checked })}
+                className="mt-1"
+              />
+              During opening hours, offer callers to be put through to me
+            </label>
+
+            {form.live_transfer && (
+              <div className="flex flex-wrap items-center gap-3">
+                <label className="text-sm font-medium text-gray-700 dark:text-gray-300">Mobile number</label>
+                <input
+                  type="tel"
+                  value={mobile}
+                  onChange={(e) => setMobile(e.target.value)}
+                  placeholder="06 12 34 56 78"
+                  className={inputClassName}
+                />
+                <span className="text-sm text-gray-500 dark:text-gray-400">
+                  Your agent rings this number and introduces the caller before putting them through.
+                </span>
+              </div>
+            )}
+
+            <div className="flex justify-end gap-3">
+              {businessHours ? (
+                <Button variant="secondary" onClick={() => save(null)} disabled={saving}>
+                  Remove opening hours
+                </Button>
+              ) : (
+                <Button variant="secondary" onClick={() => setForm(null)} disabled={saving}>
+                  Cancel
+                </Button>
+              )}
+              <Button onClick={handleSave} disabled={saving}>
+                {saving ? 'Saving...' : 'Save'}
+              </Button>
+            </div>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
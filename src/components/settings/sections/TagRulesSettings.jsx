@@ -0,0 +1,508 @@
+import React, { useState, useEffect } from 'react';
+import { Card, CardHeader, CardContent } from '../../ui/Card';
+import { Button } from '../../ui/Button';
+import { TagBadge } from '../../calls/TagBadge';
+import { useTagRules } from '../../../hooks/useTagRules';
+import { useTags } from '../../../hooks/useTags';
+import toast from 'react-hot-toast';
+
+const inputClassName = 'w-full px-4 py-2 rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-dark-hover text-gray-900 dark:text-white focus:ring-2 focus:ring-primary/20 focus:border-primary';
+
+const STATUS_OPTIONS = [
+  { value: 'completed', label: 'Completed' },
+  { value: 'missed', label: 'Missed' },
+  { value: 'failed', label: 'Failed' },
+  { value: 'in-progress', label: 'In progress' },
+  { value: 'requires_review', label: 'Requires review' },
+  { value: 'transferred', label: 'Transferred' }
+];
+
+// One-click starting points for the tags most agencies ask for
+const PRESETS = [
+  {
+    name: 'Urgent requests',
+    tag_name: 'urgent',
+    tag_color: '#dc2626',
+    conditions: { keywords: ['urgent', 'au plus vite', 'dès que possible', 'rapidement'] }
+  },
+  {
+    name: 'Visit requested',
+    tag_name: 'visite demandée',
+    tag_color: '#16a34a',
+    conditions: { keywords: ['visite', 'visiter', 'voir le bien'], property_mentioned: true }
+  },
+  {
+    name: 'Out of scope',
+    tag_name: 'hors cible',
+    tag_color: '#6b7280',
+    conditions: { keywords: ['location', 'louer', 'locataire', 'estimation'] }
+  }
+];
+
+const EMPTY_FORM = {
+  name: '',
+  tag_name: '',
+  tag_color: '#2563eb',
+  keywords: '',
+  min_duration_seconds: '',
+  max_duration_seconds: '',
+  statuses: [],
+  property_mentioned: 'any',
+  known_contact: 'any',
+  is_active: true
+};
+
+const toTriState = (value) => (value === undefined ? 'any' : value ? 'yes' : 'no');
+const fromTriState = (value) => (value === 'any' ? undefined : value === 'yes');
+
+const ruleToForm = (rule) => ({
+  name: rule.name,
+  tag_name: rule.tag?.name || '',
+  tag_color: rule.tag?.color || '#2563eb',
+  keywords: (rule.conditions.keywords || []).join(', '),
+  min_duration_seconds: rule.conditions.min_duration_seconds ?? '',
+  max_duration_seconds: rule.conditions.max_duration_seconds ?? '',
+  statuses: rule.conditions.statuses || [],
+  property_mentioned: toTriState(rule.conditions.property_mentioned),
+  known_contact: toTriState(rule.conditions.known_contact),
+  is_active: rule.is_active
+});
+
+// Only send the conditions that were actually set
+const formToConditions = (form) => {
+  const conditions = {};
+  const keywords = form.keywords.split(',').map(keyword => keyword.trim()).filter(Boolean);
+  if (keywords.length) conditions.keywords = keywords;
+  if (form.min_duration_seconds !== '') conditions.min_duration_seconds = Number(form.min_duration_seconds);
+  if (form.max_duration_seconds !== '') conditions.max_duration_seconds = Number(form.max_duration_seconds);
+  if (form.statuses.length) conditions.statuses = form.statuses;
+  const propertyMentioned = fromTriState(form.property_mentioned);
+  if (propertyMentioned !== undefined) conditions.property_mentioned = propertyMentioned;
+  const knownContact = fromTriState(form.known_contact);
+  if (knownContact !== undefined) conditions.known_contact = knownContact;
+  return conditions;
+};
+
+const describeConditions = (conditions) => {
+  const parts = [];
+  if (conditions.keywords?.length) parts.push(`mentions ${conditions.keywords.map(k => `"${k}"`).join(' or ')}`);
+  if (conditions.min_duration_seconds !== undefined) parts.push(`lasts at least ${conditions.min_duration_seconds}s`);
+  if (conditions.max_duration_seconds !== undefined) parts.push(`lasts at most ${conditions.max_duration_seconds}s`);
+  if (conditions.statuses?.length) {
+    parts.push(`is ${conditions.statuses.map(s => STATUS_OPTIONS.find(o => o.value === s)?.label.toLowerCase() || s).join(' or ')}`);
+  }
+  if (conditions.property_mentioned !== undefined) {
+    parts.push(conditions.property_mentioned ? 'mentions a listed property' : 'mentions no listed property');
+  }
+  if (conditions.known_contact !== undefined) {
+    parts.push(conditions.known_contact ? 'comes from a known contact' : 'comes from a new caller');
+  }
+  return parts.length ? `When the call ${parts.join(', ')}` : 'No conditions';
+};
+
+function RuleForm({ initialForm, tags, onSubmit, onCancel, submitting }) {
+  const [form, setForm] = useState(initialForm);
+
+  const update = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+
+  const toggleStatus = (status) => {
+    update('statuses', form.statuses.includes(status)
+      ? form.statuses.filter(s => s !== status)
+      : [...form.statuses, status]
+    );
+  };
+
+  const existingTag = tags.find(tag => tag.name.toLowerCase() === form.tag_name.trim().toLowerCase());
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const conditions = formToConditions(form);
+
+    if (Object.keys(conditions).length === 0) {
+      toast.error('Add at least one condition');
+      return;
+    }
+
+    onSubmit({
+      name: form.name.trim(),
+      ...(existingTag
+        ? { tag_id: existingTag.id }
+        : { tag_name: form.tag_name.trim(), tag_color: form.tag_color }),
+      conditions,
+      is_active: form.is_active
+    });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4 p-4 rounded-lg bg-gray-50 dark:bg-dark-hover">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+            Rule Name
+          </label>
+          <input
+            type="text"
+            required
+            value={form.name}
+            onChange={(e) => update('name', e.target.value)}
+            className={inputClassName}
+          />
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+            Tag to Apply
+          </label>
+          <div className="flex gap-2">
+            <input
+              type="text"
+              required
+              list="tag-rule-tags"
+              value={form.tag_name}
+              onChange={(e) => update('tag_name', e.target.value)}
+              placeholder="e.g., urgent"
+              className={inputClassName}
+            />
+            {!existingTag && (
+              <input
+                type="color"
+                value={form.tag_color}
+                onChange={(e) => update('tag_color', e.target.value)}
+                className="h-10 w-12 rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-dark-hover"
+                title="Color of the new tag"
+              />
+            )}
+          </div>
+          <datalist id="tag-rule-tags">
+            {tags.map(tag => <option key={tag.id} value={tag.name} />)}
+          </datalist>
+        </div>
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+          Transcript Keywords
+        </label>
+        <input
+          type="text"
+          value={form.keywords}
+          onChange={(e) => update('keywords', e.target.value)}
+          placeholder="Comma-separated, e.g., urgent, au plus vite"
+          className={inputClassName}
+        />
+        <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+          Matches if any keyword appears in the transcript. Case and accents are ignored.
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+            Minimum Duration (seconds)
+          </label>
+          <input
+            type="number"
+            min="0"
+            value={form.min_duration_seconds}
+            onChange={(e) => update('min_duration_seconds', e.target.value)}
+            className={inputClassName}
+          />
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+            Maximum Duration (seconds)
+          </label>
+          <input
+            type="number"
+            min="0"
+            value={form.max_duration_seconds}
+            onChange={(e) => update('max_duration_seconds', e.target.value)}
+            className={inputClassName}
+          />
+        </div>
+      </div>
+
+      <div>
+        <span className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+          Call Status
+        </span>
+        <div className="flex flex-wrap gap-4">
+          {STATUS_OPTIONS.map(option => (
+            <label key={option.value} className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+              <input
+                type="checkbox"
+                checked={form.statuses.includes(option.value)}
+                onChange={() => toggleStatus(option.value)}
+                className="rounded border-gray-300 text-primary focus:ring-primary"
+              />
+              {option.label}
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+            Property Mentioned
+          </label>
+          <select
+            value={form.property_mentioned}
+            onChange={(e) => update('property_mentioned', e.target.value)}
+            className={inputClassName}
+          >
+            <option value="any">Doesn't matter</option>
+            <option value="yes">Yes</option>
+            <option value="no">No</option>
+          </select>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+            Caller Is a Known Contact
+          </label>
+          <select
+            value={form.known_contact}
+            onChange={(e) => update('known_contact', e.target.value)}
+            className={inputClassName}
+          >
+            <option value="any">Doesn't matter</option>
+            <option value="yes">Yes</option>
+            <option value="no">No</option>
+          </select>
+        </div>
+      </div>
+
+      <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+        <input
+          type="checkbox"
+          checked={form.is_active}
+          onChange={(e) => update('is_active', e.target.checked)}
+          className="rounded border-gray-300 text-primary focus:ring-primary"
+        />
+        Apply automatically to new calls
+      </label>
+
+      <div className="flex justify-end gap-3">
+        <Button type="button" variant="secondary" onClick={onCancel} disabled={submitting}>
+          Cancel
+        </Button>
+        <Button type="submit" disabled={submitting}>
+          {submitting ? 'Saving...' : 'Save Rule'}
+        </Button>
+      </div>
+    </form>
+  );
+}
+
+export function TagRulesSettings() {
+  const { rules, loading, fetchRules, createRule, updateRule, deleteRule, applyRules } = useTagRules();
+  const { tags, fetchTags } = useTags();
+  // null, 'new', or the ID of the rule being edited
+  const [editing, setEditing] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  // null, 'all', or the ID of the rule being re-run
+  const [running, setRunning] = useState(null);
+
+  useEffect(() => {
+    fetchRules();
+    fetchTags();
+  }, [fetchRules, fetchTags]);
+
+  const handleSave = async (payload) => {
+    setSubmitting(true);
+    try {
+      if (editing === 'new') {
+        await createRule(payload);
+        toast.success('Rule created');
+      } else {
+        await updateRule(editing, payload);
+        toast.success('Rule updated');
+      }
+      setEditing(null);
+      fetchTags();
+    } catch (error) {
+      console.error('Error saving tag rule:', error);
+      toast.error(error.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleAddPreset = async (preset) => {
+    try {
+      await createRule(preset);
+      toast.success(`Rule "${preset.name}" created`);
+      fetchTags();
+    } catch (error) {
+      console.error('Error creating preset rule:', error);
+      toast.error(error.message);
+    }
+  };
+
+  const handleToggle = async (rule) => {
+    try {
+      await updateRule(rule.id, { is_active: !rule.is_active });
+    } catch (error) {
+      console.error('Error toggling tag rule:', error);
+      toast.error(error.message);
+    }
+  };
+
+  const handleDelete = async (rule) => {
+    if (!window.confirm(`Delete the rule "${rule.name}"? Tags it already added will stay on the calls.`)) {
+      return;
+    }
+    try {
+      await deleteRule(rule.id);
+      toast.success('Rule deleted');
+    } catch (error) {
+      console.error('Error deleting tag rule:', error);
+      toast.error(error.message);
+    }
+  };
+
+  const handleRun = async (ruleId) => {
+    setRunning(ruleId || 'all');
+    try {
+      const result = await applyRules(ruleId ? { rule_id: ruleId } : {});
+      toast.success(`${result.processed} calls checked, ${result.tagged} tags added`);
+    } catch (error) {
+      console.error('Error applying tag rules:', error);
+      toast.error(error.message);
+    } finally {
+      setRunning(null);
+    }
+  };
+
+  const presets = PRESETS.filter(preset =>
+    !rules.some(rule => rule.tag?.name.toLowerCase() === preset.tag_name)
+  );
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <div>
+            <h2 className="text-gray-900 dark:text-white text-lg font-semibold">Call Tagging Rules</h2>
+            <p className="text-sm text-gray-500 dark:text-gray-400">
+              Tags are added automatically when a call matches every condition of a rule.
+            </p>
+          </div>
+          <div className="flex gap-3">
+            <Button
+              variant="secondary"
+              onClick={() => handleRun(null)}
+              disabled={running !== null || rules.length === 0}
+            >
+              {running === 'all' ? 'Applying...' : 'Apply to Past Calls'}
+            </Button>
+            <Button onClick={() => setEditing('new')} disabled={editing !== null}>
+              Add Rule
+            </Button>
+          </div>
+        </div>
+      </CardHeader>
+      <CardContent>
+        <div className="space-y-4">
+          {editing === 'new' && (
+            <RuleForm
+              initialForm={EMPTY_FORM}
+              tags={tags}
+              onSubmit={handleSave}
+              onCancel={() => setEditing(null)}
+              submitting={submitting}
+            />
+          )}
+
+          {loading && rules.length === 0 ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400">Loading rules...</p>
+          ) : rules.length === 0 && editing === null ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400">
+              No rules yet. Start from a suggestion below or add your own.
+            </p>
+          ) : (
+            rules.map(rule => editing === rule.id ? (
+              <RuleForm
+                key={rule.id}
+                initialForm={ruleToForm(rule)}
+                tags={tags}
+                onSubmit={handleSave}
+                onCancel={() => setEditing(null)}
+                submitting={submitting}
+              />
+            ) : (
+              <div
+                key={rule.id}
+                className="flex flex-wrap items-center justify-between gap-4 p-4 rounded-lg border border-gray-200 dark:border-gray-700"
+              >
+                <div className="space-y-1 min-w-0">
+                  <div className="flex items-center gap-2">
+                    <p className={`text-sm font-medium ${rule.is_active ? 'text-gray-900 dark:text-white' : 'text-gray-400 dark:text-gray-500'}`}>
+                      {rule.name}
+                    </p>
+                    {rule.tag && <TagBadge tag={rule.tag} />}
+                    {!rule.is_active && (
+                      <span className="text-xs text-gray-400 dark:text-gray-500">Paused</span>
+                    )}
+                  </div>
+                  <p className="text-sm text-gray-500 dark:text-gray-400">
+                    {describeConditions(rule.conditions)}
+                  </p>
+                </div>
+                <div className="flex items-center gap-3 text-sm">
+                  <button
+                    onClick={() => handleToggle(rule)}
+                    className="text-gray-600 dark:text-gray-300 hover:text-primary"
+                  >
+                    {rule.is_active ? 'Pause' : 'Resume'}
+                  </button>
+                  <button
+                    onClick={() => handleRun(rule.id)}
+                    disabled={running !== null}
+                    className="text-gray-600 dark:text-gray-300 hover:text-primary disabled:opacity-50"
+                  >
+                    {running === rule.id ? 'Applying...' : 'Apply to past calls'}
+                  </button>
+                  <button
+                    onClick={() => setEditing(rule.id)}
+                    disabled={editing !== null}
+                    className="text-primary hover:text-primary-light disabled:opacity-50"
+                  >
+                    Edit
+                  </button>
+                  <button
+                    onClick={() => handleDelete(rule)}
+                    className="text-red-600 hover:text-red-700 dark:text-red-400"
+                  >
+                    Delete
+                  </button>
+                </div>
+              </div>
+            ))
+          )}
+
+          {presets.length > 0 && (
+            <div className="pt-2">
+              <p className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Suggestions</p>
+              <div className="flex flex-wrap gap-2">
+                {presets.map(preset => (
+                  <button
+                    key={preset.tag_name}
+                    onClick={() => handleAddPreset(preset)}
+                    className="inline-flex items-center gap-2 px-3 py-1.5 rounded-full border border-dashed border-gray-300 dark:border-gray-600 text-sm text-gray-700 dark:text-gray-300 hover:border-primary hover:text-primary"
+                    title={describeConditions(preset.conditions)}
+                  >
+                    + {preset.name}
+                    <TagBadge tag={{ name: preset.tag_name, color: preset.tag_color }} />
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
@@ -1,6 +1,12 @@
 import React from 'react';
 
-function Modal({ isOpen, onClose, title, children, footer }) {
+const SIZE_CLASSES = {
+  lg: 'max-w-lg',
+  '2xl': 'max-w-2xl',
+  '5xl': 'max-w-5xl'
+};
+
+function Modal({ isOpen, onClose, title, children, footer, size = 'lg' }) {
   if (!isOpen) return null;
 
   return (
@@ -14,7 +20,7 @@ function Modal({ isOpen, onClose, title, children, footer }) {
       {/* Modal */}
       <div className="fixed inset-0 z-50 overflow-y-auto">
         <div className="flex min-h-full items-center justify-center p-4">
-          <div className="relative w-full max-w-lg bg-white dark:bg-dark-card rounded-xl shadow-xl transform transition-all">
+          <div className={`relative w-full ${SIZE_CLASSES[size] || SIZE_CLASSES.lg} bg-white dark:bg-dark-card rounded-xl shadow-xl transform transition-all`}>
             {/* Header */}
             <div className="flex items-center justify-between p-6 border-b border-gray-100 dark:border-gray-800">
               <h3 className="text-lg font-semibold text-gray-900 dark:text-white">
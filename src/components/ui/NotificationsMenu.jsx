@@ -1,37 +1,15 @@
-import React, { useState } from 'react';
+import React from 'react';
 import { Menu } from '@headlessui/react';
+import { formatDistanceToNow } from 'date-fns';
 import { Bell } from '../Icons';
-
-const notifications = [
-  {
-    id: 1,
-    title: 'New order received',
-    description: 'Alice Freeman placed a new order',
-    time: '5 minutes ago',
-    unread: true,
-  },
-  {
-    id: 2,
-    title: 'Campaign completed',
-    description: 'Summer sale campaign has ended',
-    time: '1 hour ago',
-    unread: true,
-  },
-  {
-    id: 3,
-    title: 'New review',
-    description: 'Bob Smith left a 5-star review',
-    time: '2 hours ago',
-    unread: false,
-  },
-];
+import { useNotifications } from '../../hooks/useNotifications';
 
 export function NotificationsMenu() {
-  const [unreadCount, setUnreadCount] = useState(2);
+  const { notifications, unreadCount, fetchNotifications, markAllAsRead } = useNotifications();
 
   return (
     <Menu as="div" className="relative">
-      <Menu.Button className="relative p-2 text-gray-500 hover:bg-gray-100 dark:hover:bg-dark-hover rounded-lg transition-colors">
+      <Menu.Button onClick={fetchNotifications} className="relative p-2 text-gray-500 hover:bg-gray-100 dark:hover:bg-dark-hover rounded-lg transition-colors">
         <Bell />
         {unreadCount > 0 && (
           <span className="absolute top-1.5 right-1.5 w-2 h-2 bg-red-500 rounded-full" />
@@ -44,7 +22,7 @@ export function NotificationsMenu() {
             <h3 className="text-sm font-semibold text-gray-900 dark:text-white">Notifications</h3>
             {unreadCount > 0 && (
               <button
-                onClick={() => setUnreadCount(0)}
+                onClick={markAllAsRead}
                 className="text-xs text-primary hover:text-primary-light"
               >
                 Mark all as read
@@ -54,6 +32,9 @@ export function NotificationsMenu() {
         </div>
 
         <div className="max-h-96 overflow-auto">
+          {notifications.length === 0 && (
+            <p className="p-4 text-sm text-gray-500 dark:text-gray-400">No notifications yet.</p>
+          )}
           {notifications.map((notification) => (
             <Menu.Item key={notification.id}>
               {({ active }) => (
@@ -66,7 +47,7 @@ export function NotificationsMenu() {
                     <div className="w-8 h-8 bg-primary/10 dark:bg-primary/20 rounded-full flex items-center justify-center text-primary">
                       <Bell />
                     </div>
-                    {notification.unread && (
+                    {!notification.read_at && (
                       <span className="absolute -top-0.5 -right-0.5 w-2 h-2 bg-red-500 rounded-full" />
                     )}
                   </div>
@@ -75,10 +56,10 @@ export function NotificationsMenu() {
                       {notification.title}
                     </p>
                     <p className="text-sm text-gray-500 dark:text-gray-400">
-                      {notification.description}
+                      {notification.body}
                     </p>
                     <p className="text-xs text-gray-400 dark:text-gray-500 mt-1">
-                      {notification.time}
+                      {formatDistanceToNow(new Date(notification.created_at), { addSuffix: true })}
                     </p>
                   </div>
                 </button>
@@ -0,0 +1,97 @@
+import { useState, useCallback } from 'react';
+import { useAuth } from './useAuth';
+
+/**
+ * Hook to compare agents with their ElevenLabs counterparts and resolve drift (admin only)
+ * @returns {Object} Drift report and resolution functions
+ */
+export function useAgentDrift() {
+  const { session } = useAuth();
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const request = useCallback(async (path, options = {}) => {
+    if (!session?.access_token) {
+      throw new Error('Not authenticated');
+    }
+
+    const response = await fetch(
+      `${import.meta.env.VITE_SUPABASE_URL}/functions/v1/admin/agent-drift${path}`,
+      {
+        ...options,
+        headers: {
+          'Authorization': `Bearer ${session.access_token}`,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
+    }
+
+    return response.json();
+  }, [session?.access_token]);
+
+  const fetchReport = useCallback(async (path, options) => {
+    if (!session?.access_token) {
+      setReport(null);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      setReport(await request(path, options));
+    } catch (err) {
+      console.error('Error checking agent drift:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [session?.access_token, request]);
+
+  /**
+   * Load the latest run of the scheduled reconciliation
+   */
+  const loadReport = useCallback(() => fetchReport(''), [fetchReport]);
+
+  /**
+   * Run the reconciliation now: every agent compared with ElevenLabs, plus ElevenLabs agents we do not know
+   */
+  const checkDrift = useCallback(() => fetchReport('/check', { method: 'POST' }), [fetchReport]);
+
+  /**
+   * Resolve the drift of an agent, then re-run the reconciliation
+   * @param {string} agentId - Agent to resolve
+   * @param {'pull'|'push'|'unlink'} action - Copy ElevenLabs into the agent, the agent into ElevenLabs, or forget the link
+   */
+  const resolveAgent = useCallback(async (agentId, action) => {
+    const data = await request(`/${agentId}/${action}`, { method: 'POST' });
+    await checkDrift();
+    return data;
+  }, [request, checkDrift]);
+
+  /**
+   * Import an ElevenLabs agent no row points at
+   * @param {string} elevenlabsAgentId - ElevenLabs agent to import
+   */
+  const importRemoteAgent = useCallback(async (elevenlabsAgentId) => {
+    const data = await request(`/remote/${elevenlabsAgentId}/pull`, { method: 'POST' });
+    await checkDrift();
+    return data;
+  }, [request, checkDrift]);
+
+  return {
+    report,
+    loading,
+    error,
+    loadReport,
+    checkDrift,
+    resolveAgent,
+    importRemoteAgent
+  };
+}
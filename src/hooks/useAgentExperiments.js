@@ -0,0 +1,123 @@
+import { useState, useCallback } from 'react';
+import { useAuth } from './useAuth';
+
+/**
+ * Hook to manage A/B experiments between agent configurations (admin only)
+ * @returns {Object} Experiments data and management functions
+ */
+export function useAgentExperiments() {
+  const { session } = useAuth();
+  const [experiments, setExperiments] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const request = useCallback(async (path, options = {}) => {
+    if (!session?.access_token) {
+      throw new Error('Not authenticated');
+    }
+
+    const response = await fetch(
+      `${import.meta.env.VITE_SUPABASE_URL}/functions/v1/admin/agent-experiments${path}`,
+      {
+        ...options,
+        headers: {
+          'Authorization': `Bearer ${session.access_token}`,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
+    }
+
+    return response.json();
+  }, [session?.access_token]);
+
+  const replaceExperiment = (experiment) =>
+    setExperiments(prev => prev.map(item => item.id === experiment.id ? experiment : item));
+
+  /**
+   * Fetch all experiments, newest first
+   */
+  const fetchExperiments = useCallback(async () => {
+    if (!session?.access_token) {
+      setExperiments([]);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const data = await request('');
+      setExperiments(data.experiments || []);
+    } catch (err) {
+      console.error('Error fetching experiments:', err);
+      setError(err.message);
+      setExperiments([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [session?.access_token, request]);
+
+  /**
+   * Fetch an experiment with the outcome metrics of each arm
+   * @param {string} experimentId - Experiment to load
+   * @returns {Promise<{experiment: Object, metrics: {control: Object, variant: Object}}>}
+   */
+  const fetchExperiment = useCallback(async (experimentId) => {
+    return request(`/${experimentId}`);
+  }, [request]);
+
+  /**
+   * Start an experiment against the user's currently assigned agent
+   * @param {Object} experiment - `user_id`, `name`, `variant_agent_id`, `variant_percentage`
+   * @returns {Promise<Object>} The created experiment
+   */
+  const createExperiment = useCallback(async (experiment) => {
+    const data = await request('', {
+      method: 'POST',
+      body: JSON.stringify(experiment)
+    });
+
+    setExperiments(prev => [data.experiment, ...prev]);
+    return data.experiment;
+  }, [request]);
+
+  /**
+   * Stop a running experiment without changing the user's assignment
+   * @param {string} experimentId - Experiment to stop
+   */
+  const stopExperiment = useCallback(async (experimentId) => {
+    const data = await request(`/${experimentId}/stop`, { method: 'POST' });
+    replaceExperiment(data.experiment);
+    return data.experiment;
+  }, [request]);
+
+  /**
+   * Assign the winning arm's agent to the user and close the experiment
+   * @param {string} experimentId - Experiment to close
+   * @param {'control'|'variant'} variant - Winning arm
+   */
+  const promoteVariant = useCallback(async (experimentId, variant) => {
+    const data = await request(`/${experimentId}/promote`, {
+      method: 'POST',
+      body: JSON.stringify({ variant })
+    });
+    replaceExperiment(data.experiment);
+    return data.experiment;
+  }, [request]);
+
+  return {
+    experiments,
+    loading,
+    error,
+    fetchExperiments,
+    fetchExperiment,
+    createExperiment,
+    stopExperiment,
+    promoteVariant
+  };
+}
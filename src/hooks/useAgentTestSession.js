@@ -0,0 +1,263 @@
+import { useState, useCallback, useRef, useEffect } from 'react';
+import { useAuth } from './useAuth';
+
+// Sample rate of the microphone audio sent to the agent (ElevenLabs `pcm_16000` input)
+const INPUT_SAMPLE_RATE = 16000;
+const SAVE_RETRIES = 5;
+const SAVE_RETRY_DELAY_MS = 3000;
+
+const toBase64 = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+const encodePcm16 = (samples) => {
+  const pcm = new Int16Array(samples.length);
+  for (let i = 0; i < samples.length; i++) {
+    const sample = Math.max(-1, Math.min(1, samples[i]));
+    pcm[i] = sample < 0 ? sample * 0x8000 : sample * 0x7fff;
+  }
+  return toBase64(new Uint8Array(pcm.buffer));
+};
+
+const decodePcm16 = (base64) => {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  const pcm = new Int16Array(bytes.buffer, 0, Math.floor(bytes.length / 2));
+  return Float32Array.from(pcm, (sample) => sample / 0x8000);
+};
+
+/**
+ * Hook running a live test conversation with the user's assigned agent over the
+ * Convai WebSocket. The signed URL is minted server-side, the API key never reaches the browser.
+ * @returns {Object} Session state (`status`, `transcript`, `micLevel`, `conversationId`) and controls
+ */
+export function useAgentTestSession() {
+  const { session } = useAuth();
+  const [status, setStatus] = useState('idle'); // idle, connecting, connected, ended
+  const [transcript, setTranscript] = useState([]);
+  const [micLevel, setMicLevel] = useState(0);
+  const [conversationId, setConversationId] = useState(null);
+  const [agent, setAgent] = useState(null);
+  const [error, setError] = useState(null);
+  const audio = useRef({});
+
+  const request = useCallback(async (path, options = {}) => {
+    if (!session?.access_token) {
+      throw new Error('Not authenticated');
+    }
+
+    const response = await fetch(
+      `${import.meta.env.VITE_SUPABASE_URL}/functions/v1/${path}`,
+      {
+        ...options,
+        headers: {
+          'Authorization': `Bearer ${session.access_token}`,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      const requestError = new Error(errorData.error || `HTTP error! status: ${response.status}`);
+      requestError.status = response.status;
+      throw requestError;
+    }
+
+    return response.json();
+  }, [session?.access_token]);
+
+  const stopPlayback = () => {
+    const { playing = [] } = audio.current;
+    playing.forEach((source) => source.stop());
+    audio.current.playing = [];
+    audio.current.playbackTime = 0;
+  };
+
+  // Releases the microphone, the audio graph and the socket
+  const teardown = useCallback(() => {
+    const { socket, stream, processor, source, context } = audio.current;
+    stopPlayback();
+    processor?.disconnect();
+    source?.disconnect();
+    stream?.getTracks().forEach((track) => track.stop());
+    context?.close().catch(() => {});
+    if (socket && socket.readyState <= WebSocket.OPEN) {
+      socket.close();
+    }
+    audio.current = {};
+    setMicLevel(0);
+  }, []);
+
+  useEffect(() => teardown, [teardown]);
+
+  const playChunk = (base64) => {
+    const { context, outputSampleRate } = audio.current;
+    if (!context) return;
+
+    const samples = decodePcm16(base64);
+    if (samples.length === 0) return;
+
+    const buffer = context.createBuffer(1, samples.length, outputSampleRate);
+    buffer.copyToChannel(samples, 0);
+
+    const source = context.createBufferSource();
+    source.buffer = buffer;
+    source.connect(context.destination);
+
+    // Queue chunks back to back
+    const startAt = Math.max(context.currentTime, audio.current.playbackTime || 0);
+    source.start(startAt);
+    audio.current.playbackTime = startAt + buffer.duration;
+    audio.current.playing = [...(audio.current.playing || []), source];
+    source.onended = () => {
+      audio.current.playing = (audio.current.playing || []).filter((item) => item !== source);
+    };
+  };
+
+  const handleMessage = (event) => {
+    const message = JSON.parse(event.data);
+
+    switch (message.type) {
+      case 'conversation_initiation_metadata': {
+        const metadata = message.conversation_initiation_metadata_event;
+        const rate = /pcm_(\d+)/.exec(metadata.agent_output_audio_format || '')?.[1];
+        audio.current.outputSampleRate = rate ? Number(rate) : INPUT_SAMPLE_RATE;
+        setConversationId(metadata.conversation_id);
+        setStatus('connected');
+        break;
+      }
+      case 'audio':
+        playChunk(message.audio_event.audio_base_64);
+        break;
+      case 'agent_response':
+        setTranscript((prev) => [...prev, { speaker: 'agent', text: message.agent_response_event.agent_response }]);
+        break;
+      case 'user_transcript':
+        setTranscript((prev) => [...prev, { speaker: 'caller', text: message.user_transcription_event.user_transcript }]);
+        break;
+      case 'interruption':
+        stopPlayback();
+        break;
+      case 'ping':
+        audio.current.socket?.send(JSON.stringify({ type: 'pong', event_id: message.ping_event.event_id }));
+        break;
+      default:
+        break;
+    }
+  };
+
+  /**
+   * Start a test conversation: asks for the microphone and connects to the agent
+   */
+  const start = useCallback(async () => {
+    teardown();
+    setStatus('connecting');
+    setTranscript([]);
+    setConversationId(null);
+    setError(null);
+
+    try {
+      const testSession = await request('create-agent-test-session', { method: 'POST' });
+      setAgent(testSession.agent);
+
+      const stream = await navigator.mediaDevices.getUserMedia({
+        audio: { echoCancellation: true, noiseSuppression: true }
+      });
+      const context = new AudioContext({ sampleRate: INPUT_SAMPLE_RATE });
+      const socket = new WebSocket(testSession.signed_url);
+      audio.current = { stream, context, socket, playing: [], playbackTime: 0, outputSampleRate: INPUT_SAMPLE_RATE };
+
+      socket.onopen = () => {
+        socket.send(JSON.stringify({
+          type: 'conversation_initiation_client_data',
+          dynamic_variables: testSession.dynamic_variables,
+          // Personal voice of the user, as on their real calls
+          ...(testSession.conversation_config_override
+            ? { conversation_config_override: testSession.conversation_config_override }
+            : {})
+        }));
+      };
+      socket.onmessage = handleMessage;
+      socket.onerror = () => setError('Connection to the agent failed');
+      socket.onclose = () => {
+        // Ignore sockets we closed ourselves or that belong to a previous session
+        if (audio.current.socket !== socket) return;
+        teardown();
+        setStatus('ended');
+      };
+
+      // ScriptProcessor is deprecated but still the simplest way to get raw samples everywhere
+      const source = context.createMediaStreamSource(stream);
+      const processor = context.createScriptProcessor(2048, 1, 1);
+      processor.onaudioprocess = (event) => {
+        const samples = event.inputBuffer.getChannelData(0);
+
+        let sum = 0;
+        for (let i = 0; i < samples.length; i++) sum += samples[i] * samples[i];
+        setMicLevel(Math.min(1, Math.sqrt(sum / samples.length) * 4));
+
+        if (socket.readyState === WebSocket.OPEN) {
+          socket.send(JSON.stringify({ user_audio_chunk: encodePcm16(samples) }));
+        }
+      };
+      source.connect(processor);
+      processor.connect(context.destination);
+      audio.current.source = source;
+      audio.current.processor = processor;
+
+    } catch (err) {
+      console.error('Error starting test session:', err);
+      teardown();
+      setError(err.name === 'NotAllowedError' ? 'Microphone access was denied' : err.message);
+      setStatus('idle');
+    }
+  }, [request, teardown]);
+
+  /**
+   * Hang up the test conversation
+   */
+  const end = useCallback(() => {
+    teardown();
+    setStatus('ended');
+  }, [teardown]);
+
+  /**
+   * Save the ended conversation in the call history, flagged as a test.
+   * Retries while ElevenLabs is still processing it.
+   * @returns {Promise<{id: string}>} The saved call
+   */
+  const save = useCallback(async () => {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const data = await request('save-agent-test-call', {
+          method: 'POST',
+          body: JSON.stringify({ conversation_id: conversationId })
+        });
+        return data.call;
+      } catch (err) {
+        if (err.status !== 409 || attempt >= SAVE_RETRIES) throw err;
+        await new Promise((resolve) => setTimeout(resolve, SAVE_RETRY_DELAY_MS));
+      }
+    }
+  }, [request, conversationId]);
+
+  return {
+    status,
+    transcript,
+    micLevel,
+    conversationId,
+    agent,
+    error,
+    start,
+    end,
+    save
+  };
+}
@@ -0,0 +1,80 @@
+import { useState, useCallback } from 'react';
+import { useAuth } from './useAuth';
+
+/**
+ * Hook to load the agent assigned to the current user and their personal overrides on it
+ * @returns {Object} Agent state (`agent`, `overrides`, `effective`, `variables`, `can_edit_agent`) and functions
+ */
+export function useAssignedAgent() {
+  const { session } = useAuth();
+  const [state, setState] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const request = useCallback(async (path, options = {}) => {
+    if (!session?.access_token) {
+      throw new Error('Not authenticated');
+    }
+
+    const response = await fetch(
+      `${import.meta.env.VITE_SUPABASE_URL}/functions/v1/${path}`,
+      {
+        ...options,
+        headers: {
+          'Authorization': `Bearer ${session.access_token}`,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
+    }
+
+    return response.json();
+  }, [session?.access_token]);
+
+  /**
+   * Fetch the assigned agent, the user's overrides and the configuration merged from both
+   */
+  const fetchAgent = useCallback(async () => {
+    if (!session?.access_token) {
+      setState(null);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      setState(await request('get-ai-agent'));
+    } catch (err) {
+      console.error('Error fetching assigned agent:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [session?.access_token, request]);
+
+  /**
+   * Save personal overrides. Fields left out keep their value, null falls back to the agent's
+   * @param {Object} overrides - Overrides to save
+   */
+  const saveOverrides = useCallback(async (overrides) => {
+    const data = await request('update-ai-agent', {
+      method: 'PUT',
+      body: JSON.stringify({ overrides })
+    });
+    setState(data);
+    return data;
+  }, [request]);
+
+  return {
+    state,
+    loading,
+    error,
+    fetchAgent,
+    saveOverrides
+  };
+}
@@ -223,9 +223,13 @@ export function useAuth() {
     }
   }, [navigate, actionLoading]);
 
+  // Derived auth status consumed by the data hooks
+  const status = loadingAuth ? 'loading' : session ? 'authenticated' : 'unauthenticated';
+
   const authValue = useMemo(() => ({
     user,
     session,
+    status,
     isAdmin,
     loading: loadingAuth,
     actionLoading,
@@ -236,6 +240,7 @@ export function useAuth() {
   }), [
     user,
     session,
+    status,
     isAdmin,
     loadingAuth,
     actionLoading,
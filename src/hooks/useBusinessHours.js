@@ -0,0 +1,92 @@
+import { useState, useCallback } from 'react';
+import { useAuth } from './useAuth';
+
+/**
+ * Hook to manage the opening hours and holidays deciding the mode the user's agent answers in
+ * @returns {Object} `businessHours`, the `current` mode, loading state and management functions
+ */
+export function useBusinessHours() {
+  const { session } = useAuth();
+  const [businessHours, setBusinessHours] = useState(null);
+  const [current, setCurrent] = useState(null);
+  const [mobileNumber, setMobileNumber] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const request = useCallback(async (path, options = {}) => {
+    if (!session?.access_token) {
+      throw new Error('Not authenticated');
+    }
+
+    const response = await fetch(
+      `${import.meta.env.VITE_SUPABASE_URL}/functions/v1/${path}`,
+      {
+        ...options,
+        headers: {
+          'Authorization': `Bearer ${session.access_token}`,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
+    }
+
+    return response.json();
+  }, [session?.access_token]);
+
+  /**
+   * Fetch the opening hours of the current user
+   */
+  const fetchBusinessHours = useCallback(async () => {
+    if (!session?.access_token) {
+      setBusinessHours(null);
+      setCurrent(null);
+      setMobileNumber(null);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const data = await request('get-business-hours');
+      setBusinessHours(data.business_hours);
+      setCurrent(data.current);
+      setMobileNumber(data.mobile_number);
+    } catch (err) {
+      console.error('Error fetching business hours:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [session?.access_token, request]);
+
+  /**
+   * Save the opening hours, or remove them with null
+   * @param {Object|null} hours - { timezone, weekly_hours, live_transfer, holidays }
+   * @param {string|null} [mobile] - Number callers are put through to; left unchanged if omitted
+   */
+  const saveBusinessHours = useCallback(async (hours, mobile) => {
+    const data = await request('update-business-hours', {
+      method: 'PUT',
+      body: JSON.stringify({ business_hours: hours, mobile_number: mobile })
+    });
+    setBusinessHours(data.business_hours);
+    setCurrent(data.current);
+    setMobileNumber(data.mobile_number);
+    return data;
+  }, [request]);
+
+  return {
+    businessHours,
+    current,
+    mobileNumber,
+    loading,
+    error,
+    fetchBusinessHours,
+    saveBusinessHours
+  };
+}
@@ -0,0 +1,84 @@
+import { useState, useCallback } from 'react';
+import { useAuth } from './useAuth';
+
+/**
+ * Hook to fetch and manage call history data
+ * @returns {Object} Calls data and management functions
+ */
+export function useCalls() {
+  const { session, status } = useAuth();
+  const [calls, setCalls] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [meta, setMeta] = useState({
+    currentPage: 1,
+    itemsPerPage: 10,
+    totalItems: 0,
+    totalPages: 0,
+    sort: 'call_timestamp',
+    order: 'desc'
+  });
+
+  /**
+   * Fetch calls based on filters
+   * @param {Object} filters - Query filters and pagination
+   */
+  const fetchCalls = useCallback(async (filters = {}) => {
+    if (status !== 'authenticated' || !session?.access_token) {
+      console.log('fetchCalls: Not authenticated, skipping fetch');
+      setCalls([]);
+      setMeta(prev => ({ ...prev, totalItems: 0, totalPages: 0 }));
+      setLoading(false);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await fetch(
+        `${import.meta.env.VITE_SUPABASE_URL}/functions/v1/list-calls`,
+        {
+          method: 'POST',
+          headers: {
+            'Authorization': `Bearer ${session.access_token}`,
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify(filters)
+        }
+      );
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
+      }
+
+      const data = await response.json();
+
+      setCalls(data.data || []);
+      setMeta(data.meta || {
+        currentPage: 1,
+        itemsPerPage: 10,
+        totalItems: 0,
+        totalPages: 0,
+        sort: 'call_timestamp',
+        order: 'desc'
+      });
+
+    } catch (err) {
+      console.error('Error fetching calls:', err);
+      setError(err.message);
+      setCalls([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [session?.access_token, status]);
+
+  return {
+    calls,
+    loading,
+    error,
+    meta,
+    fetchCalls
+  };
+}
@@ -0,0 +1,84 @@
+import { useState, useCallback } from 'react';
+import { useAuth } from './useAuth';
+
+/**
+ * Hook to follow and trigger the sync of the property catalogue
+ * into the assigned agent's ElevenLabs knowledge base
+ * @returns {Object} Sync state and actions
+ */
+export function useKnowledgeBaseSync() {
+  const { session } = useAuth();
+  const [sync, setSync] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [syncing, setSyncing] = useState(false);
+  const [error, setError] = useState(null);
+
+  const request = useCallback(async (path, options = {}) => {
+    if (!session?.access_token) {
+      throw new Error('Not authenticated');
+    }
+
+    const response = await fetch(
+      `${import.meta.env.VITE_SUPABASE_URL}/functions/v1/${path}`,
+      {
+        ...options,
+        headers: {
+          'Authorization': `Bearer ${session.access_token}`,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || `HTTP error! status: ${response.status}`);
+    }
+    return data;
+  }, [session?.access_token]);
+
+  /**
+   * Fetch the current sync state
+   */
+  const fetchStatus = useCallback(async () => {
+    if (!session?.access_token) {
+      setSync(null);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const data = await request('get-knowledge-base-status');
+      setSync(data.sync);
+    } catch (err) {
+      console.error('Error fetching knowledge base status:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [session?.access_token, request]);
+
+  /**
+   * Rebuild the catalogue document and attach it to the agent now
+   */
+  const resync = useCallback(async () => {
+    setSyncing(true);
+    try {
+      await request('sync-knowledge-base', { method: 'POST' });
+    } finally {
+      setSyncing(false);
+      // The failure, if any, is recorded server side: show it
+      fetchStatus();
+    }
+  }, [request, fetchStatus]);
+
+  return {
+    sync,
+    loading,
+    syncing,
+    error,
+    fetchStatus,
+    resync
+  };
+}
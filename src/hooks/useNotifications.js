@@ -0,0 +1,63 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useAuth } from './useAuth';
+import { supabase } from '../lib/supabaseClient';
+
+const NOTIFICATION_LIMIT = 20;
+
+/**
+ * Hook to load the in-app notifications of the current user, newest first
+ * @returns {Object} Notifications, unread count and functions to refresh and mark them as read
+ */
+export function useNotifications() {
+  const { session } = useAuth();
+  const [notifications, setNotifications] = useState([]);
+
+  const fetchNotifications = useCallback(async () => {
+    if (!session?.user?.id) {
+      setNotifications([]);
+      return;
+    }
+
+    const { data, error } = await supabase
+      .from('notifications')
+      .select('id, type, title, body, read_at, created_at')
+      .order('created_at', { ascending: false })
+      .limit(NOTIFICATION_LIMIT);
+
+    if (error) {
+      console.error('Error fetching notifications:', error);
+      return;
+    }
+
+    setNotifications(data || []);
+  }, [session?.user?.id]);
+
+  useEffect(() => {
+    fetchNotifications();
+  }, [fetchNotifications]);
+
+  /**
+   * Mark every unread notification as read
+   */
+  const markAllAsRead = useCallback(async () => {
+    const readAt = new Date().toISOString();
+    const { error } = await supabase
+      .from('notifications')
+      .update({ read_at: readAt })
+      .is('read_at', null);
+
+    if (error) {
+      console.error('Error marking notifications as read:', error);
+      return;
+    }
+
+    setNotifications(prev => prev.map(notification => ({ ...notification, read_at: notification.read_at ?? readAt })));
+  }, []);
+
+  return {
+    notifications,
+    unreadCount: notifications.filter(notification => !notification.read_at).length,
+    fetchNotifications,
+    markAllAsRead
+  };
+}
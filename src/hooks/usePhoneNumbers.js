@@ -0,0 +1,99 @@
+import { useState, useCallback } from 'react';
+import { useAuth } from './useAuth';
+
+/**
+ * Hook to manage the phone number inventory and route numbers to users and agents (admin only)
+ * @returns {Object} Phone numbers, assignable users and agents, and management functions
+ */
+export function usePhoneNumbers() {
+  const { session } = useAuth();
+  const [phoneNumbers, setPhoneNumbers] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [agents, setAgents] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const request = useCallback(async (path, options = {}) => {
+    if (!session?.access_token) {
+      throw new Error('Not authenticated');
+    }
+
+    const response = await fetch(
+      `${import.meta.env.VITE_SUPABASE_URL}/functions/v1/admin/phone-numbers${path}`,
+      {
+        ...options,
+        headers: {
+          'Authorization': `Bearer ${session.access_token}`,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
+    }
+
+    return response.json();
+  }, [session?.access_token]);
+
+  /**
+   * Fetch the inventory with the users and agents numbers can be assigned to
+   */
+  const fetchPhoneNumbers = useCallback(async () => {
+    if (!session?.access_token) {
+      setPhoneNumbers([]);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const data = await request('');
+      setPhoneNumbers(data.phone_numbers);
+      setUsers(data.users);
+      setAgents(data.agents);
+    } catch (err) {
+      console.error('Error fetching phone numbers:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [session?.access_token, request]);
+
+  /**
+   * Import the numbers of the telephony provider
+   * @returns {Promise<Object>} How many numbers were imported, updated and released
+   */
+  const importPhoneNumbers = useCallback(async () => {
+    const data = await request('/import', { method: 'POST' });
+    setPhoneNumbers(data.phone_numbers);
+    return data;
+  }, [request]);
+
+  /**
+   * Assign a number to a user and the agent answering it
+   * @param {string} phoneNumberId - Number to assign
+   * @param {Object} assignment - { user_id, ai_agent_id }, null to unassign
+   */
+  const assignPhoneNumber = useCallback(async (phoneNumberId, assignment) => {
+    const { phone_number } = await request(`/${phoneNumberId}`, {
+      method: 'PUT',
+      body: JSON.stringify(assignment)
+    });
+    setPhoneNumbers(prev => prev.map(number => number.id === phoneNumberId ? phone_number : number));
+    return phone_number;
+  }, [request]);
+
+  return {
+    phoneNumbers,
+    users,
+    agents,
+    loading,
+    error,
+    fetchPhoneNumbers,
+    importPhoneNumbers,
+    assignPhoneNumber
+  };
+}
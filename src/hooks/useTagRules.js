@@ -0,0 +1,124 @@
+import { useState, useCallback } from 'react';
+import { useAuth } from './useAuth';
+
+/**
+ * Hook to manage the user's automatic call tagging rules
+ * @returns {Object} Rules data and management functions
+ */
+export function useTagRules() {
+  const { session } = useAuth();
+  const [rules, setRules] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const request = useCallback(async (path, options = {}) => {
+    if (!session?.access_token) {
+      throw new Error('Not authenticated');
+    }
+
+    const response = await fetch(
+      `${import.meta.env.VITE_SUPABASE_URL}/functions/v1/${path}`,
+      {
+        ...options,
+        headers: {
+          'Authorization': `Bearer ${session.access_token}`,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
+    }
+
+    return response.status === 204 ? null : response.json();
+  }, [session?.access_token]);
+
+  /**
+   * Fetch all tagging rules of the current user
+   */
+  const fetchRules = useCallback(async () => {
+    if (!session?.access_token) {
+      setRules([]);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const data = await request('list-tag-rules');
+      setRules(data.rules || []);
+    } catch (err) {
+      console.error('Error fetching tag rules:', err);
+      setError(err.message);
+      setRules([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [session?.access_token, request]);
+
+  /**
+   * Create a rule. The tag is given as `tag_id`, or `tag_name` (+ `tag_color`) to create it.
+   * @param {Object} rule - Rule name, tag reference, conditions and is_active
+   * @returns {Promise<Object>} The created rule
+   */
+  const createRule = useCallback(async (rule) => {
+    const data = await request('create-tag-rule', {
+      method: 'POST',
+      body: JSON.stringify(rule)
+    });
+
+    setRules(prev => [...prev, data.rule]);
+    return data.rule;
+  }, [request]);
+
+  /**
+   * Update a rule
+   * @param {string} ruleId - Rule to update
+   * @param {Object} updates - Fields to change
+   * @returns {Promise<Object>} The updated rule
+   */
+  const updateRule = useCallback(async (ruleId, updates) => {
+    const data = await request(`update-tag-rule/${ruleId}`, {
+      method: 'PATCH',
+      body: JSON.stringify(updates)
+    });
+
+    setRules(prev => prev.map(rule => rule.id === ruleId ? data.rule : rule));
+    return data.rule;
+  }, [request]);
+
+  /**
+   * Delete a rule. Tags it already attached stay on the calls.
+   * @param {string} ruleId - Rule to delete
+   */
+  const deleteRule = useCallback(async (ruleId) => {
+    await request(`delete-tag-rule/${ruleId}`, { method: 'DELETE' });
+    setRules(prev => prev.filter(rule => rule.id !== ruleId));
+  }, [request]);
+
+  /**
+   * Re-run rules over past calls
+   * @param {Object} [options] - `rule_id` to run a single rule, `date_from`/`date_to` to limit the calls
+   * @returns {Promise<{processed: number, tagged: number}>}
+   */
+  const applyRules = useCallback(async (options = {}) => {
+    return request('apply-tag-rules', {
+      method: 'POST',
+      body: JSON.stringify(options)
+    });
+  }, [request]);
+
+  return {
+    rules,
+    loading,
+    error,
+    fetchRules,
+    createRule,
+    updateRule,
+    deleteRule,
+    applyRules
+  };
+}
@@ -0,0 +1,100 @@
+import { useState, useCallback } from 'react';
+import { useAuth } from './useAuth';
+
+/**
+ * Hook to fetch the user's tags and attach/detach them on calls
+ * @returns {Object} Tags data and management functions
+ */
+export function useTags() {
+  const { session, status } = useAuth();
+  const [tags, setTags] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const request = useCallback(async (path, options = {}) => {
+    if (!session?.access_token) {
+      throw new Error('Not authenticated');
+    }
+
+    const response = await fetch(
+      `${import.meta.env.VITE_SUPABASE_URL}/functions/v1/${path}`,
+      {
+        ...options,
+        headers: {
+          'Authorization': `Bearer ${session.access_token}`,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
+    }
+
+    return response.status === 204 ? null : response.json();
+  }, [session?.access_token]);
+
+  /**
+   * Fetch all tags owned by the current user
+   */
+  const fetchTags = useCallback(async () => {
+    if (!session?.access_token) {
+      setTags([]);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const data = await request('list-tags');
+      setTags(data.tags || []);
+    } catch (err) {
+      console.error('Error fetching tags:', err);
+      setError(err.message);
+      setTags([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [session?.access_token, request]);
+
+  /**
+   * Attach a tag to a call. Pass `{ tag_id }` for an existing tag
+   * or `{ name, color }` to create it on the fly.
+   * @param {string} callId - Call to tag
+   * @param {Object} tag - Tag reference
+   * @returns {Promise<Object>} The attached tag
+   */
+  const addTagToCall = useCallback(async (callId, tag) => {
+    const data = await request('add-call-tag', {
+      method: 'POST',
+      body: JSON.stringify({ call_id: callId, ...tag })
+    });
+
+    setTags(prev => prev.some(t => t.id === data.tag.id)
+      ? prev
+      : [...prev, data.tag].sort((a, b) => a.name.localeCompare(b.name))
+    );
+
+    return data.tag;
+  }, [request]);
+
+  /**
+   * Detach a tag from a call
+   * @param {string} callId - Tagged call
+   * @param {string} tagId - Tag to remove
+   */
+  const removeTagFromCall = useCallback(async (callId, tagId) => {
+    await request(`remove-call-tag/${callId}/${tagId}`, { method: 'DELETE' });
+  }, [request]);
+
+  return {
+    tags,
+    loading,
+    error,
+    fetchTags,
+    addTagToCall,
+    removeTagFromCall
+  };
+}
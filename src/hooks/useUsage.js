@@ -0,0 +1,54 @@
+import { useState, useCallback } from 'react';
+import { useAuth } from './useAuth';
+
+/**
+ * Hook to load the conversation minutes used by the current user against their monthly quota
+ * @returns {Object} `usage` (`current` month status and monthly `history`), loading state and fetch function
+ */
+export function useUsage() {
+  const { session } = useAuth();
+  const [usage, setUsage] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchUsage = useCallback(async () => {
+    if (!session?.access_token) {
+      setUsage(null);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await fetch(
+        `${import.meta.env.VITE_SUPABASE_URL}/functions/v1/get-usage`,
+        {
+          headers: {
+            'Authorization': `Bearer ${session.access_token}`,
+            'Content-Type': 'application/json'
+          }
+        }
+      );
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
+      }
+
+      setUsage(await response.json());
+    } catch (err) {
+      console.error('Error fetching usage:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [session?.access_token]);
+
+  return {
+    usage,
+    loading,
+    error,
+    fetchUsage
+  };
+}
@@ -0,0 +1,89 @@
+import { useState, useCallback } from 'react';
+import { useAuth } from './useAuth';
+
+/**
+ * Hook to report the conversation minutes of every user and set their quotas (admin only)
+ * @returns {Object} Usage report and management functions
+ */
+export function useUsageReport() {
+  const { session } = useAuth();
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const request = useCallback(async (path, options = {}) => {
+    if (!session?.access_token) {
+      throw new Error('Not authenticated');
+    }
+
+    const response = await fetch(
+      `${import.meta.env.VITE_SUPABASE_URL}/functions/v1/admin/usage${path}`,
+      {
+        ...options,
+        headers: {
+          'Authorization': `Bearer ${session.access_token}`,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
+    }
+
+    return response.json();
+  }, [session?.access_token]);
+
+  /**
+   * Fetch the usage of every user for a month
+   * @param {string} [month] - Month as YYYY-MM, the current one by default
+   */
+  const fetchReport = useCallback(async (month) => {
+    if (!session?.access_token) {
+      setReport(null);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      setReport(await request(month ? `?month=${month}` : ''));
+    } catch (err) {
+      console.error('Error fetching usage report:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [session?.access_token, request]);
+
+  /**
+   * Set the monthly quota of a user
+   * @param {string} userId - User to limit
+   * @param {number|null} monthlyMinutes - Minutes allowed per month, null for no limit
+   */
+  const setQuota = useCallback(async (userId, monthlyMinutes) => {
+    const data = await request(`/${userId}/quota`, {
+      method: 'PUT',
+      body: JSON.stringify({ monthly_minutes: monthlyMinutes })
+    });
+    setReport(prev => prev && {
+      ...prev,
+      users: prev.users.map(row => row.user_id !== userId ? row : {
+        ...row,
+        quota_minutes: monthlyMinutes,
+        percent_used: monthlyMinutes ? Math.round((row.total_seconds / (monthlyMinutes * 60)) * 100) : null
+      })
+    });
+    return data;
+  }, [request]);
+
+  return {
+    report,
+    loading,
+    error,
+    fetchReport,
+    setQuota
+  };
+}
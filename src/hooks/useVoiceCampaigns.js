@@ -0,0 +1,107 @@
+import { useState, useCallback } from 'react';
+import { useAuth } from './useAuth';
+
+/**
+ * Hook to manage the outbound voice campaigns of the current user
+ * @returns {Object} Campaigns, the agent and numbers they can use, loading state and management functions
+ */
+export function useVoiceCampaigns() {
+  const { session } = useAuth();
+  const [campaigns, setCampaigns] = useState([]);
+  const [agent, setAgent] = useState(null);
+  const [phoneNumbers, setPhoneNumbers] = useState([]);
+  const [callingHoursOpen, setCallingHoursOpen] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const request = useCallback(async (path, options = {}) => {
+    if (!session?.access_token) {
+      throw new Error('Not authenticated');
+    }
+
+    const response = await fetch(
+      `${import.meta.env.VITE_SUPABASE_URL}/functions/v1/${path}`,
+      {
+        ...options,
+        headers: {
+          'Authorization': `Bearer ${session.access_token}`,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
+    }
+
+    return response.json();
+  }, [session?.access_token]);
+
+  /**
+   * Fetch the campaigns with their progress
+   * @param {Object} [options]
+   * @param {boolean} [options.silent] - Refresh without flagging loading, for polling
+   */
+  const fetchVoiceCampaigns = useCallback(async ({ silent = false } = {}) => {
+    if (!session?.access_token) {
+      setCampaigns([]);
+      return;
+    }
+
+    if (!silent) setLoading(true);
+    setError(null);
+
+    try {
+      const data = await request('list-voice-campaigns');
+      setCampaigns(data.campaigns);
+      setAgent(data.agent);
+      setPhoneNumbers(data.phone_numbers);
+      setCallingHoursOpen(data.calling_hours_open);
+    } catch (err) {
+      console.error('Error fetching voice campaigns:', err);
+      setError(err.message);
+    } finally {
+      if (!silent) setLoading(false);
+    }
+  }, [session?.access_token, request]);
+
+  /**
+   * Create a campaign; it starts calling right away when within calling hours
+   * @param {Object} campaign - { name, phone_number_id, audience, max_attempts, retry_delay_minutes, max_concurrent_calls }
+   */
+  const createVoiceCampaign = useCallback(async (campaign) => {
+    const data = await request('create-voice-campaign', {
+      method: 'POST',
+      body: JSON.stringify(campaign)
+    });
+    await fetchVoiceCampaigns({ silent: true });
+    return data.campaign;
+  }, [request, fetchVoiceCampaigns]);
+
+  /**
+   * Pause, resume or cancel a campaign
+   * @param {string} id - Campaign ID
+   * @param {'active'|'paused'|'cancelled'} status - New status
+   */
+  const updateVoiceCampaignStatus = useCallback(async (id, status) => {
+    const data = await request(`update-voice-campaign/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify({ status })
+    });
+    await fetchVoiceCampaigns({ silent: true });
+    return data.campaign;
+  }, [request, fetchVoiceCampaigns]);
+
+  return {
+    campaigns,
+    agent,
+    phoneNumbers,
+    callingHoursOpen,
+    loading,
+    error,
+    fetchVoiceCampaigns,
+    createVoiceCampaign,
+    updateVoiceCampaignStatus
+  };
+}
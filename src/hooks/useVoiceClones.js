@@ -0,0 +1,106 @@
+import { useState, useCallback } from 'react';
+import { useAuth } from './useAuth';
+
+/**
+ * Hook to manage the instant voice clones of agencies (admin only)
+ * @returns {Object} Voice clones, the consent speakers sign, and management functions
+ */
+export function useVoiceClones() {
+  const { session } = useAuth();
+  const [voiceClones, setVoiceClones] = useState([]);
+  const [consent, setConsent] = useState(null);
+  const [maxSamples, setMaxSamples] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const request = useCallback(async (path, options = {}) => {
+    if (!session?.access_token) {
+      throw new Error('Not authenticated');
+    }
+
+    const response = await fetch(
+      `${import.meta.env.VITE_SUPABASE_URL}/functions/v1/admin/voice-clones${path}`,
+      {
+        ...options,
+        headers: {
+          'Authorization': `Bearer ${session.access_token}`,
+          // The browser sets the multipart boundary itself
+          ...(options.body instanceof FormData ? {} : { 'Content-Type': 'application/json' })
+        }
+      }
+    );
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
+    }
+
+    return response.json();
+  }, [session?.access_token]);
+
+  /**
+   * Fetch the voice clones, newest first
+   * @param {Object} [options]
+   * @param {boolean} [options.readyOnly] - Only the voices agents can use
+   */
+  const fetchVoiceClones = useCallback(async ({ readyOnly = false } = {}) => {
+    if (!session?.access_token) {
+      setVoiceClones([]);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const data = await request(readyOnly ? '?status=ready' : '');
+      setVoiceClones(data.voice_clones || []);
+      setConsent(data.consent);
+      setMaxSamples(data.max_samples);
+    } catch (err) {
+      console.error('Error fetching voice clones:', err);
+      setError(err.message);
+      setVoiceClones([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [session?.access_token, request]);
+
+  /**
+   * Create a voice clone from consented audio samples
+   * @param {Object} fields - name, agency_name, description, speaker_name, speaker_email, signature
+   * @param {File[]} files - Audio samples of the speaker
+   */
+  const createVoiceClone = useCallback(async (fields, files) => {
+    const form = new FormData();
+    Object.entries(fields).forEach(([key, value]) => form.append(key, value ?? ''));
+    form.append('consent_version', consent?.version ?? '');
+    form.append('consent_accepted', 'true');
+    files.forEach(file => form.append('files', file, file.name));
+
+    const data = await request('', { method: 'POST', body: form });
+    setVoiceClones(prev => [data.voice_clone, ...prev]);
+    return data.voice_clone;
+  }, [request, consent?.version]);
+
+  /**
+   * Delete a voice clone from ElevenLabs. Its consent record is kept.
+   * @param {string} voiceCloneId - Voice clone to delete
+   */
+  const deleteVoiceClone = useCallback(async (voiceCloneId) => {
+    const data = await request(`/${voiceCloneId}`, { method: 'DELETE' });
+    setVoiceClones(prev => prev.map(item => item.id === voiceCloneId ? data.voice_clone : item));
+    return data.voice_clone;
+  }, [request]);
+
+  return {
+    voiceClones,
+    consent,
+    maxSamples,
+    loading,
+    error,
+    fetchVoiceClones,
+    createVoiceClone,
+    deleteVoiceClone
+  };
+}
@@ -0,0 +1,239 @@
+import React, { useState, useEffect } from 'react';
+import { Card, CardHeader, CardContent } from '../../components/ui/Card';
+import { Button } from '../../components/ui/Button';
+import toast from 'react-hot-toast';
+import { useAgentDrift } from '../../hooks/useAgentDrift';
+
+const STATUS_LABELS = {
+  in_sync: 'In sync',
+  drifted: 'Drifted',
+  missing_remote: 'Missing in ElevenLabs',
+  unlinked: 'Not in ElevenLabs',
+  remote_only: 'Only in ElevenLabs'
+};
+
+const STATUS_STYLES = {
+  in_sync: 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-400',
+  drifted: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-400',
+  missing_remote: 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-400',
+  unlinked: 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-300',
+  remote_only: 'bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-400'
+};
+
+const FIELD_LABELS = {
+  agent_name: 'Name',
+  elevenlabs_voice_id: 'Voice',
+  system_prompt: 'Prompt'
+};
+
+// Resolutions offered for each status
+const ACTIONS = {
+  drifted: ['pull', 'push', 'unlink'],
+  missing_remote: ['push', 'unlink'],
+  unlinked: ['push'],
+  in_sync: []
+};
+
+const ACTION_LABELS = {
+  pull: 'Pull remote',
+  push: 'Push local',
+  unlink: 'Unlink'
+};
+
+const ACTION_SUCCESS = {
+  pull: 'Agent updated from ElevenLabs',
+  push: 'ElevenLabs agent updated',
+  unlink: 'Agent unlinked'
+};
+
+const ACTION_CONFIRMATIONS = {
+  pull: 'Overwrite the name, voice and prompt of "{name}" with the ElevenLabs agent?',
+  push: 'Overwrite the ElevenLabs agent with "{name}"? It is recreated if it no longer exists.',
+  unlink: 'Unlink "{name}" from its ElevenLabs agent? Calls to it will stop working until it is pushed again.'
+};
+
+function StatusBadge({ status }) {
+  return (
+    <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${STATUS_STYLES[status]}`}>
+      {STATUS_LABELS[status]}
+    </span>
+  );
+}
+
+function Differences({ differences }) {
+  return (
+    <div className="space-y-3 px-4 pb-4">
+      {Object.entries(differences).map(([field, { local, remote }]) => (
+        <div key={field}>
+          <p className="text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">{FIELD_LABELS[field] || field}</p>
+          <div className="grid grid-cols-2 gap-2 text-xs">
+            <div>
+              <p className="text-gray-500 dark:text-gray-400 mb-1">Prospeo</p>
+              <p className="whitespace-pre-wrap break-words rounded-lg p-2 bg-gray-50 dark:bg-dark-hover text-gray-900 dark:text-white max-h-48 overflow-y-auto">
+                {local || '-'}
+              </p>
+            </div>
+            <div>
+              <p className="text-gray-500 dark:text-gray-400 mb-1">ElevenLabs</p>
+              <p className="whitespace-pre-wrap break-words rounded-lg p-2 bg-gray-50 dark:bg-dark-hover text-gray-900 dark:text-white max-h-48 overflow-y-auto">
+                {remote || '-'}
+              </p>
+            </div>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default function AgentDriftPage() {
+  const { report, loading, error, loadReport, checkDrift, resolveAgent, importRemoteAgent } = useAgentDrift();
+  const [expandedId, setExpandedId] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+
+  useEffect(() => {
+    loadReport();
+  }, [loadReport]);
+
+  const handleResolve = async (agent, action) => {
+    if (!window.confirm(ACTION_CONFIRMATIONS[action].replace('{name}', agent.agent_name))) {
+      return;
+    }
+
+    setBusyId(agent.id);
+    try {
+      await resolveAgent(agent.id, action);
+      toast.success(ACTION_SUCCESS[action]);
+    } catch (err) {
+      console.error('Error resolving agent drift:', err);
+      toast.error(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleImport = async (remoteAgent) => {
+    if (!window.confirm(`Import "${remoteAgent.name}" as a new private agent?`)) {
+      return;
+    }
+
+    setBusyId(remoteAgent.elevenlabs_agent_id);
+    try {
+      await importRemoteAgent(remoteAgent.elevenlabs_agent_id);
+      toast.success(`${remoteAgent.name} imported`);
+    } catch (err) {
+      console.error('Error importing agent:', err);
+      toast.error(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const outOfSync = report?.agents.filter(agent => agent.status !== 'in_sync').length ?? 0;
+
+  return (
+    <div className="p-4">
+      <Card>
+        <CardHeader>
+          <div className="flex items-center justify-between">
+            <div>
+              <h1 className="text-2xl font-bold text-gray-900 dark:text-white">
+                ElevenLabs Sync
+              </h1>
+              {report && (
+                <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+                  {outOfSync} of {report.agents.length} agents out of sync, {report.remote_only.length} unknown ElevenLabs agents
+                  · last checked {new Date(report.checked_at).toLocaleString()}
+                </p>
+              )}
+            </div>
+            <Button onClick={checkDrift} disabled={loading}>
+              {loading ? 'Checking...' : 'Check again'}
+            </Button>
+          </div>
+        </CardHeader>
+        <CardContent>
+          {loading && !report ? (
+            <div className="text-center py-8">
+              <div className="w-8 h-8 border-4 border-primary border-t-transparent rounded-full animate-spin mx-auto mb-2"></div>
+              <p className="text-gray-500 dark:text-gray-400">Comparing agents with ElevenLabs...</p>
+            </div>
+          ) : error ? (
+            <div className="text-center py-8">
+              <p className="text-red-500 dark:text-red-400 mb-4">{error}</p>
+              <Button onClick={checkDrift}>Retry</Button>
+            </div>
+          ) : report && (
+            <div className="divide-y divide-gray-100 dark:divide-gray-800">
+              {report.agents.map((agent) => (
+                <div key={agent.id}>
+                  <div className="flex items-center justify-between gap-4 py-3 px-4">
+                    <button
+                      type="button"
+                      onClick={() => setExpandedId(expandedId === agent.id ? null : agent.id)}
+                      disabled={agent.status !== 'drifted'}
+                      className="text-left disabled:cursor-default"
+                    >
+                      <p className="text-sm font-medium text-gray-900 dark:text-white">{agent.agent_name}</p>
+                      <p className="text-xs text-gray-500 dark:text-gray-400 font-mono">
+                        {agent.elevenlabs_agent_id || 'no ElevenLabs agent'}
+                      </p>
+                      {agent.status === 'drifted' && (
+                        <p className="text-xs text-yellow-700 dark:text-yellow-400">
+                          Differs on {Object.keys(agent.differences).map(field => FIELD_LABELS[field] || field).join(', ')}
+                        </p>
+                      )}
+                      {agent.drifted_since && (
+                        <p className="text-xs text-gray-500 dark:text-gray-400">
+                          Out of sync since {new Date(agent.drifted_since).toLocaleString()}
+                        </p>
+                      )}
+                    </button>
+                    <div className="flex items-center gap-3">
+                      <StatusBadge status={agent.status} />
+                      {ACTIONS[agent.status].map(action => (
+                        <Button
+                          key={action}
+                          variant="secondary"
+                          onClick={() => handleResolve(agent, action)}
+                          disabled={busyId !== null}
+                        >
+                          {ACTION_LABELS[action]}
+                        </Button>
+                      ))}
+                    </div>
+                  </div>
+                  {expandedId === agent.id && <Differences differences={agent.differences} />}
+                </div>
+              ))}
+
+              {report.remote_only.map((remoteAgent) => (
+                <div key={remoteAgent.elevenlabs_agent_id} className="flex items-center justify-between gap-4 py-3 px-4">
+                  <div>
+                    <p className="text-sm font-medium text-gray-900 dark:text-white">{remoteAgent.name}</p>
+                    <p className="text-xs text-gray-500 dark:text-gray-400 font-mono">{remoteAgent.elevenlabs_agent_id}</p>
+                    {remoteAgent.seen_since && (
+                      <p className="text-xs text-gray-500 dark:text-gray-400">
+                        Seen since {new Date(remoteAgent.seen_since).toLocaleString()}
+                      </p>
+                    )}
+                  </div>
+                  <div className="flex items-center gap-3">
+                    <StatusBadge status="remote_only" />
+                    <Button
+                      variant="secondary"
+                      onClick={() => handleImport(remoteAgent)}
+                      disabled={busyId !== null}
+                    >
+                      {ACTION_LABELS.pull}
+                    </Button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
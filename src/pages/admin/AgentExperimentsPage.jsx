@@ -0,0 +1,353 @@
+import React, { useState, useEffect } from 'react';
+import { Card, CardHeader, CardContent } from '../../components/ui/Card';
+import { Button } from '../../components/ui/Button';
+import Modal from '../../components/ui/Modal';
+import toast from 'react-hot-toast';
+import { supabase } from '../../lib/supabaseClient';
+import { useAgentExperiments } from '../../hooks/useAgentExperiments';
+
+const inputClassName = 'w-full px-4 py-2 rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-dark-hover text-gray-900 dark:text-white focus:ring-2 focus:ring-primary/20 focus:border-primary';
+
+const STATUS_STYLES = {
+  running: 'bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-400',
+  completed: 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-400',
+  cancelled: 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-300'
+};
+
+const METRIC_ROWS = [
+  { key: 'calls', label: 'Calls' },
+  { key: 'booked_visit_rate', label: 'Booked visits', count: 'booked_visits', unit: '%' },
+  { key: 'qualified_lead_rate', label: 'Qualified leads', count: 'qualified_leads', unit: '%' },
+  { key: 'average_duration_seconds', label: 'Average duration', unit: 's' },
+  { key: 'hang_up_rate', label: 'Hang-ups', count: 'hang_ups', unit: '%', lowerIsBetter: true }
+];
+
+function formatMetric(metrics, row) {
+  const value = metrics?.[row.key];
+  if (value == null) return '-';
+  const formatted = `${value}${row.unit || ''}`;
+  return row.count ? `${formatted} (${metrics[row.count]})` : formatted;
+}
+
+function NewExperimentModal({ isOpen, onClose, onCreate }) {
+  const [users, setUsers] = useState([]);
+  const [agents, setAgents] = useState([]);
+  const [formData, setFormData] = useState({ name: '', user_id: '', variant_agent_id: '', variant_percentage: 50 });
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    Promise.all([
+      supabase.rpc('get_user_list', { param_limit: 100, param_offset: 0 }),
+      supabase.from('ai_agents').select('id, agent_name, is_shared, owner_user_id').order('created_at', { ascending: false })
+    ]).then(([usersResult, agentsResult]) => {
+      if (usersResult.error || agentsResult.error) {
+        throw usersResult.error || agentsResult.error;
+      }
+      setUsers(usersResult.data || []);
+      setAgents(agentsResult.data || []);
+    }).catch((err) => {
+      console.error('Error loading users and agents:', err);
+      toast.error('Failed to load users and agents');
+    });
+  }, [isOpen]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+
+    try {
+      await onCreate({ ...formData, variant_percentage: Number(formData.variant_percentage) });
+      toast.success('Experiment started');
+      setFormData({ name: '', user_id: '', variant_agent_id: '', variant_percentage: 50 });
+      onClose();
+    } catch (err) {
+      console.error('Error creating experiment:', err);
+      toast.error(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="New Experiment">
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+            Name *
+          </label>
+          <input
+            type="text"
+            value={formData.name}
+            onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+            className={inputClassName}
+            placeholder="Shorter greeting"
+            required
+          />
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+            User *
+          </label>
+          <select
+            value={formData.user_id}
+            onChange={(e) => setFormData({ ...formData, user_id: e.target.value, variant_agent_id: '' })}
+            className={inputClassName}
+            required
+          >
+            <option value="">Select a user</option>
+            {users.filter(user => user.has_ai_agent).map((user) => (
+              <option key={user.id} value={user.id}>{user.email}</option>
+            ))}
+          </select>
+          <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+            The user's assigned agent is the control.
+          </p>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+            Variant Agent *
+          </label>
+          <select
+            value={formData.variant_agent_id}
+            onChange={(e) => setFormData({ ...formData, variant_agent_id: e.target.value })}
+            className={inputClassName}
+            required
+          >
+            <option value="">Select an agent</option>
+            {/* Only agents the user could be assigned, so the winner can be promoted */}
+            {agents.filter(agent => agent.is_shared || agent.owner_user_id === formData.user_id).map((agent) => (
+              <option key={agent.id} value={agent.id}>{agent.agent_name}</option>
+            ))}
+          </select>
+          <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+            Shared agents, or agents the user owns.
+          </p>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+            Conversations handled by the variant: {formData.variant_percentage}%
+          </label>
+          <input
+            type="range"
+            min={1}
+            max={99}
+            value={formData.variant_percentage}
+            onChange={(e) => setFormData({ ...formData, variant_percentage: e.target.value })}
+            className="w-full accent-primary"
+          />
+        </div>
+
+        <div className="flex justify-end gap-3 pt-4">
+          <Button type="button" variant="secondary" onClick={onClose} disabled={saving}>
+            Cancel
+          </Button>
+          <Button type="submit" disabled={saving}>
+            {saving ? 'Starting...' : 'Start Experiment'}
+          </Button>
+        </div>
+      </form>
+    </Modal>
+  );
+}
+
+function ExperimentResults({ experimentId, fetchExperiment, onStop, onPromote }) {
+  const [details, setDetails] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    setLoading(true);
+    fetchExperiment(experimentId)
+      .then(setDetails)
+      .catch((err) => {
+        console.error('Error fetching experiment:', err);
+        toast.error(err.message);
+      })
+      .finally(() => setLoading(false));
+  }, [experimentId, fetchExperiment]);
+
+  const run = async (action, successMessage) => {
+    setBusy(true);
+    try {
+      const experiment = await action();
+      setDetails(prev => ({ ...prev, experiment }));
+      toast.success(successMessage);
+    } catch (err) {
+      console.error('Error updating experiment:', err);
+      toast.error(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (loading) {
+    return <p className="text-sm text-gray-500 dark:text-gray-400 py-4">Loading results...</p>;
+  }
+
+  if (!details) return null;
+
+  const { experiment, metrics } = details;
+  const arms = [
+    { variant: 'control', label: `Control - ${experiment.control?.agent_name || '-'}`, agentId: experiment.control_agent_id },
+    { variant: 'variant', label: `Variant - ${experiment.variant?.agent_name || '-'}`, agentId: experiment.variant_agent_id }
+  ];
+
+  return (
+    <div className="space-y-4 py-4">
+      <table className="w-full">
+        <thead>
+          <tr className="border-b border-gray-200 dark:border-gray-700">
+            <th className="text-left py-2 px-4 text-sm font-medium text-gray-500">Metric</th>
+            {arms.map((arm) => (
+              <th key={arm.variant} className="text-left py-2 px-4 text-sm font-medium text-gray-500">
+                {arm.label}
+                {experiment.winner_agent_id === arm.agentId && (
+                  <span className={`ml-2 px-2 py-0.5 rounded-full text-xs ${STATUS_STYLES.completed}`}>Winner</span>
+                )}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {METRIC_ROWS.map((row) => (
+            <tr key={row.key} className="border-b border-gray-100 dark:border-gray-800">
+              <td className="py-2 px-4 text-sm text-gray-700 dark:text-gray-300">{row.label}</td>
+              {arms.map((arm) => (
+                <td key={arm.variant} className="py-2 px-4 text-sm text-gray-900 dark:text-white">
+                  {formatMetric(metrics[arm.variant], row)}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {!experiment.winner_agent_id && experiment.status !== 'cancelled' && (
+        <div className="flex flex-wrap justify-end gap-2">
+          {experiment.status === 'running' && (
+            <Button
+              variant="secondary"
+              disabled={busy}
+              onClick={() => run(() => onStop(experiment.id), 'Experiment stopped')}
+            >
+              Stop
+            </Button>
+          )}
+          {arms.map((arm) => (
+            <Button
+              key={arm.variant}
+              variant={arm.variant === 'variant' ? 'primary' : 'secondary'}
+              disabled={busy}
+              onClick={() => {
+                if (window.confirm(`Assign ${arm.label} to ${experiment.user?.email}? The experiment will end.`)) {
+                  run(() => onPromote(experiment.id, arm.variant), 'Winner assigned to the user');
+                }
+              }}
+            >
+              Promote {arm.variant}
+            </Button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default function AgentExperimentsPage() {
+  const {
+    experiments,
+    loading,
+    error,
+    fetchExperiments,
+    fetchExperiment,
+    createExperiment,
+    stopExperiment,
+    promoteVariant
+  } = useAgentExperiments();
+  const [isModalOpen, setIsModalOpen] = useState(false);
+  const [expandedId, setExpandedId] = useState(null);
+
+  useEffect(() => {
+    fetchExperiments();
+  }, [fetchExperiments]);
+
+  return (
+    <div className="p-4">
+      <Card>
+        <CardHeader>
+          <div className="flex items-center justify-between">
+            <h1 className="text-2xl font-bold text-gray-900 dark:text-white">
+              Agent Experiments
+            </h1>
+            <Button onClick={() => setIsModalOpen(true)}>
+              New Experiment
+            </Button>
+          </div>
+        </CardHeader>
+        <CardContent>
+          {loading ? (
+            <div className="text-center py-8">
+              <div className="w-8 h-8 border-4 border-primary border-t-transparent rounded-full animate-spin mx-auto mb-2"></div>
+              <p className="text-gray-500 dark:text-gray-400">Loading experiments...</p>
+            </div>
+          ) : error ? (
+            <div className="text-center py-8">
+              <p className="text-red-500 dark:text-red-400 mb-4">{error}</p>
+              <Button onClick={fetchExperiments}>Retry</Button>
+            </div>
+          ) : experiments.length === 0 ? (
+            <div className="text-center py-8">
+              <p className="text-gray-500 dark:text-gray-400">No experiments yet</p>
+            </div>
+          ) : (
+            <div className="divide-y divide-gray-100 dark:divide-gray-800">
+              {experiments.map((experiment) => (
+                <div key={experiment.id}>
+                  <button
+                    type="button"
+                    onClick={() => setExpandedId(expandedId === experiment.id ? null : experiment.id)}
+                    className="w-full flex items-center justify-between gap-4 py-3 px-4 text-left hover:bg-gray-50 dark:hover:bg-dark-hover"
+                  >
+                    <div>
+                      <p className="text-sm font-medium text-gray-900 dark:text-white">{experiment.name}</p>
+                      <p className="text-xs text-gray-500 dark:text-gray-400">
+                        {experiment.user?.email} · {experiment.control?.agent_name} vs {experiment.variant?.agent_name} ({100 - experiment.variant_percentage}/{experiment.variant_percentage})
+                      </p>
+                    </div>
+                    <div className="flex items-center gap-3">
+                      <span className="text-xs text-gray-500 dark:text-gray-400">
+                        {new Date(experiment.started_at).toLocaleDateString()}
+                      </span>
+                      <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${STATUS_STYLES[experiment.status]}`}>
+                        {experiment.status}
+                      </span>
+                    </div>
+                  </button>
+                  {expandedId === experiment.id && (
+                    <ExperimentResults
+                      experimentId={experiment.id}
+                      fetchExperiment={fetchExperiment}
+                      onStop={stopExperiment}
+                      onPromote={promoteVariant}
+                    />
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      <NewExperimentModal
+        isOpen={isModalOpen}
+        onClose={() => setIsModalOpen(false)}
+        onCreate={createExperiment}
+      />
+    </div>
+  );
+}
@@ -1,8 +1,18 @@
-import React, { useState, useCallback } from 'react';
+import React, { useState, useCallback, useEffect, useMemo, useRef } from 'react';
 import { Card, CardHeader, CardContent } from '../../components/ui/Card';
 import { Button } from '../../components/ui/Button';
 import { AiVoiceSelector } from '../../components/ai/AiVoiceSelector';
+import { VoiceSettingsEditor } from '../../components/ai/VoiceSettingsEditor';
+import { ConversationSettingsEditor } from '../../components/ai/ConversationSettingsEditor';
+import { AgentVersionHistoryModal } from '../../components/ai/AgentVersionHistoryModal';
 import Modal from '../../components/ui/Modal';
+import { useVoiceClones } from '../../hooks/useVoiceClones';
+import {
+  PROMPT_VARIABLES,
+  findUnknownPromptVariables,
+  getSamplePromptValues,
+  renderPromptTemplate
+} from '../../components/ai/promptTemplate';
 import toast from 'react-hot-toast';
 
 function AgentModal({ isOpen, onClose, agent, onSubmit }) {
@@ -12,9 +22,51 @@ function AgentModal({ isOpen, onClose, agent, onSubmit }) {
     description: '',
     is_shared: false,
     elevenlabs_voice_id: '',
+    tts_model_id: null,
+    tts_stability: null,
+    tts_similarity_boost: null,
+    tts_style: null,
+    tts_use_speaker_boost: null,
+    tts_speed: null,
+    language: null,
+    first_message: null,
+    first_messages: null,
+    max_duration_seconds: null,
+    silence_end_call_timeout_seconds: null,
+    end_call_conditions: null,
     ...agent
   });
   const [saving, setSaving] = useState(false);
+  const [showPreview, setShowPreview] = useState(false);
+  const { voiceClones, fetchVoiceClones } = useVoiceClones();
+  const [sampleValues, setSampleValues] = useState(getSamplePromptValues);
+  const promptRef = useRef(null);
+
+  useEffect(() => {
+    if (isOpen) fetchVoiceClones({ readyOnly: true });
+  }, [isOpen, fetchVoiceClones]);
+
+  const unknownVariables = useMemo(
+    () => findUnknownPromptVariables(formData.system_prompt),
+    [formData.system_prompt]
+  );
+
+  const insertVariable = (name) => {
+    const textarea = promptRef.current;
+    const token = `{{${name}}}`;
+    const prompt = formData.system_prompt;
+    const start = textarea ? textarea.selectionStart : prompt.length;
+    const end = textarea ? textarea.selectionEnd : prompt.length;
+
+    setFormData({ ...formData, system_prompt: prompt.slice(0, start) + token + prompt.slice(end) });
+
+    // Put the caret back after the inserted variable once React has re-rendered
+    requestAnimationFrame(() => {
+      if (!textarea) return;
+      textarea.focus();
+      textarea.setSelectionRange(start + token.length, start + token.length);
+    });
+  };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -70,14 +122,67 @@ function AgentModal({ isOpen, onClose, agent, onSubmit }) {
             System Prompt *
           </label>
           <textarea
+            ref={promptRef}
             value={formData.system_prompt}
             onChange={(e) => setFormData({ ...formData, system_prompt: e.target.value })}
             rows={4}
             className="w-full px-4 py-2 rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-dark-hover text-gray-900 dark:text-white focus:ring-2 focus:ring-primary/20 focus:border-primary"
             required
           />
+          <div className="flex flex-wrap items-center gap-2 mt-2">
+            <span className="text-xs text-gray-500 dark:text-gray-400">Insert variable:</span>
+            {PROMPT_VARIABLES.map((variable) => (
+              <button
+                key={variable.name}
+                type="button"
+                title={variable.description}
+                onClick={() => insertVariable(variable.name)}
+                className="px-2 py-0.5 rounded-full text-xs font-mono bg-primary/10 text-primary hover:bg-primary/20"
+              >
+                {`{{${variable.name}}}`}
+              </button>
+            ))}
+            <button
+              type="button"
+              onClick={() => setShowPreview(!showPreview)}
+              className="ml-auto text-xs font-medium text-primary hover:underline"
+            >
+              {showPreview ? 'Hide preview' : 'Preview'}
+            </button>
+          </div>
+          {unknownVariables.length > 0 && (
+            <p className="mt-2 text-sm text-red-500 dark:text-red-400">
+              Unknown variables: {unknownVariables.map(name => `{{${name}}}`).join(', ')}. The agent would read them out literally.
+            </p>
+          )}
         </div>
 
+        {showPreview && (
+          <div className="rounded-lg border border-gray-200 dark:border-gray-700 p-4 space-y-3">
+            <p className="text-sm font-medium text-gray-700 dark:text-gray-300">
+              Preview with sample values
+            </p>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+              {PROMPT_VARIABLES.map((variable) => (
+                <div key={variable.name}>
+                  <label className="block text-xs text-gray-500 dark:text-gray-400 mb-1" title={variable.description}>
+                    {variable.name}
+                  </label>
+                  <input
+                    type="text"
+                    value={sampleValues[variable.name] ?? ''}
+                    onChange={(e) => setSampleValues({ ...sampleValues, [variable.name]: e.target.value })}
+                    className="w-full px-4 py-2 rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-dark-hover text-gray-900 dark:text-white focus:ring-2 focus:ring-primary/20 focus:border-primary"
+                  />
+                </div>
+              ))}
+            </div>
+            <p className="text-sm text-gray-900 dark:text-white whitespace-pre-wrap bg-gray-50 dark:bg-dark-hover rounded-lg p-3">
+              {renderPromptTemplate(formData.system_prompt, sampleValues) || 'The prompt is empty.'}
+            </p>
+          </div>
+        )}
+
         <div>
           <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
             Voice *
@@ -85,6 +190,28 @@ function AgentModal({ isOpen, onClose, agent, onSubmit }) {
           <AiVoiceSelector
             selectedVoiceId={formData.elevenlabs_voice_id}
             onSelect={(voiceId) => setFormData({ ...formData, elevenlabs_voice_id: voiceId })}
+            clonedVoices={voiceClones}
+          />
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+            Voice settings
+          </label>
+          <VoiceSettingsEditor
+            voiceId={formData.elevenlabs_voice_id}
+            settings={formData}
+            onChange={(settings) => setFormData({ ...formData, ...settings })}
+          />
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+            Conversation
+          </label>
+          <ConversationSettingsEditor
+            settings={formData}
+            onChange={(settings) => setFormData({ ...formData, ...settings })}
           />
         </div>
 
@@ -112,7 +239,7 @@ function AgentModal({ isOpen, onClose, agent, onSubmit }) {
           </Button>
           <Button
             type="submit"
-            disabled={saving}
+            disabled={saving || unknownVariables.length > 0}
           >
             {saving ? (agent ? 'Saving...' : 'Creating...') : (agent ? 'Save Changes' : 'Create Agent')}
           </Button>
@@ -129,6 +256,7 @@ export default function AiAgentsAdminPage() {
   const [selectedAgent, setSelectedAgent] = useState(null);
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [deleting, setDeleting] = useState(null);
+  const [historyAgent, setHistoryAgent] = useState(null);
 
   const fetchAgents = useCallback(async () => {
     try {
@@ -187,6 +315,48 @@ export default function AiAgentsAdminPage() {
     fetchAgents();
   };
 
+  const fetchVersions = useCallback(async (agentId) => {
+    const response = await fetch(
+      `${import.meta.env.VITE_SUPABASE_URL}/functions/v1/admin/ai-agents/${agentId}/versions`,
+      {
+        headers: {
+          'Authorization': `Bearer ${import.meta.env.VITE_SUPABASE_ANON_KEY}`,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to fetch agent versions');
+    }
+
+    const data = await response.json();
+    return data.versions || [];
+  }, []);
+
+  const handleRollback = async (agentId, versionId) => {
+    const response = await fetch(
+      `${import.meta.env.VITE_SUPABASE_URL}/functions/v1/admin/ai-agents/${agentId}/rollback`,
+      {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${import.meta.env.VITE_SUPABASE_ANON_KEY}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ version_id: versionId })
+      }
+    );
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to restore version');
+    }
+
+    fetchAgents();
+    return response.json();
+  };
+
   const handleDelete = async (agentId) => {
     if (!window.confirm('Are you sure you want to delete this agent? This action cannot be undone.')) {
       return;
@@ -310,6 +480,12 @@ export default function AiAgentsAdminPage() {
                           >
                             Edit
                           </Button>
+                          <Button
+                            variant="secondary"
+                            onClick={() => setHistoryAgent(agent)}
+                          >
+                            History
+                          </Button>
                           <Button
                             variant="destructive"
                             onClick={() => handleDelete(agent.id)}
@@ -337,6 +513,14 @@ export default function AiAgentsAdminPage() {
         agent={selectedAgent}
         onSubmit={handleSubmit}
       />
+
+      <AgentVersionHistoryModal
+        isOpen={!!historyAgent}
+        onClose={() => setHistoryAgent(null)}
+        agent={historyAgent}
+        fetchVersions={fetchVersions}
+        onRollback={handleRollback}
+      />
     </div>
   );
 }
\ No newline at end of file
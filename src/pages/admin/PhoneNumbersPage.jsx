@@ -0,0 +1,181 @@
+import React, { useState, useEffect } from 'react';
+import { Card, CardHeader, CardContent } from '../../components/ui/Card';
+import { Button } from '../../components/ui/Button';
+import toast from 'react-hot-toast';
+import { usePhoneNumbers } from '../../hooks/usePhoneNumbers';
+
+const selectClassName = 'w-full px-3 py-1 rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-dark-hover text-gray-900 dark:text-white text-sm focus:ring-2 focus:ring-primary/20 focus:border-primary';
+
+const PROVIDER_LABELS = {
+  twilio: 'Twilio',
+  sip_trunk: 'SIP trunk'
+};
+
+function PhoneNumberRow({ phoneNumber, users, agents, onSave, disabled }) {
+  const [userId, setUserId] = useState(phoneNumber.user_id ?? '');
+  const [agentId, setAgentId] = useState(phoneNumber.ai_agent_id ?? '');
+
+  useEffect(() => {
+    setUserId(phoneNumber.user_id ?? '');
+    setAgentId(phoneNumber.ai_agent_id ?? '');
+  }, [phoneNumber.user_id, phoneNumber.ai_agent_id]);
+
+  const released = !!phoneNumber.released_at;
+  const changed = (userId || null) !== phoneNumber.user_id || (agentId || null) !== phoneNumber.ai_agent_id;
+
+  return (
+    <tr className={released ? 'text-gray-400 dark:text-gray-500' : 'text-gray-700 dark:text-gray-300'}>
+      <td className="py-3 px-4">
+        <p className={`font-medium ${released ? '' : 'text-gray-900 dark:text-white'}`}>{phoneNumber.phone_number}</p>
+        <p className="text-xs text-gray-500 dark:text-gray-400">
+          {[phoneNumber.label, PROVIDER_LABELS[phoneNumber.provider]].filter(Boolean).join(' · ')}
+        </p>
+      </td>
+      {released ? (
+        <td colSpan={3} className="py-3 px-4 text-xs">
+          Released on {new Date(phoneNumber.released_at).toLocaleDateString()}
+          {phoneNumber.user && ` · was assigned to ${phoneNumber.user.email}`}
+        </td>
+      ) : (
+        <>
+          <td className="py-3 px-4">
+            <select value={userId} onChange={(e) => setUserId(e.target.value)} className={selectClassName}>
+              <option value="">Unassigned</option>
+              {users.map(user => (
+                <option key={user.id} value={user.id}>{user.name ? `${user.name} (${user.email})` : user.email}</option>
+              ))}
+            </select>
+          </td>
+          <td className="py-3 px-4">
+            <select value={agentId} onChange={(e) => setAgentId(e.target.value)} className={selectClassName}>
+              <option value="">No agent</option>
+              {agents.map(agent => (
+                <option key={agent.id} value={agent.id} disabled={!agent.elevenlabs_agent_id}>
+                  {agent.agent_name}{!agent.elevenlabs_agent_id && ' (not deployed)'}
+                </option>
+              ))}
+            </select>
+          </td>
+          <td className="py-3 px-4 text-right">
+            <Button
+              variant="secondary"
+              onClick={() => onSave(phoneNumber, { user_id: userId || null, ai_agent_id: agentId || null })}
+              disabled={disabled || !changed}
+            >
+              Save
+            </Button>
+          </td>
+        </>
+      )}
+    </tr>
+  );
+}
+
+export default function PhoneNumbersPage() {
+  const {
+    phoneNumbers,
+    users,
+    agents,
+    loading,
+    error,
+    fetchPhoneNumbers,
+    importPhoneNumbers,
+    assignPhoneNumber
+  } = usePhoneNumbers();
+  const [importing, setImporting] = useState(false);
+  const [savingId, setSavingId] = useState(null);
+
+  useEffect(() => {
+    fetchPhoneNumbers();
+  }, [fetchPhoneNumbers]);
+
+  const handleImport = async () => {
+    setImporting(true);
+    try {
+      const { imported, updated, released } = await importPhoneNumbers();
+      toast.success(`${imported} numbers imported, ${updated} updated, ${released} released`);
+    } catch (err) {
+      console.error('Error importing phone numbers:', err);
+      toast.error(err.message);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const handleSave = async (phoneNumber, assignment) => {
+    setSavingId(phoneNumber.id);
+    try {
+      await assignPhoneNumber(phoneNumber.id, assignment);
+      toast.success(`${phoneNumber.phone_number} saved`);
+    } catch (err) {
+      console.error('Error assigning phone number:', err);
+      toast.error(err.message);
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  return (
+    <div className="p-4">
+      <Card>
+        <CardHeader>
+          <div className="flex items-center justify-between">
+            <div>
+              <h1 className="text-2xl font-bold text-gray-900 dark:text-white">
+                Phone Numbers
+              </h1>
+              <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+                Inbound calls are answered by the agent of the dialled number, on behalf of its user.
+              </p>
+            </div>
+            <Button onClick={handleImport} disabled={importing}>
+              {importing ? 'Importing...' : 'Import from provider'}
+            </Button>
+          </div>
+        </CardHeader>
+        <CardContent>
+          {loading && phoneNumbers.length === 0 ? (
+            <div className="text-center py-8">
+              <div className="w-8 h-8 border-4 border-primary border-t-transparent rounded-full animate-spin mx-auto mb-2"></div>
+              <p className="text-gray-500 dark:text-gray-400">Loading phone numbers...</p>
+            </div>
+          ) : error ? (
+            <div className="text-center py-8">
+              <p className="text-red-500 dark:text-red-400 mb-4">{error}</p>
+              <Button onClick={fetchPhoneNumbers}>Retry</Button>
+            </div>
+          ) : phoneNumbers.length === 0 ? (
+            <p className="text-center py-8 text-gray-500 dark:text-gray-400">
+              No phone number yet. Import the numbers of the telephony provider account linked to ElevenLabs.
+            </p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-xs text-gray-500 dark:text-gray-400 border-b border-gray-100 dark:border-gray-800">
+                    <th className="py-3 px-4 font-medium">Number</th>
+                    <th className="py-3 px-4 font-medium">User</th>
+                    <th className="py-3 px-4 font-medium">Agent</th>
+                    <th className="py-3 px-4 font-medium"></th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100 dark:divide-gray-800">
+                  {phoneNumbers.map((phoneNumber) => (
+                    <PhoneNumberRow
+                      key={phoneNumber.id}
+                      phoneNumber={phoneNumber}
+                      users={users}
+                      agents={agents}
+                      onSave={handleSave}
+                      disabled={savingId !== null}
+                    />
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
@@ -0,0 +1,149 @@
+import React, { useState, useEffect } from 'react';
+import { Card, CardHeader, CardContent } from '../../components/ui/Card';
+import { Button } from '../../components/ui/Button';
+import toast from 'react-hot-toast';
+import { useUsageReport } from '../../hooks/useUsageReport';
+
+const formatMinutes = (seconds) => Math.round(seconds / 60).toLocaleString();
+
+const currentMonth = () => new Date().toISOString().slice(0, 7);
+
+function QuotaCell({ row, onSave, disabled }) {
+  const [value, setValue] = useState(row.quota_minutes ?? '');
+
+  useEffect(() => {
+    setValue(row.quota_minutes ?? '');
+  }, [row.quota_minutes]);
+
+  const parsed = value === '' ? null : Number(value);
+  const invalid = parsed !== null && (!Number.isInteger(parsed) || parsed < 1);
+  const changed = parsed !== row.quota_minutes;
+
+  return (
+    <div className="flex items-center justify-end gap-2">
+      <input
+        type="number"
+        min={1}
+        step={1}
+        value={value}
+        onChange={(e) => setValue(e.target.value)}
+        placeholder="No limit"
+        className="w-28 px-3 py-1 rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-dark-hover text-gray-900 dark:text-white text-sm text-right focus:ring-2 focus:ring-primary/20 focus:border-primary"
+      />
+      <Button
+        variant="secondary"
+        onClick={() => onSave(row, parsed)}
+        disabled={disabled || invalid || !changed}
+      >
+        Save
+      </Button>
+    </div>
+  );
+}
+
+export default function UsagePage() {
+  const { report, loading, error, fetchReport, setQuota } = useUsageReport();
+  const [month, setMonth] = useState(currentMonth());
+  const [savingUserId, setSavingUserId] = useState(null);
+
+  useEffect(() => {
+    fetchReport(month);
+  }, [fetchReport, month]);
+
+  const handleSaveQuota = async (row, monthlyMinutes) => {
+    setSavingUserId(row.user_id);
+    try {
+      await setQuota(row.user_id, monthlyMinutes);
+      toast.success(monthlyMinutes === null
+        ? `Quota removed for ${row.email}`
+        : `Quota of ${row.email} set to ${monthlyMinutes} minutes`);
+    } catch (err) {
+      console.error('Error saving quota:', err);
+      toast.error(err.message);
+    } finally {
+      setSavingUserId(null);
+    }
+  };
+
+  const totalSeconds = report?.users.reduce((sum, row) => sum + row.total_seconds, 0) ?? 0;
+
+  return (
+    <div className="p-4">
+      <Card>
+        <CardHeader>
+          <div className="flex items-center justify-between">
+            <div>
+              <h1 className="text-2xl font-bold text-gray-900 dark:text-white">
+                Usage
+              </h1>
+              <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+                Conversation minutes per user, calls and test sessions included.
+                {report && ` ${formatMinutes(totalSeconds)} minutes in total.`}
+              </p>
+            </div>
+            <input
+              type="month"
+              value={month}
+              max={currentMonth()}
+              onChange={(e) => e.target.value && setMonth(e.target.value)}
+              className="px-4 py-2 rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-dark-hover text-gray-900 dark:text-white focus:ring-2 focus:ring-primary/20 focus:border-primary"
+            />
+          </div>
+        </CardHeader>
+        <CardContent>
+          {loading && !report ? (
+            <div className="text-center py-8">
+              <div className="w-8 h-8 border-4 border-primary border-t-transparent rounded-full animate-spin mx-auto mb-2"></div>
+              <p className="text-gray-500 dark:text-gray-400">Loading usage...</p>
+            </div>
+          ) : error ? (
+            <div className="text-center py-8">
+              <p className="text-red-500 dark:text-red-400 mb-4">{error}</p>
+              <Button onClick={() => fetchReport(month)}>Retry</Button>
+            </div>
+          ) : report && (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-xs text-gray-500 dark:text-gray-400 border-b border-gray-100 dark:border-gray-800">
+                    <th className="py-3 px-4 font-medium">User</th>
+                    <th className="py-3 px-4 font-medium text-right">Conversations</th>
+                    <th className="py-3 px-4 font-medium text-right">Calls (min)</th>
+                    <th className="py-3 px-4 font-medium text-right">Tests (min)</th>
+                    <th className="py-3 px-4 font-medium text-right">Total (min)</th>
+                    <th className="py-3 px-4 font-medium text-right">Used</th>
+                    <th className="py-3 px-4 font-medium text-right">Monthly quota (min)</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100 dark:divide-gray-800">
+                  {report.users.map((row) => (
+                    <tr key={row.user_id} className="text-gray-700 dark:text-gray-300">
+                      <td className="py-3 px-4">
+                        <p className="font-medium text-gray-900 dark:text-white">{row.name || row.email}</p>
+                        {row.name && <p className="text-xs text-gray-500 dark:text-gray-400">{row.email}</p>}
+                      </td>
+                      <td className="py-3 px-4 text-right">{row.conversation_count}</td>
+                      <td className="py-3 px-4 text-right">{formatMinutes(row.call_seconds)}</td>
+                      <td className="py-3 px-4 text-right">{formatMinutes(row.test_seconds)}</td>
+                      <td className="py-3 px-4 text-right font-medium text-gray-900 dark:text-white">{formatMinutes(row.total_seconds)}</td>
+                      <td className={`py-3 px-4 text-right ${
+                        row.percent_used >= 100 ? 'text-red-500 dark:text-red-400'
+                          : row.percent_used >= 80 ? 'text-yellow-600 dark:text-yellow-400'
+                          : ''
+                      }`}>
+                        {row.percent_used !== null ? `${row.percent_used}%` : '-'}
+                      </td>
+                      <td className="py-3 px-4">
+                        <QuotaCell row={row} onSave={handleSaveQuota} disabled={savingUserId !== null} />
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
@@ -0,0 +1,340 @@
+import React, { useState, useEffect } from 'react';
+import { Card, CardHeader, CardContent } from '../../components/ui/Card';
+import { Button } from '../../components/ui/Button';
+import toast from 'react-hot-toast';
+import { useVoiceClones } from '../../hooks/useVoiceClones';
+
+const inputClassName = 'w-full px-4 py-2 rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-dark-hover text-gray-900 dark:text-white focus:ring-2 focus:ring-primary/20 focus:border-primary';
+
+const STATUS_STYLES = {
+  pending: 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-300',
+  ready: 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-400',
+  failed: 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-400',
+  deleted: 'bg-gray-100 text-gray-500 dark:bg-gray-800 dark:text-gray-500'
+};
+
+const EMPTY_FORM = {
+  name: '',
+  agency_name: '',
+  description: '',
+  speaker_name: '',
+  speaker_email: '',
+  signature: ''
+};
+
+const normalizeName = (value) => value.trim().replace(/\s+/g, ' ').toLocaleLowerCase('fr');
+
+const formatSize = (bytes) => `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+
+function CloneVoiceForm({ consent, maxSamples, onSubmit }) {
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [files, setFiles] = useState([]);
+  const [fileInputKey, setFileInputKey] = useState(0);
+  const [consentAccepted, setConsentAccepted] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const signatureMatches = formData.signature && normalizeName(formData.signature) === normalizeName(formData.speaker_name);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (files.length === 0) {
+      toast.error('Add at least one audio sample');
+      return;
+    }
+    if (maxSamples && files.length > maxSamples) {
+      toast.error(`At most ${maxSamples} audio samples are allowed`);
+      return;
+    }
+    if (!consentAccepted || !signatureMatches) {
+      toast.error('The speaker must accept the consent and sign with their full name');
+      return;
+    }
+
+    setSaving(true);
+    const created = await onSubmit(formData, files);
+    setSaving(false);
+
+    if (created) {
+      setFormData(EMPTY_FORM);
+      setFiles([]);
+      setFileInputKey(key => key + 1);
+      setConsentAccepted(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+            Voice name *
+          </label>
+          <input
+            type="text"
+            value={formData.name}
+            onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+            placeholder="Ex: Claire - Dupont Immobilier"
+            maxLength={100}
+            required
+            className={inputClassName}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+            Agency *
+          </label>
+          <input
+            type="text"
+            value={formData.agency_name}
+            onChange={(e) => setFormData({ ...formData, agency_name: e.target.value })}
+            placeholder="Ex: Dupont Immobilier"
+            maxLength={100}
+            required
+            className={inputClassName}
+          />
+        </div>
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+          Description
+        </label>
+        <input
+          type="text"
+          value={formData.description}
+          onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+          placeholder="Ex: Warm, calm, female, French"
+          maxLength={500}
+          className={inputClassName}
+        />
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+          Audio samples *
+        </label>
+        <input
+          key={fileInputKey}
+          type="file"
+          accept="audio/*"
+          multiple
+          onChange={(e) => setFiles(Array.from(e.target.files || []))}
+          className="block w-full text-sm text-gray-700 dark:text-gray-300"
+        />
+        <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+          One to {maxSamples ?? 25} clean recordings of the speaker alone, 10 MB at most each. A few minutes in total give the best results.
+        </p>
+        {files.length > 0 && (
+          <ul className="mt-2 text-xs text-gray-600 dark:text-gray-300 space-y-1">
+            {files.map(file => (
+              <li key={file.name}>{file.name} · {formatSize(file.size)}</li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      <div className="pt-4 border-t border-gray-100 dark:border-gray-800 space-y-4">
+        <h3 className="text-sm font-semibold text-gray-900 dark:text-white">
+          Consent of the speaker
+        </h3>
+        <p className="text-sm whitespace-pre-wrap rounded-lg p-3 bg-gray-50 dark:bg-dark-hover text-gray-700 dark:text-gray-300">
+          {consent?.text}
+        </p>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+              Speaker full name *
+            </label>
+            <input
+              type="text"
+              value={formData.speaker_name}
+              onChange={(e) => setFormData({ ...formData, speaker_name: e.target.value })}
+              maxLength={100}
+              required
+              className={inputClassName}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+              Speaker email *
+            </label>
+            <input
+              type="email"
+              value={formData.speaker_email}
+              onChange={(e) => setFormData({ ...formData, speaker_email: e.target.value })}
+              required
+              className={inputClassName}
+            />
+          </div>
+        </div>
+        <label className="flex items-start gap-2 text-sm text-gray-700 dark:text-gray-300">
+          <input
+            type="checkbox"
+            checked={consentAccepted}
+            onChange={(e) => setConsentAccepted(e.target.checked)}
+            className="mt-1"
+          />
+          The speaker has read and accepts the text above
+        </label>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+            Signature of the speaker *
+          </label>
+          <input
+            type="text"
+            value={formData.signature}
+            onChange={(e) => setFormData({ ...formData, signature: e.target.value })}
+            placeholder="The speaker types their full name"
+            maxLength={100}
+            required
+            className={`${inputClassName} italic`}
+          />
+          {formData.signature && !signatureMatches && (
+            <p className="text-xs text-red-500 dark:text-red-400 mt-1">
+              The signature must be the full name of the speaker.
+            </p>
+          )}
+        </div>
+      </div>
+
+      <div className="flex justify-end">
+        <Button type="submit" disabled={saving || !consent}>
+          {saving ? 'Cloning voice...' : 'Create voice'}
+        </Button>
+      </div>
+    </form>
+  );
+}
+
+export default function VoiceClonesPage() {
+  const {
+    voiceClones,
+    consent,
+    maxSamples,
+    loading,
+    error,
+    fetchVoiceClones,
+    createVoiceClone,
+    deleteVoiceClone
+  } = useVoiceClones();
+  const [deletingId, setDeletingId] = useState(null);
+
+  useEffect(() => {
+    fetchVoiceClones();
+  }, [fetchVoiceClones]);
+
+  const handleCreate = async (fields, files) => {
+    try {
+      const voiceClone = await createVoiceClone(fields, files);
+      toast.success(`${voiceClone.name} is ready to be used by agents`);
+      return true;
+    } catch (err) {
+      console.error('Error creating voice clone:', err);
+      toast.error(err.message);
+      // A clone ElevenLabs refused is still recorded, with its consent
+      fetchVoiceClones();
+      return false;
+    }
+  };
+
+  const handleDelete = async (voiceClone) => {
+    if (!window.confirm(`Delete the voice "${voiceClone.name}"? Its samples are erased, the consent record is kept.`)) {
+      return;
+    }
+
+    setDeletingId(voiceClone.id);
+    try {
+      await deleteVoiceClone(voiceClone.id);
+      toast.success('Voice deleted');
+    } catch (err) {
+      console.error('Error deleting voice clone:', err);
+      toast.error(err.message);
+    } finally {
+      setDeletingId(null);
+    }
+  };
+
+  return (
+    <div className="p-4 space-y-4">
+      <Card>
+        <CardHeader>
+          <h1 className="text-2xl font-bold text-gray-900 dark:text-white">
+            Voice Cloning
+          </h1>
+          <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+            Create an agency voice from recordings of a consenting speaker. Once ready, it can be picked as an agent voice.
+          </p>
+        </CardHeader>
+        <CardContent>
+          <CloneVoiceForm
+            consent={consent}
+            maxSamples={maxSamples}
+            onSubmit={handleCreate}
+          />
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+            Agency voices
+          </h2>
+        </CardHeader>
+        <CardContent>
+          {loading && voiceClones.length === 0 ? (
+            <div className="text-center py-8">
+              <div className="w-8 h-8 border-4 border-primary border-t-transparent rounded-full animate-spin mx-auto mb-2"></div>
+              <p className="text-gray-500 dark:text-gray-400">Loading voices...</p>
+            </div>
+          ) : error ? (
+            <div className="text-center py-8">
+              <p className="text-red-500 dark:text-red-400 mb-4">{error}</p>
+              <Button onClick={() => fetchVoiceClones()}>Retry</Button>
+            </div>
+          ) : voiceClones.length === 0 ? (
+            <p className="text-center py-8 text-gray-500 dark:text-gray-400">No voice has been cloned yet.</p>
+          ) : (
+            <div className="divide-y divide-gray-100 dark:divide-gray-800">
+              {voiceClones.map((voiceClone) => (
+                <div key={voiceClone.id} className="flex items-center justify-between gap-4 py-3 px-4">
+                  <div>
+                    <p className="text-sm font-medium text-gray-900 dark:text-white">
+                      {voiceClone.name}
+                      <span className="ml-2 text-xs font-normal text-gray-500 dark:text-gray-400">{voiceClone.agency_name}</span>
+                    </p>
+                    <p className="text-xs text-gray-500 dark:text-gray-400">
+                      {voiceClone.samples?.length ?? 0} samples
+                      {voiceClone.consent && ` · consent signed by ${voiceClone.consent.speaker_name} on ${new Date(voiceClone.consent.signed_at).toLocaleDateString()}`}
+                      {voiceClone.creator?.email && ` · by ${voiceClone.creator.email}`}
+                    </p>
+                    {voiceClone.elevenlabs_voice_id && voiceClone.status === 'ready' && (
+                      <p className="text-xs text-gray-500 dark:text-gray-400 font-mono">{voiceClone.elevenlabs_voice_id}</p>
+                    )}
+                    {voiceClone.status === 'failed' && voiceClone.error && (
+                      <p className="text-xs text-red-500 dark:text-red-400">{voiceClone.error}</p>
+                    )}
+                  </div>
+                  <div className="flex items-center gap-3">
+                    <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${STATUS_STYLES[voiceClone.status]}`}>
+                      {voiceClone.status}
+                    </span>
+                    {voiceClone.status !== 'deleted' && (
+                      <Button
+                        variant="secondary"
+                        onClick={() => handleDelete(voiceClone)}
+                        disabled={deletingId !== null}
+                      >
+                        {deletingId === voiceClone.id ? 'Deleting...' : 'Delete'}
+                      </Button>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
@@ -0,0 +1,196 @@
+import { serve } from "https://deno.land/std@0.177.0/http/server.ts";
+import { verify } from "npm:djwt@3.0.0";
+import { z } from "npm:zod@3.22.4";
+import { corsHeaders } from '../_shared/cors.ts';
+import { getSupabaseServiceClient } from "../utils/supabaseServiceClient.ts";
+
+// Validate JWT token and extract user ID
+const getUserIdFromToken = async (authHeader: string | null): Promise<string> => {
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    throw new Error("Missing or invalid Authorization header");
+  }
+  const token = authHeader.split(' ')[1];
+  const secret = Deno.env.get("AUTH_SECRET");
+
+  if (!secret || secret.length < 32) {
+    console.error("AUTH_SECRET environment variable is missing or too short.");
+    throw new Error("Authentication secret configuration error.");
+  }
+
+  try {
+    const key = new TextEncoder().encode(secret);
+    const payload = await verify(token, key, { algorithms: ["HS256"] });
+    const userId = payload?.sub || payload?.id;
+
+    if (typeof userId !== 'string' || !userId) {
+      console.error("User ID not found in JWT payload:", payload);
+      throw new Error("Invalid token payload");
+    }
+
+    return userId;
+
+  } catch (jwtError: any) {
+    console.error("JWT validation failed:", jwtError.message);
+    if (jwtError.message.toLowerCase().includes('expired')) {
+      throw new Error("Token has expired");
+    }
+    throw new Error("Invalid token signature or structure");
+  }
+};
+
+// Schema for request body: attach an existing tag, or create one by name
+const addCallTagSchema = z.object({
+  call_id: z.string().uuid("Invalid call ID format"),
+  tag_id: z.string().uuid("Invalid tag ID format").optional(),
+  name: z.string().trim().min(1, "Tag name is required").max(50).optional(),
+  color: z.string().regex(/^#[0-9a-fA-F]{6}$/, "Color must be a hex value").optional().nullable(),
+}).refine(
+  data => data.tag_id || data.name,
+  { message: "Either tag_id or name must be provided" }
+);
+
+serve(async (req) => {
+  // Handle CORS preflight
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  // Require POST method
+  if (req.method !== 'POST') {
+    return new Response(
+      JSON.stringify({ error: 'Method not allowed' }),
+      { 
+        status: 405, 
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    );
+  }
+
+  try {
+    // Validate JWT and get user ID
+    const userId = await getUserIdFromToken(req.headers.get('Authorization'));
+
+    // Parse and validate request body
+    let body;
+    try {
+      body = await req.json();
+    } catch (parseError) {
+      return new Response(
+        JSON.stringify({ error: 'Invalid JSON in request body' }),
+        { 
+          status: 400, 
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    const validationResult = addCallTagSchema.safeParse(body);
+
+    if (!validationResult.success) {
+      return new Response(
+        JSON.stringify({
+          error: 'Invalid request body',
+          details: validationResult.error.flatten()
+        }),
+        {
+          status: 400,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    const { call_id, tag_id, name, color } = validationResult.data;
+
+    const supabase = getSupabaseServiceClient();
+
+    // Check the call belongs to the user
+    const { data: call, error: callError } = await supabase
+      .from('call_history')
+      .select('id')
+      .eq('id', call_id)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (callError || !call) {
+      return new Response(
+        JSON.stringify({ error: 'Call not found or access denied' }),
+        { 
+          status: 404, 
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    // Resolve the tag, creating it when only a name was given
+    let tag;
+    if (tag_id) {
+      const { data: existingTag, error: tagError } = await supabase
+        .from('tags')
+        .select('id, name, color')
+        .eq('id', tag_id)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+      if (tagError || !existingTag) {
+        return new Response(
+          JSON.stringify({ error: 'Tag not found or access denied' }),
+          { 
+            status: 404, 
+            headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+          }
+        );
+      }
+      tag = existingTag;
+    } else {
+      const { data: upsertedTag, error: upsertError } = await supabase
+        .from('tags')
+        .upsert(
+          { user_id: userId, name, ...(color ? { color } : {}) },
+          { onConflict: 'user_id,name' }
+        )
+        .select('id, name, color')
+        .single();
+
+      if (upsertError) {
+        console.error('Database tag upsert error:', upsertError);
+        throw new Error('Failed to create tag');
+      }
+      tag = upsertedTag;
+    }
+
+    // Attach the tag (no-op if already attached)
+    const { error: linkError } = await supabase
+      .from('call_tags')
+      .upsert(
+        { call_id, tag_id: tag.id, user_id: userId },
+        { onConflict: 'call_id,tag_id', ignoreDuplicates: true }
+      );
+
+    if (linkError) {
+      console.error('Database call_tags insert error:', linkError);
+      throw new Error('Failed to tag call');
+    }
+
+    return new Response(
+      JSON.stringify({ tag }),
+      { 
+        status: 201,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    );
+
+  } catch (error) {
+    console.error('Function error:', error);
+    
+    const status = error.message.includes('Authorization') || 
+                  error.message.includes('token') ? 401 : 500;
+                  
+    return new Response(
+      JSON.stringify({ error: error.message }),
+      {
+        status,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    );
+  }
+});
@@ -0,0 +1,262 @@
+import { serve } from "https://deno.land/std@0.177.0/http/server.ts";
+import { verify } from "npm:djwt@3.0.0";
+import { z } from "npm:zod@3.22.4";
+import { corsHeaders } from '../../_shared/cors.ts';
+import { getSupabaseServiceClient } from "../../utils/supabaseServiceClient.ts";
+import {
+  createElevenLabsConvaiAgent,
+  updateElevenLabsConvaiAgent,
+  getElevenLabsConvaiAgent
+} from "../../utils/elevenlabsClient.ts";
+import { getLatestAgentDriftRun, readRemoteAgentConfig, recordAgentDriftRun } from "../../utils/agentDrift.ts";
+import { recordAgentVersion } from "../../utils/agentVersions.ts";
+import { pickVoiceSettings } from "../../utils/voiceSettings.ts";
+import { pickConversationSettings } from "../../utils/conversationSettings.ts";
+
+// Validate JWT token and extract user ID
+const getUserIdFromToken = async (authHeader: string | null): Promise<string> => {
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    throw new Error("Missing or invalid Authorization header");
+  }
+  const token = authHeader.split(' ')[1];
+  const secret = Deno.env.get("AUTH_SECRET");
+
+  if (!secret || secret.length < 32) {
+    console.error("AUTH_SECRET environment variable is missing or too short.");
+    throw new Error("Authentication secret configuration error.");
+  }
+
+  try {
+    const key = new TextEncoder().encode(secret);
+    const payload = await verify(token, key, { algorithms: ["HS256"] });
+    const userId = payload?.sub || payload?.id;
+
+    if (typeof userId !== 'string' || !userId) {
+      console.error("User ID not found in JWT payload:", payload);
+      throw new Error("Invalid token payload");
+    }
+
+    return userId;
+
+  } catch (jwtError: any) {
+    console.error("JWT validation failed:", jwtError.message);
+    if (jwtError.message.toLowerCase().includes('expired')) {
+      throw new Error("Token has expired");
+    }
+    throw new Error("Invalid token signature or structure");
+  }
+};
+
+type SupabaseClient = ReturnType<typeof getSupabaseServiceClient>;
+
+const jsonResponse = (body: unknown, status = 200) =>
+  new Response(
+    JSON.stringify(body),
+    {
+      status,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    }
+  );
+
+// POST /admin/agent-drift/:id/pull - overwrites the row with the Convai agent
+const pullRemoteAgent = async (supabase: SupabaseClient, agent: any, userId: string) => {
+  const remote = agent.elevenlabs_agent_id ? await getElevenLabsConvaiAgent(agent.elevenlabs_agent_id) : null;
+  if (!remote) {
+    return jsonResponse({ error: 'The ElevenLabs agent no longer exists: push or unlink instead' }, 409);
+  }
+
+  const remoteConfig = readRemoteAgentConfig(remote);
+  const { data: pulledAgent, error: updateError } = await supabase
+    .from('ai_agents')
+    .update({
+      agent_name: remoteConfig.agent_name,
+      // Keep our voice if the remote agent has none, the column is required
+      elevenlabs_voice_id: remoteConfig.elevenlabs_voice_id || agent.elevenlabs_voice_id,
+      system_prompt: remoteConfig.system_prompt?.trim() || agent.system_prompt,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', agent.id)
+    .select()
+    .single();
+
+  if (updateError) throw updateError;
+
+  await recordAgentVersion(supabase, pulledAgent, userId);
+
+  return jsonResponse({ agent: pulledAgent });
+};
+
+// POST /admin/agent-drift/:id/push - overwrites the Convai agent with the row, recreating it if it is gone
+const pushLocalAgent = async (supabase: SupabaseClient, agent: any) => {
+  const config = {
+    agent_name: agent.agent_name,
+    elevenlabs_voice_id: agent.elevenlabs_voice_id,
+    system_prompt: agent.system_prompt,
+    ...pickVoiceSettings(agent),
+    ...pickConversationSettings(agent)
+  };
+
+  const updated = agent.elevenlabs_agent_id
+    ? await updateElevenLabsConvaiAgent(agent.elevenlabs_agent_id, config)
+    : null;
+  const elevenlabsAgentId = updated?.agent_id || (await createElevenLabsConvaiAgent(config)).agent_id;
+
+  const { data: pushedAgent, error: updateError } = await supabase
+    .from('ai_agents')
+    .update({
+      elevenlabs_agent_id: elevenlabsAgentId,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', agent.id)
+    .select()
+    .single();
+
+  if (updateError) throw updateError;
+
+  return jsonResponse({ agent: pushedAgent, recreated: !updated });
+};
+
+// POST /admin/agent-drift/:id/unlink - forgets the Convai agent, without deleting anything in ElevenLabs
+const unlinkAgent = async (supabase: SupabaseClient, agent: any) => {
+  const { data: unlinkedAgent, error: updateError } = await supabase
+    .from('ai_agents')
+    .update({
+      elevenlabs_agent_id: null,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', agent.id)
+    .select()
+    .single();
+
+  if (updateError) throw updateError;
+
+  return jsonResponse({ agent: unlinkedAgent });
+};
+
+// POST /admin/agent-drift/remote/:elevenlabsAgentId/pull - imports an agent only ElevenLabs knows about
+const importRemoteAgent = async (supabase: SupabaseClient, elevenlabsAgentId: string, userId: string) => {
+  const { data: existing, error: existingError } = await supabase
+    .from('ai_agents')
+    .select('id')
+    .eq('elevenlabs_agent_id', elevenlabsAgentId)
+    .maybeSingle();
+
+  if (existingError) throw existingError;
+  if (existing) {
+    return jsonResponse({ error: 'This ElevenLabs agent is already linked to an agent' }, 409);
+  }
+
+  const remote = await getElevenLabsConvaiAgent(elevenlabsAgentId);
+  if (!remote) {
+    return jsonResponse({ error: 'ElevenLabs agent not found' }, 404);
+  }
+
+  const remoteConfig = readRemoteAgentConfig(remote);
+  if (!remoteConfig.elevenlabs_voice_id) {
+    return jsonResponse({ error: 'The ElevenLabs agent has no voice, set one before importing it' }, 422);
+  }
+
+  const { data: importedAgent, error: insertError } = await supabase
+    .from('ai_agents')
+    .insert({
+      agent_name: remoteConfig.agent_name || 'Imported agent',
+      elevenlabs_voice_id: remoteConfig.elevenlabs_voice_id,
+      system_prompt: remoteConfig.system_prompt?.trim() || null,
+      owner_user_id: userId,
+      is_shared: false,
+      elevenlabs_agent_id: elevenlabsAgentId
+    })
+    .select()
+    .single();
+
+  if (insertError) throw insertError;
+
+  await recordAgentVersion(supabase, importedAgent, userId);
+
+  return jsonResponse({ agent: importedAgent }, 201);
+};
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  try {
+    const userId = await getUserIdFromToken(req.headers.get('Authorization'));
+
+    const supabase = getSupabaseServiceClient();
+
+    // Verify user is admin
+    const { data: user, error: userError } = await supabase
+      .from('users')
+      .select('is_admin')
+      .eq('id', userId)
+      .single();
+
+    if (userError || !user?.is_admin) {
+      return jsonResponse({ error: 'Forbidden: Admin access required' }, 403);
+    }
+
+    // Routes: /admin/agent-drift[/check | /:id/pull|push|unlink | /remote/:elevenlabsAgentId/pull]
+    const url = new URL(req.url);
+    const segments = url.pathname.split('/').filter(Boolean);
+    const route = segments.slice(segments.indexOf('agent-drift') + 1);
+
+    // GET /admin/agent-drift - latest run of the reconciliation job, run now if it never ran
+    if (req.method === 'GET' && route.length === 0) {
+      return jsonResponse(await getLatestAgentDriftRun(supabase) || await recordAgentDriftRun(supabase));
+    }
+
+    if (req.method !== 'POST') {
+      return jsonResponse({ error: 'Method not allowed' }, 405);
+    }
+
+    // POST /admin/agent-drift/check - runs the reconciliation now
+    if (route[0] === 'check' && route.length === 1) {
+      return jsonResponse(await recordAgentDriftRun(supabase));
+    }
+
+    if (route[0] === 'remote') {
+      const [, elevenlabsAgentId, remoteAction] = route;
+      if (!elevenlabsAgentId || remoteAction !== 'pull') {
+        return jsonResponse({ error: 'Not found' }, 404);
+      }
+      return await importRemoteAgent(supabase, elevenlabsAgentId, userId);
+    }
+
+    const [agentId, action] = route;
+    if (!agentId || !z.string().uuid().safeParse(agentId).success) {
+      return jsonResponse({ error: 'Invalid agent ID format' }, 400);
+    }
+
+    const { data: agent, error: agentError } = await supabase
+      .from('ai_agents')
+      .select('*')
+      .eq('id', agentId)
+      .maybeSingle();
+
+    if (agentError) throw agentError;
+    if (!agent) {
+      return jsonResponse({ error: 'Agent not found' }, 404);
+    }
+
+    switch (action) {
+      case 'pull':
+        return await pullRemoteAgent(supabase, agent, userId);
+      case 'push':
+        return await pushLocalAgent(supabase, agent);
+      case 'unlink':
+        return await unlinkAgent(supabase, agent);
+      default:
+        return jsonResponse({ error: 'Not found' }, 404);
+    }
+
+  } catch (error) {
+    console.error('Function error:', error);
+
+    const status = error.message.includes('Authorization') ||
+                  error.message.includes('token') ? 401 : 500;
+
+    return jsonResponse({ error: error.message }, status);
+  }
+});
@@ -0,0 +1,288 @@
+import { serve } from "https://deno.land/std@0.177.0/http/server.ts";
+import { verify } from "npm:djwt@3.0.0";
+import { z } from "npm:zod@3.22.4";
+import { corsHeaders } from '../../_shared/cors.ts';
+import { getSupabaseServiceClient } from "../../utils/supabaseServiceClient.ts";
+import { syncPropertyKnowledgeBaseSafely } from "../../utils/knowledgeBase.ts";
+import { computeExperimentMetrics } from "../../utils/agentExperiments.ts";
+
+// Validate JWT token and extract user ID
+const getUserIdFromToken = async (authHeader: string | null): Promise<string> => {
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    throw new Error("Missing or invalid Authorization header");
+  }
+  const token = authHeader.split(' ')[1];
+  const secret = Deno.env.get("AUTH_SECRET");
+
+  if (!secret || secret.length < 32) {
+    console.error("AUTH_SECRET environment variable is missing or too short.");
+    throw new Error("Authentication secret configuration error.");
+  }
+
+  try {
+    const key = new TextEncoder().encode(secret);
+    const payload = await verify(token, key, { algorithms: ["HS256"] });
+    const userId = payload?.sub || payload?.id;
+
+    if (typeof userId !== 'string' || !userId) {
+      console.error("User ID not found in JWT payload:", payload);
+      throw new Error("Invalid token payload");
+    }
+
+    return userId;
+
+  } catch (jwtError: any) {
+    console.error("JWT validation failed:", jwtError.message);
+    if (jwtError.message.toLowerCase().includes('expired')) {
+      throw new Error("Token has expired");
+    }
+    throw new Error("Invalid token signature or structure");
+  }
+};
+
+// Schema for starting an experiment. The control is the user's current assignment.
+const createExperimentSchema = z.object({
+  user_id: z.string().uuid(),
+  name: z.string().trim().min(1, "Name is required").max(100),
+  variant_agent_id: z.string().uuid(),
+  variant_percentage: z.number().int().min(1).max(99).default(50)
+});
+
+// Schema for promoting the winning arm
+const promoteSchema = z.object({
+  variant: z.enum(['control', 'variant'])
+});
+
+const EXPERIMENT_SELECT = `
+  *,
+  user:users!agent_experiments_user_id_fkey(email),
+  control:ai_agents!control_agent_id(id, agent_name),
+  variant:ai_agents!variant_agent_id(id, agent_name)
+`;
+
+const jsonResponse = (body: unknown, status = 200) =>
+  new Response(
+    JSON.stringify(body),
+    {
+      status,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    }
+  );
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  try {
+    const userId = await getUserIdFromToken(req.headers.get('Authorization'));
+
+    const supabase = getSupabaseServiceClient();
+
+    // Verify user is admin
+    const { data: user, error: userError } = await supabase
+      .from('users')
+      .select('is_admin')
+      .eq('id', userId)
+      .single();
+
+    if (userError || !user?.is_admin) {
+      return jsonResponse({ error: 'Forbidden: Admin access required' }, 403);
+    }
+
+    // Routes: /admin/agent-experiments[/:id[/stop|/promote]]
+    const url = new URL(req.url);
+    const segments = url.pathname.split('/').filter(Boolean);
+    const [experimentId, action] = segments.slice(segments.indexOf('agent-experiments') + 1);
+
+    if (experimentId && !z.string().uuid().safeParse(experimentId).success) {
+      return jsonResponse({ error: 'Invalid experiment ID format' }, 400);
+    }
+
+    // GET /admin/agent-experiments - newest first, optionally for one user
+    if (req.method === 'GET' && !experimentId) {
+      let query = supabase
+        .from('agent_experiments')
+        .select(EXPERIMENT_SELECT)
+        .order('created_at', { ascending: false });
+
+      const filterUserId = url.searchParams.get('user_id');
+      if (filterUserId) {
+        query = query.eq('user_id', filterUserId);
+      }
+
+      const { data: experiments, error: listError } = await query;
+      if (listError) throw listError;
+
+      return jsonResponse({ experiments: experiments || [] });
+    }
+
+    // GET /admin/agent-experiments/:id - with per-arm metrics
+    if (req.method === 'GET' && !action) {
+      const { data: experiment, error: getError } = await supabase
+        .from('agent_experiments')
+        .select(EXPERIMENT_SELECT)
+        .eq('id', experimentId)
+        .maybeSingle();
+
+      if (getError) throw getError;
+      if (!experiment) {
+        return jsonResponse({ error: 'Experiment not found' }, 404);
+      }
+
+      const metrics = await computeExperimentMetrics(supabase, experiment.id);
+
+      return jsonResponse({ experiment, metrics });
+    }
+
+    // POST /admin/agent-experiments - start an experiment
+    if (req.method === 'POST' && !experimentId) {
+      const validationResult = createExperimentSchema.safeParse(await req.json().catch(() => null));
+      if (!validationResult.success) {
+        return jsonResponse({
+          error: 'Invalid request body',
+          details: validationResult.error.flatten()
+        }, 400);
+      }
+
+      const { user_id, name, variant_agent_id, variant_percentage } = validationResult.data;
+
+      const [{ data: assignment, error: assignmentError }, { data: variantAgent, error: variantError }] = await Promise.all([
+        supabase
+          .from('user_assigned_agents')
+          .select('assigned_agent_id')
+          .eq('user_id', user_id)
+          .maybeSingle(),
+        supabase
+          .from('ai_agents')
+          .select('id, is_shared, owner_user_id')
+          .eq('id', variant_agent_id)
+          .maybeSingle()
+      ]);
+
+      if (assignmentError) throw assignmentError;
+      if (variantError) throw variantError;
+
+      if (!assignment) {
+        return jsonResponse({ error: 'The user has no assigned agent to use as control' }, 400);
+      }
+      if (!variantAgent) {
+        return jsonResponse({ error: 'Variant agent not found' }, 404);
+      }
+      // Same rule as assign_agent_to_user, which promoting the variant goes through
+      if (!variantAgent.is_shared && variantAgent.owner_user_id !== user_id) {
+        return jsonResponse({ error: 'The variant must be a shared agent or one the user owns' }, 400);
+      }
+      if (assignment.assigned_agent_id === variant_agent_id) {
+        return jsonResponse({ error: 'The variant must differ from the user\'s assigned agent' }, 400);
+      }
+
+      const { data: experiment, error: createError } = await supabase
+        .from('agent_experiments')
+        .insert({
+          user_id,
+          name,
+          control_agent_id: assignment.assigned_agent_id,
+          variant_agent_id,
+          variant_percentage,
+          created_by: userId
+        })
+        .select(EXPERIMENT_SELECT)
+        .single();
+
+      if (createError) {
+        // Partial unique index: one running experiment per user
+        if (createError.code === '23505') {
+          return jsonResponse({ error: 'This user already has a running experiment' }, 409);
+        }
+        throw createError;
+      }
+
+      return jsonResponse({ experiment }, 201);
+    }
+
+    // POST /admin/agent-experiments/:id/stop - end without changing the assignment
+    if (req.method === 'POST' && action === 'stop') {
+      const { data: experiment, error: stopError } = await supabase
+        .from('agent_experiments')
+        .update({ status: 'completed', ended_at: new Date().toISOString() })
+        .eq('id', experimentId)
+        .eq('status', 'running')
+        .select(EXPERIMENT_SELECT)
+        .maybeSingle();
+
+      if (stopError) throw stopError;
+      if (!experiment) {
+        return jsonResponse({ error: 'Running experiment not found' }, 404);
+      }
+
+      return jsonResponse({ experiment });
+    }
+
+    // POST /admin/agent-experiments/:id/promote - assign the winning configuration to the user
+    if (req.method === 'POST' && action === 'promote') {
+      const validationResult = promoteSchema.safeParse(await req.json().catch(() => null));
+      if (!validationResult.success) {
+        return jsonResponse({
+          error: 'Invalid request body',
+          details: validationResult.error.flatten()
+        }, 400);
+      }
+
+      const { data: current, error: getError } = await supabase
+        .from('agent_experiments')
+        .select('id, user_id, status, control_agent_id, variant_agent_id, ended_at')
+        .eq('id', experimentId)
+        .maybeSingle();
+
+      if (getError) throw getError;
+      if (!current || current.status === 'cancelled') {
+        return jsonResponse({ error: 'Experiment not found' }, 404);
+      }
+
+      const winnerAgentId = validationResult.data.variant === 'variant'
+        ? current.variant_agent_id
+        : current.control_agent_id;
+
+      const { error: assignError } = await supabase.rpc('assign_agent_to_user', {
+        p_user_id: current.user_id,
+        p_agent_id: winnerAgentId
+      });
+
+      if (assignError) {
+        console.error('Assignment error:', assignError);
+        throw new Error('Failed to assign the winning agent');
+      }
+
+      const { data: experiment, error: updateError } = await supabase
+        .from('agent_experiments')
+        .update({
+          status: 'completed',
+          winner_agent_id: winnerAgentId,
+          ended_at: current.ended_at ?? new Date().toISOString()
+        })
+        .eq('id', experimentId)
+        .select(EXPERIMENT_SELECT)
+        .single();
+
+      if (updateError) throw updateError;
+
+      // The catalogue document follows the user's assignment
+      if (winnerAgentId !== current.control_agent_id) {
+        await syncPropertyKnowledgeBaseSafely(supabase, current.user_id);
+      }
+
+      return jsonResponse({ experiment });
+    }
+
+    return jsonResponse({ error: 'Method not allowed' }, 405);
+
+  } catch (error) {
+    console.error('Function error:', error);
+
+    const status = error.message.includes('Authorization') ||
+                  error.message.includes('token') ? 401 : 500;
+
+    return jsonResponse({ error: error.message }, status);
+  }
+});
@@ -8,6 +8,15 @@ import {
   updateElevenLabsConvaiAgent,
   deleteElevenLabsConvaiAgent 
 } from "../../utils/elevenlabsClient.ts";
+import { findUnknownPromptVariables } from "../../utils/promptTemplate.ts";
+import { syncPropertyKnowledgeBaseSafely } from "../../utils/knowledgeBase.ts";
+import { recordAgentVersion, VERSIONED_AGENT_FIELDS } from "../../utils/agentVersions.ts";
+import { voiceSettingsShape, pickVoiceSettings, findVoiceSettingsIssue } from "../../utils/voiceSettings.ts";
+import {
+  conversationSettingsShape,
+  pickConversationSettings,
+  findConversationSettingsIssue
+} from "../../utils/conversationSettings.ts";
 
 // Validate JWT token and extract user ID
 const getUserIdFromToken = async (authHeader: string | null): Promise<string> => {
@@ -47,9 +56,46 @@ const getUserIdFromToken = async (authHeader: string | null): Promise<string> =>
 const agentSchema = z.object({
   agent_name: z.string().min(1, "Agent name is required"),
   elevenlabs_voice_id: z.string().min(1, "Voice ID is required"),
-  system_prompt: z.string().min(1, "System prompt is required"),
+  system_prompt: z.string().min(1, "System prompt is required").superRefine((prompt, ctx) => {
+    // An unknown variable would be read out literally by the agent
+    const unknown = findUnknownPromptVariables(prompt);
+    if (unknown.length > 0) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: `Unknown prompt variables: ${unknown.join(', ')}`
+      });
+    }
+  }),
   description: z.string().optional(),
-  is_shared: z.boolean().default(false)
+  is_shared: z.boolean().default(false),
+  ...voiceSettingsShape,
+  ...conversationSettingsShape
+}).superRefine((agent, ctx) => {
+  const issue = findVoiceSettingsIssue(agent);
+  if (issue) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['tts_model_id'], message: issue });
+  }
+
+  const greetingIssue = findConversationSettingsIssue(agent);
+  if (greetingIssue) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['first_messages'], message: greetingIssue });
+  }
+
+  // Greetings are templates too
+  const greetings = [agent.first_message || '', ...Object.values(agent.first_messages || {})];
+  const unknown = [...new Set(greetings.flatMap(findUnknownPromptVariables))];
+  if (unknown.length > 0) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['first_message'],
+      message: `Unknown prompt variables: ${unknown.join(', ')}`
+    });
+  }
+});
+
+// Schema for rolling an agent back to one of its versions
+const rollbackSchema = z.object({
+  version_id: z.string().uuid()
 });
 
 // Schema for pagination query parameters
@@ -58,6 +104,112 @@ const paginationSchema = z.object({
   limit: z.coerce.number().int().positive().max(100).default(10)
 });
 
+type SupabaseClient = ReturnType<typeof getSupabaseServiceClient>;
+
+const jsonResponse = (body: unknown, status = 200) =>
+  new Response(
+    JSON.stringify(body),
+    {
+      status,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    }
+  );
+
+// GET /admin/ai-agents/:id/versions - newest first, with the author's email
+const listAgentVersions = async (supabase: SupabaseClient, agentId: string) => {
+  if (!z.string().uuid().safeParse(agentId).success) {
+    return jsonResponse({ error: 'Invalid agent ID format' }, 400);
+  }
+
+  const { data: versions, error } = await supabase
+    .from('ai_agent_versions')
+    .select('*')
+    .eq('ai_agent_id', agentId)
+    .order('version_number', { ascending: false });
+
+  if (error) throw error;
+
+  const authorIds = [...new Set((versions || []).map(version => version.created_by).filter(Boolean))];
+  const { data: authors, error: authorsError } = authorIds.length > 0
+    ? await supabase.from('users').select('id, email').in('id', authorIds)
+    : { data: [], error: null };
+
+  if (authorsError) throw authorsError;
+
+  const emails = new Map((authors || []).map(author => [author.id, author.email]));
+
+  return jsonResponse({
+    versions: (versions || []).map(version => ({
+      ...version,
+      author: version.created_by ? { email: emails.get(version.created_by) ?? null } : null
+    }))
+  });
+};
+
+// POST /admin/ai-agents/:id/rollback - restores an old version, in ElevenLabs first
+const rollbackAgent = async (supabase: SupabaseClient, agentId: string, userId: string, body: unknown) => {
+  const validationResult = rollbackSchema.safeParse(body);
+  if (!z.string().uuid().safeParse(agentId).success || !validationResult.success) {
+    return jsonResponse({
+      error: 'Invalid request body',
+      details: validationResult.success ? undefined : validationResult.error.flatten()
+    }, 400);
+  }
+
+  const [{ data: agent, error: agentError }, { data: version, error: versionError }] = await Promise.all([
+    supabase
+      .from('ai_agents')
+      .select('id, elevenlabs_agent_id')
+      .eq('id', agentId)
+      .maybeSingle(),
+    supabase
+      .from('ai_agent_versions')
+      .select(`id, version_number, ${VERSIONED_AGENT_FIELDS.join(', ')}`)
+      .eq('id', validationResult.data.version_id)
+      .eq('ai_agent_id', agentId)
+      .maybeSingle()
+  ]);
+
+  if (agentError) throw agentError;
+  if (versionError) throw versionError;
+
+  if (!agent || !version) {
+    return jsonResponse({ error: agent ? 'Version not found' : 'Agent not found' }, 404);
+  }
+
+  if (agent.elevenlabs_agent_id) {
+    await updateElevenLabsConvaiAgent(agent.elevenlabs_agent_id, {
+      agent_name: version.agent_name,
+      elevenlabs_voice_id: version.elevenlabs_voice_id,
+      system_prompt: version.system_prompt,
+      ...pickVoiceSettings(version),
+      ...pickConversationSettings(version)
+    });
+  }
+
+  const { data: restoredAgent, error: updateError } = await supabase
+    .from('ai_agents')
+    .update({
+      agent_name: version.agent_name,
+      system_prompt: version.system_prompt,
+      elevenlabs_voice_id: version.elevenlabs_voice_id,
+      description: version.description,
+      ...pickVoiceSettings(version),
+      ...pickConversationSettings(version),
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', agentId)
+    .select()
+    .single();
+
+  if (updateError) throw updateError;
+
+  // The rollback is itself a new version, so history stays linear
+  const newVersion = await recordAgentVersion(supabase, restoredAgent, userId, version.id);
+
+  return jsonResponse({ agent: restoredAgent, version: newVersion });
+};
+
 serve(async (req) => {
   // Handle CORS preflight
   if (req.method === 'OPTIONS') {
@@ -88,8 +240,28 @@ serve(async (req) => {
       );
     }
 
+    // Routes: /admin/ai-agents[/:id[/versions|/rollback]]
     const url = new URL(req.url);
-    const agentId = url.pathname.split('/').pop();
+    const segments = url.pathname.split('/').filter(Boolean);
+    const [agentId, action] = segments.slice(segments.indexOf('ai-agents') + 1);
+
+    if (action === 'versions' && req.method === 'GET') {
+      return await listAgentVersions(supabase, agentId);
+    }
+
+    if (action === 'rollback' && req.method === 'POST') {
+      return await rollbackAgent(supabase, agentId, userId, await req.json());
+    }
+
+    if (action) {
+      return new Response(
+        JSON.stringify({ error: 'Not found' }),
+        {
+          status: 404,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        }
+      );
+    }
 
     // Handle different HTTP methods
     switch (req.method) {
@@ -165,7 +337,9 @@ serve(async (req) => {
         const elAgent = await createElevenLabsConvaiAgent({
           agent_name: validatedData.agent_name,
           elevenlabs_voice_id: validatedData.elevenlabs_voice_id,
-          system_prompt: validatedData.system_prompt
+          system_prompt: validatedData.system_prompt,
+          ...pickVoiceSettings(validatedData),
+          ...pickConversationSettings(validatedData)
         });
 
         // Create agent in database
@@ -181,6 +355,8 @@ serve(async (req) => {
 
         if (createError) throw createError;
 
+        await recordAgentVersion(supabase, newAgent, userId);
+
         return new Response(
           JSON.stringify(newAgent),
           { 
@@ -208,7 +384,7 @@ serve(async (req) => {
         // Get existing agent
         const { data: existingAgent, error: getError } = await supabase
           .from('ai_agents')
-          .select('elevenlabs_agent_id')
+          .select('elevenlabs_agent_id, is_shared')
           .eq('id', agentId)
           .single();
 
@@ -231,7 +407,9 @@ serve(async (req) => {
           {
             agent_name: validatedData.agent_name,
             elevenlabs_voice_id: validatedData.elevenlabs_voice_id,
-            system_prompt: validatedData.system_prompt
+            system_prompt: validatedData.system_prompt,
+            ...pickVoiceSettings(validatedData),
+            ...pickConversationSettings(validatedData)
           }
         );
 
@@ -249,6 +427,20 @@ serve(async (req) => {
 
         if (updateError) throw updateError;
 
+        await recordAgentVersion(supabase, updatedAgent, userId);
+
+        // A newly shared agent must not keep the catalogue of the users it served until now
+        if (updatedAgent.is_shared && !existingAgent.is_shared) {
+          const { data: assignments } = await supabase
+            .from('user_assigned_agents')
+            .select('user_id')
+            .eq('assigned_agent_id', agentId);
+
+          for (const { user_id } of assignments || []) {
+            await syncPropertyKnowledgeBaseSafely(supabase, user_id);
+          }
+        }
+
         return new Response(
           JSON.stringify(updatedAgent),
           { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
@@ -324,7 +516,8 @@ serve(async (req) => {
   } catch (error) {
     console.error('Function error:', error);
     
-    const status = error.message.includes('Authorization') || 
+    const status = error instanceof z.ZodError ? 400
+                  : error.message.includes('Authorization') || 
                   error.message.includes('token') ? 401
                   : error.message.includes('validation failed') ? 400
                   : error.message.includes('not found') ? 404
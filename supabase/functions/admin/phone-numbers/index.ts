@@ -0,0 +1,200 @@
+import { serve } from "https://deno.land/std@0.177.0/http/server.ts";
+import { verify } from "npm:djwt@3.0.0";
+import { z } from "npm:zod@3.22.4";
+import { corsHeaders } from '../../_shared/cors.ts';
+import { getSupabaseServiceClient } from "../../utils/supabaseServiceClient.ts";
+import {
+  assignPhoneNumber,
+  importPhoneNumbers,
+  listPhoneNumbers
+} from "../../utils/phoneNumbers.ts";
+
+// Validate JWT token and extract user ID
+const getUserIdFromToken = async (authHeader: string | null): Promise<string> => {
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    throw new Error("Missing or invalid Authorization header");
+  }
+  const token = authHeader.split(' ')[1];
+  const secret = Deno.env.get("AUTH_SECRET");
+
+  if (!secret || secret.length < 32) {
+    console.error("AUTH_SECRET environment variable is missing or too short.");
+    throw new Error("Authentication secret configuration error.");
+  }
+
+  try {
+    const key = new TextEncoder().encode(secret);
+    const payload = await verify(token, key, { algorithms: ["HS256"] });
+    const userId = payload?.sub || payload?.id;
+
+    if (typeof userId !== 'string' || !userId) {
+      console.error("User ID not found in JWT payload:", payload);
+      throw new Error("Invalid token payload");
+    }
+
+    return userId;
+
+  } catch (jwtError: any) {
+    console.error("JWT validation failed:", jwtError.message);
+    if (jwtError.message.toLowerCase().includes('expired')) {
+      throw new Error("Token has expired");
+    }
+    throw new Error("Invalid token signature or structure");
+  }
+};
+
+// Schema for assigning a number. NULL leaves the number unassigned.
+const assignmentSchema = z.object({
+  user_id: z.string().uuid().nullable(),
+  ai_agent_id: z.string().uuid().nullable()
+});
+
+const jsonResponse = (body: unknown, status = 200) =>
+  new Response(
+    JSON.stringify(body),
+    {
+      status,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    }
+  );
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  try {
+    const userId = await getUserIdFromToken(req.headers.get('Authorization'));
+
+    const supabase = getSupabaseServiceClient();
+
+    // Verify user is admin
+    const { data: user, error: userError } = await supabase
+      .from('users')
+      .select('is_admin')
+      .eq('id', userId)
+      .single();
+
+    if (userError || !user?.is_admin) {
+      return jsonResponse({ error: 'Forbidden: Admin access required' }, 403);
+    }
+
+    // Routes: /admin/phone-numbers[/import | /:id]
+    const url = new URL(req.url);
+    const segments = url.pathname.split('/').filter(Boolean);
+    const [target] = segments.slice(segments.indexOf('phone-numbers') + 1);
+
+    // GET /admin/phone-numbers - the inventory, with the users and agents it can be assigned to
+    if (req.method === 'GET' && !target) {
+      const [phoneNumbers, { data: users, error: usersError }, { data: agents, error: agentsError }] = await Promise.all([
+        listPhoneNumbers(supabase),
+        supabase
+          .from('users')
+          .select('id, email, name')
+          .order('email', { ascending: true }),
+        supabase
+          .from('ai_agents')
+          .select('id, agent_name, elevenlabs_agent_id')
+          .order('agent_name', { ascending: true })
+      ]);
+
+      if (usersError || agentsError) throw usersError || agentsError;
+
+      return jsonResponse({ phone_numbers: phoneNumbers, users: users || [], agents: agents || [] });
+    }
+
+    // POST /admin/phone-numbers/import - pull the numbers of the telephony provider from ElevenLabs
+    if (req.method === 'POST' && target === 'import') {
+      let counts;
+      try {
+        counts = await importPhoneNumbers(supabase);
+      } catch (elError: any) {
+        if (!elError?.status) throw elError;
+        console.error('ElevenLabs phone numbers error:', elError);
+        return jsonResponse({ error: `ElevenLabs could not list the phone numbers: ${elError.message}` }, 502);
+      }
+
+      return jsonResponse({ ...counts, phone_numbers: await listPhoneNumbers(supabase) });
+    }
+
+    if (!target || !z.string().uuid().safeParse(target).success) {
+      return jsonResponse({ error: 'Invalid phone number ID format' }, 400);
+    }
+
+    // PUT /admin/phone-numbers/:id - assign the number to a user and the agent answering it
+    if (req.method === 'PUT') {
+      const validationResult = assignmentSchema.safeParse(await req.json().catch(() => null));
+      if (!validationResult.success) {
+        return jsonResponse({ error: 'Invalid request body', details: validationResult.error.flatten() }, 400);
+      }
+
+      const assignment = validationResult.data;
+
+      const { data: phoneNumber, error: phoneNumberError } = await supabase
+        .from('phone_numbers')
+        .select('id, elevenlabs_phone_number_id, ai_agent_id, released_at')
+        .eq('id', target)
+        .maybeSingle();
+
+      if (phoneNumberError) throw phoneNumberError;
+      if (!phoneNumber) {
+        return jsonResponse({ error: 'Phone number not found' }, 404);
+      }
+      if (phoneNumber.released_at) {
+        return jsonResponse({ error: 'This number is no longer in the provider account' }, 409);
+      }
+
+      if (assignment.user_id) {
+        const { data: assignee, error: assigneeError } = await supabase
+          .from('users')
+          .select('id')
+          .eq('id', assignment.user_id)
+          .maybeSingle();
+
+        if (assigneeError) throw assigneeError;
+        if (!assignee) {
+          return jsonResponse({ error: 'User not found' }, 404);
+        }
+      }
+
+      let elevenlabsAgentId: string | null = null;
+      if (assignment.ai_agent_id) {
+        const { data: agent, error: agentError } = await supabase
+          .from('ai_agents')
+          .select('elevenlabs_agent_id')
+          .eq('id', assignment.ai_agent_id)
+          .maybeSingle();
+
+        if (agentError) throw agentError;
+        if (!agent) {
+          return jsonResponse({ error: 'Agent not found' }, 404);
+        }
+        if (!agent.elevenlabs_agent_id) {
+          return jsonResponse({ error: 'This agent is not deployed on ElevenLabs yet' }, 400);
+        }
+        elevenlabsAgentId = agent.elevenlabs_agent_id;
+      }
+
+      let saved;
+      try {
+        saved = await assignPhoneNumber(supabase, phoneNumber, assignment, elevenlabsAgentId);
+      } catch (elError: any) {
+        if (!elError?.status) throw elError;
+        console.error('ElevenLabs phone number routing error:', elError);
+        return jsonResponse({ error: `ElevenLabs could not route the number: ${elError.message}` }, 502);
+      }
+
+      return jsonResponse({ phone_number: saved });
+    }
+
+    return jsonResponse({ error: 'Method not allowed' }, 405);
+
+  } catch (error) {
+    console.error('Function error:', error);
+
+    const status = error.message.includes('Authorization') ||
+                  error.message.includes('token') ? 401 : 500;
+
+    return jsonResponse({ error: error.message }, status);
+  }
+});
@@ -0,0 +1,190 @@
+import { serve } from "https://deno.land/std@0.177.0/http/server.ts";
+import { verify } from "npm:djwt@3.0.0";
+import { z } from "npm:zod@3.22.4";
+import { corsHeaders } from '../../_shared/cors.ts';
+import { getSupabaseServiceClient } from "../../utils/supabaseServiceClient.ts";
+import { getUsagePeriod } from "../../utils/usageMetering.ts";
+
+// Validate JWT token and extract user ID
+const getUserIdFromToken = async (authHeader: string | null): Promise<string> => {
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    throw new Error("Missing or invalid Authorization header");
+  }
+  const token = authHeader.split(' ')[1];
+  const secret = Deno.env.get("AUTH_SECRET");
+
+  if (!secret || secret.length < 32) {
+    console.error("AUTH_SECRET environment variable is missing or too short.");
+    throw new Error("Authentication secret configuration error.");
+  }
+
+  try {
+    const key = new TextEncoder().encode(secret);
+    const payload = await verify(token, key, { algorithms: ["HS256"] });
+    const userId = payload?.sub || payload?.id;
+
+    if (typeof userId !== 'string' || !userId) {
+      console.error("User ID not found in JWT payload:", payload);
+      throw new Error("Invalid token payload");
+    }
+
+    return userId;
+
+  } catch (jwtError: any) {
+    console.error("JWT validation failed:", jwtError.message);
+    if (jwtError.message.toLowerCase().includes('expired')) {
+      throw new Error("Token has expired");
+    }
+    throw new Error("Invalid token signature or structure");
+  }
+};
+
+// Schema for setting the monthly quota of a user. NULL removes the limit.
+const quotaSchema = z.object({
+  monthly_minutes: z.number().int().min(1).max(100000).nullable()
+});
+
+const jsonResponse = (body: unknown, status = 200) =>
+  new Response(
+    JSON.stringify(body),
+    {
+      status,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    }
+  );
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  try {
+    const userId = await getUserIdFromToken(req.headers.get('Authorization'));
+
+    const supabase = getSupabaseServiceClient();
+
+    // Verify user is admin
+    const { data: user, error: userError } = await supabase
+      .from('users')
+      .select('is_admin')
+      .eq('id', userId)
+      .single();
+
+    if (userError || !user?.is_admin) {
+      return jsonResponse({ error: 'Forbidden: Admin access required' }, 403);
+    }
+
+    // Routes: /admin/usage[/:userId/quota]
+    const url = new URL(req.url);
+    const segments = url.pathname.split('/').filter(Boolean);
+    const [targetUserId, action] = segments.slice(segments.indexOf('usage') + 1);
+
+    if (targetUserId && !z.string().uuid().safeParse(targetUserId).success) {
+      return jsonResponse({ error: 'Invalid user ID format' }, 400);
+    }
+
+    // GET /admin/usage?month=YYYY-MM - usage of every user for a month, the current one by default
+    if (req.method === 'GET' && !targetUserId) {
+      const month = url.searchParams.get('month');
+      if (month && !/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+        return jsonResponse({ error: 'Invalid month, expected YYYY-MM' }, 400);
+      }
+      const period = month ? `${month}-01` : getUsagePeriod();
+
+      const [{ data: users, error: usersError }, { data: usage, error: usageError }, { data: quotas, error: quotasError }] =
+        await Promise.all([
+          supabase
+            .from('users')
+            .select('id, email, name')
+            .order('email', { ascending: true }),
+          supabase
+            .from('monthly_usage')
+            .select('user_id, conversation_count, call_seconds, test_seconds, total_seconds')
+            .eq('period_month', period),
+          supabase
+            .from('usage_quotas')
+            .select('user_id, monthly_minutes')
+        ]);
+
+      if (usersError || usageError || quotasError) throw usersError || usageError || quotasError;
+
+      const usageByUser = new Map((usage || []).map(row => [row.user_id, row]));
+      const quotaByUser = new Map((quotas || []).map(row => [row.user_id, row.monthly_minutes]));
+
+      const rows = (users || []).map(({ id, email, name }) => {
+        const totals = usageByUser.get(id);
+        const quotaMinutes = quotaByUser.get(id) ?? null;
+        const totalSeconds = totals?.total_seconds ?? 0;
+        return {
+          user_id: id,
+          email,
+          name,
+          conversation_count: totals?.conversation_count ?? 0,
+          call_seconds: totals?.call_seconds ?? 0,
+          test_seconds: totals?.test_seconds ?? 0,
+          total_seconds: totalSeconds,
+          quota_minutes: quotaMinutes,
+          percent_used: quotaMinutes ? Math.round((totalSeconds / (quotaMinutes * 60)) * 100) : null
+        };
+      });
+
+      // Heaviest users first
+      rows.sort((a, b) => b.total_seconds - a.total_seconds);
+
+      return jsonResponse({ period, users: rows });
+    }
+
+    // PUT /admin/usage/:userId/quota - set or remove the monthly quota
+    if (req.method === 'PUT' && targetUserId && action === 'quota') {
+      const validationResult = quotaSchema.safeParse(await req.json().catch(() => null));
+      if (!validationResult.success) {
+        return jsonResponse({ error: 'Invalid request body', details: validationResult.error.flatten() }, 400);
+      }
+
+      const { monthly_minutes } = validationResult.data;
+
+      if (monthly_minutes === null) {
+        const { error: deleteError } = await supabase
+          .from('usage_quotas')
+          .delete()
+          .eq('user_id', targetUserId);
+
+        if (deleteError) throw deleteError;
+
+        return jsonResponse({ quota: null });
+      }
+
+      const { data: targetUser, error: targetError } = await supabase
+        .from('users')
+        .select('id')
+        .eq('id', targetUserId)
+        .maybeSingle();
+
+      if (targetError) throw targetError;
+      if (!targetUser) {
+        return jsonResponse({ error: 'User not found' }, 404);
+      }
+
+      // Raising or lowering the quota lets the warning go out again this month
+      const { data: quota, error: upsertError } = await supabase
+        .from('usage_quotas')
+        .upsert({ user_id: targetUserId, monthly_minutes, warned_period: null }, { onConflict: 'user_id' })
+        .select('user_id, monthly_minutes, updated_at')
+        .single();
+
+      if (upsertError) throw upsertError;
+
+      return jsonResponse({ quota });
+    }
+
+    return jsonResponse({ error: 'Method not allowed' }, 405);
+
+  } catch (error) {
+    console.error('Function error:', error);
+
+    const status = error.message.includes('Authorization') ||
+                  error.message.includes('token') ? 401 : 500;
+
+    return jsonResponse({ error: error.message }, status);
+  }
+});
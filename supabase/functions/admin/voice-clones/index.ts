@@ -0,0 +1,216 @@
+import { serve } from "https://deno.land/std@0.177.0/http/server.ts";
+import { verify } from "npm:djwt@3.0.0";
+import { z } from "npm:zod@3.22.4";
+import { corsHeaders } from '../../_shared/cors.ts';
+import { getSupabaseServiceClient } from "../../utils/supabaseServiceClient.ts";
+import {
+  CONSENT_TEXT,
+  CONSENT_VERSION,
+  MAX_SAMPLES,
+  createVoiceClone,
+  deleteVoiceClone,
+  findSamplesIssue,
+  isSignatureValid,
+  listVoiceClones,
+  type VoiceSample
+} from "../../utils/voiceClones.ts";
+
+// Validate JWT token and extract user ID
+const getUserIdFromToken = async (authHeader: string | null): Promise<string> => {
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    throw new Error("Missing or invalid Authorization header");
+  }
+  const token = authHeader.split(' ')[1];
+  const secret = Deno.env.get("AUTH_SECRET");
+
+  if (!secret || secret.length < 32) {
+    console.error("AUTH_SECRET environment variable is missing or too short.");
+    throw new Error("Authentication secret configuration error.");
+  }
+
+  try {
+    const key = new TextEncoder().encode(secret);
+    const payload = await verify(token, key, { algorithms: ["HS256"] });
+    const userId = payload?.sub || payload?.id;
+
+    if (typeof userId !== 'string' || !userId) {
+      console.error("User ID not found in JWT payload:", payload);
+      throw new Error("Invalid token payload");
+    }
+
+    return userId;
+
+  } catch (jwtError: any) {
+    console.error("JWT validation failed:", jwtError.message);
+    if (jwtError.message.toLowerCase().includes('expired')) {
+      throw new Error("Token has expired");
+    }
+    throw new Error("Invalid token signature or structure");
+  }
+};
+
+// Text fields of the multipart body creating a voice clone; the samples come as `files`
+const createVoiceCloneSchema = z.object({
+  name: z.string().trim().min(1, "Name is required").max(100),
+  agency_name: z.string().trim().min(1, "Agency is required").max(100),
+  description: z.string().trim().max(500).optional().transform(value => value || null),
+  speaker_name: z.string().trim().min(1, "Speaker name is required").max(100),
+  speaker_email: z.string().trim().email(),
+  signature: z.string().trim().min(1, "Signature is required").max(100),
+  consent_version: z.string(),
+  consent_accepted: z.literal('true', { errorMap: () => ({ message: 'The speaker must accept the consent' }) })
+});
+
+const jsonResponse = (body: unknown, status = 200) =>
+  new Response(
+    JSON.stringify(body),
+    {
+      status,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    }
+  );
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  try {
+    const userId = await getUserIdFromToken(req.headers.get('Authorization'));
+
+    const supabase = getSupabaseServiceClient();
+
+    // Verify user is admin
+    const { data: user, error: userError } = await supabase
+      .from('users')
+      .select('is_admin')
+      .eq('id', userId)
+      .single();
+
+    if (userError || !user?.is_admin) {
+      return jsonResponse({ error: 'Forbidden: Admin access required' }, 403);
+    }
+
+    // Routes: /admin/voice-clones[/:id]
+    const url = new URL(req.url);
+    const segments = url.pathname.split('/').filter(Boolean);
+    const [voiceCloneId] = segments.slice(segments.indexOf('voice-clones') + 1);
+
+    if (voiceCloneId && !z.string().uuid().safeParse(voiceCloneId).success) {
+      return jsonResponse({ error: 'Invalid voice clone ID format' }, 400);
+    }
+
+    // GET /admin/voice-clones[?status=ready] - with the consent the speaker has to sign
+    if (req.method === 'GET' && !voiceCloneId) {
+      const voiceClones = await listVoiceClones(supabase, { readyOnly: url.searchParams.get('status') === 'ready' });
+
+      return jsonResponse({
+        voice_clones: voiceClones,
+        consent: { version: CONSENT_VERSION, text: CONSENT_TEXT },
+        max_samples: MAX_SAMPLES
+      });
+    }
+
+    // POST /admin/voice-clones - multipart: text fields, consent signature and `files`
+    if (req.method === 'POST' && !voiceCloneId) {
+      const form = await req.formData().catch(() => null);
+      if (!form) {
+        return jsonResponse({ error: 'Expected a multipart/form-data body' }, 400);
+      }
+
+      const fields = Object.fromEntries(
+        [...form.entries()].filter(([, value]) => typeof value === 'string')
+      );
+      const validationResult = createVoiceCloneSchema.safeParse(fields);
+      if (!validationResult.success) {
+        return jsonResponse({ error: 'Invalid request body', details: validationResult.error.flatten() }, 400);
+      }
+
+      const data = validationResult.data;
+
+      // The speaker must have read the current wording
+      if (data.consent_version !== CONSENT_VERSION) {
+        return jsonResponse({ error: 'The consent text has changed, reload the page and sign again' }, 409);
+      }
+      if (!isSignatureValid(data)) {
+        return jsonResponse({ error: 'The signature must be the full name of the speaker' }, 400);
+      }
+
+      const samples: VoiceSample[] = form.getAll('files')
+        .filter((value): value is File => value instanceof File)
+        .map(file => ({ file, fileName: file.name || 'sample' }));
+
+      const samplesIssue = findSamplesIssue(samples);
+      if (samplesIssue) {
+        return jsonResponse({ error: samplesIssue }, 400);
+      }
+
+      const voiceClone = await createVoiceClone(supabase, {
+        name: data.name,
+        agencyName: data.agency_name,
+        description: data.description,
+        samples,
+        consent: data,
+        recordedBy: userId,
+        ipAddress: req.headers.get('x-forwarded-for')?.split(',')[0].trim() || null,
+        userAgent: req.headers.get('user-agent')
+      });
+
+      if (voiceClone.status === 'failed') {
+        return jsonResponse({ error: `ElevenLabs could not create the voice: ${voiceClone.error}`, voice_clone: voiceClone }, 502);
+      }
+
+      return jsonResponse({ voice_clone: voiceClone }, 201);
+    }
+
+    // DELETE /admin/voice-clones/:id - refused while an agent speaks with the voice
+    if (req.method === 'DELETE' && voiceCloneId) {
+      const { data: clone, error: cloneError } = await supabase
+        .from('voice_clones')
+        .select('elevenlabs_voice_id')
+        .eq('id', voiceCloneId)
+        .maybeSingle();
+
+      if (cloneError) throw cloneError;
+      if (!clone) {
+        return jsonResponse({ error: 'Voice clone not found' }, 404);
+      }
+
+      if (clone.elevenlabs_voice_id) {
+        const { data: agents, error: agentsError } = await supabase
+          .from('ai_agents')
+          .select('agent_name')
+          .eq('elevenlabs_voice_id', clone.elevenlabs_voice_id);
+
+        const { count: overrideCount, error: overridesError } = await supabase
+          .from('user_agent_overrides')
+          .select('user_id', { count: 'exact', head: true })
+          .eq('elevenlabs_voice_id', clone.elevenlabs_voice_id);
+
+        if (agentsError || overridesError) throw agentsError || overridesError;
+        if (agents?.length) {
+          return jsonResponse({
+            error: `The voice is used by ${agents.map(agent => agent.agent_name).join(', ')}: change their voice first`
+          }, 409);
+        }
+        if (overrideCount) {
+          return jsonResponse({ error: `${overrideCount} users chose this voice for their agent` }, 409);
+        }
+      }
+
+      const voiceClone = await deleteVoiceClone(supabase, voiceCloneId);
+
+      return jsonResponse({ voice_clone: voiceClone });
+    }
+
+    return jsonResponse({ error: 'Method not allowed' }, 405);
+
+  } catch (error) {
+    console.error('Function error:', error);
+
+    const status = error.message.includes('Authorization') ||
+                  error.message.includes('token') ? 401 : 500;
+
+    return jsonResponse({ error: error.message }, status);
+  }
+});
@@ -0,0 +1,354 @@
+import { serve } from "https://deno.land/std@0.177.0/http/server.ts";
+import { z } from "npm:zod@3.22.4";
+import { corsHeaders } from '../_shared/cors.ts';
+import { getSupabaseServiceClient } from "../utils/supabaseServiceClient.ts";
+import { verifyToolSecret, logToolInvocation } from "../utils/agentTools.ts";
+import { resolveConversationOwner } from "../utils/callOwnership.ts";
+import { findOrCreateCallerContact, normalizePhoneNumber } from "../utils/contactMatching.ts";
+import { getCalComAvailableSlots, createCalComBooking, cancelCalComBooking } from "../utils/calcomClient.ts";
+
+// This endpoint is called by ElevenLabs during live calls, not by our users:
+// deploy it with `--no-verify-jwt`. Requests carry the shared tool secret instead.
+
+type SupabaseClient = ReturnType<typeof getSupabaseServiceClient>;
+
+const TIME_ZONE = 'Europe/Paris';
+
+// Enough choice for the caller without reading out a whole calendar
+const MAX_SLOTS = 8;
+const MAX_RANGE_DAYS = 14;
+
+const contextSchema = z.object({
+  agent_id: z.string().min(1),
+  conversation_id: z.string().min(1),
+  // Empty when the conversation could not be attributed: ElevenLabs then sends the placeholder
+  prospeo_user_id: z.preprocess(value => value || undefined, z.string().uuid().optional()),
+  // Set on in-browser tests only
+  prospeo_test_session: z.preprocess(value => value || undefined, z.string().uuid().optional()),
+  // Only phone calls have one
+  call_sid: z.preprocess(value => value || undefined, z.string().optional()),
+  // Tells when the conversation started, for test sessions that expired since
+  call_duration_secs: z.preprocess(value => value === '' ? undefined : value, z.coerce.number().nonnegative().optional()),
+});
+
+const availabilitySchema = contextSchema.extend({
+  date_from: z.string().regex(/^\d{4}-\d{2}-\d{2}$/).optional(),
+  date_to: z.string().regex(/^\d{4}-\d{2}-\d{2}$/).optional(),
+});
+
+const bookingSchema = contextSchema.extend({
+  caller_id: z.string().optional().nullable(),
+  start: z.string().datetime({ offset: true }),
+  property_id: z.string().uuid().optional(),
+  attendee_name: z.string().trim().min(1),
+  attendee_email: z.string().email().optional(),
+});
+
+interface ToolContext {
+  supabase: SupabaseClient;
+  userId: string;
+  eventTypeId: string;
+}
+
+const addDays = (date: Date, days: number) => new Date(date.getTime() + days * 24 * 60 * 60 * 1000);
+
+// Spoken form of a slot, e.g. "lundi 7 avril à 10:00"
+const formatSlotLabel = (isoDate: string) =>
+  new Date(isoDate).toLocaleString('fr-FR', {
+    timeZone: TIME_ZONE,
+    weekday: 'long',
+    day: 'numeric',
+    month: 'long',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+
+// Per-user event type, falling back to the project-wide one
+const getEventTypeId = async (supabase: SupabaseClient, userId: string): Promise<string | null> => {
+  const { data: user, error } = await supabase
+    .from('users')
+    .select('calcom_event_type_id')
+    .eq('id', userId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Database user lookup error:', error);
+    throw new Error('Failed to load Cal.com settings');
+  }
+
+  return user?.calcom_event_type_id || Deno.env.get('CALCOM_EVENT_TYPE_ID') || null;
+};
+
+const checkAvailability = async (
+  { eventTypeId }: ToolContext,
+  params: z.infer<typeof availabilitySchema>
+) => {
+  const from = params.date_from ? new Date(`${params.date_from}T00:00:00Z`) : new Date();
+  const requestedTo = params.date_to ? new Date(`${params.date_to}T23:59:59Z`) : addDays(from, 7);
+  const to = requestedTo > addDays(from, MAX_RANGE_DAYS) ? addDays(from, MAX_RANGE_DAYS) : requestedTo;
+
+  const slots = await getCalComAvailableSlots({
+    eventTypeId,
+    startTime: from.toISOString(),
+    endTime: to.toISOString(),
+    timeZone: TIME_ZONE,
+  });
+
+  const upcoming = slots.filter(slot => new Date(slot) > new Date()).slice(0, MAX_SLOTS);
+
+  return {
+    resultCount: upcoming.length,
+    body: {
+      time_zone: TIME_ZONE,
+      slots: upcoming.map(slot => ({
+        start: slot,
+        label: formatSlotLabel(slot),
+      })),
+    },
+  };
+};
+
+const bookVisit = async (
+  { supabase, userId, eventTypeId }: ToolContext,
+  params: z.infer<typeof bookingSchema>
+) => {
+  let property = null;
+  if (params.property_id) {
+    const { data, error } = await supabase
+      .from('properties')
+      .select('id, name, address, city')
+      .eq('id', params.property_id)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Database property lookup error:', error);
+      throw new Error('Failed to fetch property');
+    }
+    if (!data) {
+      return { resultCount: 0, body: { error: 'Bien introuvable dans le catalogue' } };
+    }
+    property = data;
+  }
+
+  // Same contact the post-call webhook will link the call to
+  let contactId: string | null = null;
+  let contactEmail: string | null = null;
+  if (params.caller_id) {
+    const match = await findOrCreateCallerContact(supabase, userId, params.caller_id, new Date().toISOString());
+    if (match) {
+      contactId = match.contactId;
+      const [firstName, ...lastName] = params.attendee_name.split(/\s+/);
+      const { data: contact, error: contactError } = await supabase
+        .from('contacts')
+        .select('email, first_name')
+        .eq('id', contactId)
+        .single();
+
+      if (contactError) {
+        console.error('Database contact lookup error:', contactError);
+      } else {
+        contactEmail = contact.email;
+        // Replace the placeholder name of a freshly created lead with the one the caller gave
+        const updates: Record<string, string> = {};
+        if (match.created || contact.first_name === 'Appelant') {
+          updates.first_name = firstName;
+          updates.last_name = lastName.join(' ') || firstName;
+        }
+        if (params.attendee_email && !contact.email) updates.email = params.attendee_email;
+        if (Object.keys(updates).length > 0) {
+          await supabase.from('contacts').update(updates).eq('id', contactId);
+        }
+      }
+    }
+  }
+
+  // Cal.com requires an email; callers often give none on the phone
+  const phoneDigits = normalizePhoneNumber(params.caller_id)?.replace('+', '') || 'inconnu';
+  const email = params.attendee_email || contactEmail || `appel-${phoneDigits}@no-reply.prospeo.fr`;
+
+  const booking = await createCalComBooking({
+    eventTypeId,
+    start: params.start,
+    name: params.attendee_name,
+    email,
+    phone: normalizePhoneNumber(params.caller_id),
+    notes: property ? `Visite : ${property.name}` : null,
+    timeZone: TIME_ZONE,
+    metadata: { conversation_id: params.conversation_id },
+  });
+
+  const { data: appointment, error: insertError } = await supabase
+    .from('appointments')
+    .insert({
+      user_id: userId,
+      contact_id: contactId,
+      property_id: property?.id ?? null,
+      title: property ? `Visite - ${property.name}` : `Visite - ${params.attendee_name}`,
+      description: 'Rendez-vous pris par l\'agent IA pendant un appel.',
+      start_time: booking.start_time,
+      end_time: booking.end_time,
+      status: 'scheduled',
+      type: 'visit',
+      location: property ? [property.address, property.city].filter(Boolean).join(', ') || null : null,
+      calcom_booking_id: booking.calcom_booking_id,
+      calcom_event_type_id: eventTypeId,
+      attendee_name: params.attendee_name,
+      attendee_email: email,
+    })
+    .select('id, start_time')
+    .single();
+
+  if (insertError) {
+    console.error('Database appointment insert error:', insertError);
+    // Free the slot: a booking without its appointment is invisible in the CRM, and the agent may book again
+    await cancelCalComBooking(booking.id, 'Le rendez-vous n\'a pas pu être enregistré').catch((cancelError) =>
+      console.error(`Could not cancel Cal.com booking ${booking.calcom_booking_id}:`, cancelError)
+    );
+    throw new Error('Failed to save appointment');
+  }
+
+  return {
+    resultCount: 1,
+    body: {
+      booked: true,
+      appointment_id: appointment.id,
+      start: appointment.start_time,
+      label: formatSlotLabel(appointment.start_time),
+    },
+  };
+};
+
+const tools = {
+  check_availability: { schema: availabilitySchema, handler: checkAvailability },
+  book_visit: { schema: bookingSchema, handler: bookVisit },
+} as const;
+
+type ToolName = keyof typeof tools;
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  if (req.method !== 'POST') {
+    return new Response(
+      JSON.stringify({ error: 'Method not allowed' }),
+      {
+        status: 405,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    );
+  }
+
+  const startedAt = Date.now();
+
+  try {
+    verifyToolSecret(req);
+
+    // Extract tool name from URL path: /agent-booking-tools/:toolName
+    const url = new URL(req.url);
+    const toolName = url.pathname.split('/').pop() as ToolName;
+    const tool = tools[toolName];
+
+    if (!tool) {
+      return new Response(
+        JSON.stringify({ error: `Unknown tool: ${toolName}` }),
+        {
+          status: 404,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    let body;
+    try {
+      body = await req.json();
+    } catch (parseError) {
+      return new Response(
+        JSON.stringify({ error: 'Invalid JSON in request body' }),
+        {
+          status: 400,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    const validationResult = tool.schema.safeParse(body);
+    if (!validationResult.success) {
+      return new Response(
+        JSON.stringify({
+          error: 'Invalid tool parameters',
+          details: validationResult.error.flatten()
+        }),
+        {
+          status: 400,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    const params = validationResult.data;
+    const { agent_id, conversation_id, prospeo_user_id, prospeo_test_session, call_sid, call_duration_secs, ...toolParameters } = params;
+
+    const supabase = getSupabaseServiceClient();
+    const { aiAgentId, userId } = await resolveConversationOwner(supabase, agent_id, conversation_id, {
+      userId: prospeo_user_id,
+      testSessionId: prospeo_test_session,
+      phoneCall: Boolean(call_sid),
+      startedAt: call_duration_secs !== undefined ? new Date(Date.now() - call_duration_secs * 1000) : null
+    });
+
+    let result: { resultCount: number; body: Record<string, unknown> };
+    let errorMessage: string | null = null;
+
+    // Answer the agent gracefully rather than failing the tool call mid-conversation
+    const unavailable = { resultCount: 0, body: { error: 'Agenda indisponible pour le moment, proposez d\'être rappelé' } };
+
+    const eventTypeId = userId ? await getEventTypeId(supabase, userId) : null;
+
+    if (!userId) {
+      errorMessage = 'Could not resolve the user owning this conversation';
+      result = unavailable;
+    } else if (!eventTypeId) {
+      errorMessage = 'No Cal.com event type configured for this user';
+      result = unavailable;
+    } else {
+      try {
+        result = await tool.handler({ supabase, userId, eventTypeId }, params as any);
+      } catch (toolError) {
+        errorMessage = toolError.message;
+        result = unavailable;
+      }
+    }
+
+    await logToolInvocation(supabase, {
+      conversationId: conversation_id,
+      userId,
+      aiAgentId,
+      toolName,
+      parameters: toolParameters,
+      resultCount: result.resultCount,
+      errorMessage,
+      startedAt
+    });
+
+    return new Response(
+      JSON.stringify(result.body),
+      { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+
+  } catch (error) {
+    console.error('Function error:', error);
+
+    const status = error.message.includes('tool secret') ? 401 : 500;
+
+    return new Response(
+      JSON.stringify({ error: error.message }),
+      {
+        status,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    );
+  }
+});
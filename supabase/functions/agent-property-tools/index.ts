@@ -0,0 +1,238 @@
+import { serve } from "https://deno.land/std@0.177.0/http/server.ts";
+import { z } from "npm:zod@3.22.4";
+import { corsHeaders } from '../_shared/cors.ts';
+import { getSupabaseServiceClient } from "../utils/supabaseServiceClient.ts";
+import { verifyToolSecret, logToolInvocation } from "../utils/agentTools.ts";
+import { resolveConversationOwner } from "../utils/callOwnership.ts";
+import { buildPropertyKnowledgeDocument, loadCatalogueProperties } from "../utils/knowledgeBase.ts";
+
+// This endpoint is called by ElevenLabs during live calls, not by our users:
+// deploy it with `--no-verify-jwt`. Requests carry the shared tool secret instead.
+
+type SupabaseClient = ReturnType<typeof getSupabaseServiceClient>;
+
+// Context filled in by ElevenLabs dynamic variables on every tool call
+const contextSchema = z.object({
+  agent_id: z.string().min(1),
+  conversation_id: z.string().min(1),
+  // Empty when the conversation could not be attributed: ElevenLabs then sends the placeholder
+  prospeo_user_id: z.preprocess(value => value || undefined, z.string().uuid().optional()),
+  // Set on in-browser tests only
+  prospeo_test_session: z.preprocess(value => value || undefined, z.string().uuid().optional()),
+  // Only phone calls have one
+  call_sid: z.preprocess(value => value || undefined, z.string().optional()),
+  // Tells when the conversation started, for test sessions that expired since
+  call_duration_secs: z.preprocess(value => value === '' ? undefined : value, z.coerce.number().nonnegative().optional()),
+});
+
+const searchSchema = contextSchema.extend({
+  city: z.string().trim().min(1).optional(),
+  min_price: z.coerce.number().nonnegative().optional(),
+  max_price: z.coerce.number().nonnegative().optional(),
+  property_type: z.enum(['Maison', 'Appartement']).optional(),
+  status: z.enum(['active', 'inactive', 'sold']).default('active'),
+});
+
+const detailsSchema = contextSchema.extend({
+  property_id: z.string().uuid(),
+});
+
+// Keep answers short enough for the agent to read back on the phone
+const MAX_SEARCH_RESULTS = 5;
+
+const searchProperties = async (
+  supabase: SupabaseClient,
+  userId: string,
+  params: z.infer<typeof searchSchema>
+) => {
+  let query = supabase
+    .from('properties')
+    .select('id, name, city, postal_code, property_type, status, price, area_sqm, num_rooms, num_bedrooms', { count: 'exact' })
+    .eq('user_id', userId)
+    .eq('status', params.status);
+
+  if (params.city) query = query.ilike('city', `%${params.city}%`);
+  if (params.min_price !== undefined) query = query.gte('price', params.min_price);
+  if (params.max_price !== undefined) query = query.lte('price', params.max_price);
+  if (params.property_type) query = query.eq('property_type', params.property_type);
+
+  const { data, error, count } = await query
+    .order('price', { ascending: true, nullsFirst: false })
+    .limit(MAX_SEARCH_RESULTS);
+
+  if (error) {
+    console.error('Database query error:', error);
+    throw new Error('Failed to search properties');
+  }
+
+  return {
+    resultCount: data.length,
+    body: {
+      total_matches: count ?? data.length,
+      properties: data
+    }
+  };
+};
+
+const getPropertyDetails = async (
+  supabase: SupabaseClient,
+  userId: string,
+  params: z.infer<typeof detailsSchema>
+) => {
+  const { data: property, error } = await supabase
+    .from('properties')
+    .select('id, name, address, city, postal_code, property_type, status, price, description, area_sqm, num_rooms, num_bedrooms, num_bathrooms, virtual_tour_url')
+    .eq('id', params.property_id)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Database query error:', error);
+    throw new Error('Failed to fetch property');
+  }
+
+  if (!property) {
+    return { resultCount: 0, body: { error: 'Bien introuvable dans le catalogue' } };
+  }
+
+  return { resultCount: 1, body: { property } };
+};
+
+// Shared agents get no catalogue document in their knowledge base: it would reach
+// every user's callers. They read the conversation's user's with this tool instead.
+const getPropertyCatalogue = async (supabase: SupabaseClient, userId: string) => {
+  const properties = await loadCatalogueProperties(supabase, userId);
+
+  return {
+    resultCount: properties.length,
+    body: { catalogue: buildPropertyKnowledgeDocument(properties) }
+  };
+};
+
+const tools = {
+  search_properties: { schema: searchSchema, handler: searchProperties },
+  get_property_details: { schema: detailsSchema, handler: getPropertyDetails },
+  get_property_catalogue: { schema: contextSchema, handler: getPropertyCatalogue },
+} as const;
+
+type ToolName = keyof typeof tools;
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  if (req.method !== 'POST') {
+    return new Response(
+      JSON.stringify({ error: 'Method not allowed' }),
+      {
+        status: 405,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    );
+  }
+
+  const startedAt = Date.now();
+
+  try {
+    verifyToolSecret(req);
+
+    // Extract tool name from URL path: /agent-property-tools/:toolName
+    const url = new URL(req.url);
+    const toolName = url.pathname.split('/').pop() as ToolName;
+    const tool = tools[toolName];
+
+    if (!tool) {
+      return new Response(
+        JSON.stringify({ error: `Unknown tool: ${toolName}` }),
+        {
+          status: 404,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    let body;
+    try {
+      body = await req.json();
+    } catch (parseError) {
+      return new Response(
+        JSON.stringify({ error: 'Invalid JSON in request body' }),
+        {
+          status: 400,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    const validationResult = tool.schema.safeParse(body);
+    if (!validationResult.success) {
+      return new Response(
+        JSON.stringify({
+          error: 'Invalid tool parameters',
+          details: validationResult.error.flatten()
+        }),
+        {
+          status: 400,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    const params = validationResult.data;
+    const { agent_id, conversation_id, prospeo_user_id, prospeo_test_session, call_sid, call_duration_secs, ...toolParameters } = params;
+
+    const supabase = getSupabaseServiceClient();
+    const { aiAgentId, userId } = await resolveConversationOwner(supabase, agent_id, conversation_id, {
+      userId: prospeo_user_id,
+      testSessionId: prospeo_test_session,
+      phoneCall: Boolean(call_sid),
+      startedAt: call_duration_secs !== undefined ? new Date(Date.now() - call_duration_secs * 1000) : null
+    });
+
+    let result: { resultCount: number; body: Record<string, unknown> };
+    let errorMessage: string | null = null;
+
+    if (!userId) {
+      // Answer the agent gracefully rather than failing the tool call mid-conversation
+      errorMessage = 'Could not resolve the user owning this conversation';
+      result = { resultCount: 0, body: { error: 'Catalogue indisponible pour le moment' } };
+    } else {
+      try {
+        result = await tool.handler(supabase, userId, params as any);
+      } catch (toolError) {
+        errorMessage = toolError.message;
+        result = { resultCount: 0, body: { error: 'Catalogue indisponible pour le moment' } };
+      }
+    }
+
+    await logToolInvocation(supabase, {
+      conversationId: conversation_id,
+      userId,
+      aiAgentId,
+      toolName,
+      parameters: toolParameters,
+      resultCount: result.resultCount,
+      errorMessage,
+      startedAt
+    });
+
+    return new Response(
+      JSON.stringify(result.body),
+      { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+
+  } catch (error) {
+    console.error('Function error:', error);
+
+    const status = error.message.includes('tool secret') ? 401 : 500;
+
+    return new Response(
+      JSON.stringify({ error: error.message }),
+      {
+        status,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    );
+  }
+});
@@ -0,0 +1,255 @@
+import { serve } from "https://deno.land/std@0.177.0/http/server.ts";
+import { z } from "npm:zod@3.22.4";
+import { corsHeaders } from '../_shared/cors.ts';
+import { getSupabaseServiceClient } from "../utils/supabaseServiceClient.ts";
+import { verifyToolSecret, logToolInvocation } from "../utils/agentTools.ts";
+import { resolveConversationOwner } from "../utils/callOwnership.ts";
+import { resolveUserAgentMode } from "../utils/businessHours.ts";
+import { loadMobileNumber, recordTransferAttempt, recordTransferOutcome } from "../utils/liveTransfer.ts";
+import { startWarmTransfer, getWarmTransfer, type WarmTransfer } from "../utils/telephonyClient.ts";
+
+// This endpoint is called by ElevenLabs during live calls, not by our users:
+// deploy it with `--no-verify-jwt`. Requests carry the shared tool secret instead.
+
+type SupabaseClient = ReturnType<typeof getSupabaseServiceClient>;
+
+// How long the user's mobile rings before the caller goes back to the agent.
+// The tool's response timeout in agentTools.ts leaves room for it.
+const RING_TIMEOUT_SECS = 25;
+const POLL_INTERVAL_MS = 2000;
+
+const contextSchema = z.object({
+  agent_id: z.string().min(1),
+  conversation_id: z.string().min(1),
+  // Empty when the conversation could not be attributed: ElevenLabs then sends the placeholder
+  prospeo_user_id: z.preprocess(value => value || undefined, z.string().uuid().optional()),
+  // Set on in-browser tests only
+  prospeo_test_session: z.preprocess(value => value || undefined, z.string().uuid().optional()),
+  // Only phone calls have one: in-browser test sessions cannot be transferred
+  call_sid: z.preprocess(value => value || undefined, z.string().optional()),
+  // Tells when the conversation started, for test sessions that expired since
+  call_duration_secs: z.preprocess(value => value === '' ? undefined : value, z.coerce.number().nonnegative().optional()),
+});
+
+const transferSchema = contextSchema.extend({
+  caller_id: z.string().optional().nullable(),
+  caller_name: z.string().trim().max(100).optional(),
+  reason: z.string().trim().min(1).max(500),
+});
+
+interface ToolContext {
+  supabase: SupabaseClient;
+  userId: string;
+  aiAgentId: string | null;
+  mobileNumber: string;
+}
+
+const sleep = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Waits for the user to pick up, decline or let it ring out
+const waitForAnswer = async (transfer: WarmTransfer): Promise<WarmTransfer> => {
+  const deadline = Date.now() + (RING_TIMEOUT_SECS + 5) * 1000;
+  let current = transfer;
+
+  while (current.status === 'ringing' && Date.now() < deadline) {
+    await sleep(POLL_INTERVAL_MS);
+    current = await getWarmTransfer(current.id);
+  }
+
+  return current.status === 'ringing' ? { ...current, status: 'no_answer' } : current;
+};
+
+const transferToAdvisor = async (
+  { supabase, userId, aiAgentId, mobileNumber }: ToolContext,
+  params: z.infer<typeof transferSchema>
+) => {
+  await recordTransferAttempt(supabase, {
+    conversationId: params.conversation_id,
+    userId,
+    aiAgentId,
+    callerNumber: params.caller_id ?? null,
+    transferNumber: mobileNumber
+  });
+
+  let transfer: WarmTransfer;
+  try {
+    transfer = await startWarmTransfer({
+      callSid: params.call_sid!,
+      to: mobileNumber,
+      callerNumber: params.caller_id,
+      // Read to the user before the caller is put through
+      whisper: `Appel transféré par votre assistant Prospeo${params.caller_name ? ` : ${params.caller_name}` : ''}. ${params.reason}`,
+      ringTimeoutSecs: RING_TIMEOUT_SECS,
+      metadata: { conversation_id: params.conversation_id },
+    });
+    await recordTransferOutcome(supabase, params.conversation_id, transfer);
+
+    transfer = await waitForAnswer(transfer);
+  } catch (transferError) {
+    await recordTransferOutcome(supabase, params.conversation_id, { status: 'failed', error: transferError.message });
+    throw transferError;
+  }
+
+  await recordTransferOutcome(supabase, params.conversation_id, transfer);
+
+  if (transfer.status === 'connected') {
+    return {
+      resultCount: 1,
+      body: {
+        transferred: true,
+        message: 'Le conseiller a décroché, l\'appelant lui est transféré. N\'ajoutez rien.'
+      },
+    };
+  }
+
+  return {
+    resultCount: 0,
+    body: {
+      transferred: false,
+      status: transfer.status,
+      error: 'Le conseiller n\'a pas pu répondre. Excusez-vous et proposez de prendre un message pour qu\'il rappelle.'
+    },
+  };
+};
+
+const tools = {
+  transfer_to_advisor: { schema: transferSchema, handler: transferToAdvisor },
+} as const;
+
+type ToolName = keyof typeof tools;
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  if (req.method !== 'POST') {
+    return new Response(
+      JSON.stringify({ error: 'Method not allowed' }),
+      {
+        status: 405,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    );
+  }
+
+  const startedAt = Date.now();
+
+  try {
+    verifyToolSecret(req);
+
+    // Extract tool name from URL path: /agent-transfer-tools/:toolName
+    const url = new URL(req.url);
+    const toolName = url.pathname.split('/').pop() as ToolName;
+    const tool = tools[toolName];
+
+    if (!tool) {
+      return new Response(
+        JSON.stringify({ error: `Unknown tool: ${toolName}` }),
+        {
+          status: 404,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    let body;
+    try {
+      body = await req.json();
+    } catch (parseError) {
+      return new Response(
+        JSON.stringify({ error: 'Invalid JSON in request body' }),
+        {
+          status: 400,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    const validationResult = tool.schema.safeParse(body);
+    if (!validationResult.success) {
+      return new Response(
+        JSON.stringify({
+          error: 'Invalid tool parameters',
+          details: validationResult.error.flatten()
+        }),
+        {
+          status: 400,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    const params = validationResult.data;
+    const { agent_id, conversation_id, prospeo_user_id, prospeo_test_session, call_sid, call_duration_secs, ...toolParameters } = params;
+
+    const supabase = getSupabaseServiceClient();
+    const { aiAgentId, userId } = await resolveConversationOwner(supabase, agent_id, conversation_id, {
+      userId: prospeo_user_id,
+      testSessionId: prospeo_test_session,
+      phoneCall: Boolean(call_sid),
+      startedAt: call_duration_secs !== undefined ? new Date(Date.now() - call_duration_secs * 1000) : null
+    });
+
+    let result: { resultCount: number; body: Record<string, unknown> };
+    let errorMessage: string | null = null;
+
+    // Answer the agent gracefully rather than failing the tool call mid-conversation
+    const unavailable = { resultCount: 0, body: { transferred: false, error: 'Aucun conseiller n\'est joignable pour le moment, proposez de prendre un message' } };
+
+    // Transfers are only offered during opening hours, when the user turned them on
+    const [agentMode, mobileNumber] = userId
+      ? await Promise.all([resolveUserAgentMode(supabase, userId), loadMobileNumber(supabase, userId)])
+      : [null, null];
+
+    if (!userId) {
+      errorMessage = 'Could not resolve the user owning this conversation';
+      result = unavailable;
+    } else if (agentMode?.mode !== 'in_hours' || !agentMode.live_transfer) {
+      errorMessage = 'Live transfer is not offered at this time';
+      result = unavailable;
+    } else if (!mobileNumber) {
+      errorMessage = 'No mobile number configured for this user';
+      result = unavailable;
+    } else if (!params.call_sid) {
+      errorMessage = 'Only phone calls can be transferred';
+      result = unavailable;
+    } else {
+      try {
+        result = await tool.handler({ supabase, userId, aiAgentId, mobileNumber }, params);
+      } catch (toolError) {
+        errorMessage = toolError.message;
+        result = unavailable;
+      }
+    }
+
+    await logToolInvocation(supabase, {
+      conversationId: conversation_id,
+      userId,
+      aiAgentId,
+      toolName,
+      parameters: toolParameters,
+      resultCount: result.resultCount,
+      errorMessage,
+      startedAt
+    });
+
+    return new Response(
+      JSON.stringify(result.body),
+      { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+
+  } catch (error) {
+    console.error('Function error:', error);
+
+    const status = error.message.includes('tool secret') ? 401 : 500;
+
+    return new Response(
+      JSON.stringify({ error: error.message }),
+      {
+        status,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    );
+  }
+});
@@ -0,0 +1,150 @@
+import { serve } from "https://deno.land/std@0.177.0/http/server.ts";
+import { verify } from "npm:djwt@3.0.0";
+import { z } from "npm:zod@3.22.4";
+import { corsHeaders } from '../_shared/cors.ts';
+import { getSupabaseServiceClient } from "../utils/supabaseServiceClient.ts";
+import { applyTagRules } from "../utils/callTagRules.ts";
+
+// Validate JWT token and extract user ID
+const getUserIdFromToken = async (authHeader: string | null): Promise<string> => {
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    throw new Error("Missing or invalid Authorization header");
+  }
+  const token = authHeader.split(' ')[1];
+  const secret = Deno.env.get("AUTH_SECRET");
+
+  if (!secret || secret.length < 32) {
+    console.error("AUTH_SECRET environment variable is missing or too short.");
+    throw new Error("Authentication secret configuration error.");
+  }
+
+  try {
+    const key = new TextEncoder().encode(secret);
+    const payload = await verify(token, key, { algorithms: ["HS256"] });
+    const userId = payload?.sub || payload?.id;
+
+    if (typeof userId !== 'string' || !userId) {
+      console.error("User ID not found in JWT payload:", payload);
+      throw new Error("Invalid token payload");
+    }
+
+    return userId;
+
+  } catch (jwtError: any) {
+    console.error("JWT validation failed:", jwtError.message);
+    if (jwtError.message.toLowerCase().includes('expired')) {
+      throw new Error("Token has expired");
+    }
+    throw new Error("Invalid token signature or structure");
+  }
+};
+
+// Schema for request body: re-run every active rule, or a single one, over past calls
+const applyTagRulesSchema = z.object({
+  rule_id: z.string().uuid("Invalid rule ID format").optional(),
+  date_from: z.string().datetime({ offset: true }).optional(),
+  date_to: z.string().datetime({ offset: true }).optional(),
+});
+
+serve(async (req) => {
+  // Handle CORS preflight
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  // Require POST method
+  if (req.method !== 'POST') {
+    return new Response(
+      JSON.stringify({ error: 'Method not allowed' }),
+      { 
+        status: 405, 
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    );
+  }
+
+  try {
+    // Validate JWT and get user ID
+    const userId = await getUserIdFromToken(req.headers.get('Authorization'));
+
+    // An empty body means "all active rules over all calls"
+    let body = {};
+    try {
+      const text = await req.text();
+      if (text) body = JSON.parse(text);
+    } catch (parseError) {
+      return new Response(
+        JSON.stringify({ error: 'Invalid JSON in request body' }),
+        { 
+          status: 400, 
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    const validationResult = applyTagRulesSchema.safeParse(body);
+
+    if (!validationResult.success) {
+      return new Response(
+        JSON.stringify({
+          error: 'Invalid request body',
+          details: validationResult.error.flatten()
+        }),
+        {
+          status: 400,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    const { rule_id, date_from, date_to } = validationResult.data;
+
+    const supabase = getSupabaseServiceClient();
+
+    if (rule_id) {
+      const { data: rule, error: ruleError } = await supabase
+        .from('call_tag_rules')
+        .select('id')
+        .eq('id', rule_id)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+      if (ruleError || !rule) {
+        return new Response(
+          JSON.stringify({ error: 'Rule not found or access denied' }),
+          { 
+            status: 404, 
+            headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+          }
+        );
+      }
+    }
+
+    const result = await applyTagRules(supabase, userId, {
+      ruleId: rule_id,
+      dateFrom: date_from,
+      dateTo: date_to
+    });
+
+    return new Response(
+      JSON.stringify(result),
+      { 
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    );
+
+  } catch (error) {
+    console.error('Function error:', error);
+    
+    const status = error.message.includes('Authorization') || 
+                  error.message.includes('token') ? 401 : 500;
+                  
+    return new Response(
+      JSON.stringify({ error: error.message }),
+      {
+        status,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    );
+  }
+});
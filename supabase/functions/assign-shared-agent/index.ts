@@ -3,6 +3,7 @@ import { verify } from "npm:djwt@3.0.0";
 import { z } from "npm:zod@3.22.4";
 import { corsHeaders } from '../_shared/cors.ts';
 import { getSupabaseServiceClient } from "../utils/supabaseServiceClient.ts";
+import { syncPropertyKnowledgeBaseSafely } from "../utils/knowledgeBase.ts";
 
 // Validate JWT token and extract user ID
 const getUserIdFromToken = async (authHeader: string | null): Promise<string> => {
@@ -134,6 +135,9 @@ serve(async (req) => {
       throw new Error('Failed to assign agent');
     }
 
+    // Move the catalogue document over to the newly assigned agent
+    await syncPropertyKnowledgeBaseSafely(supabase, userId);
+
     // Get the updated assignment details
     const { data: assignment, error: getError } = await supabase
       .from('user_assigned_agents')
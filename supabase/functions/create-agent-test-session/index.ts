@@ -0,0 +1,135 @@
+import { serve } from "https://deno.land/std@0.177.0/http/server.ts";
+import { verify } from "npm:djwt@3.0.0";
+import { corsHeaders } from '../_shared/cors.ts';
+import { getSupabaseServiceClient } from "../utils/supabaseServiceClient.ts";
+import { getElevenLabsConversationSignedUrl } from "../utils/elevenlabsClient.ts";
+import { resolvePromptVariables } from "../utils/promptTemplate.ts";
+import { buildUserConversationOverride } from "../utils/userAgent.ts";
+import { createAgentTestSession } from "../utils/agentTestSessions.ts";
+
+// Validate JWT token and extract user ID
+const getUserIdFromToken = async (authHeader: string | null): Promise<string> => {
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    throw new Error("Missing or invalid Authorization header");
+  }
+  const token = authHeader.split(' ')[1];
+  const secret = Deno.env.get("AUTH_SECRET");
+
+  if (!secret || secret.length < 32) {
+    console.error("AUTH_SECRET environment variable is missing or too short.");
+    throw new Error("Authentication secret configuration error.");
+  }
+
+  try {
+    const key = new TextEncoder().encode(secret);
+    const payload = await verify(token, key, { algorithms: ["HS256"] });
+    const userId = payload?.sub || payload?.id;
+
+    if (typeof userId !== 'string' || !userId) {
+      console.error("User ID not found in JWT payload:", payload);
+      throw new Error("Invalid token payload");
+    }
+
+    return userId;
+
+  } catch (jwtError: any) {
+    console.error("JWT validation failed:", jwtError.message);
+    if (jwtError.message.toLowerCase().includes('expired')) {
+      throw new Error("Token has expired");
+    }
+    throw new Error("Invalid token signature or structure");
+  }
+};
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  if (req.method !== 'POST') {
+    return new Response(
+      JSON.stringify({ error: 'Method not allowed' }),
+      {
+        status: 405,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    );
+  }
+
+  try {
+    const userId = await getUserIdFromToken(req.headers.get('Authorization'));
+
+    const supabase = getSupabaseServiceClient();
+
+    const { data: assignment, error: assignmentError } = await supabase
+      .from('user_assigned_agents')
+      .select('agent:ai_agents(id, agent_name, elevenlabs_agent_id)')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (assignmentError) {
+      console.error('Database assignment lookup error:', assignmentError);
+      throw new Error('Failed to load assigned agent');
+    }
+
+    const agent = assignment?.agent as { id: string; agent_name: string; elevenlabs_agent_id: string | null } | null;
+
+    if (!agent?.elevenlabs_agent_id) {
+      return new Response(
+        JSON.stringify({ error: 'No deployed agent is assigned to you' }),
+        {
+          status: 404,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    let signedUrl: string;
+    try {
+      signedUrl = await getElevenLabsConversationSignedUrl(agent.elevenlabs_agent_id);
+    } catch (elError) {
+      console.error('ElevenLabs signed URL error:', elError);
+      return new Response(
+        JSON.stringify({ error: 'Could not start a test session with ElevenLabs' }),
+        {
+          status: 502,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    // The browser sends these as conversation initiation data. Tools and the post-call
+    // webhook find the user from the session record, whatever else the browser sends.
+    const dynamicVariables = {
+      ...(await resolvePromptVariables(supabase, userId, null)),
+      prospeo_user_id: '',
+      prospeo_test_session: await createAgentTestSession(supabase, userId, agent.id)
+    };
+
+    const conversationConfigOverride = await buildUserConversationOverride(supabase, userId, agent.elevenlabs_agent_id);
+
+    return new Response(
+      JSON.stringify({
+        signed_url: signedUrl,
+        agent: { id: agent.id, agent_name: agent.agent_name },
+        dynamic_variables: dynamicVariables,
+        ...(conversationConfigOverride ? { conversation_config_override: conversationConfigOverride } : {})
+      }),
+      { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+
+  } catch (error) {
+    console.error('Function error:', error);
+
+    const status = error.message.includes('Authorization') ||
+                  error.message.includes('token') ? 401 : 500;
+
+    return new Response(
+      JSON.stringify({ error: error.message }),
+      {
+        status,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    );
+  }
+});
@@ -54,6 +54,17 @@ const createContactSchema = z.object({
   company_name: z.string().optional().nullable(),
   job_title: z.string().optional().nullable(),
   interested_property_id: z.string().uuid().optional().nullable(),
+  budget_min: z.number().nonnegative().optional().nullable(),
+  budget_max: z.number().nonnegative().optional().nullable(),
+  desired_property_type: z.enum(['Maison', 'Appartement']).optional().nullable(),
+  desired_city: z.string().optional().nullable(),
+  purchase_timeline: z.enum(['immediate', 'within_3_months', 'within_6_months', 'within_12_months', 'undecided'])
+    .optional()
+    .nullable(),
+  financing_status: z.enum(['cash', 'mortgage_approved', 'mortgage_in_progress', 'not_started', 'unknown'])
+    .optional()
+    .nullable(),
+  do_not_call: z.boolean().optional(),
 }).refine(
   data => data.email || data.phone,
   { message: "Either email or phone must be provided" }
@@ -158,8 +169,13 @@ serve(async (req) => {
     }
 
     // Prepare data for insertion
+    const hasCriteria = validatedData.budget_min != null || validatedData.budget_max != null ||
+      validatedData.desired_property_type || validatedData.desired_city ||
+      validatedData.purchase_timeline || validatedData.financing_status;
+
     const insertData = {
       ...validatedData,
+      ...(hasCriteria && { qualification_source: 'manual' }),
       user_id: userId
     };
 
@@ -3,6 +3,7 @@ import { verify } from "npm:djwt@3.0.0";
 import { z } from "npm:zod@3.22.4";
 import { corsHeaders } from '../_shared/cors.ts';
 import { getSupabaseServiceClient } from "../utils/supabaseServiceClient.ts";
+import { syncPropertyKnowledgeBaseSafely } from "../utils/knowledgeBase.ts";
 
 // Validate JWT token and extract user ID
 const getUserIdFromToken = async (authHeader: string | null): Promise<string> => {
@@ -144,6 +145,9 @@ serve(async (req) => {
       throw new Error('Failed to create property');
     }
 
+    // Add the new listing to the agent's catalogue document
+    await syncPropertyKnowledgeBaseSafely(supabase, userId);
+
     return new Response(
       JSON.stringify(newProperty),
       { 
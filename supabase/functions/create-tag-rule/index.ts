@@ -0,0 +1,153 @@
+import { serve } from "https://deno.land/std@0.177.0/http/server.ts";
+import { verify } from "npm:djwt@3.0.0";
+import { z } from "npm:zod@3.22.4";
+import { corsHeaders } from '../_shared/cors.ts';
+import { getSupabaseServiceClient } from "../utils/supabaseServiceClient.ts";
+import { tagRuleConditionsSchema, resolveRuleTag } from "../utils/callTagRules.ts";
+
+// Validate JWT token and extract user ID
+const getUserIdFromToken = async (authHeader: string | null): Promise<string> => {
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    throw new Error("Missing or invalid Authorization header");
+  }
+  const token = authHeader.split(' ')[1];
+  const secret = Deno.env.get("AUTH_SECRET");
+
+  if (!secret || secret.length < 32) {
+    console.error("AUTH_SECRET environment variable is missing or too short.");
+    throw new Error("Authentication secret configuration error.");
+  }
+
+  try {
+    const key = new TextEncoder().encode(secret);
+    const payload = await verify(token, key, { algorithms: ["HS256"] });
+    const userId = payload?.sub || payload?.id;
+
+    if (typeof userId !== 'string' || !userId) {
+      console.error("User ID not found in JWT payload:", payload);
+      throw new Error("Invalid token payload");
+    }
+
+    return userId;
+
+  } catch (jwtError: any) {
+    console.error("JWT validation failed:", jwtError.message);
+    if (jwtError.message.toLowerCase().includes('expired')) {
+      throw new Error("Token has expired");
+    }
+    throw new Error("Invalid token signature or structure");
+  }
+};
+
+// Schema for request body: the tag is an existing one, or created by name
+const createTagRuleSchema = z.object({
+  name: z.string().trim().min(1, "Rule name is required").max(100),
+  tag_id: z.string().uuid("Invalid tag ID format").optional(),
+  tag_name: z.string().trim().min(1).max(50).optional(),
+  tag_color: z.string().regex(/^#[0-9a-fA-F]{6}$/, "Color must be a hex value").optional().nullable(),
+  conditions: tagRuleConditionsSchema,
+  is_active: z.boolean().default(true),
+}).refine(
+  data => data.tag_id || data.tag_name,
+  { message: "Either tag_id or tag_name must be provided" }
+);
+
+serve(async (req) => {
+  // Handle CORS preflight
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  // Require POST method
+  if (req.method !== 'POST') {
+    return new Response(
+      JSON.stringify({ error: 'Method not allowed' }),
+      { 
+        status: 405, 
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    );
+  }
+
+  try {
+    // Validate JWT and get user ID
+    const userId = await getUserIdFromToken(req.headers.get('Authorization'));
+
+    // Parse and validate request body
+    let body;
+    try {
+      body = await req.json();
+    } catch (parseError) {
+      return new Response(
+        JSON.stringify({ error: 'Invalid JSON in request body' }),
+        { 
+          status: 400, 
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    const validationResult = createTagRuleSchema.safeParse(body);
+
+    if (!validationResult.success) {
+      return new Response(
+        JSON.stringify({
+          error: 'Invalid request body',
+          details: validationResult.error.flatten()
+        }),
+        {
+          status: 400,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    const { name, conditions, is_active, ...tagRef } = validationResult.data;
+
+    const supabase = getSupabaseServiceClient();
+
+    const tag = await resolveRuleTag(supabase, userId, tagRef);
+    if (!tag) {
+      return new Response(
+        JSON.stringify({ error: 'Tag not found or access denied' }),
+        { 
+          status: 404, 
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    const { data: rule, error: insertError } = await supabase
+      .from('call_tag_rules')
+      .insert({ user_id: userId, tag_id: tag.id, name, conditions, is_active })
+      .select('id, name, conditions, is_active, created_at, updated_at, tag:tags(id, name, color)')
+      .single();
+
+    if (insertError) {
+      console.error('Database insert error:', insertError);
+      throw new Error('Failed to create tag rule');
+    }
+
+    return new Response(
+      JSON.stringify({ rule }),
+      { 
+        status: 201,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    );
+
+  } catch (error) {
+    console.error('Function error:', error);
+    
+    const status = error.message.includes('Authorization') || 
+                  error.message.includes('token') ? 401 : 500;
+                  
+    return new Response(
+      JSON.stringify({ error: error.message }),
+      {
+        status,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    );
+  }
+});
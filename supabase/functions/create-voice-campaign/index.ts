@@ -0,0 +1,157 @@
+import { serve } from "https://deno.land/std@0.177.0/http/server.ts";
+import { verify } from "npm:djwt@3.0.0";
+import { z } from "npm:zod@3.22.4";
+import { corsHeaders } from '../_shared/cors.ts';
+import { getSupabaseServiceClient } from "../utils/supabaseServiceClient.ts";
+import { loadUsageStatus } from "../utils/usageMetering.ts";
+import {
+  MAX_CAMPAIGN_CONTACTS,
+  campaignAudienceSchema,
+  campaignLimitsShape,
+  createVoiceCampaign,
+  findAudienceContacts,
+  getVoiceCampaign,
+  loadCampaignResources,
+  runVoiceCampaign
+} from "../utils/voiceCampaigns.ts";
+
+// Validate JWT token and extract user ID
+const getUserIdFromToken = async (authHeader: string | null): Promise<string> => {
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    throw new Error("Missing or invalid Authorization header");
+  }
+  const token = authHeader.split(' ')[1];
+  const secret = Deno.env.get("AUTH_SECRET");
+
+  if (!secret || secret.length < 32) {
+    console.error("AUTH_SECRET environment variable is missing or too short.");
+    throw new Error("Authentication secret configuration error.");
+  }
+
+  try {
+    const key = new TextEncoder().encode(secret);
+    const payload = await verify(token, key, { algorithms: ["HS256"] });
+    const userId = payload?.sub || payload?.id;
+
+    if (typeof userId !== 'string' || !userId) {
+      console.error("User ID not found in JWT payload:", payload);
+      throw new Error("Invalid token payload");
+    }
+
+    return userId;
+
+  } catch (jwtError: any) {
+    console.error("JWT validation failed:", jwtError.message);
+    if (jwtError.message.toLowerCase().includes('expired')) {
+      throw new Error("Token has expired");
+    }
+    throw new Error("Invalid token signature or structure");
+  }
+};
+
+const createCampaignSchema = z.object({
+  name: z.string().trim().min(1).max(100),
+  phone_number_id: z.string().uuid(),
+  audience: campaignAudienceSchema,
+  max_attempts: campaignLimitsShape.max_attempts.default(3),
+  retry_delay_minutes: campaignLimitsShape.retry_delay_minutes.default(240),
+  max_concurrent_calls: campaignLimitsShape.max_concurrent_calls.default(2),
+}).strict();
+
+const jsonResponse = (body: unknown, status = 200) =>
+  new Response(
+    JSON.stringify(body),
+    {
+      status,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    }
+  );
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  if (req.method !== 'POST') {
+    return jsonResponse({ error: 'Method not allowed' }, 405);
+  }
+
+  try {
+    const userId = await getUserIdFromToken(req.headers.get('Authorization'));
+
+    let body;
+    try {
+      body = await req.json();
+    } catch (parseError) {
+      return jsonResponse({ error: 'Invalid JSON in request body' }, 400);
+    }
+
+    const validationResult = createCampaignSchema.safeParse(body);
+    if (!validationResult.success) {
+      return jsonResponse({
+        error: 'Invalid request body',
+        details: validationResult.error.flatten()
+      }, 400);
+    }
+
+    const { name, phone_number_id, audience, ...limits } = validationResult.data;
+
+    const supabase = getSupabaseServiceClient();
+
+    const [{ agent, phone_numbers }, usage] = await Promise.all([
+      loadCampaignResources(supabase, userId),
+      loadUsageStatus(supabase, userId)
+    ]);
+
+    if (!agent?.elevenlabs_agent_id) {
+      return jsonResponse({ error: 'No deployed agent is assigned to you' }, 400);
+    }
+
+    // Only numbers assigned to the user and still in service can place calls
+    if (!phone_numbers.some(number => number.id === phone_number_id)) {
+      return jsonResponse({ error: 'Phone number not found' }, 404);
+    }
+
+    if (usage.exceeded) {
+      return jsonResponse({ error: 'Monthly conversation minutes quota exceeded' }, 403);
+    }
+
+    const contacts = await findAudienceContacts(supabase, userId, audience);
+
+    if (contacts.length === 0) {
+      return jsonResponse({ error: 'No contacts match this audience' }, 400);
+    }
+
+    if (contacts.length > MAX_CAMPAIGN_CONTACTS) {
+      return jsonResponse({ error: `A campaign can call at most ${MAX_CAMPAIGN_CONTACTS} contacts, narrow the audience` }, 400);
+    }
+
+    const campaignId = await createVoiceCampaign(supabase, {
+      userId,
+      name,
+      aiAgentId: agent.id,
+      phoneNumberId: phone_number_id,
+      audience,
+      ...limits
+    }, contacts);
+
+    // Start dialling right away when within calling hours; the scheduled run picks it up otherwise
+    try {
+      await runVoiceCampaign(supabase, campaignId);
+    } catch (runError) {
+      console.error(`Could not start campaign ${campaignId}:`, runError);
+    }
+
+    const campaign = await getVoiceCampaign(supabase, userId, campaignId);
+
+    return jsonResponse({ campaign }, 201);
+
+  } catch (error) {
+    console.error('Function error:', error);
+
+    const status = error.message.includes('Authorization') ||
+                  error.message.includes('token') ? 401 : 500;
+
+    return jsonResponse({ error: error.message }, status);
+  }
+});
@@ -0,0 +1,388 @@
+import { serve } from "https://deno.land/std@0.177.0/http/server.ts";
+import { z } from "npm:zod@3.22.4";
+import { corsHeaders } from '../_shared/cors.ts';
+import { getSupabaseServiceClient } from "../utils/supabaseServiceClient.ts";
+import { verifyElevenLabsSignature } from "../utils/elevenlabsWebhook.ts";
+import { getElevenLabsConversationAudioUrl } from "../utils/elevenlabsClient.ts";
+import { normalizeTranscript, type TranscriptSegment } from "../utils/conversationTranscript.ts";
+import { findOrCreateCallerContact } from "../utils/contactMatching.ts";
+import { archiveCallRecording } from "../utils/callRecordings.ts";
+import { resolveConversationOwner } from "../utils/callOwnership.ts";
+import { findAgentVersionAt } from "../utils/agentVersions.ts";
+import { resolveCallExperiment } from "../utils/agentExperiments.ts";
+import { applyTagRules } from "../utils/callTagRules.ts";
+import { recordConversationUsage } from "../utils/usageMetering.ts";
+import { findDialledPhoneNumber } from "../utils/phoneNumbers.ts";
+import { AGENT_MODES, resolveUserAgentMode, type AgentMode } from "../utils/businessHours.ts";
+import { markDoNotCall, recordCampaignCallOutcome, runVoiceCampaign } from "../utils/voiceCampaigns.ts";
+import {
+  applyBuyerCriteria,
+  extractCriteriaFromDataCollection,
+  extractCriteriaFromTranscript
+} from "../utils/leadQualification.ts";
+
+// This endpoint is called by ElevenLabs, not by our users: deploy it with
+// `--no-verify-jwt`. Requests are authenticated by their HMAC signature instead.
+
+// Schema for the ElevenLabs Convai post-call webhook
+const transcriptTurnSchema = z.object({
+  role: z.string(),
+  message: z.string().nullable().optional(),
+  time_in_call_secs: z.number().optional().nullable(),
+}).passthrough();
+
+const postCallSchema = z.object({
+  type: z.string(),
+  event_timestamp: z.number().optional(),
+  data: z.object({
+    agent_id: z.string(),
+    conversation_id: z.string(),
+    status: z.string().optional(),
+    transcript: z.array(transcriptTurnSchema).default([]),
+    metadata: z.object({
+      start_time_unix_secs: z.number().optional(),
+      call_duration_secs: z.number().optional(),
+      phone_call: z.object({
+        external_number: z.string().optional().nullable(),
+        agent_number: z.string().optional().nullable(),
+      }).passthrough().optional().nullable(),
+    }).passthrough().default({}),
+    analysis: z.object({
+      transcript_summary: z.string().optional().nullable(),
+      call_successful: z.string().optional().nullable(),
+      data_collection_results: z.record(z.object({
+        value: z.any().optional(),
+      }).passthrough()).optional().nullable(),
+    }).passthrough().optional().nullable(),
+    conversation_initiation_client_data: z.object({
+      dynamic_variables: z.record(z.any()).optional().nullable(),
+    }).passthrough().optional().nullable(),
+    recording_url: z.string().url().optional().nullable(),
+  }).passthrough(),
+});
+
+type PostCallData = z.infer<typeof postCallSchema>['data'];
+
+// Map the ElevenLabs conversation status onto call_history_status_check values
+const mapCallStatus = (data: PostCallData, transcript: { segments: TranscriptSegment[] }) => {
+  if (data.status === 'failed') return 'failed';
+  if (data.status === 'in-progress' || data.status === 'processing') return 'in-progress';
+  if (!transcript.segments.some((segment) => segment.speaker === 'caller')) return 'missed';
+  return 'completed';
+};
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  if (req.method !== 'POST') {
+    return new Response(
+      JSON.stringify({ error: 'Method not allowed' }),
+      {
+        status: 405,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    );
+  }
+
+  try {
+    // Signature is computed over the raw body, so read it before parsing
+    const rawBody = await req.text();
+    await verifyElevenLabsSignature(rawBody, req.headers.get('ElevenLabs-Signature'));
+
+    let body;
+    try {
+      body = JSON.parse(rawBody);
+    } catch (parseError) {
+      return new Response(
+        JSON.stringify({ error: 'Invalid JSON in request body' }),
+        {
+          status: 400,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    const validationResult = postCallSchema.safeParse(body);
+    if (!validationResult.success) {
+      return new Response(
+        JSON.stringify({
+          error: 'Invalid webhook payload',
+          details: validationResult.error.flatten()
+        }),
+        {
+          status: 400,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    const { type, data } = validationResult.data;
+
+    // Only transcription webhooks create call records
+    if (type !== 'post_call_transcription') {
+      return new Response(
+        JSON.stringify({ received: true, ignored: type }),
+        { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      );
+    }
+
+    const supabase = getSupabaseServiceClient();
+
+    const startTime = data.metadata.start_time_unix_secs;
+    const startedAt = startTime ? new Date(startTime * 1000) : null;
+    const callTimestamp = (startedAt || new Date()).toISOString();
+
+    // In-browser test sessions are only stored when the user saves them (save-agent-test-call),
+    // but their minutes are paid for all the same
+    const dynamicVariables = data.conversation_initiation_client_data?.dynamic_variables;
+    if (dynamicVariables?.prospeo_test_session) {
+      // The browser sent these variables: bill the user who started the session, from its record
+      const testSessionId = dynamicVariables.prospeo_test_session;
+      const { userId: testUserId } = z.string().uuid().safeParse(testSessionId).success
+        ? await resolveConversationOwner(supabase, data.agent_id, data.conversation_id, { testSessionId, startedAt })
+        : { userId: null };
+
+      if (testUserId) {
+        await recordConversationUsage(supabase, {
+          userId: testUserId,
+          source: 'test',
+          conversationId: data.conversation_id,
+          durationSeconds: data.metadata.call_duration_secs ?? 0,
+          occurredAt: callTimestamp
+        });
+      } else {
+        console.warn(`Test conversation ${data.conversation_id} has no valid session, not metered`);
+      }
+
+      return new Response(
+        JSON.stringify({ received: true, ignored: 'test_session' }),
+        { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      );
+    }
+
+    // On inbound calls, `agent_number` is the number the caller dialled
+    const calledNumber = data.metadata.phone_call?.agent_number || null;
+    const dialledNumber = await findDialledPhoneNumber(supabase, calledNumber);
+
+    const { aiAgentId, userId } = await resolveConversationOwner(
+      supabase,
+      data.agent_id,
+      data.conversation_id,
+      {
+        userId: dynamicVariables?.prospeo_user_id || dialledNumber?.user_id,
+        phoneCall: Boolean(data.metadata.phone_call)
+      }
+    );
+
+    // Check for a previous delivery of the same conversation
+    const { data: existingCall, error: existingError } = await supabase
+      .from('call_history')
+      .select('id, contact_id, recording_storage_path, phone_number_id, duration_seconds, transfer_status, direction, voice_campaign_contact_id')
+      .eq('elevenlabs_conversation_id', data.conversation_id)
+      .maybeSingle();
+
+    if (existingError) {
+      console.error('Database lookup error:', existingError);
+      throw new Error('Failed to check for existing call');
+    }
+
+    // A live transfer opens the row during the call; only a stored call has a duration
+    const replayed = existingCall?.duration_seconds != null;
+
+    const transcript = normalizeTranscript(data);
+
+    const callerNumber = data.metadata.phone_call?.external_number || 'unknown';
+
+    // Link the caller to a contact of the owner, creating a lead if needed.
+    // Replays keep whatever contact the call was already linked to.
+    let contactId = existingCall?.contact_id ?? null;
+    if (userId && !contactId) {
+      const match = await findOrCreateCallerContact(supabase, userId, callerNumber, callTimestamp);
+      contactId = match?.contactId ?? null;
+    }
+
+    // Experiment variants speak through the control agent with the variant's configuration
+    const experiment = await resolveCallExperiment(
+      supabase,
+      data.conversation_initiation_client_data?.dynamic_variables,
+      userId
+    );
+    const configAgentId = experiment?.aiAgentId ?? aiAgentId;
+
+    // Mode the agent answered in, as decided when the call started. Worked out again
+    // from the opening hours if the initiation webhook could not set it. Calls the
+    // agent placed itself have no mode.
+    const outbound = existingCall?.direction === 'outbound';
+    let agentMode: AgentMode | null = AGENT_MODES.find(mode => mode === dynamicVariables?.prospeo_agent_mode) ?? null;
+    if (!agentMode && userId && !outbound) {
+      try {
+        agentMode = (await resolveUserAgentMode(supabase, userId, new Date(callTimestamp)))?.mode ?? null;
+      } catch (modeError) {
+        console.error(`Could not resolve agent mode of conversation ${data.conversation_id}:`, modeError);
+      }
+    }
+
+    // The last version saved before the call started is the configuration that handled it
+    const aiAgentVersionId = configAgentId ? await findAgentVersionAt(supabase, configAgentId, callTimestamp) : null;
+
+    const callRecord = {
+      elevenlabs_conversation_id: data.conversation_id,
+      user_id: userId,
+      ai_agent_id: aiAgentId,
+      ai_agent_version_id: aiAgentVersionId,
+      experiment_id: experiment?.experimentId ?? null,
+      experiment_variant: experiment?.variant ?? null,
+      agent_mode: agentMode,
+      contact_id: contactId,
+      caller_number: callerNumber,
+      called_number: calledNumber,
+      // A replay after the number was released keeps the number it was received on
+      phone_number_id: dialledNumber?.id ?? existingCall?.phone_number_id ?? null,
+      call_timestamp: callTimestamp,
+      duration_seconds: Math.round(data.metadata.call_duration_secs ?? 0),
+      // The caller ended up speaking to the user when the agent's transfer went through
+      status: !userId ? 'requires_review' : existingCall?.transfer_status === 'connected' ? 'transferred' : mapCallStatus(data, transcript),
+      transcript,
+      summary: data.analysis?.transcript_summary || null,
+      recording_url: data.recording_url || getElevenLabsConversationAudioUrl(data.conversation_id),
+      updated_at: new Date().toISOString()
+    };
+
+    // Upsert on the conversation ID so replays never create duplicates
+    const { data: call, error: upsertError } = await supabase
+      .from('call_history')
+      .upsert(callRecord, { onConflict: 'elevenlabs_conversation_id' })
+      .select('id, user_id, status')
+      .single();
+
+    if (upsertError) {
+      console.error('Database upsert error:', upsertError);
+      throw new Error('Failed to store call');
+    }
+
+    // Attach the tool calls the agent made during the conversation
+    const { error: toolLinkError } = await supabase
+      .from('call_tool_invocations')
+      .update({ call_id: call.id })
+      .eq('elevenlabs_conversation_id', data.conversation_id)
+      .is('call_id', null);
+
+    if (toolLinkError) {
+      console.error('Database tool invocation link error:', toolLinkError);
+    }
+
+    if (userId) {
+      await recordConversationUsage(supabase, {
+        userId,
+        source: 'call',
+        conversationId: data.conversation_id,
+        durationSeconds: callRecord.duration_seconds,
+        occurredAt: callTimestamp,
+        callId: call.id
+      });
+    }
+
+    // Run the owner's tagging rules; the tool calls linked above count as property mentions
+    if (userId) {
+      try {
+        await applyTagRules(supabase, userId, { callIds: [call.id] });
+      } catch (tagRulesError) {
+        console.error(`Could not apply tag rules to call ${call.id}:`, tagRulesError);
+      }
+    }
+
+    // Fill the buyer criteria of the contact, from the agent's data collection first
+    // and from the caller's own words otherwise. Failures are not fatal.
+    let qualified = false;
+    if (contactId) {
+      try {
+        qualified = await applyBuyerCriteria(
+          supabase,
+          contactId,
+          extractCriteriaFromDataCollection(data.analysis?.data_collection_results),
+          extractCriteriaFromTranscript(transcript.segments)
+        );
+      } catch (qualificationError) {
+        console.error(`Could not qualify contact ${contactId}:`, qualificationError);
+      }
+    }
+
+    // Only set, never cleared: a replay finds the contact already qualified
+    if (qualified) {
+      const { error: qualifiedError } = await supabase
+        .from('call_history')
+        .update({ qualified_lead: true })
+        .eq('id', call.id);
+
+      if (qualifiedError) {
+        console.error('Database qualified lead update error:', qualifiedError);
+      }
+    }
+
+    // Contacts who asked not to be called again are left out of every campaign
+    const doNotCall = data.analysis?.data_collection_results?.do_not_call?.value;
+    if (contactId && (doNotCall === true || doNotCall === 'true')) {
+      try {
+        await markDoNotCall(supabase, contactId);
+      } catch (doNotCallError) {
+        console.error(`Could not flag contact ${contactId} as do not call:`, doNotCallError);
+      }
+    }
+
+    // A campaign call frees a line: settle the contact's queue entry, then dial the next one
+    if (existingCall?.voice_campaign_contact_id && !replayed) {
+      try {
+        const campaignId = await recordCampaignCallOutcome(supabase, existingCall.voice_campaign_contact_id, {
+          callId: call.id,
+          callStatus: call.status
+        });
+        await runVoiceCampaign(supabase, campaignId);
+      } catch (campaignError) {
+        console.error(`Could not update the campaign of call ${call.id}:`, campaignError);
+      }
+    }
+
+    // Copy the recording before the provider link expires. Failures are not fatal:
+    // get-call-recording-url retries the copy the first time the call is played.
+    if (!existingCall?.recording_storage_path) {
+      try {
+        await archiveCallRecording(supabase, {
+          id: call.id,
+          recording_url: callRecord.recording_url,
+          elevenlabs_conversation_id: data.conversation_id
+        });
+      } catch (archiveError) {
+        console.error(`Could not archive recording for call ${call.id}:`, archiveError);
+      }
+    }
+
+    return new Response(
+      JSON.stringify({
+        received: true,
+        call_id: call.id,
+        contact_id: contactId,
+        contact_qualified: qualified,
+        replayed
+      }),
+      {
+        status: replayed ? 200 : 201,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    );
+
+  } catch (error) {
+    console.error('Function error:', error);
+
+    const status = error.message.includes('signature') ? 401 : 500;
+
+    return new Response(
+      JSON.stringify({ error: error.message }),
+      {
+        status,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    );
+  }
+});
@@ -0,0 +1,152 @@
+import { serve } from "https://deno.land/std@0.177.0/http/server.ts";
+import { z } from "npm:zod@3.22.4";
+import { corsHeaders } from '../_shared/cors.ts';
+import { getSupabaseServiceClient } from "../utils/supabaseServiceClient.ts";
+import { verifyToolSecret } from "../utils/agentTools.ts";
+import {
+  buildDynamicVariablePlaceholders,
+  resolveConversationUser,
+  resolvePromptVariables
+} from "../utils/promptTemplate.ts";
+import { findRunningExperiment, pickExperimentVariant } from "../utils/agentExperiments.ts";
+import { buildUserConversationOverride } from "../utils/userAgent.ts";
+import { findDialledPhoneNumber } from "../utils/phoneNumbers.ts";
+import { buildAgentModeVariant, resolveUserAgentMode } from "../utils/businessHours.ts";
+
+// This endpoint is called by ElevenLabs when an inbound call starts, not by our users:
+// deploy it with `--no-verify-jwt`. Requests carry the shared tool secret instead.
+
+// Schema for the ElevenLabs conversation initiation client data webhook
+const initiationSchema = z.object({
+  agent_id: z.string().min(1),
+  caller_id: z.string().optional().nullable(),
+  called_number: z.string().optional().nullable(),
+  call_sid: z.string().optional().nullable(),
+}).passthrough();
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  if (req.method !== 'POST') {
+    return new Response(
+      JSON.stringify({ error: 'Method not allowed' }),
+      {
+        status: 405,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    );
+  }
+
+  try {
+    verifyToolSecret(req);
+
+    let body;
+    try {
+      body = await req.json();
+    } catch (parseError) {
+      return new Response(
+        JSON.stringify({ error: 'Invalid JSON in request body' }),
+        {
+          status: 400,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    const validationResult = initiationSchema.safeParse(body);
+    if (!validationResult.success) {
+      return new Response(
+        JSON.stringify({
+          error: 'Invalid webhook payload',
+          details: validationResult.error.flatten()
+        }),
+        {
+          status: 400,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    const { agent_id, caller_id, called_number } = validationResult.data;
+
+    const supabase = getSupabaseServiceClient();
+
+    // The call must go through even if we cannot personalise it: fall back to placeholders
+    let dynamic_variables = buildDynamicVariablePlaceholders();
+    let conversation_config_override;
+    try {
+      // The user the dialled number is assigned to speaks through whichever agent answers it
+      const dialledNumber = await findDialledPhoneNumber(supabase, called_number ?? null);
+      if (dialledNumber?.ai_agent_id) {
+        const { data: routedAgent } = await supabase
+          .from('ai_agents')
+          .select('elevenlabs_agent_id')
+          .eq('id', dialledNumber.ai_agent_id)
+          .maybeSingle();
+        if (routedAgent && routedAgent.elevenlabs_agent_id !== agent_id) {
+          console.warn(`${called_number} is routed to agent ${routedAgent.elevenlabs_agent_id} in the inventory but was answered by ${agent_id}`);
+        }
+      }
+
+      const userId = dialledNumber?.user_id ?? await resolveConversationUser(supabase, agent_id, caller_id ?? null);
+      if (userId) {
+        dynamic_variables = await resolvePromptVariables(supabase, userId, caller_id ?? null);
+
+        // Split the user's conversations between the arms of their running experiment
+        let arm = null;
+        const experiment = await findRunningExperiment(supabase, userId, agent_id);
+        if (experiment) {
+          const variant = pickExperimentVariant(experiment, caller_id ?? null);
+          dynamic_variables.prospeo_experiment_id = experiment.id;
+          dynamic_variables.prospeo_experiment_variant = variant;
+          if (variant === 'variant') {
+            arm = experiment.variant;
+          }
+        }
+
+        // Opening hours decide between the in-hours and the after-hours variant
+        const agentMode = await resolveUserAgentMode(supabase, userId);
+        if (agentMode) {
+          dynamic_variables.prospeo_agent_mode = agentMode.mode;
+        }
+
+        // The user's overrides are layered on whichever arm takes the call
+        conversation_config_override = await buildUserConversationOverride(
+          supabase,
+          userId,
+          agent_id,
+          arm,
+          buildAgentModeVariant(agentMode)
+        ) ?? undefined;
+      } else {
+        console.warn(`Conversation on agent ${agent_id} not attributed to a user, using placeholders`);
+      }
+    } catch (resolveError) {
+      console.error('Could not resolve prompt variables:', resolveError);
+    }
+
+    return new Response(
+      JSON.stringify({
+        type: 'conversation_initiation_client_data',
+        dynamic_variables,
+        ...(conversation_config_override ? { conversation_config_override } : {})
+      }),
+      { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+
+  } catch (error) {
+    console.error('Function error:', error);
+
+    const status = error.message.includes('tool secret') ? 401 : 500;
+
+    return new Response(
+      JSON.stringify({ error: error.message }),
+      {
+        status,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    );
+  }
+});
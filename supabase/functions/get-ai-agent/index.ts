@@ -2,6 +2,7 @@ import { serve } from "https://deno.land/std@0.177.0/http/server.ts";
 import { verify } from "npm:djwt@3.0.0";
 import { corsHeaders } from '../_shared/cors.ts';
 import { getSupabaseServiceClient } from "../utils/supabaseServiceClient.ts";
+import { loadUserAgentState } from "../utils/userAgent.ts";
 
 // Validate JWT token and extract user ID
 const getUserIdFromToken = async (authHeader: string | null): Promise<string> => {
@@ -59,38 +60,11 @@ serve(async (req) => {
 
     const supabase = getSupabaseServiceClient();
 
-    // Get the agent configuration for the user
-    const { data: agent, error: dbError } = await supabase
-      .from('ai_agents')
-      .select(`
-        id,
-        agent_name,
-        elevenlabs_voice_id,
-        elevenlabs_agent_id,
-        system_prompt,
-        created_at,
-        updated_at
-      `)
-      .eq('user_id', userId)
-      .maybeSingle();
-
-    if (dbError) {
-      console.error('Database query error:', dbError);
-      throw new Error('Failed to fetch agent configuration');
-    }
-
-    // Return null if no agent configuration exists
-    if (!agent) {
-      return new Response(
-        JSON.stringify({ agent: null }),
-        { 
-          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-        }
-      );
-    }
+    // The agent assigned to the user, with their personal overrides on it
+    const state = await loadUserAgentState(supabase, userId);
 
     return new Response(
-      JSON.stringify({ agent }),
+      JSON.stringify(state),
       { 
         headers: { ...corsHeaders, 'Content-Type': 'application/json' }
       }
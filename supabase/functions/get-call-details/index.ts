@@ -0,0 +1,174 @@
+import { serve } from "https://deno.land/std@0.177.0/http/server.ts";
+import { verify } from "npm:djwt@3.0.0";
+import { z } from "npm:zod@3.22.4";
+import { corsHeaders } from '../_shared/cors.ts';
+import { getSupabaseServiceClient } from "../utils/supabaseServiceClient.ts";
+
+// Validate JWT token and extract user ID
+const getUserIdFromToken = async (authHeader: string | null): Promise<string> => {
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    throw new Error("Missing or invalid Authorization header");
+  }
+  const token = authHeader.split(' ')[1];
+  const secret = Deno.env.get("AUTH_SECRET");
+
+  if (!secret || secret.length < 32) {
+    console.error("AUTH_SECRET environment variable is missing or too short.");
+    throw new Error("Authentication secret configuration error.");
+  }
+
+  try {
+    const key = new TextEncoder().encode(secret);
+    const payload = await verify(token, key, { algorithms: ["HS256"] });
+    const userId = payload?.sub || payload?.id;
+
+    if (typeof userId !== 'string' || !userId) {
+      console.error("User ID not found in JWT payload:", payload);
+      throw new Error("Invalid token payload");
+    }
+
+    return userId;
+
+  } catch (jwtError: any) {
+    console.error("JWT validation failed:", jwtError.message);
+    if (jwtError.message.toLowerCase().includes('expired')) {
+      throw new Error("Token has expired");
+    }
+    throw new Error("Invalid token signature or structure");
+  }
+};
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  if (req.method !== 'GET') {
+    return new Response(
+      JSON.stringify({ error: 'Method not allowed' }),
+      { 
+        status: 405, 
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    );
+  }
+
+  try {
+    const userId = await getUserIdFromToken(req.headers.get('Authorization'));
+
+    // Extract call ID from URL path
+    const url = new URL(req.url);
+    const pathParts = url.pathname.split('/');
+    const callId = pathParts[pathParts.length - 1];
+
+    if (!callId || !z.string().uuid().safeParse(callId).success) {
+      return new Response(
+        JSON.stringify({ error: 'Invalid or missing call ID in URL path' }),
+        { 
+          status: 400, 
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    const supabase = getSupabaseServiceClient();
+
+    // Get the call with its relations, ensuring ownership
+    const { data: call, error: dbError } = await supabase
+      .from('call_history')
+      .select(`
+        *,
+        contact:contacts(
+          id,
+          first_name,
+          last_name,
+          email,
+          phone,
+          status
+        ),
+        property:properties(
+          id,
+          name,
+          address,
+          property_type
+        ),
+        agent:ai_agents(
+          id,
+          agent_name
+        ),
+        phone_number:phone_numbers(
+          id,
+          phone_number,
+          label
+        ),
+        voice_campaign:voice_campaigns!voice_campaign_id(
+          id,
+          name
+        ),
+        agent_version:ai_agent_versions(
+          id,
+          version_number
+        ),
+        call_tags(
+          tag:tags(
+            id,
+            name,
+            color
+          )
+        ),
+        tool_invocations:call_tool_invocations(
+          id,
+          tool_name,
+          parameters,
+          result_count,
+          status,
+          created_at
+        )
+      `)
+      .eq('id', callId)
+      .eq('user_id', userId)
+      .single();
+
+    if (dbError) {
+      console.error('Database query error:', dbError);
+      if (dbError.code === 'PGRST116') { // Not found
+        return new Response(
+          JSON.stringify({ error: 'Call not found or access denied' }),
+          { 
+            status: 404, 
+            headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+          }
+        );
+      }
+      throw new Error('Failed to fetch call details');
+    }
+
+    const { call_tags, ...callData } = call;
+
+    return new Response(
+      JSON.stringify({
+        call: {
+          ...callData,
+          tags: (call_tags || []).map((callTag: any) => callTag.tag).filter(Boolean)
+        }
+      }),
+      { 
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    );
+
+  } catch (error) {
+    console.error('Function error:', error);
+    
+    const status = error.message.includes('Authorization') || 
+                  error.message.includes('token') ? 401 : 500;
+                  
+    return new Response(
+      JSON.stringify({ error: error.message }),
+      {
+        status,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    );
+  }
+});
@@ -0,0 +1,151 @@
+import { serve } from "https://deno.land/std@0.177.0/http/server.ts";
+import { verify } from "npm:djwt@3.0.0";
+import { z } from "npm:zod@3.22.4";
+import { corsHeaders } from '../_shared/cors.ts';
+import { getSupabaseServiceClient } from "../utils/supabaseServiceClient.ts";
+import { archiveCallRecording, CALL_RECORDINGS_BUCKET, RECORDING_URL_TTL_SECS } from "../utils/callRecordings.ts";
+
+// Validate JWT token and extract user ID
+const getUserIdFromToken = async (authHeader: string | null): Promise<string> => {
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    throw new Error("Missing or invalid Authorization header");
+  }
+  const token = authHeader.split(' ')[1];
+  const secret = Deno.env.get("AUTH_SECRET");
+
+  if (!secret || secret.length < 32) {
+    console.error("AUTH_SECRET environment variable is missing or too short.");
+    throw new Error("Authentication secret configuration error.");
+  }
+
+  try {
+    const key = new TextEncoder().encode(secret);
+    const payload = await verify(token, key, { algorithms: ["HS256"] });
+    const userId = payload?.sub || payload?.id;
+
+    if (typeof userId !== 'string' || !userId) {
+      console.error("User ID not found in JWT payload:", payload);
+      throw new Error("Invalid token payload");
+    }
+
+    return userId;
+
+  } catch (jwtError: any) {
+    console.error("JWT validation failed:", jwtError.message);
+    if (jwtError.message.toLowerCase().includes('expired')) {
+      throw new Error("Token has expired");
+    }
+    throw new Error("Invalid token signature or structure");
+  }
+};
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  if (req.method !== 'GET') {
+    return new Response(
+      JSON.stringify({ error: 'Method not allowed' }),
+      { 
+        status: 405, 
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    );
+  }
+
+  try {
+    const userId = await getUserIdFromToken(req.headers.get('Authorization'));
+
+    // Extract call ID from URL path: /get-call-recording-url/:callId
+    const url = new URL(req.url);
+    const pathParts = url.pathname.split('/');
+    const callId = pathParts[pathParts.length - 1];
+
+    if (!callId || !z.string().uuid().safeParse(callId).success) {
+      return new Response(
+        JSON.stringify({ error: 'Invalid or missing call ID in URL path' }),
+        { 
+          status: 400, 
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    const supabase = getSupabaseServiceClient();
+
+    // Get the call, ensuring ownership
+    const { data: call, error: dbError } = await supabase
+      .from('call_history')
+      .select('id, call_timestamp, recording_url, recording_storage_path, elevenlabs_conversation_id')
+      .eq('id', callId)
+      .eq('user_id', userId)
+      .single();
+
+    if (dbError) {
+      console.error('Database query error:', dbError);
+      if (dbError.code === 'PGRST116') { // Not found
+        return new Response(
+          JSON.stringify({ error: 'Call not found or access denied' }),
+          { 
+            status: 404, 
+            headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+          }
+        );
+      }
+      throw new Error('Failed to fetch call');
+    }
+
+    // Calls ingested before archiving existed (or whose copy failed) are archived on first play
+    const storagePath = call.recording_storage_path || await archiveCallRecording(supabase, call);
+
+    if (!storagePath) {
+      return new Response(
+        JSON.stringify({ error: 'No recording available for this call' }),
+        { 
+          status: 404, 
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    const extension = storagePath.split('.').pop();
+    const downloadName = `appel-${call.call_timestamp.slice(0, 10)}-${call.id.slice(0, 8)}.${extension}`;
+
+    const storage = supabase.storage.from(CALL_RECORDINGS_BUCKET);
+    const [stream, download] = await Promise.all([
+      storage.createSignedUrl(storagePath, RECORDING_URL_TTL_SECS),
+      storage.createSignedUrl(storagePath, RECORDING_URL_TTL_SECS, { download: downloadName })
+    ]);
+
+    if (stream.error || download.error) {
+      console.error('Storage signed URL error:', stream.error || download.error);
+      throw new Error('Failed to sign recording URL');
+    }
+
+    return new Response(
+      JSON.stringify({
+        url: stream.data.signedUrl,
+        download_url: download.data.signedUrl,
+        expires_in: RECORDING_URL_TTL_SECS
+      }),
+      { 
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    );
+
+  } catch (error) {
+    console.error('Function error:', error);
+    
+    const status = error.message.includes('Authorization') || 
+                  error.message.includes('token') ? 401 : 500;
+                  
+    return new Response(
+      JSON.stringify({ error: error.message }),
+      {
+        status,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    );
+  }
+});
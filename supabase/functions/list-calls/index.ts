@@ -0,0 +1,229 @@
+import { serve } from "https://deno.land/std@0.177.0/http/server.ts";
+import { verify } from "npm:djwt@3.0.0";
+import { z } from "npm:zod@3.22.4";
+import { corsHeaders } from '../_shared/cors.ts';
+import { getSupabaseServiceClient } from "../utils/supabaseServiceClient.ts";
+
+// Validate JWT token and extract user ID
+const getUserIdFromToken = async (authHeader: string | null): Promise<string> => {
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    throw new Error("Missing or invalid Authorization header");
+  }
+  const token = authHeader.split(' ')[1];
+  const secret = Deno.env.get("AUTH_SECRET");
+
+  if (!secret || secret.length < 32) {
+    console.error("AUTH_SECRET environment variable is missing or too short.");
+    throw new Error("Authentication secret configuration error.");
+  }
+
+  try {
+    const key = new TextEncoder().encode(secret);
+    const payload = await verify(token, key, { algorithms: ["HS256"] });
+    const userId = payload?.sub || payload?.id;
+
+    if (typeof userId !== 'string' || !userId) {
+      console.error("User ID not found in JWT payload:", payload);
+      throw new Error("Invalid token payload");
+    }
+
+    return userId;
+
+  } catch (jwtError: any) {
+    console.error("JWT validation failed:", jwtError.message);
+    if (jwtError.message.toLowerCase().includes('expired')) {
+      throw new Error("Token has expired");
+    }
+    throw new Error("Invalid token signature or structure");
+  }
+};
+
+// Schema for request body
+const filterSchema = z.object({
+  page: z.number().int().positive().default(1),
+  limit: z.number().int().positive().max(100).default(10),
+  dateFrom: z.string().datetime().optional(),
+  dateTo: z.string().datetime().optional(),
+  status: z.enum(['completed', 'missed', 'failed', 'in-progress', 'requires_review', 'transferred']).optional(),
+  ai_agent_id: z.string().uuid().optional(),
+  property_id: z.string().uuid().optional(),
+  contact_id: z.string().uuid().optional(),
+  tag_id: z.string().uuid().optional(),
+  agent_mode: z.enum(['in_hours', 'after_hours']).optional(),
+  direction: z.enum(['inbound', 'outbound']).optional(),
+  voice_campaign_id: z.string().uuid().optional(),
+  sort: z.enum(['call_timestamp', 'duration_seconds', 'status']).default('call_timestamp'),
+  order: z.enum(['asc', 'desc']).default('desc'),
+});
+
+type FilterParams = z.infer<typeof filterSchema>;
+
+serve(async (req) => {
+  // Handle CORS preflight
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  // Require POST method
+  if (req.method !== 'POST') {
+    return new Response(
+      JSON.stringify({ error: 'Method not allowed' }),
+      { 
+        status: 405, 
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    );
+  }
+
+  try {
+    // Validate JWT and get user ID
+    const userId = await getUserIdFromToken(req.headers.get('Authorization'));
+
+    // Parse and validate request body
+    let body;
+    try {
+      body = await req.json();
+    } catch (parseError) {
+      return new Response(
+        JSON.stringify({ error: 'Invalid JSON in request body' }),
+        { 
+          status: 400, 
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    // Validate body against schema
+    const validationResult = filterSchema.safeParse(body);
+
+    if (!validationResult.success) {
+      return new Response(
+        JSON.stringify({
+          error: 'Invalid request body',
+          details: validationResult.error.flatten()
+        }),
+        {
+          status: 400,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    const {
+      page, limit, dateFrom, dateTo, status, ai_agent_id, property_id, contact_id, tag_id, agent_mode,
+      direction, voice_campaign_id, sort, order
+    }: FilterParams = validationResult.data;
+    const offset = (page - 1) * limit;
+
+    // Use Service Role Client to query calls (transcripts are only returned by get-call-details)
+    const supabase = getSupabaseServiceClient();
+    let query = supabase
+      .from('call_history')
+      .select(`
+        id,
+        call_timestamp,
+        caller_number,
+        called_number,
+        agent_mode,
+        direction,
+        duration_seconds,
+        status,
+        summary,
+        is_test,
+        contact:contacts(
+          id,
+          first_name,
+          last_name,
+          phone
+        ),
+        property:properties(
+          id,
+          name
+        ),
+        agent:ai_agents(
+          id,
+          agent_name
+        ),
+        phone_number:phone_numbers(
+          id,
+          phone_number,
+          label
+        ),
+        voice_campaign:voice_campaigns!voice_campaign_id(
+          id,
+          name
+        ),
+        call_tags(
+          tag:tags(
+            id,
+            name,
+            color
+          )
+        )${tag_id ? ',tag_filter:call_tags!inner(tag_id)' : ''}
+      `, { count: 'exact' })
+      .eq('user_id', userId);
+
+    // Apply filters
+    if (dateFrom) query = query.gte('call_timestamp', dateFrom);
+    if (dateTo) query = query.lte('call_timestamp', dateTo);
+    if (status) query = query.eq('status', status);
+    if (ai_agent_id) query = query.eq('ai_agent_id', ai_agent_id);
+    if (property_id) query = query.eq('property_id', property_id);
+    if (contact_id) query = query.eq('contact_id', contact_id);
+    if (tag_id) query = query.eq('tag_filter.tag_id', tag_id);
+    if (agent_mode) query = query.eq('agent_mode', agent_mode);
+    if (direction) query = query.eq('direction', direction);
+    if (voice_campaign_id) query = query.eq('voice_campaign_id', voice_campaign_id);
+
+    // Apply sorting
+    query = query.order(sort, { ascending: order === 'asc' });
+
+    // Apply pagination
+    query = query.range(offset, offset + limit - 1);
+
+    // Execute query
+    const { data: calls, error: dbError, count } = await query;
+
+    if (dbError) {
+      console.error('Database error:', dbError);
+      throw new Error('Failed to fetch calls');
+    }
+
+    // Flatten the junction rows into a plain tag list
+    const data = (calls || []).map(({ call_tags, tag_filter, ...call }: any) => ({
+      ...call,
+      tags: (call_tags || []).map((callTag: any) => callTag.tag).filter(Boolean)
+    }));
+
+    return new Response(
+      JSON.stringify({
+        data,
+        meta: {
+          currentPage: page,
+          itemsPerPage: limit,
+          totalItems: count || 0,
+          totalPages: count ? Math.ceil(count / limit) : 0,
+          sort,
+          order
+        }
+      }),
+      {
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    );
+
+  } catch (error) {
+    console.error('Function error:', error);
+    
+    const status = error.message.includes('Authorization') || 
+                  error.message.includes('token') ? 401 : 500;
+                  
+    return new Response(
+      JSON.stringify({ error: error.message }),
+      {
+        status,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    );
+  }
+});
@@ -44,6 +44,7 @@ const filterSchema = z.object({
   limit: z.number().int().positive().max(100).default(10),
   search: z.string().optional(),
   status: z.enum(['new', 'contacted', 'qualified', 'unqualified', 'client']).optional(),
+  source: z.string().optional(),
   sort: z.enum(['created_at', 'first_name', 'last_name', 'email', 'status']).default('created_at'),
   order: z.enum(['asc', 'desc']).default('desc'),
 });
@@ -101,7 +102,7 @@ serve(async (req) => {
       );
     }
 
-    const { page, limit, search, status, sort, order }: FilterParams = validationResult.data;
+    const { page, limit, search, status, source, sort, order }: FilterParams = validationResult.data;
     const offset = (page - 1) * limit;
 
     // Use Service Role Client to query contacts
@@ -125,6 +126,7 @@ serve(async (req) => {
         `first_name.ilike.%${search}%,` +
         `last_name.ilike.%${search}%,` +
         `email.ilike.%${search}%,` +
+        `phone.ilike.%${search}%,` +
         `company_name.ilike.%${search}%`
       );
     }
@@ -133,6 +135,10 @@ serve(async (req) => {
       query = query.eq('status', status);
     }
 
+    if (source) {
+      query = query.eq('source', source);
+    }
+
     // Apply sorting
     query = query.order(sort, { ascending: order === 'asc' });
 
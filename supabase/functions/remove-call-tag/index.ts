@@ -0,0 +1,121 @@
+import { serve } from "https://deno.land/std@0.177.0/http/server.ts";
+import { verify } from "npm:djwt@3.0.0";
+import { z } from "npm:zod@3.22.4";
+import { corsHeaders } from '../_shared/cors.ts';
+import { getSupabaseServiceClient } from "../utils/supabaseServiceClient.ts";
+
+// Validate JWT token and extract user ID
+const getUserIdFromToken = async (authHeader: string | null): Promise<string> => {
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    throw new Error("Missing or invalid Authorization header");
+  }
+  const token = authHeader.split(' ')[1];
+  const secret = Deno.env.get("AUTH_SECRET");
+
+  if (!secret || secret.length < 32) {
+    console.error("AUTH_SECRET environment variable is missing or too short.");
+    throw new Error("Authentication secret configuration error.");
+  }
+
+  try {
+    const key = new TextEncoder().encode(secret);
+    const payload = await verify(token, key, { algorithms: ["HS256"] });
+    const userId = payload?.sub || payload?.id;
+
+    if (typeof userId !== 'string' || !userId) {
+      console.error("User ID not found in JWT payload:", payload);
+      throw new Error("Invalid token payload");
+    }
+
+    return userId;
+
+  } catch (jwtError: any) {
+    console.error("JWT validation failed:", jwtError.message);
+    if (jwtError.message.toLowerCase().includes('expired')) {
+      throw new Error("Token has expired");
+    }
+    throw new Error("Invalid token signature or structure");
+  }
+};
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  if (req.method !== 'DELETE') {
+    return new Response(
+      JSON.stringify({ error: 'Method not allowed' }),
+      { 
+        status: 405, 
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    );
+  }
+
+  try {
+    const userId = await getUserIdFromToken(req.headers.get('Authorization'));
+
+    // Extract call and tag IDs from URL path: /remove-call-tag/:callId/:tagId
+    const url = new URL(req.url);
+    const pathParts = url.pathname.split('/');
+    const tagId = pathParts[pathParts.length - 1];
+    const callId = pathParts[pathParts.length - 2];
+
+    const uuid = z.string().uuid();
+    if (!uuid.safeParse(callId).success || !uuid.safeParse(tagId).success) {
+      return new Response(
+        JSON.stringify({ error: 'Invalid or missing call/tag ID in URL path' }),
+        { 
+          status: 400, 
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    const supabase = getSupabaseServiceClient();
+
+    // Detach the tag, ensuring ownership
+    const { error: dbError, count } = await supabase
+      .from('call_tags')
+      .delete({ count: 'exact' })
+      .eq('call_id', callId)
+      .eq('tag_id', tagId)
+      .eq('user_id', userId);
+
+    if (dbError) {
+      console.error('Database delete error:', dbError);
+      throw new Error('Failed to remove tag from call');
+    }
+
+    if (count === 0) {
+      return new Response(
+        JSON.stringify({ error: 'Tag not attached to this call' }),
+        { 
+          status: 404, 
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    // Return 204 No Content for successful deletion
+    return new Response(null, { 
+      status: 204,
+      headers: corsHeaders
+    });
+
+  } catch (error) {
+    console.error('Function error:', error);
+    
+    const status = error.message.includes('Authorization') || 
+                  error.message.includes('token') ? 401 : 500;
+                  
+    return new Response(
+      JSON.stringify({ error: error.message }),
+      {
+        status,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    );
+  }
+});
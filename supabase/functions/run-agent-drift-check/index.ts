@@ -0,0 +1,54 @@
+import { serve } from "https://deno.land/std@0.177.0/http/server.ts";
+import { corsHeaders } from '../_shared/cors.ts';
+import { getSupabaseServiceClient } from "../utils/supabaseServiceClient.ts";
+import { verifyToolSecret } from "../utils/agentTools.ts";
+import { recordAgentDriftRun } from "../utils/agentDrift.ts";
+
+// Reconciliation job of the agents with ElevenLabs, run by a scheduler rather than by our users:
+// deploy it with `--no-verify-jwt` and call it every hour (pg_cron + pg_net), sending the
+// shared tool secret. Each run is stored for the admin ElevenLabs Sync screen.
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  if (req.method !== 'POST') {
+    return new Response(
+      JSON.stringify({ error: 'Method not allowed' }),
+      {
+        status: 405,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    );
+  }
+
+  try {
+    verifyToolSecret(req);
+
+    const supabase = getSupabaseServiceClient();
+    const run = await recordAgentDriftRun(supabase);
+
+    return new Response(
+      JSON.stringify({
+        id: run.id,
+        checked_at: run.checked_at,
+        out_of_sync_count: run.out_of_sync_count
+      }),
+      { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+
+  } catch (error) {
+    console.error('Function error:', error);
+
+    const status = error.message.includes('tool secret') ? 401 : 500;
+
+    return new Response(
+      JSON.stringify({ error: error.message }),
+      {
+        status,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    );
+  }
+});
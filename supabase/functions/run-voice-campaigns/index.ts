@@ -0,0 +1,50 @@
+import { serve } from "https://deno.land/std@0.177.0/http/server.ts";
+import { corsHeaders } from '../_shared/cors.ts';
+import { getSupabaseServiceClient } from "../utils/supabaseServiceClient.ts";
+import { verifyToolSecret } from "../utils/agentTools.ts";
+import { runActiveVoiceCampaigns } from "../utils/voiceCampaigns.ts";
+
+// Dialler of the outbound voice campaigns, run by a scheduler rather than by our users:
+// deploy it with `--no-verify-jwt` and call it every minute (pg_cron + pg_net), sending
+// the shared tool secret. Each run calls the contacts due, within each campaign's caps.
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  if (req.method !== 'POST') {
+    return new Response(
+      JSON.stringify({ error: 'Method not allowed' }),
+      {
+        status: 405,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    );
+  }
+
+  try {
+    verifyToolSecret(req);
+
+    const supabase = getSupabaseServiceClient();
+    const campaigns = await runActiveVoiceCampaigns(supabase);
+
+    return new Response(
+      JSON.stringify({ campaigns }),
+      { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+
+  } catch (error) {
+    console.error('Function error:', error);
+
+    const status = error.message.includes('tool secret') ? 401 : 500;
+
+    return new Response(
+      JSON.stringify({ error: error.message }),
+      {
+        status,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    );
+  }
+});
@@ -0,0 +1,211 @@
+import { serve } from "https://deno.land/std@0.177.0/http/server.ts";
+import { verify } from "npm:djwt@3.0.0";
+import { z } from "npm:zod@3.22.4";
+import { corsHeaders } from '../_shared/cors.ts';
+import { getSupabaseServiceClient } from "../utils/supabaseServiceClient.ts";
+import { getElevenLabsConversation, getElevenLabsConversationAudioUrl } from "../utils/elevenlabsClient.ts";
+import { normalizeTranscript } from "../utils/conversationTranscript.ts";
+import { findAgentVersionAt } from "../utils/agentVersions.ts";
+import { archiveCallRecording } from "../utils/callRecordings.ts";
+import { recordConversationUsage } from "../utils/usageMetering.ts";
+import { resolveConversationOwner } from "../utils/callOwnership.ts";
+
+// Validate JWT token and extract user ID
+const getUserIdFromToken = async (authHeader: string | null): Promise<string> => {
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    throw new Error("Missing or invalid Authorization header");
+  }
+  const token = authHeader.split(' ')[1];
+  const secret = Deno.env.get("AUTH_SECRET");
+
+  if (!secret || secret.length < 32) {
+    console.error("AUTH_SECRET environment variable is missing or too short.");
+    throw new Error("Authentication secret configuration error.");
+  }
+
+  try {
+    const key = new TextEncoder().encode(secret);
+    const payload = await verify(token, key, { algorithms: ["HS256"] });
+    const userId = payload?.sub || payload?.id;
+
+    if (typeof userId !== 'string' || !userId) {
+      console.error("User ID not found in JWT payload:", payload);
+      throw new Error("Invalid token payload");
+    }
+
+    return userId;
+
+  } catch (jwtError: any) {
+    console.error("JWT validation failed:", jwtError.message);
+    if (jwtError.message.toLowerCase().includes('expired')) {
+      throw new Error("Token has expired");
+    }
+    throw new Error("Invalid token signature or structure");
+  }
+};
+
+// Schema for request body
+const saveTestCallSchema = z.object({
+  conversation_id: z.string().min(1)
+});
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  if (req.method !== 'POST') {
+    return new Response(
+      JSON.stringify({ error: 'Method not allowed' }),
+      {
+        status: 405,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    );
+  }
+
+  try {
+    const userId = await getUserIdFromToken(req.headers.get('Authorization'));
+
+    let body;
+    try {
+      body = await req.json();
+    } catch (parseError) {
+      return new Response(
+        JSON.stringify({ error: 'Invalid JSON in request body' }),
+        {
+          status: 400,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    const validationResult = saveTestCallSchema.safeParse(body);
+    if (!validationResult.success) {
+      return new Response(
+        JSON.stringify({
+          error: 'Invalid request body',
+          details: validationResult.error.flatten()
+        }),
+        {
+          status: 400,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    const { conversation_id } = validationResult.data;
+
+    const conversation = await getElevenLabsConversation(conversation_id);
+    const testSessionId = conversation?.conversation_initiation_client_data?.dynamic_variables?.prospeo_test_session;
+
+    const supabase = getSupabaseServiceClient();
+
+    const startTime = conversation?.metadata?.start_time_unix_secs;
+    const startedAt = startTime ? new Date(startTime * 1000) : null;
+
+    // Only the user's own test sessions can be saved this way
+    const owner = conversation && z.string().uuid().safeParse(testSessionId).success
+      ? await resolveConversationOwner(supabase, conversation.agent_id, conversation_id, { testSessionId, startedAt })
+      : null;
+
+    if (!owner || owner.userId !== userId) {
+      return new Response(
+        JSON.stringify({ error: 'Test conversation not found' }),
+        {
+          status: 404,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    // ElevenLabs needs a few seconds after hang-up to finalise the transcript
+    if (conversation.status !== 'done' && conversation.status !== 'failed') {
+      return new Response(
+        JSON.stringify({ error: 'The conversation is still being processed, try again in a few seconds' }),
+        {
+          status: 409,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    const transcript = normalizeTranscript({
+      transcript: conversation.transcript || [],
+      metadata: conversation.metadata || {}
+    });
+    const callTimestamp = (startedAt || new Date()).toISOString();
+
+    const { data: call, error: upsertError } = await supabase
+      .from('call_history')
+      .upsert({
+        elevenlabs_conversation_id: conversation_id,
+        user_id: userId,
+        ai_agent_id: owner.aiAgentId,
+        ai_agent_version_id: owner.aiAgentId ? await findAgentVersionAt(supabase, owner.aiAgentId, callTimestamp) : null,
+        is_test: true,
+        caller_number: 'test',
+        call_timestamp: callTimestamp,
+        duration_seconds: Math.round(conversation.metadata?.call_duration_secs ?? 0),
+        status: conversation.status === 'failed' ? 'failed'
+          : transcript.segments.some((segment) => segment.speaker === 'caller') ? 'completed'
+          : 'missed',
+        transcript,
+        summary: conversation.analysis?.transcript_summary || null,
+        recording_url: getElevenLabsConversationAudioUrl(conversation_id),
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'elevenlabs_conversation_id' })
+      .select('id, recording_url, recording_storage_path')
+      .single();
+
+    if (upsertError) {
+      console.error('Database upsert error:', upsertError);
+      throw new Error('Failed to save test call');
+    }
+
+    // Usually metered by the post-call webhook already: this links the entry to the call
+    await recordConversationUsage(supabase, {
+      userId,
+      source: 'test',
+      conversationId: conversation_id,
+      durationSeconds: conversation.metadata?.call_duration_secs ?? 0,
+      occurredAt: callTimestamp,
+      callId: call.id
+    });
+
+    // Not fatal: get-call-recording-url retries the copy on first playback
+    if (!call.recording_storage_path) {
+      try {
+        await archiveCallRecording(supabase, {
+          id: call.id,
+          recording_url: call.recording_url,
+          elevenlabs_conversation_id: conversation_id
+        });
+      } catch (archiveError) {
+        console.error(`Could not archive recording for test call ${call.id}:`, archiveError);
+      }
+    }
+
+    return new Response(
+      JSON.stringify({ call: { id: call.id } }),
+      {
+        status: 201,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    );
+
+  } catch (error) {
+    console.error('Function error:', error);
+
+    const status = error.message.includes('Authorization') ||
+                  error.message.includes('token') ? 401 : 500;
+
+    return new Response(
+      JSON.stringify({ error: error.message }),
+      {
+        status,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    );
+  }
+});
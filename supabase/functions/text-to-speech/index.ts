@@ -1,6 +1,7 @@
 import { serve } from "https://deno.land/std@0.177.0/http/server.ts";
 import { corsHeaders } from '../_shared/cors.ts';
 import { generateSpeech } from "../utils/elevenlabsClient.ts";
+import { TTS_MODELS } from "../utils/voiceSettings.ts";
 import { z } from "npm:zod@3.22.4";
 
 // Schema for request body
@@ -10,7 +11,10 @@ const ttsRequestSchema = z.object({
   stability: z.number().min(0).max(1).optional(),
   similarityBoost: z.number().min(0).max(1).optional(),
   style: z.number().min(0).max(1).optional(),
-  useSpeakerBoost: z.boolean().optional()
+  useSpeakerBoost: z.boolean().optional(),
+  speed: z.number().min(0.7).max(1.2).optional(),
+  modelId: z.enum(TTS_MODELS).optional(),
+  languageCode: z.string().regex(/^[a-z]{2}$/).optional()
 });
 
 serve(async (req) => {
@@ -56,13 +60,20 @@ serve(async (req) => {
       );
     }
 
-    const { text, voiceId, stability, similarityBoost, style, useSpeakerBoost } = validationResult.data;
+    const {
+      text, voiceId, stability, similarityBoost, style, useSpeakerBoost, speed, modelId, languageCode
+    } = validationResult.data;
 
     const audioBuffer = await generateSpeech(text, voiceId, {
       stability: stability ?? 0.75,
       similarity_boost: similarityBoost ?? 0.75,
       style: style,
-      use_speaker_boost: useSpeakerBoost ?? true
+      use_speaker_boost: useSpeakerBoost ?? true,
+      speed
+    }, {
+      model_id: modelId,
+      // Only v2.5 models accept a language code
+      language_code: modelId?.endsWith('_v2_5') ? languageCode : undefined
     });
 
     return new Response(
@@ -3,7 +3,13 @@ import { verify } from "npm:djwt@3.0.0";
 import { z } from "npm:zod@3.22.4";
 import { corsHeaders } from '../_shared/cors.ts';
 import { getSupabaseServiceClient } from "../utils/supabaseServiceClient.ts";
-import { createElevenLabsAgent, updateElevenLabsAgent, getElevenLabsAgent } from "../utils/elevenlabsClient.ts";
+import { createElevenLabsConvaiAgent, updateElevenLabsConvaiAgent } from "../utils/elevenlabsClient.ts";
+import { findUnknownPromptVariables } from "../utils/promptTemplate.ts";
+import { recordAgentVersion } from "../utils/agentVersions.ts";
+import { pickVoiceSettings } from "../utils/voiceSettings.ts";
+import { isVoiceCloneOfOtherAgency } from "../utils/voiceClones.ts";
+import { pickConversationSettings } from "../utils/conversationSettings.ts";
+import { agentOverridesShape, loadUserAgentState, saveAgentOverrides } from "../utils/userAgent.ts";
 
 // Validate JWT token and extract user ID
 const getUserIdFromToken = async (authHeader: string | null): Promise<string> => {
@@ -39,12 +45,25 @@ const getUserIdFromToken = async (authHeader: string | null): Promise<string> =>
   }
 };
 
-// Schema for updating an AI agent
+// Schema for updating the assigned agent: personal overrides, and the agent itself when the user may edit it
 const updateAgentSchema = z.object({
-  agent_name: z.string().min(1, "Agent name is required").optional(),
-  elevenlabs_voice_id: z.string().min(1, "Voice ID is required").optional(),
-  system_prompt: z.string().optional(),
-}).strict();
+  overrides: z.object(agentOverridesShape).strict().optional(),
+  agent: z.object({
+    agent_name: z.string().min(1, "Agent name is required").optional(),
+    elevenlabs_voice_id: z.string().min(1, "Voice ID is required").optional(),
+    system_prompt: z.string().min(1, "System prompt is required").superRefine((prompt, ctx) => {
+      // An unknown variable would be read out literally by the agent
+      const unknown = findUnknownPromptVariables(prompt);
+      if (unknown.length > 0) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          message: `Unknown prompt variables: ${unknown.join(', ')}`
+        });
+      }
+    }).optional(),
+    description: z.string().optional(),
+  }).strict().optional(),
+}).strict().refine(body => body.overrides || body.agent, { message: "Nothing to update" });
 
 serve(async (req) => {
   if (req.method === 'OPTIONS') {
@@ -95,92 +114,108 @@ serve(async (req) => {
 
     const supabase = getSupabaseServiceClient();
 
-    // Get current agent configuration
-    const { data: currentAgent, error: fetchError } = await supabase
-      .from('ai_agents')
-      .select('*')
-      .eq('user_id', userId)
-      .single();
+    const { agent: currentAgent, overrides: currentOverrides, can_edit_agent } = await loadUserAgentState(supabase, userId);
 
-    if (fetchError && fetchError.code !== 'PGRST116') { // Ignore not found error
-      console.error('Database fetch error:', fetchError);
-      throw new Error('Failed to fetch current agent configuration');
+    if (!currentAgent) {
+      return new Response(
+        JSON.stringify({ error: 'No agent is assigned to you: select one first' }),
+        { 
+          status: 404, 
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        }
+      );
     }
 
-    let elevenlabsAgent = null;
-    let newElAgentId = currentAgent?.elevenlabs_agent_id || null;
-
-    // Handle ElevenLabs agent update if voice ID is changing
-    if (validatedData.elevenlabs_voice_id) {
-      try {
-        const agentPayload = {
-          name: validatedData.agent_name || currentAgent?.agent_name || 'AI Agent',
-          voice_id: validatedData.elevenlabs_voice_id,
-          initial_system_prompt: validatedData.system_prompt || currentAgent?.system_prompt || ''
-        };
-
-        if (newElAgentId) {
-          // Try to update existing EL agent
-          console.log(`Attempting to update EL Agent ID: ${newElAgentId}`);
-          elevenlabsAgent = await updateElevenLabsAgent(newElAgentId, agentPayload);
-        } else {
-          // Create new EL agent
-          console.log('Creating new EL Agent');
-          elevenlabsAgent = await createElevenLabsAgent(agentPayload);
+    // Shared agents are edited by admins, users only change their overrides
+    if (validatedData.agent && !can_edit_agent) {
+      return new Response(
+        JSON.stringify({ error: 'Forbidden: only admins can edit a shared agent' }),
+        { 
+          status: 403, 
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
         }
+      );
+    }
 
-        newElAgentId = elevenlabsAgent?.agent_id;
+    // Cloned voices are consented for one agency only. The voices already set were checked then.
+    const voiceIds = [
+      validatedData.overrides?.elevenlabs_voice_id !== currentOverrides?.elevenlabs_voice_id && validatedData.overrides?.elevenlabs_voice_id,
+      validatedData.agent?.elevenlabs_voice_id !== currentAgent.elevenlabs_voice_id && validatedData.agent?.elevenlabs_voice_id
+    ].filter(Boolean) as string[];
+    for (const voiceId of voiceIds) {
+      if (await isVoiceCloneOfOtherAgency(supabase, voiceId, userId)) {
+        return new Response(
+          JSON.stringify({ error: 'This voice was cloned for another agency' }),
+          {
+            status: 403,
+            headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+          }
+        );
+      }
+    }
 
-        if (!newElAgentId) {
-          throw new Error('Failed to get Agent ID from ElevenLabs');
-        }
+    if (validatedData.agent && Object.keys(validatedData.agent).length > 0) {
+      const { data: fullAgent, error: fetchError } = await supabase
+        .from('ai_agents')
+        .select('*')
+        .eq('id', currentAgent.id)
+        .single();
 
-      } catch (elError: any) {
-        // If update failed with 404, try to create new agent
-        if (newElAgentId && (elError.status === 404 || elError.response?.status === 404)) {
-          console.warn(`EL Agent ${newElAgentId} not found, creating new one`);
-          try {
-            elevenlabsAgent = await createElevenLabsAgent({
-              name: validatedData.agent_name || currentAgent?.agent_name || 'AI Agent',
-              voice_id: validatedData.elevenlabs_voice_id,
-              initial_system_prompt: validatedData.system_prompt || currentAgent?.system_prompt || ''
-            });
-            newElAgentId = elevenlabsAgent?.agent_id;
-            if (!newElAgentId) throw new Error('Failed to get Agent ID after creation');
-          } catch (createError) {
-            console.error('Error creating EL Agent:', createError);
-            throw new Error('Failed to create new agent with ElevenLabs');
-          }
-        } else {
-          console.error('ElevenLabs API error:', elError);
-          throw new Error('Failed to update agent with ElevenLabs');
+      if (fetchError) {
+        console.error('Database fetch error:', fetchError);
+        throw new Error('Failed to fetch current agent configuration');
+      }
+
+      const nextAgent = { ...fullAgent, ...validatedData.agent };
+      const elConfig = {
+        agent_name: nextAgent.agent_name,
+        elevenlabs_voice_id: nextAgent.elevenlabs_voice_id,
+        system_prompt: nextAgent.system_prompt,
+        ...pickVoiceSettings(nextAgent),
+        ...pickConversationSettings(nextAgent)
+      };
+
+      let elevenlabsAgentId = fullAgent.elevenlabs_agent_id;
+      try {
+        const updated = elevenlabsAgentId
+          ? await updateElevenLabsConvaiAgent(elevenlabsAgentId, elConfig)
+          : null;
+
+        // Not deployed yet, or deleted in ElevenLabs: deploy it again
+        if (!updated) {
+          console.warn(`EL Agent ${elevenlabsAgentId ?? '(none)'} not found, creating new one`);
+          elevenlabsAgentId = (await createElevenLabsConvaiAgent(elConfig)).agent_id;
         }
+      } catch (elError) {
+        console.error('ElevenLabs API error:', elError);
+        throw new Error('Failed to update agent with ElevenLabs');
       }
+
+      const { data: updatedAgent, error: updateError } = await supabase
+        .from('ai_agents')
+        .update({
+          ...validatedData.agent,
+          elevenlabs_agent_id: elevenlabsAgentId,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', currentAgent.id)
+        .select()
+        .single();
+
+      if (updateError) {
+        console.error('Database update error:', updateError);
+        throw new Error('Failed to save agent configuration');
+      }
+
+      await recordAgentVersion(supabase, updatedAgent, userId);
     }
 
-    // Update database record
-    const { data: updatedAgent, error: updateError } = await supabase
-      .from('ai_agents')
-      .upsert({
-        user_id: userId,
-        agent_name: validatedData.agent_name || currentAgent?.agent_name,
-        elevenlabs_voice_id: validatedData.elevenlabs_voice_id || currentAgent?.elevenlabs_voice_id,
-        system_prompt: validatedData.system_prompt || currentAgent?.system_prompt,
-        elevenlabs_agent_id: newElAgentId,
-        updated_at: new Date().toISOString()
-      }, {
-        onConflict: 'user_id'
-      })
-      .select()
-      .single();
-
-    if (updateError) {
-      console.error('Database update error:', updateError);
-      throw new Error('Failed to save agent configuration');
+    if (validatedData.overrides) {
+      await saveAgentOverrides(supabase, userId, validatedData.overrides);
     }
 
     return new Response(
-      JSON.stringify(updatedAgent),
+      JSON.stringify(await loadUserAgentState(supabase, userId)),
       { 
         headers: { ...corsHeaders, 'Content-Type': 'application/json' }
       }
@@ -0,0 +1,158 @@
+import { serve } from "https://deno.land/std@0.177.0/http/server.ts";
+import { verify } from "npm:djwt@3.0.0";
+import { z } from "npm:zod@3.22.4";
+import { corsHeaders } from '../_shared/cors.ts';
+import { getSupabaseServiceClient } from "../utils/supabaseServiceClient.ts";
+import {
+  businessHoursSchema,
+  deleteBusinessHours,
+  resolveAgentMode,
+  saveBusinessHours
+} from "../utils/businessHours.ts";
+import { loadMobileNumber, saveMobileNumber } from "../utils/liveTransfer.ts";
+import { normalizePhoneNumber } from "../utils/contactMatching.ts";
+
+// Validate JWT token and extract user ID
+const getUserIdFromToken = async (authHeader: string | null): Promise<string> => {
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    throw new Error("Missing or invalid Authorization header");
+  }
+  const token = authHeader.split(' ')[1];
+  const secret = Deno.env.get("AUTH_SECRET");
+
+  if (!secret || secret.length < 32) {
+    console.error("AUTH_SECRET environment variable is missing or too short.");
+    throw new Error("Authentication secret configuration error.");
+  }
+
+  try {
+    const key = new TextEncoder().encode(secret);
+    const payload = await verify(token, key, { algorithms: ["HS256"] });
+    const userId = payload?.sub || payload?.id;
+
+    if (typeof userId !== 'string' || !userId) {
+      console.error("User ID not found in JWT payload:", payload);
+      throw new Error("Invalid token payload");
+    }
+
+    return userId;
+
+  } catch (jwtError: any) {
+    console.error("JWT validation failed:", jwtError.message);
+    if (jwtError.message.toLowerCase().includes('expired')) {
+      throw new Error("Token has expired");
+    }
+    throw new Error("Invalid token signature or structure");
+  }
+};
+
+// NULL removes the opening hours: the agent answers the same way at any time.
+// The mobile number live transfers ring is left unchanged when omitted.
+const updateBusinessHoursSchema = z.object({
+  business_hours: businessHoursSchema.nullable(),
+  mobile_number: z.string().trim()
+    .refine(value => normalizePhoneNumber(value) !== null, 'Invalid phone number')
+    .nullable()
+    .optional()
+});
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  if (req.method !== 'PUT') {
+    return new Response(
+      JSON.stringify({ error: 'Method not allowed' }),
+      { 
+        status: 405, 
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    );
+  }
+
+  try {
+    const userId = await getUserIdFromToken(req.headers.get('Authorization'));
+
+    let body;
+    try {
+      body = await req.json();
+    } catch (parseError) {
+      return new Response(
+        JSON.stringify({ error: 'Invalid JSON in request body' }),
+        { 
+          status: 400, 
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    const validationResult = updateBusinessHoursSchema.safeParse(body);
+    if (!validationResult.success) {
+      return new Response(
+        JSON.stringify({
+          error: 'Invalid request body',
+          details: validationResult.error.flatten()
+        }),
+        {
+          status: 400,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    const supabase = getSupabaseServiceClient();
+
+    const { business_hours, mobile_number } = validationResult.data;
+
+    const mobileNumber = mobile_number === undefined
+      ? await loadMobileNumber(supabase, userId)
+      : normalizePhoneNumber(mobile_number);
+
+    if (business_hours?.live_transfer && !mobileNumber) {
+      return new Response(
+        JSON.stringify({ error: 'A mobile number is required to put callers through' }),
+        {
+          status: 400,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    if (mobile_number !== undefined) {
+      await saveMobileNumber(supabase, userId, mobileNumber);
+    }
+
+    let saved = null;
+    if (business_hours) {
+      saved = await saveBusinessHours(supabase, userId, business_hours);
+    } else {
+      await deleteBusinessHours(supabase, userId);
+    }
+
+    return new Response(
+      JSON.stringify({
+        business_hours: saved,
+        current: saved ? resolveAgentMode(saved) : null,
+        mobile_number: mobileNumber
+      }),
+      { 
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    );
+
+  } catch (error) {
+    console.error('Function error:', error);
+    
+    const status = error.message.includes('Authorization') || 
+                  error.message.includes('token') ? 401 : 500;
+                  
+    return new Response(
+      JSON.stringify({ error: error.message }),
+      {
+        status,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    );
+  }
+});
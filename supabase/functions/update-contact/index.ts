@@ -53,7 +53,18 @@ const updateContactSchema = z.object({
   notes: z.string().optional().nullable(),
   company_name: z.string().optional().nullable(),
   job_title: z.string().optional().nullable(),
-  interested_property_id: z.string().uuid().optional().nullable()
+  interested_property_id: z.string().uuid().optional().nullable(),
+  budget_min: z.number().nonnegative().optional().nullable(),
+  budget_max: z.number().nonnegative().optional().nullable(),
+  desired_property_type: z.enum(['Maison', 'Appartement']).optional().nullable(),
+  desired_city: z.string().optional().nullable(),
+  purchase_timeline: z.enum(['immediate', 'within_3_months', 'within_6_months', 'within_12_months', 'undecided'])
+    .optional()
+    .nullable(),
+  financing_status: z.enum(['cash', 'mortgage_approved', 'mortgage_in_progress', 'not_started', 'unknown'])
+    .optional()
+    .nullable(),
+  do_not_call: z.boolean().optional()
 }).strict().refine(
   data => Object.keys(data).length > 0,
   { message: "Request body must contain at least one field to update" }
@@ -123,6 +134,10 @@ serve(async (req) => {
 
     const validatedData = validationResult.data;
 
+    // Criteria typed in by the user take precedence over what later calls extract
+    const criteriaFields = ['budget_min', 'budget_max', 'desired_property_type', 'desired_city', 'purchase_timeline', 'financing_status'];
+    const updatesCriteria = criteriaFields.some(field => field in validatedData);
+
     const supabase = getSupabaseServiceClient();
 
     // If updating interested_property_id, verify it exists and user owns it
@@ -150,6 +165,7 @@ serve(async (req) => {
       .from('contacts')
       .update({
         ...validatedData,
+        ...(updatesCriteria && { qualification_source: 'manual' }),
         updated_at: new Date().toISOString()
       })
       .eq('id', contactId)
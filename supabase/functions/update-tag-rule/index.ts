@@ -0,0 +1,180 @@
+import { serve } from "https://deno.land/std@0.177.0/http/server.ts";
+import { verify } from "npm:djwt@3.0.0";
+import { z } from "npm:zod@3.22.4";
+import { corsHeaders } from '../_shared/cors.ts';
+import { getSupabaseServiceClient } from "../utils/supabaseServiceClient.ts";
+import { tagRuleConditionsSchema, resolveRuleTag } from "../utils/callTagRules.ts";
+
+// Validate JWT token and extract user ID
+const getUserIdFromToken = async (authHeader: string | null): Promise<string> => {
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    throw new Error("Missing or invalid Authorization header");
+  }
+  const token = authHeader.split(' ')[1];
+  const secret = Deno.env.get("AUTH_SECRET");
+
+  if (!secret || secret.length < 32) {
+    console.error("AUTH_SECRET environment variable is missing or too short.");
+    throw new Error("Authentication secret configuration error.");
+  }
+
+  try {
+    const key = new TextEncoder().encode(secret);
+    const payload = await verify(token, key, { algorithms: ["HS256"] });
+    const userId = payload?.sub || payload?.id;
+
+    if (typeof userId !== 'string' || !userId) {
+      console.error("User ID not found in JWT payload:", payload);
+      throw new Error("Invalid token payload");
+    }
+
+    return userId;
+
+  } catch (jwtError: any) {
+    console.error("JWT validation failed:", jwtError.message);
+    if (jwtError.message.toLowerCase().includes('expired')) {
+      throw new Error("Token has expired");
+    }
+    throw new Error("Invalid token signature or structure");
+  }
+};
+
+// Schema for updating a rule (optional fields)
+const updateTagRuleSchema = z.object({
+  name: z.string().trim().min(1).max(100).optional(),
+  tag_id: z.string().uuid("Invalid tag ID format").optional(),
+  tag_name: z.string().trim().min(1).max(50).optional(),
+  tag_color: z.string().regex(/^#[0-9a-fA-F]{6}$/, "Color must be a hex value").optional().nullable(),
+  conditions: tagRuleConditionsSchema.optional(),
+  is_active: z.boolean().optional(),
+}).strict().refine(
+  data => Object.keys(data).length > 0,
+  { message: "Request body must contain at least one field to update" }
+);
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  if (req.method !== 'PUT' && req.method !== 'PATCH') {
+    return new Response(
+      JSON.stringify({ error: 'Method not allowed' }),
+      { 
+        status: 405, 
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    );
+  }
+
+  try {
+    const userId = await getUserIdFromToken(req.headers.get('Authorization'));
+
+    // Extract rule ID from URL path
+    const url = new URL(req.url);
+    const pathParts = url.pathname.split('/');
+    const ruleId = pathParts[pathParts.length - 1];
+
+    if (!ruleId || !z.string().uuid().safeParse(ruleId).success) {
+      return new Response(
+        JSON.stringify({ error: 'Invalid or missing rule ID in URL path' }),
+        { 
+          status: 400, 
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    let body;
+    try {
+      body = await req.json();
+    } catch (parseError) {
+      return new Response(
+        JSON.stringify({ error: 'Invalid JSON in request body' }),
+        { 
+          status: 400, 
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    const validationResult = updateTagRuleSchema.safeParse(body);
+    if (!validationResult.success) {
+      return new Response(
+        JSON.stringify({
+          error: 'Invalid request body',
+          details: validationResult.error.flatten()
+        }),
+        {
+          status: 400,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    const { tag_id, tag_name, tag_color, ...ruleUpdates } = validationResult.data;
+
+    const supabase = getSupabaseServiceClient();
+
+    // Switching to another tag, possibly a new one
+    const updates: Record<string, unknown> = { ...ruleUpdates };
+    if (tag_id || tag_name) {
+      const tag = await resolveRuleTag(supabase, userId, { tag_id, tag_name, tag_color });
+      if (!tag) {
+        return new Response(
+          JSON.stringify({ error: 'Tag not found or access denied' }),
+          { 
+            status: 404, 
+            headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+          }
+        );
+      }
+      updates.tag_id = tag.id;
+    }
+
+    // Update rule, ensuring ownership
+    const { data: rule, error: dbError } = await supabase
+      .from('call_tag_rules')
+      .update(updates)
+      .eq('id', ruleId)
+      .eq('user_id', userId)
+      .select('id, name, conditions, is_active, created_at, updated_at, tag:tags(id, name, color)')
+      .maybeSingle();
+
+    if (dbError) {
+      console.error('Database update error:', dbError);
+      throw new Error('Failed to update tag rule');
+    }
+
+    if (!rule) {
+      return new Response(
+        JSON.stringify({ error: 'Rule not found or update forbidden' }),
+        { 
+          status: 404, 
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    return new Response(
+      JSON.stringify({ rule }),
+      { 
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    );
+
+  } catch (error) {
+    console.error('Function error:', error);
+    
+    const status = error.message.includes('Authorization') || 
+                  error.message.includes('token') ? 401 : 500;
+                  
+    return new Response(
+      JSON.stringify({ error: error.message }),
+      {
+        status,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    );
+  }
+});
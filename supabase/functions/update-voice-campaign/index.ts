@@ -0,0 +1,124 @@
+import { serve } from "https://deno.land/std@0.177.0/http/server.ts";
+import { verify } from "npm:djwt@3.0.0";
+import { z } from "npm:zod@3.22.4";
+import { corsHeaders } from '../_shared/cors.ts';
+import { getSupabaseServiceClient } from "../utils/supabaseServiceClient.ts";
+import { getVoiceCampaign, runVoiceCampaign, updateVoiceCampaignStatus } from "../utils/voiceCampaigns.ts";
+
+// Validate JWT token and extract user ID
+const getUserIdFromToken = async (authHeader: string | null): Promise<string> => {
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    throw new Error("Missing or invalid Authorization header");
+  }
+  const token = authHeader.split(' ')[1];
+  const secret = Deno.env.get("AUTH_SECRET");
+
+  if (!secret || secret.length < 32) {
+    console.error("AUTH_SECRET environment variable is missing or too short.");
+    throw new Error("Authentication secret configuration error.");
+  }
+
+  try {
+    const key = new TextEncoder().encode(secret);
+    const payload = await verify(token, key, { algorithms: ["HS256"] });
+    const userId = payload?.sub || payload?.id;
+
+    if (typeof userId !== 'string' || !userId) {
+      console.error("User ID not found in JWT payload:", payload);
+      throw new Error("Invalid token payload");
+    }
+
+    return userId;
+
+  } catch (jwtError: any) {
+    console.error("JWT validation failed:", jwtError.message);
+    if (jwtError.message.toLowerCase().includes('expired')) {
+      throw new Error("Token has expired");
+    }
+    throw new Error("Invalid token signature or structure");
+  }
+};
+
+const updateCampaignSchema = z.object({
+  status: z.enum(['active', 'paused', 'cancelled']),
+}).strict();
+
+const jsonResponse = (body: unknown, status = 200) =>
+  new Response(
+    JSON.stringify(body),
+    {
+      status,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    }
+  );
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  if (req.method !== 'PUT' && req.method !== 'PATCH') {
+    return jsonResponse({ error: 'Method not allowed' }, 405);
+  }
+
+  try {
+    const userId = await getUserIdFromToken(req.headers.get('Authorization'));
+
+    // Extract campaign ID from URL path: /update-voice-campaign/:id
+    const url = new URL(req.url);
+    const campaignId = url.pathname.split('/').pop();
+
+    if (!campaignId || !z.string().uuid().safeParse(campaignId).success) {
+      return jsonResponse({ error: 'Invalid or missing campaign ID in URL path' }, 400);
+    }
+
+    let body;
+    try {
+      body = await req.json();
+    } catch (parseError) {
+      return jsonResponse({ error: 'Invalid JSON in request body' }, 400);
+    }
+
+    const validationResult = updateCampaignSchema.safeParse(body);
+    if (!validationResult.success) {
+      return jsonResponse({
+        error: 'Invalid request body',
+        details: validationResult.error.flatten()
+      }, 400);
+    }
+
+    const { status } = validationResult.data;
+
+    const supabase = getSupabaseServiceClient();
+
+    const campaign = await getVoiceCampaign(supabase, userId, campaignId);
+    if (!campaign) {
+      return jsonResponse({ error: 'Campaign not found' }, 404);
+    }
+
+    if (campaign.status === 'completed' || campaign.status === 'cancelled') {
+      return jsonResponse({ error: `Campaign is already ${campaign.status}` }, 409);
+    }
+
+    await updateVoiceCampaignStatus(supabase, campaignId, status);
+
+    // A resumed campaign dials right away; it pauses again if what stopped it is still there
+    if (status === 'active') {
+      try {
+        await runVoiceCampaign(supabase, campaignId);
+      } catch (runError) {
+        console.error(`Could not resume campaign ${campaignId}:`, runError);
+      }
+    }
+
+    return jsonResponse({ campaign: await getVoiceCampaign(supabase, userId, campaignId) });
+
+  } catch (error) {
+    console.error('Function error:', error);
+
+    const status = error.message.includes('Authorization') ||
+                  error.message.includes('token') ? 401 : 500;
+
+    return jsonResponse({ error: error.message }, status);
+  }
+});
@@ -0,0 +1,181 @@
+import { getSupabaseServiceClient } from "./supabaseServiceClient.ts";
+import { getElevenLabsConvaiAgent, listElevenLabsConvaiAgents } from "./elevenlabsClient.ts";
+
+type SupabaseClient = ReturnType<typeof getSupabaseServiceClient>;
+
+// Fields compared between an ai_agents row and its Convai agent
+export const DRIFT_FIELDS = ['agent_name', 'elevenlabs_voice_id', 'system_prompt'] as const;
+
+type DriftField = typeof DRIFT_FIELDS[number];
+type DriftConfig = Record<DriftField, string | null>;
+
+export type AgentDriftStatus = 'in_sync' | 'drifted' | 'missing_remote' | 'unlinked';
+
+// Agent details fetched from ElevenLabs at once
+const DETAILS_CONCURRENCY = 5;
+
+/**
+ * Reads the compared fields out of a Convai agent, named like our columns.
+ */
+export const readRemoteAgentConfig = (remote: any): DriftConfig => ({
+  agent_name: remote?.name ?? null,
+  elevenlabs_voice_id: remote?.conversation_config?.tts?.voice_id ?? null,
+  system_prompt: remote?.conversation_config?.agent?.prompt?.prompt ?? null
+});
+
+/**
+ * Computes `{ field: { local, remote } }` for the compared fields that differ.
+ * Surrounding whitespace is ignored: an empty prompt is pushed as a single space.
+ */
+export const diffRemoteAgent = (local: Partial<DriftConfig>, remote: DriftConfig) => {
+  const differences: Record<string, { local: string | null; remote: string | null }> = {};
+  for (const field of DRIFT_FIELDS) {
+    const localValue = local[field] ?? null;
+    const remoteValue = remote[field];
+    if ((localValue || '').trim() !== (remoteValue || '').trim()) {
+      differences[field] = { local: localValue, remote: remoteValue };
+    }
+  }
+  return differences;
+};
+
+/**
+ * Compares every ai_agents row with the Convai agents of the workspace.
+ * Flags rows whose Convai agent is gone or never existed, and Convai agents no row points at.
+ */
+export const buildAgentDriftReport = async (supabase: SupabaseClient) => {
+  const [{ data: rows, error: rowsError }, remoteAgents] = await Promise.all([
+    supabase
+      .from('ai_agents')
+      .select('id, agent_name, elevenlabs_agent_id, elevenlabs_voice_id, system_prompt, is_shared, updated_at')
+      .order('agent_name'),
+    listElevenLabsConvaiAgents()
+  ]);
+
+  if (rowsError) throw rowsError;
+
+  const remoteIds = new Set(remoteAgents.map(agent => agent.agent_id));
+  const linkedRows = (rows || []).filter(row => row.elevenlabs_agent_id && remoteIds.has(row.elevenlabs_agent_id));
+
+  // The list has no voice nor prompt, so linked agents are fetched one by one
+  const remoteConfigs = new Map<string, DriftConfig>();
+  for (let i = 0; i < linkedRows.length; i += DETAILS_CONCURRENCY) {
+    const batch = linkedRows.slice(i, i + DETAILS_CONCURRENCY);
+    const details = await Promise.all(batch.map(row => getElevenLabsConvaiAgent(row.elevenlabs_agent_id)));
+    batch.forEach((row, index) => {
+      if (details[index]) {
+        remoteConfigs.set(row.elevenlabs_agent_id, readRemoteAgentConfig(details[index]));
+      }
+    });
+  }
+
+  const agents = (rows || []).map(row => {
+    let status: AgentDriftStatus;
+    let differences = {};
+
+    if (!row.elevenlabs_agent_id) {
+      status = 'unlinked';
+    } else if (!remoteConfigs.has(row.elevenlabs_agent_id)) {
+      status = 'missing_remote';
+    } else {
+      differences = diffRemoteAgent(row, remoteConfigs.get(row.elevenlabs_agent_id)!);
+      status = Object.keys(differences).length > 0 ? 'drifted' : 'in_sync';
+    }
+
+    return {
+      id: row.id,
+      agent_name: row.agent_name,
+      elevenlabs_agent_id: row.elevenlabs_agent_id,
+      is_shared: row.is_shared,
+      updated_at: row.updated_at,
+      status,
+      differences
+    };
+  });
+
+  const linkedIds = new Set((rows || []).map(row => row.elevenlabs_agent_id).filter(Boolean));
+  const remoteOnly = remoteAgents
+    .filter(agent => !linkedIds.has(agent.agent_id))
+    .map(agent => ({ elevenlabs_agent_id: agent.agent_id, name: agent.name }));
+
+  return {
+    checked_at: new Date().toISOString(),
+    agents,
+    remote_only: remoteOnly
+  };
+};
+
+// Runs older than this are deleted when a new one is stored
+const RUN_RETENTION_DAYS = 30;
+
+type DriftReport = Awaited<ReturnType<typeof buildAgentDriftReport>>;
+
+/**
+ * Loads the latest stored drift run, or null if none ran yet.
+ */
+export const getLatestAgentDriftRun = async (supabase: SupabaseClient) => {
+  const { data, error } = await supabase
+    .from('agent_drift_runs')
+    .select('id, checked_at, agents, remote_only, out_of_sync_count')
+    .order('checked_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Runs the drift check and stores its report in `agent_drift_runs`.
+ * Agents still out of sync keep the `drifted_since` of the previous run, so drift
+ * that appeared between two visits of the admin screen shows when it was first seen.
+ * @returns The stored run
+ */
+export const recordAgentDriftRun = async (supabase: SupabaseClient) => {
+  const [previous, report] = await Promise.all([
+    getLatestAgentDriftRun(supabase),
+    buildAgentDriftReport(supabase)
+  ]);
+
+  const previousAgents = new Map<string, any>((previous?.agents || []).map((agent: any) => [agent.id, agent]));
+  const previousRemote = new Map<string, any>(
+    (previous?.remote_only || []).map((agent: any) => [agent.elevenlabs_agent_id, agent])
+  );
+
+  const agents = report.agents.map((agent: DriftReport['agents'][number]) => {
+    if (agent.status === 'in_sync') return agent;
+    const before = previousAgents.get(agent.id);
+    const drifted_since = (before?.status !== 'in_sync' && before?.drifted_since) || report.checked_at;
+    return { ...agent, drifted_since };
+  });
+
+  const remoteOnly = report.remote_only.map((agent: DriftReport['remote_only'][number]) => ({
+    ...agent,
+    seen_since: previousRemote.get(agent.elevenlabs_agent_id)?.seen_since ?? report.checked_at
+  }));
+
+  const { data: run, error } = await supabase
+    .from('agent_drift_runs')
+    .insert({
+      checked_at: report.checked_at,
+      agents,
+      remote_only: remoteOnly,
+      out_of_sync_count: agents.filter(agent => agent.status !== 'in_sync').length + remoteOnly.length
+    })
+    .select('id, checked_at, agents, remote_only, out_of_sync_count')
+    .single();
+
+  if (error) throw error;
+
+  const cutoff = new Date(Date.now() - RUN_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const { error: pruneError } = await supabase
+    .from('agent_drift_runs')
+    .delete()
+    .lt('checked_at', cutoff);
+
+  if (pruneError) {
+    console.error('Database drift run cleanup error:', pruneError);
+  }
+
+  return run;
+};
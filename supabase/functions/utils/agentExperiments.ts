@@ -0,0 +1,165 @@
+import { getSupabaseServiceClient } from "./supabaseServiceClient.ts";
+import { normalizePhoneNumber } from "./contactMatching.ts";
+
+type SupabaseClient = ReturnType<typeof getSupabaseServiceClient>;
+
+export type ExperimentVariant = 'control' | 'variant';
+
+// Calls shorter than this are counted as hang-ups: the caller left before the agent could help
+const HANG_UP_MAX_SECONDS = 30;
+
+const BATCH_SIZE = 500;
+
+// FNV-1a, enough to spread callers evenly over 0-99
+const hashToPercent = (value: string) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0) % 100;
+};
+
+/**
+ * Assigns a conversation to an experiment arm. A known caller always lands in the
+ * same arm so a returning buyer does not hear two different agents.
+ */
+export const pickExperimentVariant = (
+  experiment: { id: string; variant_percentage: number },
+  callerNumber: string | null
+): ExperimentVariant => {
+  const normalized = normalizePhoneNumber(callerNumber);
+  const bucket = normalized ? hashToPercent(`${experiment.id}:${normalized}`) : Math.floor(Math.random() * 100);
+  return bucket < experiment.variant_percentage ? 'variant' : 'control';
+};
+
+/**
+ * Finds the running experiment of a user whose control is the ElevenLabs agent taking the call.
+ * Experiments left behind by a reassignment are ignored.
+ */
+export const findRunningExperiment = async (
+  supabase: SupabaseClient,
+  userId: string,
+  elevenlabsAgentId: string
+) => {
+  const { data: experiment, error } = await supabase
+    .from('agent_experiments')
+    .select(`
+      id,
+      variant_percentage,
+      control:ai_agents!control_agent_id(id, elevenlabs_agent_id),
+      variant:ai_agents!variant_agent_id(id, system_prompt, elevenlabs_voice_id, first_message)
+    `)
+    .eq('user_id', userId)
+    .eq('status', 'running')
+    .maybeSingle();
+
+  if (error) {
+    console.error('Database experiment lookup error:', error);
+    throw new Error('Failed to load running experiment');
+  }
+
+  if (!experiment || experiment.control?.elevenlabs_agent_id !== elevenlabsAgentId) {
+    return null;
+  }
+
+  return experiment;
+};
+
+/**
+ * Checks the experiment arm a conversation reports in its dynamic variables.
+ * @returns The experiment, arm and configuration that handled the call, or null
+ */
+export const resolveCallExperiment = async (
+  supabase: SupabaseClient,
+  dynamicVariables: Record<string, unknown> | null | undefined,
+  userId: string | null
+): Promise<{ experimentId: string; variant: ExperimentVariant; aiAgentId: string } | null> => {
+  const experimentId = dynamicVariables?.prospeo_experiment_id;
+  const variant = dynamicVariables?.prospeo_experiment_variant;
+
+  if (!userId || typeof experimentId !== 'string' || !experimentId || (variant !== 'control' && variant !== 'variant')) {
+    return null;
+  }
+
+  const { data: experiment, error } = await supabase
+    .from('agent_experiments')
+    .select('id, control_agent_id, variant_agent_id')
+    .eq('id', experimentId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error || !experiment) {
+    if (error) console.error('Database experiment lookup error:', error);
+    return null;
+  }
+
+  return {
+    experimentId: experiment.id,
+    variant,
+    aiAgentId: variant === 'variant' ? experiment.variant_agent_id : experiment.control_agent_id
+  };
+};
+
+const emptyMetrics = () => ({
+  calls: 0,
+  booked_visits: 0,
+  qualified_leads: 0,
+  hang_ups: 0,
+  total_duration_seconds: 0
+});
+
+/**
+ * Outcome metrics of each arm of an experiment: booked visits (successful book_visit
+ * tool calls), qualified leads, average call duration and hang-up rate.
+ */
+export const computeExperimentMetrics = async (supabase: SupabaseClient, experimentId: string) => {
+  const totals: Record<ExperimentVariant, ReturnType<typeof emptyMetrics>> = {
+    control: emptyMetrics(),
+    variant: emptyMetrics()
+  };
+
+  for (let offset = 0; ; offset += BATCH_SIZE) {
+    const { data: calls, error } = await supabase
+      .from('call_history')
+      .select('id, experiment_variant, status, duration_seconds, qualified_lead, tool_invocations:call_tool_invocations(tool_name, status)')
+      .eq('experiment_id', experimentId)
+      .order('call_timestamp', { ascending: true })
+      .range(offset, offset + BATCH_SIZE - 1);
+
+    if (error) {
+      console.error('Database experiment calls query error:', error);
+      throw new Error('Failed to load experiment calls');
+    }
+
+    for (const call of calls || []) {
+      const arm = totals[call.experiment_variant as ExperimentVariant];
+      if (!arm) continue;
+
+      arm.calls++;
+      arm.total_duration_seconds += call.duration_seconds || 0;
+      if (call.qualified_lead) arm.qualified_leads++;
+      if (call.status === 'missed' || (call.duration_seconds || 0) < HANG_UP_MAX_SECONDS) arm.hang_ups++;
+      if ((call.tool_invocations || []).some((invocation: { tool_name: string; status: string }) =>
+        invocation.tool_name === 'book_visit' && invocation.status === 'success'
+      )) {
+        arm.booked_visits++;
+      }
+    }
+
+    if (!calls || calls.length < BATCH_SIZE) break;
+  }
+
+  const rate = (count: number, calls: number) => calls > 0 ? Math.round((count / calls) * 1000) / 10 : null;
+
+  return Object.fromEntries(Object.entries(totals).map(([variant, arm]) => [variant, {
+    calls: arm.calls,
+    booked_visits: arm.booked_visits,
+    booked_visit_rate: rate(arm.booked_visits, arm.calls),
+    qualified_leads: arm.qualified_leads,
+    qualified_lead_rate: rate(arm.qualified_leads, arm.calls),
+    average_duration_seconds: arm.calls > 0 ? Math.round(arm.total_duration_seconds / arm.calls) : null,
+    hang_ups: arm.hang_ups,
+    hang_up_rate: rate(arm.hang_ups, arm.calls)
+  }])) as Record<ExperimentVariant, Record<string, number | null>>;
+};
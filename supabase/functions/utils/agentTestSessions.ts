@@ -0,0 +1,79 @@
+import { getSupabaseServiceClient } from "./supabaseServiceClient.ts";
+
+type SupabaseClient = ReturnType<typeof getSupabaseServiceClient>;
+
+/**
+ * Records an in-browser test of an agent by a user.
+ * @returns The session ID, sent by the browser as the `prospeo_test_session` variable
+ */
+export const createAgentTestSession = async (supabase: SupabaseClient, userId: string, aiAgentId: string) => {
+  const { data, error } = await supabase
+    .from('agent_test_sessions')
+    .insert({ user_id: userId, ai_agent_id: aiAgentId })
+    .select('id')
+    .single();
+
+  if (error) {
+    console.error('Database test session insert error:', error);
+    throw new Error('Failed to create test session');
+  }
+
+  return data.id as string;
+};
+
+/**
+ * Finds the user a test conversation belongs to. The session must have been minted for
+ * this agent; the first conversation seen with it is bound to it, provided it started before
+ * the session expired, and it attributes no other conversation after that.
+ * @param startedAt - When the conversation started. The webhook or a late tool call can come
+ * long after the session expired for a conversation that started in time.
+ * @returns The user who started the session, or null if it does not hold for this conversation
+ */
+export const claimAgentTestSession = async (
+  supabase: SupabaseClient,
+  sessionId: string,
+  aiAgentId: string,
+  conversationId: string,
+  startedAt: Date = new Date()
+): Promise<string | null> => {
+  const { data: session, error } = await supabase
+    .from('agent_test_sessions')
+    .select('user_id, ai_agent_id, expires_at, elevenlabs_conversation_id')
+    .eq('id', sessionId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Database test session lookup error:', error);
+    throw new Error('Failed to load test session');
+  }
+
+  if (!session || session.ai_agent_id !== aiAgentId) return null;
+  if (session.elevenlabs_conversation_id === conversationId) return session.user_id;
+  if (session.elevenlabs_conversation_id || new Date(session.expires_at) < startedAt) return null;
+
+  const { data: claimed, error: claimError } = await supabase
+    .from('agent_test_sessions')
+    .update({ elevenlabs_conversation_id: conversationId })
+    .eq('id', sessionId)
+    .is('elevenlabs_conversation_id', null)
+    .select('user_id')
+    .maybeSingle();
+
+  // Another session already holds this conversation
+  if (claimError?.code === '23505') return null;
+  if (claimError) {
+    console.error('Database test session claim error:', claimError);
+    throw new Error('Failed to bind test session');
+  }
+
+  if (claimed) return claimed.user_id;
+
+  // Bound concurrently, by a tool call of the same conversation or not
+  const { data: current } = await supabase
+    .from('agent_test_sessions')
+    .select('user_id, elevenlabs_conversation_id')
+    .eq('id', sessionId)
+    .maybeSingle();
+
+  return current?.elevenlabs_conversation_id === conversationId ? current.user_id : null;
+};
@@ -0,0 +1,267 @@
+import { getSupabaseServiceClient } from "./supabaseServiceClient.ts";
+import { safeEqual } from "./elevenlabsWebhook.ts";
+
+type SupabaseClient = ReturnType<typeof getSupabaseServiceClient>;
+
+// Header carrying the shared secret ElevenLabs sends with every server tool call
+export const TOOL_SECRET_HEADER = 'X-Prospeo-Tool-Secret';
+
+// Body parameters filled by ElevenLabs from the conversation, never by the LLM
+const conversationContextParams = {
+  agent_id: {
+    type: 'string',
+    description: 'ElevenLabs agent ID',
+    dynamic_variable: 'system__agent_id'
+  },
+  conversation_id: {
+    type: 'string',
+    description: 'ElevenLabs conversation ID',
+    dynamic_variable: 'system__conversation_id'
+  },
+  prospeo_user_id: {
+    type: 'string',
+    description: 'Prospeo user the conversation speaks for',
+    dynamic_variable: 'prospeo_user_id'
+  },
+  prospeo_test_session: {
+    type: 'string',
+    description: 'Prospeo test session of in-browser conversations',
+    dynamic_variable: 'prospeo_test_session'
+  },
+  call_sid: {
+    type: 'string',
+    description: 'Phone call ID, empty in the browser',
+    dynamic_variable: 'system__call_sid'
+  },
+  call_duration_secs: {
+    type: 'number',
+    description: 'Seconds since the conversation started',
+    dynamic_variable: 'system__call_duration_secs'
+  }
+};
+
+const getToolSecret = () => {
+  const secret = Deno.env.get('ELEVENLABS_TOOL_SECRET');
+  if (!secret) {
+    throw new Error('ELEVENLABS_TOOL_SECRET environment variable is not set');
+  }
+  return secret;
+};
+
+const getFunctionUrl = (functionName: string) => {
+  const supabaseUrl = Deno.env.get('SUPABASE_URL');
+  if (!supabaseUrl) {
+    throw new Error('SUPABASE_URL environment variable is not set');
+  }
+  return `${supabaseUrl}/functions/v1/${functionName}`;
+};
+
+const getToolUrl = (functionName: string, toolName: string) => `${getFunctionUrl(functionName)}/${toolName}`;
+
+/**
+ * Builds the Convai server (webhook) tools attached to every Prospeo agent,
+ * in the shape expected by `conversation_config.agent.prompt.tools`.
+ */
+export const buildAgentServerTools = () => {
+  const request_headers = { [TOOL_SECRET_HEADER]: getToolSecret() };
+
+  return [
+    {
+      type: 'webhook',
+      name: 'search_properties',
+      description: 'Recherche les biens immobiliers du catalogue de l\'agence. À utiliser dès que l\'appelant mentionne une ville, un budget ou un type de bien.',
+      api_schema: {
+        url: getToolUrl('agent-property-tools', 'search_properties'),
+        method: 'POST',
+        request_headers,
+        request_body_schema: {
+          type: 'object',
+          properties: {
+            ...conversationContextParams,
+            city: { type: 'string', description: 'Ville recherchée, par exemple "Lyon"' },
+            min_price: { type: 'number', description: 'Prix minimum en euros' },
+            max_price: { type: 'number', description: 'Prix maximum en euros' },
+            property_type: { type: 'string', description: 'Type de bien', enum: ['Maison', 'Appartement'] },
+            status: { type: 'string', description: 'Statut du bien, "active" par défaut', enum: ['active', 'inactive', 'sold'] }
+          },
+          required: ['agent_id', 'conversation_id']
+        }
+      }
+    },
+    {
+      type: 'webhook',
+      name: 'get_property_details',
+      description: 'Donne le détail complet d\'un bien (surface, pièces, description). À utiliser après search_properties avec l\'identifiant retourné.',
+      api_schema: {
+        url: getToolUrl('agent-property-tools', 'get_property_details'),
+        method: 'POST',
+        request_headers,
+        request_body_schema: {
+          type: 'object',
+          properties: {
+            ...conversationContextParams,
+            property_id: { type: 'string', description: 'Identifiant du bien retourné par search_properties' }
+          },
+          required: ['agent_id', 'conversation_id', 'property_id']
+        }
+      }
+    },
+    {
+      type: 'webhook',
+      name: 'get_property_catalogue',
+      description: 'Donne le catalogue complet des biens en vente de l\'agence. À utiliser en début d\'appel si la base de connaissances ne contient pas de catalogue des biens.',
+      api_schema: {
+        url: getToolUrl('agent-property-tools', 'get_property_catalogue'),
+        method: 'POST',
+        request_headers,
+        request_body_schema: {
+          type: 'object',
+          properties: {
+            ...conversationContextParams
+          },
+          required: ['agent_id', 'conversation_id']
+        }
+      }
+    },
+    {
+      type: 'webhook',
+      name: 'check_availability',
+      description: 'Liste les créneaux libres pour une visite. À utiliser avant de proposer un rendez-vous à l\'appelant.',
+      api_schema: {
+        url: getToolUrl('agent-booking-tools', 'check_availability'),
+        method: 'POST',
+        request_headers,
+        request_body_schema: {
+          type: 'object',
+          properties: {
+            ...conversationContextParams,
+            date_from: { type: 'string', description: 'Premier jour souhaité au format AAAA-MM-JJ (aujourd\'hui par défaut)' },
+            date_to: { type: 'string', description: 'Dernier jour souhaité au format AAAA-MM-JJ (7 jours plus tard par défaut)' }
+          },
+          required: ['agent_id', 'conversation_id']
+        }
+      }
+    },
+    {
+      type: 'webhook',
+      name: 'book_visit',
+      description: 'Réserve une visite sur un créneau retourné par check_availability, une fois que l\'appelant l\'a confirmé.',
+      api_schema: {
+        url: getToolUrl('agent-booking-tools', 'book_visit'),
+        method: 'POST',
+        request_headers,
+        request_body_schema: {
+          type: 'object',
+          properties: {
+            ...conversationContextParams,
+            caller_id: {
+              type: 'string',
+              description: 'Numéro de l\'appelant',
+              dynamic_variable: 'system__caller_id'
+            },
+            start: { type: 'string', description: 'Début du créneau choisi, tel que retourné par check_availability' },
+            property_id: { type: 'string', description: 'Identifiant du bien à visiter, retourné par search_properties' },
+            attendee_name: { type: 'string', description: 'Nom complet de l\'appelant' },
+            attendee_email: { type: 'string', description: 'Adresse e-mail de l\'appelant, si elle a été donnée' }
+          },
+          required: ['agent_id', 'conversation_id', 'start', 'attendee_name']
+        }
+      }
+    },
+    {
+      type: 'webhook',
+      name: 'transfer_to_advisor',
+      description: 'Met l\'appelant en relation avec son conseiller, qui est appelé sur son portable. À utiliser quand l\'appelant demande à parler à quelqu\'un, après lui avoir annoncé le transfert. Si le conseiller ne répond pas, prends un message.',
+      // The tool only answers once the advisor has picked up or let it ring out
+      response_timeout_secs: 45,
+      api_schema: {
+        url: getToolUrl('agent-transfer-tools', 'transfer_to_advisor'),
+        method: 'POST',
+        request_headers,
+        request_body_schema: {
+          type: 'object',
+          properties: {
+            ...conversationContextParams,
+            caller_id: {
+              type: 'string',
+              description: 'Numéro de l\'appelant',
+              dynamic_variable: 'system__caller_id'
+            },
+            caller_name: { type: 'string', description: 'Nom de l\'appelant, s\'il l\'a donné' },
+            reason: { type: 'string', description: 'Objet de l\'appel en une phrase, lu au conseiller avant le transfert' }
+          },
+          required: ['agent_id', 'conversation_id', 'reason']
+        }
+      }
+    }
+  ];
+};
+
+/**
+ * Agent `platform_settings` making ElevenLabs fetch per-conversation dynamic variables
+ * (prompt variables, prospeo_user_id) from elevenlabs-conversation-init when a call starts.
+ * The prompt, greeting and voice may be overridden there too, for experiment variants
+ * and the personal overrides of users.
+ */
+export const buildConversationInitiationSettings = () => ({
+  overrides: {
+    enable_conversation_initiation_client_data_from_webhook: true,
+    conversation_config_override: {
+      agent: { prompt: { prompt: true }, first_message: true },
+      tts: { voice_id: true }
+    }
+  },
+  workspace_overrides: {
+    conversation_initiation_client_data_webhook: {
+      url: getFunctionUrl('elevenlabs-conversation-init'),
+      request_headers: { [TOOL_SECRET_HEADER]: getToolSecret() }
+    }
+  }
+});
+
+/**
+ * Checks the shared secret of an incoming server tool call.
+ * Throws if it is missing or does not match.
+ */
+export const verifyToolSecret = (req: Request) => {
+  const received = req.headers.get(TOOL_SECRET_HEADER);
+  if (!received || !safeEqual(received, getToolSecret())) {
+    throw new Error('Invalid tool secret');
+  }
+};
+
+/**
+ * Records a server tool call in `call_tool_invocations`.
+ * Never throws: a logging failure must not break the conversation.
+ */
+export const logToolInvocation = async (
+  supabase: SupabaseClient,
+  invocation: {
+    conversationId: string;
+    userId: string | null;
+    aiAgentId: string | null;
+    toolName: string;
+    parameters: Record<string, unknown>;
+    resultCount: number;
+    errorMessage: string | null;
+    startedAt: number;
+  }
+) => {
+  const { error } = await supabase
+    .from('call_tool_invocations')
+    .insert({
+      elevenlabs_conversation_id: invocation.conversationId,
+      user_id: invocation.userId,
+      ai_agent_id: invocation.aiAgentId,
+      tool_name: invocation.toolName,
+      parameters: invocation.parameters,
+      result_count: invocation.resultCount,
+      status: invocation.errorMessage ? 'error' : 'success',
+      error_message: invocation.errorMessage,
+      duration_ms: Date.now() - invocation.startedAt
+    });
+
+  if (error) {
+    console.error('Database tool log error:', error);
+  }
+};
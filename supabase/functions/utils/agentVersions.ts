@@ -0,0 +1,124 @@
+import { getSupabaseServiceClient } from "./supabaseServiceClient.ts";
+import { VOICE_SETTING_FIELDS } from "./voiceSettings.ts";
+import { CONVERSATION_SETTING_FIELDS } from "./conversationSettings.ts";
+
+type SupabaseClient = ReturnType<typeof getSupabaseServiceClient>;
+
+// Agent fields captured in each version
+export const VERSIONED_AGENT_FIELDS = [
+  'agent_name',
+  'system_prompt',
+  'elevenlabs_voice_id',
+  'description',
+  ...VOICE_SETTING_FIELDS,
+  ...CONVERSATION_SETTING_FIELDS
+] as const;
+
+type VersionedField = typeof VERSIONED_AGENT_FIELDS[number];
+type VersionedValue = string | number | boolean | Record<string, string> | null;
+type AgentConfig = { id: string } & Partial<Record<VersionedField, VersionedValue>>;
+
+const VERSION_COLUMNS = `id, ai_agent_id, version_number, created_at, created_by, diff, rollback_of_version_id, ${VERSIONED_AGENT_FIELDS.join(', ')}`;
+
+// Numeric columns may come back as strings, and jsonb keys in any order
+const comparable = (value: VersionedValue | undefined) => {
+  if (value !== null && typeof value === 'object') {
+    const entries = Object.entries(value).sort();
+    return entries.length > 0 ? JSON.stringify(entries) : 'null';
+  }
+  return String(value ?? null);
+};
+
+/**
+ * Computes `{ field: { before, after } }` for the versioned fields that differ.
+ */
+export const diffAgentConfigs = (
+  previous: Partial<Record<VersionedField, VersionedValue>> | null,
+  next: Partial<Record<VersionedField, VersionedValue>>
+) => {
+  const diff: Record<string, { before: VersionedValue; after: VersionedValue }> = {};
+  for (const field of VERSIONED_AGENT_FIELDS) {
+    const before = previous?.[field] ?? null;
+    const after = next[field] ?? null;
+    if (comparable(before) !== comparable(after)) {
+      diff[field] = { before, after };
+    }
+  }
+  return diff;
+};
+
+/**
+ * Records the current configuration of an agent as a new version.
+ * Saves that change nothing are not recorded: the latest version is returned instead.
+ * @returns The recorded (or latest) version
+ */
+export const recordAgentVersion = async (
+  supabase: SupabaseClient,
+  agent: AgentConfig,
+  authorId: string,
+  rollbackOfVersionId: string | null = null
+) => {
+  const { data: latest, error: latestError } = await supabase
+    .from('ai_agent_versions')
+    .select(VERSION_COLUMNS)
+    .eq('ai_agent_id', agent.id)
+    .order('version_number', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (latestError) {
+    console.error('Database agent version lookup error:', latestError);
+    throw new Error('Failed to load agent version history');
+  }
+
+  const diff = diffAgentConfigs(latest, agent);
+  if (latest && Object.keys(diff).length === 0) {
+    return latest;
+  }
+
+  const { data: version, error: insertError } = await supabase
+    .from('ai_agent_versions')
+    .insert({
+      ai_agent_id: agent.id,
+      version_number: (latest?.version_number ?? 0) + 1,
+      created_by: authorId,
+      ...Object.fromEntries(VERSIONED_AGENT_FIELDS.map(field => [field, agent[field] ?? null])),
+      diff,
+      rollback_of_version_id: rollbackOfVersionId
+    })
+    .select(VERSION_COLUMNS)
+    .single();
+
+  if (insertError) {
+    console.error('Database agent version insert error:', insertError);
+    throw new Error('Failed to record agent version');
+  }
+
+  return version;
+};
+
+/**
+ * Finds the version of an agent that was live at a given time, i.e. the last one saved before it.
+ * @returns The version ID, or null for calls older than the history
+ */
+export const findAgentVersionAt = async (
+  supabase: SupabaseClient,
+  aiAgentId: string,
+  timestamp: string
+): Promise<string | null> => {
+  const { data, error } = await supabase
+    .from('ai_agent_versions')
+    .select('id')
+    .eq('ai_agent_id', aiAgentId)
+    .lte('created_at', timestamp)
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Database agent version lookup error:', error);
+    return null;
+  }
+
+  return data?.id ?? null;
+};
@@ -0,0 +1,288 @@
+import { z } from "npm:zod@3.22.4";
+import { getSupabaseServiceClient } from "./supabaseServiceClient.ts";
+
+type SupabaseClient = ReturnType<typeof getSupabaseServiceClient>;
+
+export const WEEKDAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'] as const;
+type Weekday = typeof WEEKDAYS[number];
+
+export type AgentMode = 'in_hours' | 'after_hours';
+export const AGENT_MODES: AgentMode[] = ['in_hours', 'after_hours'];
+
+const FRENCH_WEEKDAYS: Record<Weekday, string> = {
+  mon: 'lundi', tue: 'mardi', wed: 'mercredi', thu: 'jeudi', fri: 'vendredi', sat: 'samedi', sun: 'dimanche'
+};
+
+const isTimeZone = (timezone: string) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const timeSchema = z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, 'Times must be HH:MM');
+const dateSchema = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Dates must be YYYY-MM-DD');
+
+const dayHoursSchema = z.array(z.object({ open: timeSchema, close: timeSchema })).max(4).superRefine((intervals, ctx) => {
+  const sorted = [...intervals].sort((a, b) => a.open.localeCompare(b.open));
+  sorted.forEach((interval, index) => {
+    if (interval.open >= interval.close) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, message: `${interval.open}-${interval.close} closes before it opens` });
+    } else if (index > 0 && interval.open < sorted[index - 1].close) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, message: `${interval.open}-${interval.close} overlaps another interval` });
+    }
+  });
+});
+
+/**
+ * Opening hours of a user's agency. A weekday left out is closed all day.
+ */
+export const businessHoursSchema = z.object({
+  timezone: z.string().refine(isTimeZone, 'Unknown time zone'),
+  weekly_hours: z.object({
+    mon: dayHoursSchema.optional(),
+    tue: dayHoursSchema.optional(),
+    wed: dayHoursSchema.optional(),
+    thu: dayHoursSchema.optional(),
+    fri: dayHoursSchema.optional(),
+    sat: dayHoursSchema.optional(),
+    sun: dayHoursSchema.optional(),
+  }),
+  live_transfer: z.boolean().default(false),
+  holidays: z.array(
+    z.object({
+      starts_on: dateSchema,
+      ends_on: dateSchema,
+      label: z.string().trim().max(100).nullable().optional(),
+    }).refine(holiday => holiday.ends_on >= holiday.starts_on, 'A holiday cannot end before it starts')
+  ).max(100).default([]),
+});
+
+export type BusinessHours = z.infer<typeof businessHoursSchema>;
+
+export interface AgentModeResolution {
+  mode: AgentMode;
+  // Label of the holiday the agency is closed for, if any
+  holiday: string | null;
+  // When the agency opens next, in words, while it is closed
+  next_opening: string | null;
+  live_transfer: boolean;
+}
+
+/**
+ * Loads the opening hours and holidays of a user, or null if they have not set any.
+ */
+export const loadBusinessHours = async (supabase: SupabaseClient, userId: string): Promise<BusinessHours | null> => {
+  const [{ data: hours, error: hoursError }, { data: holidays, error: holidaysError }] = await Promise.all([
+    supabase
+      .from('user_business_hours')
+      .select('timezone, weekly_hours, live_transfer')
+      .eq('user_id', userId)
+      .maybeSingle(),
+    supabase
+      .from('user_holidays')
+      .select('starts_on, ends_on, label')
+      .eq('user_id', userId)
+      .order('starts_on', { ascending: true })
+  ]);
+
+  if (hoursError || holidaysError) {
+    console.error('Database business hours lookup error:', hoursError || holidaysError);
+    throw new Error('Failed to load business hours');
+  }
+
+  if (!hours) return null;
+
+  return { ...hours, holidays: holidays || [] };
+};
+
+/**
+ * Saves the opening hours of a user. The holidays sent replace the previous ones.
+ */
+export const saveBusinessHours = async (supabase: SupabaseClient, userId: string, hours: BusinessHours) => {
+  const { error: upsertError } = await supabase
+    .from('user_business_hours')
+    .upsert({
+      user_id: userId,
+      timezone: hours.timezone,
+      weekly_hours: hours.weekly_hours,
+      live_transfer: hours.live_transfer,
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'user_id' });
+
+  if (upsertError) {
+    console.error('Database business hours upsert error:', upsertError);
+    throw new Error('Failed to save business hours');
+  }
+
+  const { error: deleteError } = await supabase
+    .from('user_holidays')
+    .delete()
+    .eq('user_id', userId);
+
+  if (deleteError) {
+    console.error('Database holidays delete error:', deleteError);
+    throw new Error('Failed to save holidays');
+  }
+
+  if (hours.holidays.length > 0) {
+    const { error: insertError } = await supabase
+      .from('user_holidays')
+      .insert(hours.holidays.map(holiday => ({ ...holiday, user_id: userId })));
+
+    if (insertError) {
+      console.error('Database holidays insert error:', insertError);
+      throw new Error('Failed to save holidays');
+    }
+  }
+
+  return loadBusinessHours(supabase, userId);
+};
+
+/**
+ * Removes the opening hours of a user: their agent answers the same way at any time again.
+ */
+export const deleteBusinessHours = async (supabase: SupabaseClient, userId: string) => {
+  const [{ error: hoursError }, { error: holidaysError }] = await Promise.all([
+    supabase.from('user_business_hours').delete().eq('user_id', userId),
+    supabase.from('user_holidays').delete().eq('user_id', userId)
+  ]);
+
+  if (hoursError || holidaysError) {
+    console.error('Database business hours delete error:', hoursError || holidaysError);
+    throw new Error('Failed to delete business hours');
+  }
+};
+
+// Calendar day, weekday and HH:MM of an instant in a time zone
+const localClock = (at: Date, timezone: string) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(at).map(part => [part.type, part.value])
+  );
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: parts.weekday.toLowerCase().slice(0, 3) as Weekday,
+    time: `${parts.hour}:${parts.minute}`
+  };
+};
+
+const addDays = (date: string, days: number) => {
+  const day = new Date(`${date}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() + days);
+  return day.toISOString().slice(0, 10);
+};
+
+const weekdayOf = (date: string): Weekday => WEEKDAYS[(new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7];
+
+const findHoliday = (hours: BusinessHours, date: string) =>
+  hours.holidays.find(holiday => holiday.starts_on <= date && date <= holiday.ends_on) ?? null;
+
+const openingsOf = (hours: BusinessHours, weekday: Weekday) =>
+  [...(hours.weekly_hours[weekday] || [])].sort((a, b) => a.open.localeCompare(b.open));
+
+// "9h", "14h30"
+const speakTime = (time: string) => {
+  const [hour, minute] = time.split(':');
+  return `${Number(hour)}h${minute === '00' ? '' : minute}`;
+};
+
+// Next opening within two weeks, as the agent would say it
+const describeNextOpening = (hours: BusinessHours, now: ReturnType<typeof localClock>): string | null => {
+  for (let offset = 0; offset <= 14; offset++) {
+    const date = addDays(now.date, offset);
+    if (findHoliday(hours, date)) continue;
+
+    const weekday = weekdayOf(date);
+    const opening = openingsOf(hours, weekday).find(interval => offset > 0 || interval.open > now.time);
+    if (!opening) continue;
+
+    const time = speakTime(opening.open);
+    if (offset === 0) return `aujourd'hui à ${time}`;
+    if (offset === 1) return `demain à ${time}`;
+    if (offset < 7) return `${FRENCH_WEEKDAYS[weekday]} à ${time}`;
+    return `le ${FRENCH_WEEKDAYS[weekday]} ${Number(date.slice(8, 10))}/${date.slice(5, 7)} à ${time}`;
+  }
+
+  return null;
+};
+
+const isOpenOn = (hours: BusinessHours, now: ReturnType<typeof localClock>) =>
+  !findHoliday(hours, now.date) &&
+  openingsOf(hours, now.weekday).some(interval => interval.open <= now.time && now.time < interval.close);
+
+/**
+ * Whether an instant falls within opening hours, holidays excluded.
+ */
+export const isOpenAt = (hours: BusinessHours, at: Date = new Date()) => isOpenOn(hours, localClock(at, hours.timezone));
+
+/**
+ * Whether the agency is open at a given instant, and if not, why and until when.
+ */
+export const resolveAgentMode = (hours: BusinessHours, at: Date = new Date()): AgentModeResolution => {
+  const now = localClock(at, hours.timezone);
+  const holiday = findHoliday(hours, now.date);
+  const open = isOpenOn(hours, now);
+
+  return {
+    mode: open ? 'in_hours' : 'after_hours',
+    holiday: holiday ? holiday.label || 'jour férié' : null,
+    next_opening: open ? null : describeNextOpening(hours, now),
+    live_transfer: hours.live_transfer
+  };
+};
+
+/**
+ * Resolves the mode a user's agent answers in, or null when the user has no opening hours.
+ */
+export const resolveUserAgentMode = async (
+  supabase: SupabaseClient,
+  userId: string,
+  at: Date = new Date()
+): Promise<AgentModeResolution | null> => {
+  const hours = await loadBusinessHours(supabase, userId);
+  return hours ? resolveAgentMode(hours, at) : null;
+};
+
+/**
+ * Instructions and greeting of the prompt variant of a mode, layered on the agent's own
+ * by applyAgentOverrides. In hours, the agent only changes when it offers live transfer.
+ */
+export const buildAgentModeVariant = (resolution: AgentModeResolution | null) => {
+  if (resolution?.mode === 'after_hours') {
+    const reopening = resolution.next_opening ? `dès la réouverture, ${resolution.next_opening}` : "dès la réouverture de l'agence";
+    return {
+      instructions: [
+        '## Agence fermée',
+        `L'agence est actuellement fermée${resolution.holiday ? ` (${resolution.holiday})` : ''} : aucun conseiller ne peut prendre l'appel.`,
+        "Prends un message : demande le nom de l'appelant, le numéro auquel le rappeler et l'objet de son appel, puis relis-lui ces informations.",
+        `Promets-lui qu'un conseiller de {{agency_name}} le rappellera ${reopening}. Ne t'engage pas sur une heure plus précise.`
+      ].join('\n'),
+      first_message: "Bonjour, vous êtes bien chez {{agency_name}}. L'agence est fermée pour le moment, mais je peux prendre votre message pour qu'un conseiller vous rappelle."
+    };
+  }
+
+  if (resolution?.mode === 'in_hours' && resolution.live_transfer) {
+    return {
+      instructions: [
+        '## Mise en relation',
+        "L'agence est ouverte. Si l'appelant demande à parler à quelqu'un, ou s'il est prêt à visiter ou à faire une offre, propose-lui d'être mis en relation tout de suite avec {{user_full_name}}.",
+        "S'il accepte, annonce-lui que tu le mets en relation, puis utilise l'outil transfer_to_advisor avec l'objet de son appel. Si le transfert échoue, prends un message."
+      ].join('\n'),
+      first_message: null
+    };
+  }
+
+  return null;
+};
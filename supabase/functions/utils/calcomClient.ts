@@ -18,23 +18,37 @@ const calcomBookingSchema = z.object({
 
 type CalcomBooking = z.infer<typeof calcomBookingSchema>;
 
-/**
- * Fetches bookings from Cal.com API
- */
-export async function getCalComBookings(params: { dateFrom?: string; dateTo?: string } = {}) {
+// Overridable so tests can point the client at mock-calcom-server.js
+const getCalComApiUrl = () => Deno.env.get("CALCOM_API_URL") || 'https://api.cal.com/v1';
+
+const getCalComApiKey = () => {
   const apiKey = Deno.env.get("CALCOM_API_KEY");
   if (!apiKey) {
     throw new Error("Cal.com API key not configured");
   }
+  return apiKey;
+};
+
+// Cal.com v1 authenticates with an `apiKey` query parameter
+const calcomUrl = (path: string, params: Record<string, string | undefined> = {}) => {
+  const queryParams = new URLSearchParams({ apiKey: getCalComApiKey() });
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined) queryParams.append(key, value);
+  });
+  return `${getCalComApiUrl()}${path}?${queryParams.toString()}`;
+};
+
+/**
+ * Fetches bookings from Cal.com API
+ */
+export async function getCalComBookings(params: { dateFrom?: string; dateTo?: string } = {}) {
+  const apiKey = getCalComApiKey();
 
   const { dateFrom, dateTo } = params;
-  const queryParams = new URLSearchParams();
-  if (dateFrom) queryParams.append('dateFrom', dateFrom);
-  if (dateTo) queryParams.append('dateTo', dateTo);
 
   try {
     const response = await fetch(
-      `https://api.cal.com/v1/bookings?${queryParams.toString()}`,
+      calcomUrl('/bookings', { dateFrom, dateTo }),
       {
         headers: {
           'Authorization': `Bearer ${apiKey}`,
@@ -65,4 +79,131 @@ export async function getCalComBookings(params: { dateFrom?: string; dateTo?: st
     console.error('Cal.com API error:', error);
     throw error;
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Fetches the free slots of a Cal.com event type between two dates
+ * @returns ISO start times of the available slots, in chronological order
+ */
+export async function getCalComAvailableSlots(params: {
+  eventTypeId: string;
+  startTime: string;
+  endTime: string;
+  timeZone?: string;
+}): Promise<string[]> {
+  const { eventTypeId, startTime, endTime, timeZone = 'Europe/Paris' } = params;
+
+  try {
+    const response = await fetch(
+      calcomUrl('/slots', { eventTypeId, startTime, endTime, timeZone }),
+      {
+        headers: {
+          'Content-Type': 'application/json',
+        },
+      }
+    );
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw new Error(error.message || 'Failed to fetch Cal.com slots');
+    }
+
+    // Response shape: { slots: { "2025-04-07": [{ time: "2025-04-07T09:00:00+02:00" }, ...] } }
+    const data = await response.json();
+    return Object.values(data.slots || {})
+      .flat()
+      .map((slot: { time: string }) => slot.time)
+      .sort((a, b) => new Date(a).getTime() - new Date(b).getTime());
+
+  } catch (error) {
+    console.error('Cal.com API error:', error);
+    throw error;
+  }
+}
+
+/**
+ * Creates a booking on a Cal.com event type
+ */
+export async function createCalComBooking(params: {
+  eventTypeId: string;
+  start: string;
+  name: string;
+  email: string;
+  phone?: string | null;
+  notes?: string | null;
+  timeZone?: string;
+  metadata?: Record<string, string>;
+}) {
+  const { eventTypeId, start, name, email, phone, notes, timeZone = 'Europe/Paris', metadata = {} } = params;
+
+  try {
+    const response = await fetch(
+      calcomUrl('/bookings'),
+      {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          eventTypeId: Number(eventTypeId),
+          start,
+          timeZone,
+          language: 'fr',
+          responses: {
+            name,
+            email,
+            ...(phone ? { attendeePhoneNumber: phone } : {}),
+            ...(notes ? { notes } : {}),
+          },
+          metadata,
+        }),
+      }
+    );
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw new Error(error.message || 'Failed to create Cal.com booking');
+    }
+
+    const booking = await response.json();
+    return {
+      // Numeric ID, needed to cancel the booking
+      id: booking.id as number,
+      calcom_booking_id: booking.uid,
+      start_time: booking.startTime,
+      end_time: booking.endTime,
+      status: String(booking.status || 'ACCEPTED').toLowerCase(),
+    };
+
+  } catch (error) {
+    console.error('Cal.com API error:', error);
+    throw error;
+  }
+}
+
+/**
+ * Cancels a Cal.com booking, freeing its slot
+ * @param bookingId - Numeric ID of the booking (not its uid)
+ */
+export async function cancelCalComBooking(bookingId: number, reason?: string) {
+  try {
+    const response = await fetch(
+      calcomUrl(`/bookings/${bookingId}/cancel`, { cancellationReason: reason }),
+      {
+        method: 'DELETE',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+      }
+    );
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw new Error(error.message || 'Failed to cancel Cal.com booking');
+    }
+
+  } catch (error) {
+    console.error('Cal.com API error:', error);
+    throw error;
+  }
+}
@@ -0,0 +1,87 @@
+import { getSupabaseServiceClient } from "./supabaseServiceClient.ts";
+import { claimAgentTestSession } from "./agentTestSessions.ts";
+
+type SupabaseClient = ReturnType<typeof getSupabaseServiceClient>;
+
+/**
+ * Finds the ai_agents row and the user an ElevenLabs conversation belongs to.
+ * The agent speaks for the users it is assigned to and the users of the numbers it answers.
+ * When there are several, the `prospeo_user_id` dynamic variable disambiguates phone calls,
+ * otherwise the user is left unresolved.
+ *
+ * In-browser tests choose their own variables, so they are only attributed through the
+ * server-side record of their `prospeo_test_session`.
+ * @param hints.userId - `prospeo_user_id`, trusted on phone calls only, where elevenlabs-conversation-init set it
+ * @param hints.testSessionId - `prospeo_test_session`, set on in-browser tests
+ * @param hints.phoneCall - Whether the conversation is a phone call (`system__call_sid` or call metadata present)
+ * @param hints.startedAt - When the conversation started, now if unknown; test sessions must be used before they expire
+ */
+export const resolveConversationOwner = async (
+  supabase: SupabaseClient,
+  elevenlabsAgentId: string,
+  conversationId: string,
+  hints: { userId?: string | null; testSessionId?: string | null; phoneCall?: boolean; startedAt?: Date | null } = {}
+): Promise<{ aiAgentId: string | null; userId: string | null }> => {
+  const { data: agent, error: agentError } = await supabase
+    .from('ai_agents')
+    .select('id')
+    .eq('elevenlabs_agent_id', elevenlabsAgentId)
+    .maybeSingle();
+
+  if (agentError) {
+    console.error('Database agent lookup error:', agentError);
+    throw new Error('Failed to resolve agent for conversation');
+  }
+
+  if (!agent) {
+    console.warn(`No ai_agents row for ElevenLabs agent ${elevenlabsAgentId}`);
+    return { aiAgentId: null, userId: null };
+  }
+
+  if (hints.testSessionId) {
+    const userId = await claimAgentTestSession(
+      supabase,
+      hints.testSessionId,
+      agent.id,
+      conversationId,
+      hints.startedAt || new Date()
+    );
+    if (!userId) {
+      console.warn(`Test session ${hints.testSessionId} does not hold for conversation ${conversationId}`);
+    }
+    return { aiAgentId: agent.id, userId };
+  }
+
+  const hintedUserId = hints.phoneCall ? hints.userId : null;
+
+  const [{ data: assignments, error: assignError }, { data: phoneNumbers, error: numbersError }] = await Promise.all([
+    supabase
+      .from('user_assigned_agents')
+      .select('user_id')
+      .eq('assigned_agent_id', agent.id),
+    supabase
+      .from('phone_numbers')
+      .select('user_id')
+      .eq('ai_agent_id', agent.id)
+      .is('released_at', null)
+      .not('user_id', 'is', null)
+  ]);
+
+  if (assignError || numbersError) {
+    console.error('Database assignment lookup error:', assignError || numbersError);
+    throw new Error('Failed to resolve user for conversation');
+  }
+
+  const userIds = [...new Set([...(assignments || []), ...(phoneNumbers || [])].map((row) => row.user_id))];
+
+  if (hintedUserId && userIds.includes(hintedUserId)) {
+    return { aiAgentId: agent.id, userId: hintedUserId };
+  }
+
+  if (userIds.length === 1) {
+    return { aiAgentId: agent.id, userId: userIds[0] };
+  }
+
+  console.warn(`Cannot attribute conversation ${conversationId}: ${userIds.length} users assigned to agent ${agent.id}`);
+  return { aiAgentId: agent.id, userId: null };
+};
@@ -0,0 +1,88 @@
+import { getSupabaseServiceClient } from "./supabaseServiceClient.ts";
+import { getElevenLabsConversationAudio } from "./elevenlabsClient.ts";
+
+type SupabaseClient = ReturnType<typeof getSupabaseServiceClient>;
+
+// Private bucket created by the 20250406101245_silent_reel migration
+export const CALL_RECORDINGS_BUCKET = 'call-recordings';
+
+// Signed URLs are handed to the browser, keep them short-lived
+export const RECORDING_URL_TTL_SECS = 15 * 60;
+
+interface RecordingSource {
+  id: string;
+  recording_url: string | null;
+  elevenlabs_conversation_id: string | null;
+}
+
+const EXTENSIONS: Record<string, string> = {
+  'audio/mpeg': 'mp3',
+  'audio/mp3': 'mp3',
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/ogg': 'ogg',
+  'audio/webm': 'webm',
+};
+
+// Download the provider recording; ElevenLabs URLs need our API key
+const downloadRecording = async (
+  call: RecordingSource
+): Promise<{ audio: ArrayBuffer; contentType: string } | null> => {
+  if (call.elevenlabs_conversation_id && (!call.recording_url || call.recording_url.includes('api.elevenlabs.io'))) {
+    return getElevenLabsConversationAudio(call.elevenlabs_conversation_id);
+  }
+
+  if (!call.recording_url) return null;
+
+  const response = await fetch(call.recording_url);
+  if (!response.ok) {
+    // Expired provider links typically answer 403/404/410
+    console.warn(`Recording download for call ${call.id} failed with status ${response.status}`);
+    return null;
+  }
+
+  return {
+    audio: await response.arrayBuffer(),
+    contentType: response.headers.get('Content-Type')?.split(';')[0] || 'audio/mpeg'
+  };
+};
+
+/**
+ * Copies the provider recording of a call into the private recordings bucket
+ * and stores its path on `call_history.recording_storage_path`.
+ * @returns The storage path, or null if the provider has no recording to copy
+ */
+export const archiveCallRecording = async (
+  supabase: SupabaseClient,
+  call: RecordingSource
+): Promise<string | null> => {
+  const recording = await downloadRecording(call);
+  if (!recording) return null;
+
+  const extension = EXTENSIONS[recording.contentType] || 'mp3';
+  const path = `${call.id}.${extension}`;
+
+  const { error: uploadError } = await supabase.storage
+    .from(CALL_RECORDINGS_BUCKET)
+    .upload(path, recording.audio, {
+      contentType: recording.contentType,
+      upsert: true
+    });
+
+  if (uploadError) {
+    console.error('Storage upload error:', uploadError);
+    throw new Error('Failed to store call recording');
+  }
+
+  const { error: updateError } = await supabase
+    .from('call_history')
+    .update({ recording_storage_path: path })
+    .eq('id', call.id);
+
+  if (updateError) {
+    console.error('Database update error:', updateError);
+    throw new Error('Failed to save recording path');
+  }
+
+  return path;
+};
@@ -0,0 +1,255 @@
+import { z } from "npm:zod@3.22.4";
+import { getSupabaseServiceClient } from "./supabaseServiceClient.ts";
+
+type SupabaseClient = ReturnType<typeof getSupabaseServiceClient>;
+
+// Shared by create-tag-rule and update-tag-rule
+export const tagRuleConditionsSchema = z.object({
+  keywords: z.array(z.string().trim().min(1).max(100)).max(50).optional(),
+  min_duration_seconds: z.number().int().nonnegative().optional(),
+  max_duration_seconds: z.number().int().nonnegative().optional(),
+  statuses: z.array(z.enum(['completed', 'missed', 'failed', 'in-progress', 'requires_review', 'transferred'])).optional(),
+  property_mentioned: z.boolean().optional(),
+  known_contact: z.boolean().optional(),
+}).strict().refine(
+  data => Object.values(data).some(value => Array.isArray(value) ? value.length > 0 : value !== undefined),
+  { message: "A rule needs at least one condition" }
+).refine(
+  data => data.min_duration_seconds === undefined || data.max_duration_seconds === undefined ||
+    data.min_duration_seconds <= data.max_duration_seconds,
+  { message: "min_duration_seconds must not exceed max_duration_seconds" }
+);
+
+export type TagRuleConditions = z.infer<typeof tagRuleConditionsSchema>;
+
+interface TagRule {
+  id: string;
+  tag_id: string;
+  conditions: TagRuleConditions;
+}
+
+// What a rule can look at for a given call
+interface CallFacts {
+  id: string;
+  text: string;
+  durationSeconds: number;
+  status: string;
+  propertyMentioned: boolean;
+  knownContact: boolean;
+}
+
+// Calls processed per round trip when re-running rules over history
+const BATCH_SIZE = 200;
+
+// Lowercase and strip accents so "visite demandée" matches "Visite demandee"
+const normalizeText = (text: string) =>
+  text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+/**
+ * Checks a call against a rule. Every condition present on the rule must hold.
+ */
+export const matchesTagRule = (conditions: TagRuleConditions, facts: CallFacts): boolean => {
+  if (conditions.keywords?.length &&
+      !conditions.keywords.some(keyword => facts.text.includes(normalizeText(keyword)))) {
+    return false;
+  }
+  if (conditions.min_duration_seconds !== undefined && facts.durationSeconds < conditions.min_duration_seconds) return false;
+  if (conditions.max_duration_seconds !== undefined && facts.durationSeconds > conditions.max_duration_seconds) return false;
+  if (conditions.statuses?.length && !conditions.statuses.includes(facts.status as any)) return false;
+  if (conditions.property_mentioned !== undefined && facts.propertyMentioned !== conditions.property_mentioned) return false;
+  if (conditions.known_contact !== undefined && facts.knownContact !== conditions.known_contact) return false;
+  return true;
+};
+
+// Gather everything the rules need for a batch of calls in a few queries
+const loadCallFacts = async (
+  supabase: SupabaseClient,
+  userId: string,
+  calls: any[]
+): Promise<CallFacts[]> => {
+  const callIds = calls.map(call => call.id);
+
+  const [{ data: invocations, error: invocationsError }, { data: properties, error: propertiesError }] = await Promise.all([
+    supabase
+      .from('call_tool_invocations')
+      .select('call_id, parameters')
+      .in('call_id', callIds)
+      .eq('status', 'success'),
+    supabase
+      .from('properties')
+      .select('name')
+      .eq('user_id', userId)
+  ]);
+
+  if (invocationsError || propertiesError) {
+    console.error('Database rule facts error:', invocationsError || propertiesError);
+    throw new Error('Failed to load call details for tag rules');
+  }
+
+  // Calls where the agent looked up or booked a specific property
+  const callsWithPropertyTool = new Set(
+    (invocations || [])
+      .filter(invocation => invocation.parameters?.property_id)
+      .map(invocation => invocation.call_id)
+  );
+  const propertyNames = (properties || [])
+    .map(property => normalizeText(property.name || '').trim())
+    .filter(name => name.length >= 4);
+
+  return calls.map((call) => {
+    const text = normalizeText(
+      (call.transcript?.segments || []).map((segment: { text: string }) => segment.text).join('\n')
+    );
+
+    return {
+      id: call.id,
+      text,
+      durationSeconds: call.duration_seconds ?? 0,
+      status: call.status,
+      propertyMentioned: Boolean(call.property_id) ||
+        callsWithPropertyTool.has(call.id) ||
+        propertyNames.some(name => text.includes(name)),
+      // Leads created from this very call are not "known" callers
+      knownContact: Boolean(call.contact) &&
+        new Date(call.contact.created_at) < new Date(call.call_timestamp),
+    };
+  });
+};
+
+/**
+ * Applies the user's active tag rules to their calls and attaches matching tags.
+ * Tags already on a call, manual or not, are left untouched.
+ * @param options.callIds - Limit to these calls (e.g. a freshly ingested one)
+ * @param options.ruleId - Only run this rule, even if it is paused
+ * @param options.dateFrom / options.dateTo - Limit a historical re-run by call date
+ * @returns Number of calls examined and of tags attached
+ */
+export const applyTagRules = async (
+  supabase: SupabaseClient,
+  userId: string,
+  options: { callIds?: string[]; ruleId?: string; dateFrom?: string; dateTo?: string } = {}
+): Promise<{ processed: number; tagged: number }> => {
+  let rulesQuery = supabase
+    .from('call_tag_rules')
+    .select('id, tag_id, conditions')
+    .eq('user_id', userId);
+
+  rulesQuery = options.ruleId ? rulesQuery.eq('id', options.ruleId) : rulesQuery.eq('is_active', true);
+
+  const { data: rules, error: rulesError } = await rulesQuery;
+
+  if (rulesError) {
+    console.error('Database rules query error:', rulesError);
+    throw new Error('Failed to load tag rules');
+  }
+
+  if (!rules || rules.length === 0) return { processed: 0, tagged: 0 };
+
+  let processed = 0;
+  let tagged = 0;
+
+  // Keyset pagination on (call_timestamp, id): calls ingested during a re-run don't shift the
+  // batches, and calls sharing a timestamp are neither skipped nor examined twice
+  let cursor: { call_timestamp: string; id: string } | null = null;
+
+  for (;;) {
+    let callsQuery = supabase
+      .from('call_history')
+      .select('id, call_timestamp, duration_seconds, status, transcript, property_id, contact:contacts(created_at)')
+      .eq('user_id', userId)
+      .order('call_timestamp', { ascending: true })
+      .order('id', { ascending: true })
+      .limit(BATCH_SIZE);
+
+    if (cursor) {
+      callsQuery = callsQuery.or(
+        `call_timestamp.gt."${cursor.call_timestamp}",and(call_timestamp.eq."${cursor.call_timestamp}",id.gt.${cursor.id})`
+      );
+    }
+    if (options.callIds) callsQuery = callsQuery.in('id', options.callIds);
+    if (options.dateFrom) callsQuery = callsQuery.gte('call_timestamp', options.dateFrom);
+    if (options.dateTo) callsQuery = callsQuery.lte('call_timestamp', options.dateTo);
+
+    const { data: calls, error: callsError } = await callsQuery;
+
+    if (callsError) {
+      console.error('Database calls query error:', callsError);
+      throw new Error('Failed to load calls for tag rules');
+    }
+
+    if (!calls || calls.length === 0) break;
+
+    const facts = await loadCallFacts(supabase, userId, calls);
+
+    // Several rules may point at the same tag: attach it once per call
+    const links = new Map<string, { call_id: string; tag_id: string; user_id: string; rule_id: string }>();
+    for (const callFacts of facts) {
+      for (const rule of rules as TagRule[]) {
+        const key = `${callFacts.id}:${rule.tag_id}`;
+        if (!links.has(key) && matchesTagRule(rule.conditions, callFacts)) {
+          links.set(key, { call_id: callFacts.id, tag_id: rule.tag_id, user_id: userId, rule_id: rule.id });
+        }
+      }
+    }
+
+    if (links.size > 0) {
+      const { data: inserted, error: linkError } = await supabase
+        .from('call_tags')
+        .upsert([...links.values()], { onConflict: 'call_id,tag_id', ignoreDuplicates: true })
+        .select('call_id');
+
+      if (linkError) {
+        console.error('Database call_tags insert error:', linkError);
+        throw new Error('Failed to tag calls');
+      }
+      tagged += inserted?.length ?? 0;
+    }
+
+    processed += calls.length;
+    if (calls.length < BATCH_SIZE) break;
+    cursor = calls[calls.length - 1];
+  }
+
+  return { processed, tagged };
+};
+
+/**
+ * Resolves the tag a rule attaches: an existing tag of the user by ID,
+ * or one looked up / created by name.
+ * @returns The tag, or null when the ID does not belong to the user
+ */
+export const resolveRuleTag = async (
+  supabase: SupabaseClient,
+  userId: string,
+  { tag_id, tag_name, tag_color }: { tag_id?: string; tag_name?: string; tag_color?: string | null }
+) => {
+  if (tag_id) {
+    const { data: tag, error } = await supabase
+      .from('tags')
+      .select('id, name, color')
+      .eq('id', tag_id)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Database tag lookup error:', error);
+      throw new Error('Failed to fetch tag');
+    }
+    return tag;
+  }
+
+  const { data: tag, error } = await supabase
+    .from('tags')
+    .upsert(
+      { user_id: userId, name: tag_name, ...(tag_color ? { color: tag_color } : {}) },
+      { onConflict: 'user_id,name' }
+    )
+    .select('id, name, color')
+    .single();
+
+  if (error) {
+    console.error('Database tag upsert error:', error);
+    throw new Error('Failed to create tag');
+  }
+  return tag;
+};
@@ -0,0 +1,87 @@
+import { getSupabaseServiceClient } from "./supabaseServiceClient.ts";
+
+type SupabaseClient = ReturnType<typeof getSupabaseServiceClient>;
+
+/**
+ * Normalizes a phone number to `+<country><number>`.
+ * National French numbers (0XXXXXXXXX) are assumed to be +33.
+ * Mirrors the `public.normalize_phone` SQL function backing `contacts.phone_normalized`.
+ * @returns The normalized number, or null if it is not a usable phone number
+ */
+export const normalizePhoneNumber = (rawPhone: string | null | undefined): string | null => {
+  if (!rawPhone) return null;
+
+  const digits = rawPhone.replace(/[^0-9]/g, '');
+  if (digits.length < 8) return null;
+
+  if (digits.startsWith('00')) return `+${digits.slice(2)}`;
+  if (rawPhone.trim().startsWith('+')) return `+${digits}`;
+  if (digits.length === 10 && digits.startsWith('0')) return `+33${digits.slice(1)}`;
+
+  return `+${digits}`;
+};
+
+const findCallerContact = async (supabase: SupabaseClient, userId: string, normalized: string) => {
+  const { data: existing, error: lookupError } = await supabase
+    .from('contacts')
+    .select('id')
+    .eq('user_id', userId)
+    .eq('phone_normalized', normalized)
+    .order('created_at', { ascending: true })
+    .limit(1)
+    .maybeSingle();
+
+  if (lookupError) {
+    console.error('Database contact lookup error:', lookupError);
+    throw new Error('Failed to match caller to a contact');
+  }
+
+  return existing;
+};
+
+/**
+ * Finds the contact of `userId` whose phone matches `callerNumber`,
+ * creating a new `ai_call` lead when there is none.
+ * @returns The contact ID and whether it was just created, or null if the number is unusable
+ */
+export const findOrCreateCallerContact = async (
+  supabase: SupabaseClient,
+  userId: string,
+  callerNumber: string,
+  callTimestamp: string
+): Promise<{ contactId: string; created: boolean } | null> => {
+  const normalized = normalizePhoneNumber(callerNumber);
+  if (!normalized) return null;
+
+  const existing = await findCallerContact(supabase, userId, normalized);
+  if (existing) {
+    return { contactId: existing.id, created: false };
+  }
+
+  const { data: contact, error: insertError } = await supabase
+    .from('contacts')
+    .insert({
+      user_id: userId,
+      first_name: 'Appelant',
+      last_name: normalized,
+      phone: normalized,
+      source: 'ai_call',
+      status: 'new',
+      notes: `Lead créé automatiquement suite à un appel reçu le ${new Date(callTimestamp).toLocaleString('fr-FR', { timeZone: 'Europe/Paris' })}.`
+    })
+    .select('id')
+    .single();
+
+  // Created meanwhile for the same caller (webhook retry, tool call): one lead per caller
+  if (insertError?.code === '23505') {
+    const created = await findCallerContact(supabase, userId, normalized);
+    if (created) return { contactId: created.id, created: false };
+  }
+
+  if (insertError) {
+    console.error('Database contact insert error:', insertError);
+    throw new Error('Failed to create contact for caller');
+  }
+
+  return { contactId: contact.id, created: true };
+};
@@ -0,0 +1,84 @@
+import { z } from "npm:zod@3.22.4";
+import { modelSupportsLanguage, type VoiceSettings } from "./voiceSettings.ts";
+
+const DEFAULT_END_CALL_DESCRIPTION = 'End the call when the caller says goodbye or the conversation is over.';
+
+/**
+ * Conversation settings stored on `ai_agents`. NULL means the ElevenLabs default.
+ */
+export const conversationSettingsShape = {
+  first_message: z.string().max(1000).nullable().optional(),
+  // Greetings in the other languages of the agent, keyed by ISO 639-1 code
+  first_messages: z.record(
+    z.string().regex(/^[a-z]{2}$/, "Language must be an ISO 639-1 code"),
+    z.string().min(1, "First message cannot be empty").max(1000)
+  ).nullable().optional(),
+  max_duration_seconds: z.number().int().min(30).max(3600).nullable().optional(),
+  silence_end_call_timeout_seconds: z.number().int().min(5).max(300).nullable().optional(),
+  end_call_conditions: z.string().max(2000).nullable().optional(),
+};
+
+export type ConversationSettings = {
+  [K in keyof typeof conversationSettingsShape]?: z.infer<typeof conversationSettingsShape[K]>;
+};
+
+export const CONVERSATION_SETTING_FIELDS = Object.keys(conversationSettingsShape) as (keyof ConversationSettings)[];
+
+/**
+ * Keeps only the conversation settings of an agent row or request body.
+ */
+export const pickConversationSettings = (source: Record<string, unknown>): ConversationSettings =>
+  Object.fromEntries(
+    CONVERSATION_SETTING_FIELDS.filter(field => source[field] !== undefined).map(field => [field, source[field]])
+  ) as ConversationSettings;
+
+/**
+ * Explains why the greetings of an agent cannot work with its voice settings, or returns null.
+ */
+export const findConversationSettingsIssue = (settings: ConversationSettings & VoiceSettings): string | null => {
+  const mainLanguage = settings.language || 'en';
+  for (const language of Object.keys(settings.first_messages || {})) {
+    if (language === mainLanguage) {
+      return `The "${language}" greeting is the main first message`;
+    }
+    if (!modelSupportsLanguage(settings.tts_model_id, language)) {
+      return `Language "${language}" needs a v2.5 model`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Builds the Convai system tools of an agent, sent along its server tools in `agent.prompt.tools`.
+ * Language detection is only added to multilingual agents, so they can switch to a preset.
+ */
+export const buildConvaiSystemTools = (settings: ConversationSettings) => [
+  {
+    type: 'system',
+    name: 'end_call',
+    description: settings.end_call_conditions?.trim() || DEFAULT_END_CALL_DESCRIPTION
+  },
+  ...(Object.keys(settings.first_messages || {}).length > 0
+    ? [{ type: 'system', name: 'language_detection', description: '' }]
+    : [])
+];
+
+/**
+ * Builds the Convai `conversation_config.language_presets`: one preset per extra greeting.
+ */
+export const buildConvaiLanguagePresets = (firstMessages: Record<string, string> | null = null) =>
+  Object.fromEntries(
+    Object.entries(firstMessages || {}).map(([language, firstMessage]) => [
+      language,
+      { overrides: { agent: { language, first_message: firstMessage } } }
+    ])
+  );
+
+/**
+ * Builds the Convai `conversation_config.conversation` and `turn` limits of an agent.
+ */
+export const buildConvaiConversationLimits = (settings: ConversationSettings) => ({
+  conversation: { max_duration_seconds: settings.max_duration_seconds ?? 600 },
+  // -1 disables the silence timeout
+  turn: { silence_end_call_timeout: settings.silence_end_call_timeout_seconds ?? -1 }
+});
@@ -0,0 +1,34 @@
+export interface TranscriptSegment {
+  speaker: 'agent' | 'caller';
+  text: string;
+  start: number;
+  end: number;
+}
+
+interface ElevenLabsConversation {
+  transcript: { role: string; message?: string | null; time_in_call_secs?: number | null }[];
+  metadata: { call_duration_secs?: number };
+}
+
+/**
+ * Converts ElevenLabs turns into the `{ segments: [...] }` shape documented on call_history.transcript.
+ * Works on post-call webhook payloads and on conversations fetched from the API alike.
+ */
+export const normalizeTranscript = (data: ElevenLabsConversation): { segments: TranscriptSegment[] } => {
+  const duration = data.metadata.call_duration_secs ?? 0;
+  const turns = data.transcript.filter((turn) => turn.message && turn.message.trim());
+
+  const segments = turns.map((turn, index) => {
+    const start = turn.time_in_call_secs ?? 0;
+    const next = turns[index + 1];
+    const end = next?.time_in_call_secs ?? Math.max(duration, start);
+    return {
+      speaker: turn.role === 'agent' ? 'agent' : 'caller',
+      text: turn.message!.trim(),
+      start,
+      end,
+    } as TranscriptSegment;
+  });
+
+  return { segments };
+};
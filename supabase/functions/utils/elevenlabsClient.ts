@@ -1,7 +1,21 @@
+import { buildAgentServerTools, buildConversationInitiationSettings } from './agentTools.ts';
+import { buildDataCollectionConfig } from './leadQualification.ts';
+import { buildDynamicVariablePlaceholders } from './promptTemplate.ts';
+import { buildConvaiTtsConfig, VOICE_SETTING_FIELDS, type VoiceSettings } from './voiceSettings.ts';
+import {
+  buildConvaiSystemTools,
+  buildConvaiLanguagePresets,
+  buildConvaiConversationLimits,
+  type ConversationSettings
+} from './conversationSettings.ts';
+
 const ELEVENLABS_API_URL = 'https://api.elevenlabs.io/v1';
 
+// Voice cloning can be pointed at mock-elevenlabs-voices-server.js to test it without creating real voices
+const getVoicesApiUrl = () => Deno.env.get('ELEVENLABS_VOICES_API_URL') || ELEVENLABS_API_URL;
+
 // Interfaces for ElevenLabs API
-interface ProspeoAgentConfig {
+interface ProspeoAgentConfig extends VoiceSettings, ConversationSettings {
   agent_name: string;
   elevenlabs_voice_id: string;
   system_prompt: string;
@@ -10,8 +24,21 @@ interface ProspeoAgentConfig {
 interface ElConvaiAgentCreateParams {
   name: string;
   conversation_config?: {
-    tts?: { voice_id: string };
-    agent?: { prompt?: { prompt: string } };
+    tts?: Partial<ReturnType<typeof buildConvaiTtsConfig>>;
+    agent?: {
+      language?: string;
+      first_message?: string;
+      prompt?: { prompt: string; tools?: any[] };
+      dynamic_variables?: { dynamic_variable_placeholders: Record<string, string> };
+    };
+    language_presets?: ReturnType<typeof buildConvaiLanguagePresets>;
+    conversation?: { max_duration_seconds: number };
+    turn?: { silence_end_call_timeout: number };
+  };
+  platform_settings?: {
+    data_collection?: Record<string, { type: string; description: string }>;
+    overrides?: Record<string, unknown>;
+    workspace_overrides?: Record<string, unknown>;
   };
 }
 
@@ -42,13 +69,27 @@ export const createElevenLabsConvaiAgent = async (config: ProspeoAgentConfig): P
   const elPayload: ElConvaiAgentCreateParams = {
     name: config.agent_name,
     conversation_config: {
-      tts: { voice_id: config.elevenlabs_voice_id },
-      agent: { prompt: { prompt: config.system_prompt || ' ' } }
+      tts: buildConvaiTtsConfig(config.elevenlabs_voice_id, config),
+      agent: {
+        ...(config.language ? { language: config.language } : {}),
+        ...(config.first_message ? { first_message: config.first_message } : {}),
+        prompt: {
+          prompt: config.system_prompt || ' ',
+          tools: [...buildAgentServerTools(), ...buildConvaiSystemTools(config)]
+        },
+        dynamic_variables: { dynamic_variable_placeholders: buildDynamicVariablePlaceholders() }
+      },
+      language_presets: buildConvaiLanguagePresets(config.first_messages),
+      ...buildConvaiConversationLimits(config)
+    },
+    platform_settings: {
+      data_collection: buildDataCollectionConfig(),
+      ...buildConversationInitiationSettings()
     }
   };
 
   try {
-    const response = await fetch(`${ELEVENLABS_API_URL}/v1/convai/agents`, {
+    const response = await fetch(`${ELEVENLABS_API_URL}/convai/agents`, {
       method: 'POST',
       headers: {
         'xi-api-key': getApiKey(),
@@ -79,6 +120,27 @@ export const createElevenLabsConvaiAgent = async (config: ProspeoAgentConfig): P
   }
 };
 
+/**
+ * System tools to send with a prompt update. Callers that send the prompt alone (rollback,
+ * drift resolution...) leave out the settings the system tools follow: the agent keeps its own then.
+ */
+const buildUpdatedSystemTools = async (agentId: string, config: Partial<ProspeoAgentConfig>) => {
+  const built = buildConvaiSystemTools(config);
+  if (config.end_call_conditions !== undefined && config.first_messages !== undefined) {
+    return built;
+  }
+
+  const current = await getElevenLabsConvaiAgent(agentId);
+  const currentTools: any[] = current?.conversation_config?.agent?.prompt?.tools || [];
+  const pick = (name: string, fromConfig: boolean) =>
+    (fromConfig ? built : currentTools).find(tool => tool.type === 'system' && tool.name === name);
+
+  return [
+    pick('end_call', config.end_call_conditions !== undefined) || pick('end_call', true),
+    pick('language_detection', config.first_messages !== undefined)
+  ].filter(Boolean);
+};
+
 /**
  * Updates an existing agent on the ElevenLabs platform using the Convai API.
  */
@@ -92,20 +154,67 @@ export const updateElevenLabsConvaiAgent = async (
     elPayload.name = config.agent_name;
   }
   
-  if (config.elevenlabs_voice_id !== undefined) {
+  // Settings are only re-sent when given, otherwise a voice change would reset them to defaults
+  const hasVoiceSettings = VOICE_SETTING_FIELDS.some(field => config[field] !== undefined);
+  if (config.elevenlabs_voice_id !== undefined || hasVoiceSettings) {
     elPayload.conversation_config = {
       ...elPayload.conversation_config,
-      tts: { voice_id: config.elevenlabs_voice_id }
+      tts: hasVoiceSettings
+        ? buildConvaiTtsConfig(config.elevenlabs_voice_id, config)
+        : { voice_id: config.elevenlabs_voice_id }
     };
   }
   
   if (config.system_prompt !== undefined) {
     elPayload.conversation_config = {
       ...elPayload.conversation_config,
-      agent: { prompt: { prompt: config.system_prompt || ' ' } }
+      // Re-send the server tools so agents created before they existed pick them up.
+      // The list is replaced as a whole, system tools included.
+      agent: {
+        prompt: {
+          prompt: config.system_prompt || ' ',
+          tools: [...buildAgentServerTools(), ...(await buildUpdatedSystemTools(agentId, config))]
+        },
+        // Every {{variable}} of the prompt needs a default for unattributed conversations
+        dynamic_variables: { dynamic_variable_placeholders: buildDynamicVariablePlaceholders() }
+      }
+    };
+    elPayload.platform_settings = {
+      data_collection: buildDataCollectionConfig(),
+      ...buildConversationInitiationSettings()
+    };
+  }
+
+  if (config.language !== undefined) {
+    elPayload.conversation_config = {
+      ...elPayload.conversation_config,
+      agent: { ...elPayload.conversation_config?.agent, language: config.language || 'en' }
+    };
+  }
+
+  if (config.first_message !== undefined) {
+    elPayload.conversation_config = {
+      ...elPayload.conversation_config,
+      // An empty first message lets the caller speak first
+      agent: { ...elPayload.conversation_config?.agent, first_message: config.first_message || '' }
     };
   }
 
+  if (config.first_messages !== undefined) {
+    elPayload.conversation_config = {
+      ...elPayload.conversation_config,
+      language_presets: buildConvaiLanguagePresets(config.first_messages)
+    };
+  }
+
+  const limits = buildConvaiConversationLimits(config);
+  if (config.max_duration_seconds !== undefined) {
+    elPayload.conversation_config = { ...elPayload.conversation_config, conversation: limits.conversation };
+  }
+  if (config.silence_end_call_timeout_seconds !== undefined) {
+    elPayload.conversation_config = { ...elPayload.conversation_config, turn: limits.turn };
+  }
+
   if (Object.keys(elPayload).length === 0) {
     console.warn(`Update called for EL CONVAI agent ${agentId} with no changes.`);
     return getElevenLabsConvaiAgent(agentId);
@@ -114,7 +223,7 @@ export const updateElevenLabsConvaiAgent = async (
   console.log(`Updating ElevenLabs CONVAI agent ${agentId} with payload:`, elPayload);
 
   try {
-    const response = await fetch(`${ELEVENLABS_API_URL}/v1/convai/agents/${agentId}`, {
+    const response = await fetch(`${ELEVENLABS_API_URL}/convai/agents/${agentId}`, {
       method: 'PATCH',
       headers: {
         'xi-api-key': getApiKey(),
@@ -140,6 +249,29 @@ export const updateElevenLabsConvaiAgent = async (
   }
 };
 
+/**
+ * Deletes an agent from the ElevenLabs platform. An agent that is already gone counts as deleted.
+ */
+export const deleteElevenLabsConvaiAgent = async (agentId: string): Promise<void> => {
+  console.log(`Deleting ElevenLabs CONVAI agent ${agentId}`);
+
+  const response = await fetch(`${ELEVENLABS_API_URL}/convai/agents/${agentId}`, {
+    method: 'DELETE',
+    headers: {
+      'xi-api-key': getApiKey()
+    }
+  });
+
+  if (!response.ok && response.status !== 404) {
+    const errorData = await response.json().catch(() => ({}));
+    console.error(`Error deleting EL CONVAI agent ${agentId}:`, errorData);
+    throw {
+      status: response.status,
+      message: errorData.detail || `EL Delete Agent API Error ${response.status}`
+    };
+  }
+};
+
 /**
  * Gets details of a specific agent from the ElevenLabs platform.
  */
@@ -147,7 +279,7 @@ export const getElevenLabsConvaiAgent = async (agentId: string): Promise<ElConva
   console.log(`Fetching ElevenLabs CONVAI agent ${agentId}`);
   
   try {
-    const response = await fetch(`${ELEVENLABS_API_URL}/v1/convai/agents/${agentId}`, {
+    const response = await fetch(`${ELEVENLABS_API_URL}/convai/agents/${agentId}`, {
       headers: {
         'xi-api-key': getApiKey()
       }
@@ -171,12 +303,143 @@ export const getElevenLabsConvaiAgent = async (agentId: string): Promise<ElConva
   }
 };
 
+/**
+ * Lists every Convai agent of the workspace, following the pagination cursor.
+ * The summaries have no conversation config: use getElevenLabsConvaiAgent for that.
+ */
+export const listElevenLabsConvaiAgents = async (): Promise<{ agent_id: string; name: string }[]> => {
+  const agents: { agent_id: string; name: string }[] = [];
+  let cursor: string | null = null;
+
+  do {
+    const params = new URLSearchParams({ page_size: '100' });
+    if (cursor) params.set('cursor', cursor);
+
+    const response = await fetch(`${ELEVENLABS_API_URL}/convai/agents?${params}`, {
+      headers: {
+        'xi-api-key': getApiKey()
+      }
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw {
+        status: response.status,
+        message: errorData.detail || `EL List Agents API Error ${response.status}`
+      };
+    }
+
+    const page = await response.json();
+    agents.push(...(page.agents || []));
+    cursor = page.has_more ? page.next_cursor : null;
+  } while (cursor);
+
+  return agents;
+};
+
+interface ElPhoneNumber {
+  phone_number_id: string;
+  phone_number: string;
+  label?: string | null;
+  provider?: string;
+  assigned_agent?: { agent_id: string; agent_name?: string } | null;
+}
+
+/**
+ * Lists the phone numbers imported into the workspace from the telephony provider (Twilio or SIP trunk).
+ */
+export const listElevenLabsPhoneNumbers = async (): Promise<ElPhoneNumber[]> => {
+  const response = await fetch(`${ELEVENLABS_API_URL}/convai/phone-numbers`, {
+    headers: {
+      'xi-api-key': getApiKey()
+    }
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw {
+      status: response.status,
+      message: errorData.detail || `EL List Phone Numbers API Error ${response.status}`
+    };
+  }
+
+  const numbers = await response.json();
+  return Array.isArray(numbers) ? numbers : [];
+};
+
+/**
+ * Sets the agent that answers the calls made to a phone number. `null` detaches the number.
+ */
+export const assignElevenLabsPhoneNumberAgent = async (phoneNumberId: string, agentId: string | null): Promise<void> => {
+  console.log(`Routing ElevenLabs phone number ${phoneNumberId} to agent ${agentId ?? 'none'}`);
+
+  const response = await fetch(`${ELEVENLABS_API_URL}/convai/phone-numbers/${phoneNumberId}`, {
+    method: 'PATCH',
+    headers: {
+      'Content-Type': 'application/json',
+      'xi-api-key': getApiKey()
+    },
+    body: JSON.stringify({ agent_id: agentId })
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    console.error(`Error routing EL phone number ${phoneNumberId}:`, errorData);
+    throw {
+      status: response.status,
+      message: errorData.detail?.message || errorData.detail || `EL Update Phone Number API Error ${response.status}`
+    };
+  }
+};
+
+/**
+ * Places an outbound call from one of the workspace's numbers: the agent speaks as soon as
+ * the contact picks up. The client data replaces the initiation webhook, which only runs
+ * for inbound calls.
+ * @returns The ID of the conversation the call is recorded under
+ */
+export const startElevenLabsOutboundCall = async (params: {
+  agentId: string;
+  phoneNumberId: string;
+  provider: 'twilio' | 'sip_trunk';
+  toNumber: string;
+  clientData: { dynamic_variables: Record<string, string>; conversation_config_override?: unknown };
+}): Promise<string> => {
+  const { agentId, phoneNumberId, provider, toNumber, clientData } = params;
+  console.log(`Calling ${toNumber} from ElevenLabs phone number ${phoneNumberId} with agent ${agentId}`);
+
+  const response = await fetch(`${ELEVENLABS_API_URL}/convai/${provider === 'sip_trunk' ? 'sip-trunk' : 'twilio'}/outbound-call`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'xi-api-key': getApiKey()
+    },
+    body: JSON.stringify({
+      agent_id: agentId,
+      agent_phone_number_id: phoneNumberId,
+      to_number: toNumber,
+      conversation_initiation_client_data: clientData
+    })
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok || data.success === false || !data.conversation_id) {
+    console.error(`Error calling ${toNumber}:`, data);
+    throw {
+      status: response.status,
+      message: data.detail?.message || data.detail || data.message || `EL Outbound Call API Error ${response.status}`
+    };
+  }
+
+  return data.conversation_id;
+};
+
 /**
  * Gets available voices from ElevenLabs.
  */
 export const getElevenLabsVoices = async () => {
   try {
-    const response = await fetch(`${ELEVENLABS_API_URL}/v1/voices`, {
+    const response = await fetch(`${ELEVENLABS_API_URL}/voices`, {
       headers: {
         'Accept': 'application/json',
         'xi-api-key': getApiKey()
@@ -200,4 +463,262 @@ export const getElevenLabsVoices = async () => {
     }
     throw error;
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Creates an instant voice clone from audio samples.
+ */
+export const addElevenLabsVoice = async (
+  name: string,
+  samples: { file: Blob; fileName: string }[],
+  options: { description?: string | null; labels?: Record<string, string> } = {}
+): Promise<{ voice_id: string; requires_verification: boolean }> => {
+  const form = new FormData();
+  form.append('name', name);
+  samples.forEach(sample => form.append('files', sample.file, sample.fileName));
+  if (options.description) form.append('description', options.description);
+  if (options.labels) form.append('labels', JSON.stringify(options.labels));
+
+  const response = await fetch(`${getVoicesApiUrl()}/voices/add`, {
+    method: 'POST',
+    headers: {
+      'xi-api-key': getApiKey()
+    },
+    body: form
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    console.error('Error creating EL voice clone:', errorData);
+    const detail = Array.isArray(errorData.detail)
+      ? errorData.detail.map((issue: { msg: string }) => issue.msg).join(', ')
+      : errorData.detail?.message || errorData.detail;
+    throw {
+      status: response.status,
+      message: detail || `EL Add Voice API Error ${response.status}`
+    };
+  }
+
+  return response.json();
+};
+
+/**
+ * Deletes a voice from the workspace. A voice that is already gone counts as deleted.
+ */
+export const deleteElevenLabsVoice = async (voiceId: string): Promise<void> => {
+  const response = await fetch(`${getVoicesApiUrl()}/voices/${voiceId}`, {
+    method: 'DELETE',
+    headers: {
+      'xi-api-key': getApiKey()
+    }
+  });
+
+  if (!response.ok && response.status !== 404) {
+    const errorData = await response.json().catch(() => ({}));
+    console.error(`Error deleting EL voice ${voiceId}:`, errorData);
+    throw {
+      status: response.status,
+      message: errorData.detail?.message || `EL Delete Voice API Error ${response.status}`
+    };
+  }
+};
+
+/**
+ * Returns the ElevenLabs endpoint serving the recording of a Convai conversation.
+ */
+export const getElevenLabsConversationAudioUrl = (conversationId: string): string =>
+  `${ELEVENLABS_API_URL}/convai/conversations/${conversationId}/audio`;
+
+/**
+ * Downloads the recording of a Convai conversation.
+ * Returns null if ElevenLabs has no audio for it (yet).
+ */
+export const getElevenLabsConversationAudio = async (
+  conversationId: string
+): Promise<{ audio: ArrayBuffer; contentType: string } | null> => {
+  const response = await fetch(getElevenLabsConversationAudioUrl(conversationId), {
+    headers: {
+      'xi-api-key': getApiKey()
+    }
+  });
+
+  if (!response.ok) {
+    if (response.status === 404) return null;
+    throw new Error(`EL Conversation Audio API Error ${response.status}`);
+  }
+
+  return {
+    audio: await response.arrayBuffer(),
+    contentType: response.headers.get('Content-Type') || 'audio/mpeg'
+  };
+};
+
+/**
+ * Generates speech with the standard TTS API, e.g. to preview voice settings.
+ * @returns The MP3 audio
+ */
+export const generateSpeech = async (
+  text: string,
+  voiceId: string,
+  voiceSettings: {
+    stability: number;
+    similarity_boost: number;
+    style?: number;
+    use_speaker_boost?: boolean;
+    speed?: number;
+  },
+  options: { model_id?: string; language_code?: string } = {}
+): Promise<ArrayBuffer> => {
+  const response = await fetch(`${ELEVENLABS_API_URL}/text-to-speech/${voiceId}`, {
+    method: 'POST',
+    headers: {
+      'xi-api-key': getApiKey(),
+      'Content-Type': 'application/json',
+      'Accept': 'audio/mpeg'
+    },
+    body: JSON.stringify({
+      text,
+      model_id: options.model_id,
+      language_code: options.language_code,
+      voice_settings: voiceSettings
+    })
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.detail?.message || `EL Text to Speech API Error ${response.status}`);
+  }
+
+  return response.arrayBuffer();
+};
+
+/**
+ * Mints a short-lived signed WebSocket URL for a Convai conversation with an agent,
+ * so browsers can talk to it without ever seeing the API key.
+ */
+export const getElevenLabsConversationSignedUrl = async (agentId: string): Promise<string> => {
+  const response = await fetch(
+    `${ELEVENLABS_API_URL}/convai/conversation/get_signed_url?agent_id=${encodeURIComponent(agentId)}`,
+    {
+      headers: {
+        'xi-api-key': getApiKey()
+      }
+    }
+  );
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw {
+      status: response.status,
+      message: errorData.detail?.message || errorData.detail || `EL Signed URL API Error ${response.status}`
+    };
+  }
+
+  const { signed_url } = await response.json();
+  return signed_url;
+};
+
+/**
+ * Fetches a Convai conversation (transcript, metadata, analysis), in the same shape
+ * as the post-call webhook data. Returns null if it does not exist.
+ */
+export const getElevenLabsConversation = async (conversationId: string): Promise<any | null> => {
+  const response = await fetch(`${ELEVENLABS_API_URL}/convai/conversations/${conversationId}`, {
+    headers: {
+      'xi-api-key': getApiKey()
+    }
+  });
+
+  if (!response.ok) {
+    if (response.status === 404) return null;
+    throw new Error(`EL Conversation API Error ${response.status}`);
+  }
+
+  return response.json();
+};
+
+/**
+ * Creates a text document in the Convai knowledge base.
+ * Documents are immutable: updating one means creating a replacement.
+ */
+export const createElevenLabsKnowledgeBaseText = async (
+  name: string,
+  text: string
+): Promise<{ id: string; name: string }> => {
+  const response = await fetch(`${ELEVENLABS_API_URL}/convai/knowledge-base/text`, {
+    method: 'POST',
+    headers: {
+      'xi-api-key': getApiKey(),
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ name, text })
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw {
+      status: response.status,
+      message: errorData.detail?.message || errorData.detail || `EL Knowledge Base API Error ${response.status}`
+    };
+  }
+
+  const document = await response.json();
+  return { id: document.id, name: document.name ?? name };
+};
+
+/**
+ * Deletes a knowledge base document, detaching it from any agent still using it.
+ * Already deleted documents are ignored.
+ */
+export const deleteElevenLabsKnowledgeBaseDocument = async (documentId: string): Promise<void> => {
+  const response = await fetch(`${ELEVENLABS_API_URL}/convai/knowledge-base/${documentId}?force=true`, {
+    method: 'DELETE',
+    headers: {
+      'xi-api-key': getApiKey()
+    }
+  });
+
+  if (!response.ok && response.status !== 404) {
+    throw new Error(`EL Knowledge Base Delete API Error ${response.status}`);
+  }
+};
+
+/**
+ * Swaps one knowledge base document of an agent for another, keeping the
+ * documents attached by other means (e.g. by hand in the ElevenLabs dashboard).
+ * @param previousDocumentId - Document to detach, if any
+ * @param document - Document to attach
+ */
+export const replaceElevenLabsAgentKnowledgeDocument = async (
+  agentId: string,
+  previousDocumentId: string | null,
+  document: { id: string; name: string } | null
+): Promise<void> => {
+  const agent = await getElevenLabsConvaiAgent(agentId);
+  if (!agent) {
+    throw new Error(`ElevenLabs agent ${agentId} not found`);
+  }
+
+  const currentDocuments: any[] = agent.conversation_config?.agent?.prompt?.knowledge_base || [];
+  const knowledge_base = [
+    ...currentDocuments.filter(doc => doc.id !== previousDocumentId && doc.id !== document?.id),
+    ...(document ? [{ type: 'text', id: document.id, name: document.name, usage_mode: 'auto' }] : [])
+  ];
+
+  const response = await fetch(`${ELEVENLABS_API_URL}/convai/agents/${agentId}`, {
+    method: 'PATCH',
+    headers: {
+      'xi-api-key': getApiKey(),
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ conversation_config: { agent: { prompt: { knowledge_base } } } })
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw {
+      status: response.status,
+      message: errorData.detail?.message || errorData.detail || `EL Update Agent API Error ${response.status}`
+    };
+  }
+};
@@ -0,0 +1,82 @@
+// Maximum accepted age of a signed webhook (ElevenLabs recommends 30 minutes)
+const SIGNATURE_TOLERANCE_SECS = 30 * 60;
+
+const toHex = (buffer: ArrayBuffer) =>
+  Array.from(new Uint8Array(buffer))
+    .map((byte) => byte.toString(16).padStart(2, '0'))
+    .join('');
+
+// Constant-time comparison to avoid leaking the expected signature or secret
+export const safeEqual = (a: string, b: string) => {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+};
+
+/**
+ * Computes the `v0` HMAC-SHA256 signature ElevenLabs sends for a payload.
+ */
+export const signElevenLabsPayload = async (
+  rawBody: string,
+  timestamp: string,
+  secret: string
+): Promise<string> => {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const signature = await crypto.subtle.sign(
+    'HMAC',
+    key,
+    new TextEncoder().encode(`${timestamp}.${rawBody}`)
+  );
+  return toHex(signature);
+};
+
+/**
+ * Verifies the `ElevenLabs-Signature` header (`t=<unix>,v0=<hex>`) of a webhook.
+ * Throws if the header is missing, stale or does not match the payload.
+ */
+export const verifyElevenLabsSignature = async (
+  rawBody: string,
+  signatureHeader: string | null
+): Promise<void> => {
+  const secret = Deno.env.get('ELEVENLABS_WEBHOOK_SECRET');
+  if (!secret) {
+    console.error('ELEVENLABS_WEBHOOK_SECRET environment variable is not set.');
+    throw new Error('Webhook secret configuration error.');
+  }
+
+  if (!signatureHeader) {
+    throw new Error('Missing webhook signature');
+  }
+
+  const parts = Object.fromEntries(
+    signatureHeader.split(',').map((part) => {
+      const [key, ...value] = part.trim().split('=');
+      return [key, value.join('=')];
+    })
+  );
+  const timestamp = parts['t'];
+  const received = parts['v0'];
+
+  if (!timestamp || !received) {
+    throw new Error('Malformed webhook signature');
+  }
+
+  const age = Math.floor(Date.now() / 1000) - Number(timestamp);
+  if (!Number.isFinite(age) || age > SIGNATURE_TOLERANCE_SECS) {
+    throw new Error('Webhook signature has expired');
+  }
+
+  const expected = await signElevenLabsPayload(rawBody, timestamp, secret);
+  if (!safeEqual(expected, received)) {
+    throw new Error('Invalid webhook signature');
+  }
+};
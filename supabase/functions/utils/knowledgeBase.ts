@@ -0,0 +1,271 @@
+import { getSupabaseServiceClient } from "./supabaseServiceClient.ts";
+import {
+  createElevenLabsKnowledgeBaseText,
+  deleteElevenLabsKnowledgeBaseDocument,
+  replaceElevenLabsAgentKnowledgeDocument
+} from "./elevenlabsClient.ts";
+
+type SupabaseClient = ReturnType<typeof getSupabaseServiceClient>;
+
+export type KnowledgeBaseSyncStatus = 'pending' | 'synced' | 'failed' | 'no_agent' | 'shared_agent';
+
+interface CatalogueProperty {
+  id: string;
+  name: string;
+  address: string | null;
+  city: string | null;
+  postal_code: string | null;
+  property_type: string;
+  price: number | null;
+  description: string | null;
+  area_sqm: number | null;
+  num_rooms: number | null;
+  num_bedrooms: number | null;
+  num_bathrooms: number | null;
+}
+
+const formatPrice = (price: number | null) =>
+  price ? `${Number(price).toLocaleString('fr-FR')} €` : 'prix sur demande';
+
+const formatProperty = (property: CatalogueProperty) => {
+  const location = [property.address, property.postal_code, property.city].filter(Boolean).join(', ');
+  const layout = [
+    property.area_sqm && `${property.area_sqm} m²`,
+    property.num_rooms && `${property.num_rooms} pièces`,
+    property.num_bedrooms && `${property.num_bedrooms} chambres`,
+    property.num_bathrooms && `${property.num_bathrooms} salles de bain`
+  ].filter(Boolean).join(', ');
+
+  return [
+    `## ${property.name}`,
+    `- Référence : ${property.id}`,
+    `- Type : ${property.property_type}`,
+    `- Prix : ${formatPrice(property.price)}`,
+    location && `- Adresse : ${location}`,
+    layout && `- Surface et pièces : ${layout}`,
+    property.description && `\n${property.description.trim()}`
+  ].filter(Boolean).join('\n');
+};
+
+/**
+ * Renders the active listings of a user as a plain-text knowledge base document.
+ * The agent reads it as-is, so it is written in French like the calls.
+ */
+export const buildPropertyKnowledgeDocument = (properties: CatalogueProperty[]) => {
+  const header = [
+    '# Catalogue des biens en vente',
+    '',
+    properties.length > 0
+      ? `Ce document liste les ${properties.length} biens actuellement en vente. Ne proposez que ces biens. La référence sert aux outils de recherche et de réservation.`
+      : 'Aucun bien n\'est en vente pour le moment. Proposez à l\'appelant d\'être recontacté.'
+  ].join('\n');
+
+  return [header, ...properties.map(formatProperty)].join('\n\n');
+};
+
+const saveSyncState = async (
+  supabase: SupabaseClient,
+  userId: string,
+  state: Record<string, unknown>
+) => {
+  const { error } = await supabase
+    .from('knowledge_base_syncs')
+    .upsert({ user_id: userId, ...state }, { onConflict: 'user_id' });
+
+  if (error) {
+    console.error('Database knowledge base sync save error:', error);
+  }
+};
+
+/**
+ * Loads the active listings of a user, in catalogue order.
+ */
+export const loadCatalogueProperties = async (supabase: SupabaseClient, userId: string) => {
+  const { data: properties, error } = await supabase
+    .from('properties')
+    .select('id, name, address, city, postal_code, property_type, price, description, area_sqm, num_rooms, num_bedrooms, num_bathrooms')
+    .eq('user_id', userId)
+    .eq('status', 'active')
+    .order('price', { ascending: true, nullsFirst: false });
+
+  if (error) {
+    console.error('Database properties query error:', error);
+    throw new Error('Failed to load properties');
+  }
+
+  return (properties || []) as CatalogueProperty[];
+};
+
+// Whether other users are assigned to the agent, whose callers would then be read this user's listings
+const isAgentShared = async (supabase: SupabaseClient, agent: { id: string; is_shared: boolean }, userId: string) => {
+  if (agent.is_shared) return true;
+
+  const { count, error } = await supabase
+    .from('user_assigned_agents')
+    .select('user_id', { count: 'exact', head: true })
+    .eq('assigned_agent_id', agent.id)
+    .neq('user_id', userId);
+
+  if (error) {
+    console.error('Database agent assignments lookup error:', error);
+    throw new Error('Failed to load knowledge base sync state');
+  }
+
+  return (count ?? 0) > 0;
+};
+
+/**
+ * Records `nextDocumentId` as the user's document if `previousDocumentId` still is.
+ * Concurrent syncs read the same previous document: only one of them may swap it out,
+ * the others would otherwise attach and leak their own.
+ * @returns Whether this sync won the swap
+ */
+const claimDocumentSwap = async (
+  supabase: SupabaseClient,
+  userId: string,
+  previousDocumentId: string | null,
+  nextDocumentId: string | null
+) => {
+  let query = supabase
+    .from('knowledge_base_syncs')
+    .update({ elevenlabs_document_id: nextDocumentId })
+    .eq('user_id', userId);
+
+  query = previousDocumentId
+    ? query.eq('elevenlabs_document_id', previousDocumentId)
+    : query.is('elevenlabs_document_id', null);
+
+  const { data, error } = await query.select('user_id');
+
+  if (error) {
+    console.error('Database knowledge base document swap error:', error);
+    throw new Error('Failed to save knowledge base document');
+  }
+
+  return (data?.length ?? 0) > 0;
+};
+
+const deleteDocumentQuietly = (documentId: string) =>
+  deleteElevenLabsKnowledgeBaseDocument(documentId).catch((deleteError) =>
+    console.error(`Could not delete knowledge base document ${documentId}:`, deleteError)
+  );
+
+// A sync that lost the swap retries with the winner's document as the previous one
+const MAX_SWAP_ATTEMPTS = 3;
+
+/**
+ * Rebuilds the catalogue document of a user and attaches it to their assigned agent,
+ * replacing the previous one. The outcome is recorded in `knowledge_base_syncs`.
+ *
+ * The knowledge base of an agent is agent-wide, so agents serving several users get
+ * no document (status `shared_agent`): they read the catalogue of the conversation's
+ * user with the `get_property_catalogue` tool instead.
+ * @returns The recorded sync state
+ */
+export const syncPropertyKnowledgeBase = async (supabase: SupabaseClient, userId: string) => {
+  const { data: assignment, error: assignmentError } = await supabase
+    .from('user_assigned_agents')
+    .select('agent:ai_agents(id, elevenlabs_agent_id, is_shared)')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (assignmentError) {
+    console.error('Database knowledge base lookup error:', assignmentError);
+    throw new Error('Failed to load knowledge base sync state');
+  }
+
+  const agent = assignment?.agent as { id: string; elevenlabs_agent_id: string | null; is_shared: boolean } | null;
+
+  if (!agent?.elevenlabs_agent_id) {
+    const state = {
+      ai_agent_id: agent?.id ?? null,
+      status: 'no_agent' as KnowledgeBaseSyncStatus,
+      last_error: null
+    };
+    await saveSyncState(supabase, userId, state);
+    return { ...state, property_count: 0 };
+  }
+
+  await saveSyncState(supabase, userId, { ai_agent_id: agent.id, status: 'pending' });
+
+  try {
+    const shared = await isAgentShared(supabase, agent, userId);
+
+    for (let attempt = 1; ; attempt++) {
+      const { data: previous, error: previousError } = await supabase
+        .from('knowledge_base_syncs')
+        .select('elevenlabs_document_id')
+        .eq('user_id', userId)
+        .maybeSingle();
+
+      if (previousError) {
+        console.error('Database knowledge base lookup error:', previousError);
+        throw new Error('Failed to load knowledge base sync state');
+      }
+
+      const previousDocumentId = previous?.elevenlabs_document_id ?? null;
+      const properties = await loadCatalogueProperties(supabase, userId);
+
+      let document: { id: string; name: string } | null = null;
+      if (!shared) {
+        document = await createElevenLabsKnowledgeBaseText(
+          `Catalogue Prospeo ${userId}`,
+          buildPropertyKnowledgeDocument(properties)
+        );
+      }
+
+      if (!(await claimDocumentSwap(supabase, userId, previousDocumentId, document?.id ?? null))) {
+        if (document) await deleteDocumentQuietly(document.id);
+        if (attempt >= MAX_SWAP_ATTEMPTS) {
+          throw new Error('The catalogue is being synced concurrently, try again');
+        }
+        continue;
+      }
+
+      // Also takes back a document attached before the agent was shared
+      if (document || previousDocumentId) {
+        try {
+          await replaceElevenLabsAgentKnowledgeDocument(agent.elevenlabs_agent_id, previousDocumentId, document);
+        } catch (attachError) {
+          // Hand the previous document back rather than leaving an orphan behind
+          if (await claimDocumentSwap(supabase, userId, document?.id ?? null, previousDocumentId)) {
+            if (document) await deleteDocumentQuietly(document.id);
+          }
+          throw attachError;
+        }
+      }
+
+      if (previousDocumentId) {
+        await deleteDocumentQuietly(previousDocumentId);
+      }
+
+      // The document ID was saved by the swap: a later sync may already have replaced it
+      const state = {
+        ai_agent_id: agent.id,
+        status: (shared ? 'shared_agent' : 'synced') as KnowledgeBaseSyncStatus,
+        property_count: properties.length,
+        last_synced_at: new Date().toISOString(),
+        last_error: null
+      };
+      await saveSyncState(supabase, userId, state);
+      return { ...state, elevenlabs_document_id: document?.id ?? null };
+    }
+
+  } catch (error) {
+    const message = error?.message || String(error);
+    await saveSyncState(supabase, userId, { status: 'failed', last_error: message });
+    throw new Error(`Knowledge base sync failed: ${message}`);
+  }
+};
+
+/**
+ * Property mutations call this after saving: the catalogue change itself must
+ * not fail because ElevenLabs is unreachable. The failure is visible in the sync status.
+ */
+export const syncPropertyKnowledgeBaseSafely = async (supabase: SupabaseClient, userId: string) => {
+  try {
+    await syncPropertyKnowledgeBase(supabase, userId);
+  } catch (error) {
+    console.error(`Could not sync knowledge base for user ${userId}:`, error);
+  }
+};
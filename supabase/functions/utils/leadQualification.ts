@@ -0,0 +1,285 @@
+import { getSupabaseServiceClient } from "./supabaseServiceClient.ts";
+
+type SupabaseClient = ReturnType<typeof getSupabaseServiceClient>;
+
+export type PurchaseTimeline = 'immediate' | 'within_3_months' | 'within_6_months' | 'within_12_months' | 'undecided';
+export type FinancingStatus = 'cash' | 'mortgage_approved' | 'mortgage_in_progress' | 'not_started' | 'unknown';
+
+export interface BuyerCriteria {
+  budget_min?: number | null;
+  budget_max?: number | null;
+  desired_property_type?: 'Maison' | 'Appartement' | null;
+  desired_city?: string | null;
+  purchase_timeline?: PurchaseTimeline | null;
+  financing_status?: FinancingStatus | null;
+}
+
+const CRITERIA_FIELDS: (keyof BuyerCriteria)[] = [
+  'budget_min', 'budget_max', 'desired_property_type', 'desired_city', 'purchase_timeline', 'financing_status'
+];
+
+const TIMELINES: PurchaseTimeline[] = ['immediate', 'within_3_months', 'within_6_months', 'within_12_months', 'undecided'];
+const FINANCING_STATUSES: FinancingStatus[] = ['cash', 'mortgage_approved', 'mortgage_in_progress', 'not_started', 'unknown'];
+
+// A contact moves from `new` to `qualified` once these are known
+const isQualified = (criteria: BuyerCriteria) =>
+  Boolean((criteria.budget_min || criteria.budget_max) && criteria.desired_property_type && criteria.desired_city);
+
+/**
+ * ElevenLabs `platform_settings.data_collection` fields the agent fills after each call.
+ * Field IDs map 1:1 onto the buyer-criteria columns of `contacts`.
+ */
+export const buildDataCollectionConfig = () => ({
+  budget_min: {
+    type: 'number',
+    description: 'Budget minimum de l\'appelant en euros, uniquement s\'il a donné une fourchette. Vide sinon.'
+  },
+  budget_max: {
+    type: 'number',
+    description: 'Budget maximum de l\'appelant en euros (ou son budget s\'il a donné un seul montant).'
+  },
+  desired_property_type: {
+    type: 'string',
+    description: 'Type de bien recherché : "Maison" ou "Appartement".'
+  },
+  desired_city: {
+    type: 'string',
+    description: 'Ville ou secteur recherché par l\'appelant.'
+  },
+  purchase_timeline: {
+    type: 'string',
+    description: `Délai d'achat, une valeur parmi : ${TIMELINES.join(', ')}.`
+  },
+  financing_status: {
+    type: 'string',
+    description: `État du financement, une valeur parmi : ${FINANCING_STATUSES.join(', ')}.`
+  },
+  // Read by the post-call webhook to flag the contact, see voiceCampaigns.ts
+  do_not_call: {
+    type: 'boolean',
+    description: 'true si l\'interlocuteur a demandé à ne plus être appelé, false sinon.'
+  }
+});
+
+// --- French transcript extraction -------------------------------------------
+
+const WORD_NUMBERS: Record<string, number> = {
+  un: 1, une: 1, deux: 2, trois: 3, quatre: 4, cinq: 5, six: 6, sept: 7, huit: 8, neuf: 9, dix: 10, douze: 12
+};
+
+// Words that follow "à"/"sur" with a capital letter but are not places
+const NOT_CITIES = new Set(['Madame', 'Monsieur', 'Mademoiselle', 'Bonjour', 'Merci', 'Prospeo']);
+
+// Parse "250 000", "250.000", "1,2" with an optional unit ("k", "mille", "million(s)")
+const parseAmount = (rawNumber: string, unit?: string): number | null => {
+  const compact = rawNumber.replace(/[\s  .]/g, '').replace(',', '.');
+  let value = parseFloat(compact);
+  if (!Number.isFinite(value)) return null;
+
+  const normalizedUnit = unit?.toLowerCase();
+  if (normalizedUnit === 'k' || normalizedUnit === 'mille') value *= 1_000;
+  if (normalizedUnit?.startsWith('million')) value *= 1_000_000;
+
+  // Anything outside this range is not a property budget (surface, rooms, phone digits...)
+  return value >= 20_000 && value <= 20_000_000 ? Math.round(value) : null;
+};
+
+const AMOUNT = String.raw`(\d[\d\s  .,]*\d|\d)\s*(k|mille|millions?)?\s*(?:€|euros?)?`;
+
+const extractBudget = (text: string): Pick<BuyerCriteria, 'budget_min' | 'budget_max'> => {
+  const range = new RegExp(String.raw`entre\s+${AMOUNT}\s+et\s+${AMOUNT}`, 'i').exec(text);
+  if (range) {
+    // "entre 200 et 250 000 €": the first bound borrows the unit scale of the second
+    const max = parseAmount(range[3], range[4]);
+    let min = parseAmount(range[1], range[2] || range[4]);
+    if (min === null && max !== null) {
+      const bare = parseFloat(range[1].replace(/[\s  .]/g, '').replace(',', '.'));
+      if (bare > 0 && bare < 1_000) min = parseAmount(String(bare * 1_000));
+    }
+    if (min !== null || max !== null) return { budget_min: min, budget_max: max };
+  }
+
+  const single = new RegExp(
+    String.raw`(maximum|max|jusqu'à|pas plus de|au plus|minimum|au moins|à partir de|budget(?:\s+de|\s+d'environ|\s+autour de)?|environ|autour de)?\s*${AMOUNT}`,
+    'gi'
+  );
+  let match: RegExpExecArray | null;
+  while ((match = single.exec(text)) !== null) {
+    // Require a currency or a budget keyword so "3 pièces" or "75 m²" never match
+    const hasCurrency = /€|euro/i.test(match[0]) || match[3];
+    if (!hasCurrency && !match[1]) continue;
+    const amount = parseAmount(match[2], match[3]);
+    if (amount === null) continue;
+    const qualifier = match[1]?.toLowerCase() || '';
+    if (/minimum|au moins|à partir de/.test(qualifier)) return { budget_min: amount };
+    return { budget_max: amount };
+  }
+
+  return {};
+};
+
+const extractPropertyType = (text: string): BuyerCriteria['desired_property_type'] => {
+  const house = /\b(maison|villa|pavillon|longère|mas)\b/i.exec(text);
+  const flat = /\b(appartement|appart|studio|duplex|loft|[tf][1-6])\b/i.exec(text);
+  if (house && flat) return house.index < flat.index ? 'Maison' : 'Appartement';
+  if (house) return 'Maison';
+  if (flat) return 'Appartement';
+  return null;
+};
+
+const extractCity = (text: string): string | null => {
+  // `\b` is ASCII-only in JS regexes, so word starts are matched on whitespace instead
+  const pattern = /(?:^|[\s,'’])(?:à|sur|vers|du côté de|secteur de|région de|quartier de|autour de)\s+((?:[A-ZÉÈÀÂÎÔ][\p{L}'’]+)(?:[\s-](?:sur|en|de|la|le|les|du|d'|Saint|Sainte|[A-ZÉÈÀÂÎÔ][\p{L}'’]+))*)/gu;
+  let match: RegExpExecArray | null;
+  while ((match = pattern.exec(text)) !== null) {
+    const city = match[1].replace(/[\s-](?:sur|en|de|la|le|les|du|d')$/i, '').trim();
+    if (!NOT_CITIES.has(city.split(/[\s-]/)[0])) return city;
+  }
+  return null;
+};
+
+const extractTimeline = (text: string): PurchaseTimeline | null => {
+  if (/tout de suite|immédiatement|dès que possible|au plus vite|rapidement|c'est urgent/i.test(text)) return 'immediate';
+
+  const months = /(?:dans|d'ici|sous|d'ici à)\s+(\d+|un|une|deux|trois|quatre|cinq|six|sept|huit|neuf|dix|douze)\s+mois/i.exec(text);
+  if (months) {
+    const count = Number(months[1]) || WORD_NUMBERS[months[1].toLowerCase()] || 0;
+    if (count <= 3) return 'within_3_months';
+    if (count <= 6) return 'within_6_months';
+    if (count <= 12) return 'within_12_months';
+  }
+
+  if (/d'ici (?:un|1) an|dans l'année|l'année prochaine|d'ici la fin de l'année/i.test(text)) return 'within_12_months';
+  if (/pas pressée?|pas encore décidée?|je ne sais pas encore|on verra|sans urgence/i.test(text)) return 'undecided';
+  return null;
+};
+
+const extractFinancing = (text: string): FinancingStatus | null => {
+  if (/\b(comptant|cash|sans (?:crédit|prêt|emprunt)|fonds propres|vente de (?:ma|notre) (?:maison|appartement))\b/i.test(text)) return 'cash';
+  if (/(?:prêt|crédit|financement)\s+(?:est\s+)?(?:accordé|validé|obtenu|bouclé)|accord de principe|accord (?:de|avec) (?:la|ma|notre) banque/i.test(text)) return 'mortgage_approved';
+  if (/pas encore (?:vu|contacté|appelé|parlé à) (?:ma|la|notre|de) banque|pas encore (?:de|fait de) (?:prêt|crédit|financement|simulation)/i.test(text)) return 'not_started';
+  if (/courtier|simulation|(?:rendez-vous|rdv) (?:avec|à) (?:ma|la|notre) banque|(?:prêt|crédit|financement) en cours|demande de (?:prêt|crédit)/i.test(text)) return 'mortgage_in_progress';
+  return null;
+};
+
+/**
+ * Deterministic fallback: extracts buyer criteria from what the caller said.
+ * Only caller segments are scanned, so the agent's own suggestions are ignored.
+ */
+export const extractCriteriaFromTranscript = (
+  segments: { speaker: string; text: string }[]
+): BuyerCriteria => {
+  const callerText = segments
+    .filter((segment) => segment.speaker === 'caller')
+    .map((segment) => segment.text)
+    .join('\n');
+
+  if (!callerText) return {};
+
+  return {
+    ...extractBudget(callerText),
+    desired_property_type: extractPropertyType(callerText),
+    desired_city: extractCity(callerText),
+    purchase_timeline: extractTimeline(callerText),
+    financing_status: extractFinancing(callerText),
+  };
+};
+
+/**
+ * Maps ElevenLabs `analysis.data_collection_results` onto buyer criteria.
+ * Free-text answers that don't match our enums are run through the French extractors.
+ */
+export const extractCriteriaFromDataCollection = (
+  results: Record<string, { value?: unknown }> | null | undefined
+): BuyerCriteria => {
+  if (!results) return {};
+
+  const value = (field: string) => {
+    const raw = results[field]?.value;
+    return raw === null || raw === undefined || raw === '' ? null : raw;
+  };
+  const asText = (field: string) => (value(field) === null ? null : String(value(field)).trim());
+  const asAmount = (field: string) => {
+    const raw = value(field);
+    if (raw === null) return null;
+    return typeof raw === 'number' ? parseAmount(String(raw)) : parseAmount(String(raw).replace(/[^\d\s.,]/g, '').trim());
+  };
+
+  const timeline = asText('purchase_timeline');
+  const financing = asText('financing_status');
+  const propertyType = asText('desired_property_type');
+
+  return {
+    budget_min: asAmount('budget_min'),
+    budget_max: asAmount('budget_max'),
+    desired_property_type: propertyType ? extractPropertyType(propertyType) : null,
+    desired_city: asText('desired_city'),
+    purchase_timeline: timeline
+      ? (TIMELINES.includes(timeline as PurchaseTimeline) ? timeline as PurchaseTimeline : extractTimeline(timeline))
+      : null,
+    financing_status: financing
+      ? (FINANCING_STATUSES.includes(financing as FinancingStatus) ? financing as FinancingStatus : extractFinancing(financing))
+      : null,
+  };
+};
+
+/**
+ * Fills the empty buyer-criteria columns of a contact and qualifies it when possible.
+ * Agent-collected values win over transcript extraction; values already on the
+ * contact (e.g. typed in by the user) are never overwritten.
+ * @returns Whether the contact was moved to `qualified`
+ */
+export const applyBuyerCriteria = async (
+  supabase: SupabaseClient,
+  contactId: string,
+  fromAgent: BuyerCriteria,
+  fromTranscript: BuyerCriteria
+): Promise<boolean> => {
+  const { data: contact, error: fetchError } = await supabase
+    .from('contacts')
+    .select(`status, qualification_source, ${CRITERIA_FIELDS.join(', ')}`)
+    .eq('id', contactId)
+    .single();
+
+  if (fetchError) {
+    console.error('Database contact lookup error:', fetchError);
+    throw new Error('Failed to load contact for qualification');
+  }
+
+  const updates: Record<string, unknown> = {};
+  let usedAgent = false;
+
+  for (const field of CRITERIA_FIELDS) {
+    if (contact[field] !== null && contact[field] !== undefined) continue;
+    if (fromAgent[field] !== null && fromAgent[field] !== undefined) {
+      updates[field] = fromAgent[field];
+      usedAgent = true;
+    } else if (fromTranscript[field] !== null && fromTranscript[field] !== undefined) {
+      updates[field] = fromTranscript[field];
+    }
+  }
+
+  if (Object.keys(updates).length === 0) return false;
+
+  if (contact.qualification_source !== 'manual') {
+    updates.qualification_source = usedAgent ? 'agent' : 'transcript';
+  }
+
+  const qualifies = contact.status === 'new' && isQualified({ ...contact, ...updates } as BuyerCriteria);
+  if (qualifies) {
+    updates.status = 'qualified';
+    updates.qualified_at = new Date().toISOString();
+  }
+
+  const { error: updateError } = await supabase
+    .from('contacts')
+    .update(updates)
+    .eq('id', contactId);
+
+  if (updateError) {
+    console.error('Database contact update error:', updateError);
+    throw new Error('Failed to save buyer criteria');
+  }
+
+  return qualifies;
+};
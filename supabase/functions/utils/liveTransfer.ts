@@ -0,0 +1,105 @@
+import { getSupabaseServiceClient } from "./supabaseServiceClient.ts";
+import { normalizePhoneNumber } from "./contactMatching.ts";
+import type { WarmTransfer } from "./telephonyClient.ts";
+
+type SupabaseClient = ReturnType<typeof getSupabaseServiceClient>;
+
+/**
+ * Loads the mobile number callers are put through to, or null if the user has not set one.
+ */
+export const loadMobileNumber = async (supabase: SupabaseClient, userId: string): Promise<string | null> => {
+  const { data: user, error } = await supabase
+    .from('users')
+    .select('mobile_number')
+    .eq('id', userId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Database user lookup error:', error);
+    throw new Error('Failed to load mobile number');
+  }
+
+  return user?.mobile_number ?? null;
+};
+
+/**
+ * Saves the mobile number of a user in E.164, or clears it with null.
+ * Callers validate the number with normalizePhoneNumber first.
+ */
+export const saveMobileNumber = async (supabase: SupabaseClient, userId: string, mobileNumber: string | null) => {
+  const normalized = normalizePhoneNumber(mobileNumber);
+
+  const { error } = await supabase
+    .from('users')
+    .update({ mobile_number: normalized, updated_at: new Date().toISOString() })
+    .eq('id', userId);
+
+  if (error) {
+    console.error('Database mobile number update error:', error);
+    throw new Error('Failed to save mobile number');
+  }
+
+  return normalized;
+};
+
+/**
+ * Records on the call a transfer that just started ringing. The call is still live, so
+ * its row usually does not exist yet: it is created in progress, and the post-call
+ * webhook fills in the rest without touching the transfer columns.
+ */
+export const recordTransferAttempt = async (
+  supabase: SupabaseClient,
+  attempt: {
+    conversationId: string;
+    userId: string;
+    aiAgentId: string | null;
+    callerNumber: string | null;
+    transferNumber: string;
+  }
+) => {
+  const { error } = await supabase
+    .from('call_history')
+    .upsert({
+      elevenlabs_conversation_id: attempt.conversationId,
+      user_id: attempt.userId,
+      ai_agent_id: attempt.aiAgentId,
+      caller_number: attempt.callerNumber || 'unknown',
+      status: 'in-progress',
+      transfer_status: 'ringing',
+      transfer_number: attempt.transferNumber,
+      transfer_provider_id: null,
+      transfer_requested_at: new Date().toISOString(),
+      transfer_ended_at: null,
+      transfer_error: null,
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'elevenlabs_conversation_id' });
+
+  if (error) {
+    console.error('Database transfer attempt error:', error);
+    throw new Error('Failed to record transfer attempt');
+  }
+};
+
+/**
+ * Records how a transfer ended. Never throws: the caller must still hear the outcome.
+ */
+export const recordTransferOutcome = async (
+  supabase: SupabaseClient,
+  conversationId: string,
+  outcome: Pick<WarmTransfer, 'status'> & Partial<Pick<WarmTransfer, 'id' | 'ended_at' | 'error'>>
+) => {
+  const { error } = await supabase
+    .from('call_history')
+    .update({
+      transfer_status: outcome.status,
+      transfer_provider_id: outcome.id ?? null,
+      transfer_ended_at: outcome.status === 'ringing' ? null : outcome.ended_at || new Date().toISOString(),
+      transfer_error: outcome.error ?? null,
+      updated_at: new Date().toISOString()
+    })
+    .eq('elevenlabs_conversation_id', conversationId);
+
+  if (error) {
+    console.error('Database transfer outcome error:', error);
+  }
+};
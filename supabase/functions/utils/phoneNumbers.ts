@@ -0,0 +1,159 @@
+import { getSupabaseServiceClient } from "./supabaseServiceClient.ts";
+import { normalizePhoneNumber } from "./contactMatching.ts";
+import { assignElevenLabsPhoneNumberAgent, listElevenLabsPhoneNumbers } from "./elevenlabsClient.ts";
+
+type SupabaseClient = ReturnType<typeof getSupabaseServiceClient>;
+
+const PHONE_NUMBER_SELECT = `
+  id, phone_number, label, provider, elevenlabs_phone_number_id, user_id, ai_agent_id, imported_at, released_at,
+  user:users(email, name),
+  agent:ai_agents(agent_name, elevenlabs_agent_id)
+`;
+
+/**
+ * Lists the inventory, numbers in service first.
+ */
+export const listPhoneNumbers = async (supabase: SupabaseClient) => {
+  const { data, error } = await supabase
+    .from('phone_numbers')
+    .select(PHONE_NUMBER_SELECT)
+    .order('released_at', { ascending: true, nullsFirst: true })
+    .order('phone_number', { ascending: true });
+
+  if (error) {
+    console.error('Database phone numbers lookup error:', error);
+    throw new Error('Failed to load phone numbers');
+  }
+
+  return data || [];
+};
+
+/**
+ * Finds the number in service a call was made to, with its user and agent.
+ */
+export const findDialledPhoneNumber = async (
+  supabase: SupabaseClient,
+  calledNumber: string | null
+): Promise<{ id: string; user_id: string | null; ai_agent_id: string | null } | null> => {
+  const normalized = normalizePhoneNumber(calledNumber);
+  if (!normalized) return null;
+
+  const { data, error } = await supabase
+    .from('phone_numbers')
+    .select('id, user_id, ai_agent_id')
+    .eq('phone_normalized', normalized)
+    .is('released_at', null)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Database dialled number lookup error:', error);
+    throw new Error('Failed to resolve dialled number');
+  }
+
+  return data;
+};
+
+/**
+ * Brings the inventory in line with the numbers of the ElevenLabs workspace. New numbers
+ * take the agent ElevenLabs routes them to; numbers gone from the workspace are released.
+ */
+export const importPhoneNumbers = async (supabase: SupabaseClient) => {
+  const [providerNumbers, { data: existing, error: existingError }, { data: agents, error: agentsError }] = await Promise.all([
+    listElevenLabsPhoneNumbers(),
+    supabase
+      .from('phone_numbers')
+      .select('id, elevenlabs_phone_number_id, released_at'),
+    supabase
+      .from('ai_agents')
+      .select('id, elevenlabs_agent_id')
+      .not('elevenlabs_agent_id', 'is', null)
+  ]);
+
+  if (existingError || agentsError) {
+    console.error('Database phone number import error:', existingError || agentsError);
+    throw new Error('Failed to import phone numbers');
+  }
+
+  const known = new Map((existing || []).map(row => [row.elevenlabs_phone_number_id, row]));
+  const agentIds = new Map((agents || []).map(agent => [agent.elevenlabs_agent_id, agent.id]));
+  const counts = { imported: 0, updated: 0, released: 0 };
+
+  for (const number of providerNumbers) {
+    const current = known.get(number.phone_number_id);
+    const fields = {
+      phone_number: number.phone_number,
+      label: number.label || null,
+      provider: number.provider === 'sip_trunk' ? 'sip_trunk' : 'twilio',
+      released_at: null
+    };
+
+    const { error } = current
+      ? await supabase
+          .from('phone_numbers')
+          .update(fields)
+          .eq('id', current.id)
+      : await supabase
+          .from('phone_numbers')
+          .insert({
+            ...fields,
+            elevenlabs_phone_number_id: number.phone_number_id,
+            ai_agent_id: agentIds.get(number.assigned_agent?.agent_id ?? '') ?? null
+          });
+
+    if (error) {
+      console.error(`Database phone number upsert error for ${number.phone_number}:`, error);
+      throw new Error('Failed to import phone numbers');
+    }
+
+    counts[current ? 'updated' : 'imported']++;
+  }
+
+  const providerIds = new Set(providerNumbers.map(number => number.phone_number_id));
+  const gone = (existing || []).filter(row => !row.released_at && !providerIds.has(row.elevenlabs_phone_number_id));
+
+  if (gone.length > 0) {
+    const { error } = await supabase
+      .from('phone_numbers')
+      .update({ released_at: new Date().toISOString() })
+      .in('id', gone.map(row => row.id));
+
+    if (error) {
+      console.error('Database phone number release error:', error);
+      throw new Error('Failed to import phone numbers');
+    }
+
+    counts.released = gone.length;
+  }
+
+  return counts;
+};
+
+/**
+ * Assigns a number to a user and an agent. A new agent is pushed to ElevenLabs first,
+ * so the inventory never routes to an agent ElevenLabs does not.
+ * @param elevenlabsAgentId The ElevenLabs agent of `assignment.ai_agent_id`
+ */
+export const assignPhoneNumber = async (
+  supabase: SupabaseClient,
+  phoneNumber: { id: string; elevenlabs_phone_number_id: string; ai_agent_id: string | null },
+  assignment: { user_id: string | null; ai_agent_id: string | null },
+  elevenlabsAgentId: string | null
+) => {
+  if (assignment.ai_agent_id !== phoneNumber.ai_agent_id) {
+    await assignElevenLabsPhoneNumberAgent(phoneNumber.elevenlabs_phone_number_id, elevenlabsAgentId);
+  }
+
+  const { data: saved, error } = await supabase
+    .from('phone_numbers')
+    .update(assignment)
+    .eq('id', phoneNumber.id)
+    .select(PHONE_NUMBER_SELECT)
+    .single();
+
+  if (error) {
+    console.error('Database phone number update error:', error);
+    throw new Error('Failed to assign phone number');
+  }
+
+  return saved;
+};
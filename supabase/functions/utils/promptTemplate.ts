@@ -0,0 +1,151 @@
+import { getSupabaseServiceClient } from "./supabaseServiceClient.ts";
+import { normalizePhoneNumber } from "./contactMatching.ts";
+
+type SupabaseClient = ReturnType<typeof getSupabaseServiceClient>;
+
+/**
+ * Variables admins can use as `{{name}}` in a system prompt. ElevenLabs substitutes
+ * them per conversation from the dynamic variables returned by elevenlabs-conversation-init;
+ * the placeholder is used when a conversation could not be attributed to a user.
+ * Keep in sync with src/components/ai/promptTemplate.js.
+ */
+export const PROMPT_VARIABLES: Record<string, { description: string; placeholder: string }> = {
+  user_full_name: { description: 'Nom du conseiller', placeholder: 'votre conseiller' },
+  agency_name: { description: 'Nom de l\'agence', placeholder: 'notre agence' },
+  active_listing_count: { description: 'Nombre de biens en vente', placeholder: 'plusieurs' },
+  caller_first_name: { description: 'Prénom de l\'appelant s\'il est déjà connu', placeholder: '' },
+  agent_name: { description: 'Nom de l\'agent choisi par le conseiller', placeholder: 'votre assistant virtuel' },
+};
+
+// Not meant for prompts: lets tools and the post-call webhook attribute conversations
+// to a user (shared agents), an experiment arm and a business-hours mode, and recognise in-browser tests.
+// The prompt editor (src/components/ai/promptTemplate.js) accepts the same names.
+const ROUTING_VARIABLES = {
+  prospeo_user_id: '',
+  prospeo_experiment_id: '',
+  prospeo_experiment_variant: '',
+  prospeo_agent_mode: '',
+  prospeo_test_session: ''
+};
+
+const VARIABLE_PATTERN = /\{\{\s*([a-zA-Z0-9_]+)\s*\}\}/g;
+
+/**
+ * Lists the distinct `{{variables}}` used in a prompt.
+ */
+export const findPromptVariables = (template: string): string[] =>
+  [...new Set([...template.matchAll(VARIABLE_PATTERN)].map(match => match[1]))];
+
+/**
+ * Variables we cannot resolve. ElevenLabs `system__*` variables are filled by the platform itself.
+ */
+export const findUnknownPromptVariables = (template: string): string[] =>
+  findPromptVariables(template).filter(name =>
+    !(name in PROMPT_VARIABLES) && !(name in ROUTING_VARIABLES) && !name.startsWith('system__')
+  );
+
+/**
+ * Default values pushed as `dynamic_variable_placeholders` on the agent.
+ */
+export const buildDynamicVariablePlaceholders = (): Record<string, string> => ({
+  ...Object.fromEntries(Object.entries(PROMPT_VARIABLES).map(([name, variable]) => [name, variable.placeholder])),
+  ...ROUTING_VARIABLES,
+});
+
+/**
+ * Picks the user a conversation on a shared agent speaks for. With several assigned
+ * users, a caller known to exactly one of them decides; otherwise it stays unresolved.
+ */
+export const resolveConversationUser = async (
+  supabase: SupabaseClient,
+  elevenlabsAgentId: string,
+  callerNumber: string | null
+): Promise<string | null> => {
+  const { data: agent, error: agentError } = await supabase
+    .from('ai_agents')
+    .select('id, assignments:user_assigned_agents(user_id)')
+    .eq('elevenlabs_agent_id', elevenlabsAgentId)
+    .maybeSingle();
+
+  if (agentError) {
+    console.error('Database agent lookup error:', agentError);
+    throw new Error('Failed to resolve agent');
+  }
+
+  const userIds: string[] = (agent?.assignments || []).map((assignment: { user_id: string }) => assignment.user_id);
+  if (userIds.length <= 1) return userIds[0] ?? null;
+
+  const normalized = normalizePhoneNumber(callerNumber);
+  if (!normalized) return null;
+
+  const { data: contacts, error: contactError } = await supabase
+    .from('contacts')
+    .select('user_id')
+    .in('user_id', userIds)
+    .eq('phone_normalized', normalized);
+
+  if (contactError) {
+    console.error('Database contact lookup error:', contactError);
+    return null;
+  }
+
+  const owners = [...new Set((contacts || []).map(contact => contact.user_id))];
+  return owners.length === 1 ? owners[0] : null;
+};
+
+/**
+ * Resolves the prompt variables of a conversation for the given user.
+ */
+export const resolvePromptVariables = async (
+  supabase: SupabaseClient,
+  userId: string,
+  callerNumber: string | null
+): Promise<Record<string, string>> => {
+  const normalized = normalizePhoneNumber(callerNumber);
+
+  const [{ data: user, error: userError }, { count, error: countError }, { data: contact }, { data: overrides }] = await Promise.all([
+    supabase
+      .from('users')
+      .select('name, agency_name')
+      .eq('id', userId)
+      .maybeSingle(),
+    supabase
+      .from('properties')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', userId)
+      .eq('status', 'active'),
+    normalized
+      ? supabase
+          .from('contacts')
+          .select('first_name')
+          .eq('user_id', userId)
+          .eq('phone_normalized', normalized)
+          .order('created_at', { ascending: true })
+          .limit(1)
+          .maybeSingle()
+      : Promise.resolve({ data: null }),
+    supabase
+      .from('user_agent_overrides')
+      .select('agent_name, agency_name')
+      .eq('user_id', userId)
+      .maybeSingle()
+  ]);
+
+  if (userError || countError) {
+    console.error('Database prompt variables error:', userError || countError);
+    throw new Error('Failed to resolve prompt variables');
+  }
+
+  const placeholders = buildDynamicVariablePlaceholders();
+
+  return {
+    ...placeholders,
+    user_full_name: user?.name || placeholders.user_full_name,
+    agency_name: overrides?.agency_name || user?.agency_name || user?.name || placeholders.agency_name,
+    active_listing_count: String(count ?? 0),
+    // Leads auto-created from a previous call only carry a placeholder name
+    caller_first_name: contact?.first_name && contact.first_name !== 'Appelant' ? contact.first_name : '',
+    agent_name: overrides?.agent_name || placeholders.agent_name,
+    prospeo_user_id: userId,
+  };
+};
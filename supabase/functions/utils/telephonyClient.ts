@@ -0,0 +1,88 @@
+// Adapter to the telephony provider carrying our calls. Warm transfers go through a
+// provider-neutral transfer API: the bridge in front of Twilio and the SIP trunks in
+// production, mock-telephony-server.js locally.
+
+export type TransferStatus = 'ringing' | 'connected' | 'no_answer' | 'busy' | 'failed';
+
+export interface WarmTransfer {
+  id: string;
+  status: TransferStatus;
+  answered_at: string | null;
+  ended_at: string | null;
+  error: string | null;
+}
+
+const getTelephonyApiUrl = () => {
+  const apiUrl = Deno.env.get("TELEPHONY_API_URL");
+  if (!apiUrl) {
+    throw new Error("Telephony provider not configured");
+  }
+  return apiUrl;
+};
+
+const getTelephonyApiKey = () => {
+  const apiKey = Deno.env.get("TELEPHONY_API_KEY");
+  if (!apiKey) {
+    throw new Error("Telephony API key not configured");
+  }
+  return apiKey;
+};
+
+const telephonyRequest = async (path: string, init: RequestInit = {}): Promise<WarmTransfer> => {
+  try {
+    const response = await fetch(`${getTelephonyApiUrl()}${path}`, {
+      ...init,
+      headers: {
+        'Authorization': `Bearer ${getTelephonyApiKey()}`,
+        'Content-Type': 'application/json',
+      },
+    });
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw new Error(error.message || `Telephony API error: ${response.status}`);
+    }
+
+    return await response.json();
+
+  } catch (error) {
+    console.error('Telephony API error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Starts a warm transfer of a live call: the provider rings `to`, reads the whisper
+ * to whoever answers, then bridges them with the caller and drops the AI agent.
+ * The caller stays with the agent until then.
+ */
+export async function startWarmTransfer(params: {
+  callSid: string;
+  to: string;
+  callerNumber?: string | null;
+  whisper: string;
+  ringTimeoutSecs: number;
+  metadata?: Record<string, string>;
+}): Promise<WarmTransfer> {
+  const { callSid, to, callerNumber, whisper, ringTimeoutSecs, metadata = {} } = params;
+
+  return telephonyRequest('/transfers', {
+    method: 'POST',
+    body: JSON.stringify({
+      call_sid: callSid,
+      to,
+      // Shown on the user's phone so they know who is calling
+      caller_id: callerNumber || null,
+      whisper,
+      ring_timeout_secs: ringTimeoutSecs,
+      metadata,
+    }),
+  });
+}
+
+/**
+ * Fetches the current state of a warm transfer
+ */
+export async function getWarmTransfer(transferId: string): Promise<WarmTransfer> {
+  return telephonyRequest(`/transfers/${encodeURIComponent(transferId)}`);
+}
@@ -0,0 +1,165 @@
+import { getSupabaseServiceClient } from "./supabaseServiceClient.ts";
+
+type SupabaseClient = ReturnType<typeof getSupabaseServiceClient>;
+
+export type UsageSource = 'call' | 'test';
+
+// Share of the quota at which the user is warned, once per month
+const QUOTA_WARNING_RATIO = 0.8;
+
+const USAGE_COLUMNS = 'period_month, conversation_count, call_seconds, test_seconds, total_seconds';
+
+/**
+ * First day of the UTC month a date falls in, as stored in `usage_ledger.period_month`.
+ */
+export const getUsagePeriod = (date: Date = new Date()): string =>
+  `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}-01`;
+
+const emptyUsage = (period: string) => ({
+  period_month: period,
+  conversation_count: 0,
+  call_seconds: 0,
+  test_seconds: 0,
+  total_seconds: 0
+});
+
+/**
+ * Usage of a user for a month, their quota and how much of it is used.
+ * `quota_minutes` is null when the user has no quota.
+ */
+export const loadUsageStatus = async (supabase: SupabaseClient, userId: string, period: string = getUsagePeriod()) => {
+  const [{ data: usage, error: usageError }, { data: quota, error: quotaError }] = await Promise.all([
+    supabase
+      .from('monthly_usage')
+      .select(USAGE_COLUMNS)
+      .eq('user_id', userId)
+      .eq('period_month', period)
+      .maybeSingle(),
+    supabase
+      .from('usage_quotas')
+      .select('monthly_minutes, warned_period')
+      .eq('user_id', userId)
+      .maybeSingle()
+  ]);
+
+  if (usageError || quotaError) {
+    console.error('Database usage lookup error:', usageError || quotaError);
+    throw new Error('Failed to load usage');
+  }
+
+  const totals = usage ?? emptyUsage(period);
+  const quotaSeconds = quota ? quota.monthly_minutes * 60 : null;
+
+  return {
+    ...totals,
+    quota_minutes: quota?.monthly_minutes ?? null,
+    percent_used: quotaSeconds ? Math.round((totals.total_seconds / quotaSeconds) * 100) : null,
+    exceeded: quotaSeconds !== null && totals.total_seconds >= quotaSeconds,
+    warned: quota?.warned_period === period
+  };
+};
+
+/**
+ * Monthly totals of a user, newest first, months without usage included.
+ */
+export const loadUsageHistory = async (supabase: SupabaseClient, userId: string, months = 6) => {
+  const now = new Date();
+  const periods = Array.from({ length: months }, (_, index) =>
+    getUsagePeriod(new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - index, 1)))
+  );
+
+  const { data, error } = await supabase
+    .from('monthly_usage')
+    .select(USAGE_COLUMNS)
+    .eq('user_id', userId)
+    .in('period_month', periods);
+
+  if (error) {
+    console.error('Database usage history error:', error);
+    throw new Error('Failed to load usage history');
+  }
+
+  return periods.map(period => (data || []).find(row => row.period_month === period) ?? emptyUsage(period));
+};
+
+// Sends the 80% warning unless it already went out this month. The conditional
+// update makes concurrent webhooks send it only once.
+const sendQuotaWarningIfNeeded = async (supabase: SupabaseClient, userId: string, period: string) => {
+  const status = await loadUsageStatus(supabase, userId, period);
+  if (status.quota_minutes === null || status.warned) return;
+  if (status.total_seconds < status.quota_minutes * 60 * QUOTA_WARNING_RATIO) return;
+
+  const { data: claimed, error: claimError } = await supabase
+    .from('usage_quotas')
+    .update({ warned_period: period })
+    .eq('user_id', userId)
+    .or(`warned_period.is.null,warned_period.neq.${period}`)
+    .select('user_id');
+
+  if (claimError) throw claimError;
+  if (!claimed?.length) return;
+
+  const usedMinutes = Math.round(status.total_seconds / 60);
+  const { error: notifyError } = await supabase
+    .from('notifications')
+    .insert({
+      user_id: userId,
+      type: 'usage_quota_warning',
+      title: status.exceeded ? 'Monthly minutes used up' : `${status.percent_used}% of your monthly minutes used`,
+      body: status.exceeded
+        ? `Your agent used all of your ${status.quota_minutes} conversation minutes this month. Outbound calls are paused until next month.`
+        : `Your agent used ${usedMinutes} of your ${status.quota_minutes} conversation minutes this month. Outbound calls stop once they are all used.`
+    });
+
+  if (notifyError) throw notifyError;
+};
+
+/**
+ * Adds a conversation to the usage ledger of a user, then warns them when it takes them
+ * past 80% of their quota. A conversation already in the ledger is not counted twice.
+ * Failures are logged, never thrown: metering must not fail the call it meters.
+ */
+export const recordConversationUsage = async (
+  supabase: SupabaseClient,
+  entry: {
+    userId: string;
+    source: UsageSource;
+    conversationId: string;
+    durationSeconds: number;
+    occurredAt: string;
+    callId?: string | null;
+  }
+) => {
+  const period = getUsagePeriod(new Date(entry.occurredAt));
+
+  try {
+    const { error } = await supabase
+      .from('usage_ledger')
+      .upsert({
+        user_id: entry.userId,
+        call_id: entry.callId ?? null,
+        source: entry.source,
+        elevenlabs_conversation_id: entry.conversationId,
+        period_month: period,
+        occurred_at: entry.occurredAt,
+        duration_seconds: Math.max(0, Math.round(entry.durationSeconds))
+      }, { onConflict: 'elevenlabs_conversation_id', ignoreDuplicates: true });
+
+    if (error) throw error;
+
+    // A test session is metered when it ends, and linked to its call once the user saves it
+    if (entry.callId) {
+      const { error: linkError } = await supabase
+        .from('usage_ledger')
+        .update({ call_id: entry.callId })
+        .eq('elevenlabs_conversation_id', entry.conversationId)
+        .is('call_id', null);
+
+      if (linkError) throw linkError;
+    }
+
+    await sendQuotaWarningIfNeeded(supabase, entry.userId, period);
+  } catch (error) {
+    console.error(`Could not record usage of conversation ${entry.conversationId}:`, error);
+  }
+};
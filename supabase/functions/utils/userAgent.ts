@@ -0,0 +1,219 @@
+import { z } from "npm:zod@3.22.4";
+import { getSupabaseServiceClient } from "./supabaseServiceClient.ts";
+import { findUnknownPromptVariables, resolvePromptVariables } from "./promptTemplate.ts";
+
+type SupabaseClient = ReturnType<typeof getSupabaseServiceClient>;
+
+// Greetings and instructions are templates too
+const overrideTemplate = (max: number) =>
+  z.string().trim().min(1).max(max).superRefine((text, ctx) => {
+    const unknown = findUnknownPromptVariables(text);
+    if (unknown.length > 0) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: `Unknown prompt variables: ${unknown.join(', ')}`
+      });
+    }
+  }).nullable().optional();
+
+/**
+ * What a user may change on their assigned agent. NULL keeps the agent's value.
+ */
+export const agentOverridesShape = {
+  agent_name: z.string().trim().min(1).max(50).nullable().optional(),
+  elevenlabs_voice_id: z.string().min(1).nullable().optional(),
+  agency_name: z.string().trim().min(1).max(100).nullable().optional(),
+  first_message: overrideTemplate(1000),
+  signature: overrideTemplate(300),
+  opening_hours: z.string().trim().min(1).max(500).nullable().optional(),
+  extra_instructions: overrideTemplate(4000),
+};
+
+export type AgentOverrides = {
+  [K in keyof typeof agentOverridesShape]?: z.infer<typeof agentOverridesShape[K]>;
+};
+
+// Configuration a user's overrides are layered on
+type LayeredAgentConfig = {
+  system_prompt: string | null;
+  elevenlabs_voice_id: string | null;
+  first_message?: string | null;
+};
+
+const AGENT_COLUMNS = 'id, agent_name, description, elevenlabs_voice_id, elevenlabs_agent_id, system_prompt, first_message, is_shared, owner_user_id, created_at, updated_at';
+const OVERRIDE_COLUMNS = 'agent_name, elevenlabs_voice_id, agency_name, first_message, signature, opening_hours, extra_instructions, updated_at';
+
+/**
+ * Loads the overrides of a user, or null if they have none.
+ */
+export const loadAgentOverrides = async (supabase: SupabaseClient, userId: string): Promise<AgentOverrides | null> => {
+  const { data, error } = await supabase
+    .from('user_agent_overrides')
+    .select(OVERRIDE_COLUMNS)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Database overrides lookup error:', error);
+    throw new Error('Failed to load agent overrides');
+  }
+
+  return data;
+};
+
+// Section appended to the agent's prompt, in the language the agents speak
+const buildPersonalInstructions = (overrides: AgentOverrides | null) => {
+  const lines = [
+    overrides?.opening_hours ? `Horaires d'ouverture de l'agence : ${overrides.opening_hours}` : null,
+    overrides?.signature ? `Termine chaque appel par cette phrase : "${overrides.signature}"` : null,
+    overrides?.extra_instructions ?? null
+  ].filter(Boolean);
+
+  return lines.length > 0 ? `## Consignes propres à {{agency_name}}\n${lines.join('\n')}` : null;
+};
+
+// Prompt variant of the mode the agent answers in (see businessHours.ts)
+type ModeVariant = { instructions: string; first_message: string | null };
+
+/**
+ * Layers a user's overrides on an agent configuration. The agent stays the base,
+ * so changes made to it by admins still reach the user. The variant of the
+ * current mode comes last, its greeting wins over the user's.
+ */
+export const applyAgentOverrides = (
+  base: LayeredAgentConfig,
+  overrides: AgentOverrides | null,
+  modeVariant: ModeVariant | null = null
+) => {
+  const sections = [buildPersonalInstructions(overrides), modeVariant?.instructions].filter(Boolean);
+
+  return {
+    system_prompt: sections.length > 0
+      ? [base.system_prompt || '', ...sections].join('\n\n').trim()
+      : base.system_prompt,
+    elevenlabs_voice_id: overrides?.elevenlabs_voice_id || base.elevenlabs_voice_id,
+    first_message: modeVariant?.first_message || overrides?.first_message || base.first_message || null
+  };
+};
+
+/**
+ * Builds the `conversation_config_override` turning the deployed agent into the given
+ * configuration, or null when they do not differ.
+ */
+export const buildConversationOverride = (deployed: LayeredAgentConfig, effective: LayeredAgentConfig) => {
+  const agent: { prompt?: { prompt: string }; first_message?: string } = {};
+  if ((effective.system_prompt || '') !== (deployed.system_prompt || '')) {
+    agent.prompt = { prompt: effective.system_prompt || '' };
+  }
+  if ((effective.first_message || '') !== (deployed.first_message || '')) {
+    agent.first_message = effective.first_message || '';
+  }
+
+  const voiceChanged = !!effective.elevenlabs_voice_id && effective.elevenlabs_voice_id !== deployed.elevenlabs_voice_id;
+
+  if (Object.keys(agent).length === 0 && !voiceChanged) return null;
+
+  return {
+    ...(Object.keys(agent).length > 0 ? { agent } : {}),
+    ...(voiceChanged ? { tts: { voice_id: effective.elevenlabs_voice_id } } : {})
+  };
+};
+
+/**
+ * Shared agents are admin-managed: their owner only edits them as long as they are private.
+ */
+export const canEditAgent = (agent: { owner_user_id: string; is_shared: boolean }, userId: string, isAdmin: boolean) =>
+  isAdmin || (agent.owner_user_id === userId && !agent.is_shared);
+
+/**
+ * Loads the agent assigned to a user, their overrides on it and whether they may edit the agent itself.
+ */
+export const loadUserAgentState = async (supabase: SupabaseClient, userId: string) => {
+  const [{ data: user, error: userError }, { data: assignment, error: assignmentError }, { data: overrides, error: overridesError }] =
+    await Promise.all([
+      supabase
+        .from('users')
+        .select('is_admin')
+        .eq('id', userId)
+        .maybeSingle(),
+      supabase
+        .from('user_assigned_agents')
+        .select(`agent:ai_agents(${AGENT_COLUMNS})`)
+        .eq('user_id', userId)
+        .maybeSingle(),
+      supabase
+        .from('user_agent_overrides')
+        .select(OVERRIDE_COLUMNS)
+        .eq('user_id', userId)
+        .maybeSingle()
+    ]);
+
+  if (userError || assignmentError || overridesError) {
+    console.error('Database agent state error:', userError || assignmentError || overridesError);
+    throw new Error('Failed to fetch agent configuration');
+  }
+
+  const agent = (assignment?.agent ?? null) as any;
+
+  return {
+    agent,
+    overrides: overrides ?? null,
+    // What the user's callers actually get, with the values of the prompt variables
+    effective: agent ? applyAgentOverrides(agent, overrides) : null,
+    variables: agent ? await resolvePromptVariables(supabase, userId, null) : null,
+    can_edit_agent: agent ? canEditAgent(agent, userId, !!user?.is_admin) : false
+  };
+};
+
+/**
+ * Saves the overrides of a user. Fields left out keep their current value.
+ */
+export const saveAgentOverrides = async (supabase: SupabaseClient, userId: string, overrides: AgentOverrides) => {
+  const { data, error } = await supabase
+    .from('user_agent_overrides')
+    .upsert({ user_id: userId, ...overrides, updated_at: new Date().toISOString() }, { onConflict: 'user_id' })
+    .select(OVERRIDE_COLUMNS)
+    .single();
+
+  if (error) {
+    console.error('Database overrides upsert error:', error);
+    throw new Error('Failed to save agent overrides');
+  }
+
+  return data;
+};
+
+/**
+ * Builds the `conversation_config_override` of a conversation of a user on a deployed agent.
+ * An experiment arm other than the deployed agent is passed as `arm`, overrides apply on top of it,
+ * then the variant of the mode the agent answers in.
+ * Returns null when nothing needs overriding or the lookup fails: the call must go through.
+ */
+export const buildUserConversationOverride = async (
+  supabase: SupabaseClient,
+  userId: string,
+  elevenlabsAgentId: string,
+  arm: LayeredAgentConfig | null = null,
+  modeVariant: ModeVariant | null = null
+) => {
+  try {
+    const [{ data: deployed, error: agentError }, overrides] = await Promise.all([
+      supabase
+        .from('ai_agents')
+        .select('system_prompt, elevenlabs_voice_id, first_message')
+        .eq('elevenlabs_agent_id', elevenlabsAgentId)
+        .maybeSingle(),
+      loadAgentOverrides(supabase, userId)
+    ]);
+
+    if (agentError) throw agentError;
+    if (!deployed) return null;
+
+    // A variant brings its own voice, which wins over the user's
+    const layered = arm ? { ...overrides, elevenlabs_voice_id: null } : overrides;
+    return buildConversationOverride(deployed, applyAgentOverrides(arm ?? deployed, layered, modeVariant));
+  } catch (error) {
+    console.error('Could not build conversation override:', error);
+    return null;
+  }
+};
@@ -0,0 +1,586 @@
+import { z } from "npm:zod@3.22.4";
+import { getSupabaseServiceClient } from "./supabaseServiceClient.ts";
+import { normalizePhoneNumber } from "./contactMatching.ts";
+import { isOpenAt } from "./businessHours.ts";
+import { loadUsageStatus } from "./usageMetering.ts";
+import { resolvePromptVariables } from "./promptTemplate.ts";
+import { buildUserConversationOverride } from "./userAgent.ts";
+import { startElevenLabsOutboundCall } from "./elevenlabsClient.ts";
+
+type SupabaseClient = ReturnType<typeof getSupabaseServiceClient>;
+
+// Contacts a single campaign may call, to keep a mistaken filter from dialling the whole CRM
+export const MAX_CAMPAIGN_CONTACTS = 500;
+
+const CONTACT_STATUSES = ['new', 'contacted', 'qualified', 'unqualified', 'client'] as const;
+
+// Call statuses meaning someone picked up: the contact is not called again
+const ANSWERED_STATUSES = ['completed', 'transferred', 'requires_review'];
+
+/**
+ * Contacts a campaign calls: by status, and by when they were added.
+ */
+export const campaignAudienceSchema = z.object({
+  statuses: z.array(z.enum(CONTACT_STATUSES)).min(1).default(['new']),
+  created_from: z.string().datetime({ offset: true }).optional(),
+  created_to: z.string().datetime({ offset: true }).optional(),
+}).refine(
+  audience => !audience.created_from || !audience.created_to || audience.created_from <= audience.created_to,
+  'The period cannot end before it starts'
+);
+
+export type CampaignAudience = z.infer<typeof campaignAudienceSchema>;
+
+export const campaignLimitsShape = {
+  // Telemarketing law caps calls to a consumer at 4 over 30 days
+  max_attempts: z.number().int().min(1).max(4),
+  retry_delay_minutes: z.number().int().min(30).max(7 * 24 * 60),
+  max_concurrent_calls: z.number().int().min(1).max(10),
+};
+
+// Legal hours for telemarketing calls in France (Code de la consommation, art. D. 223-8):
+// weekdays 10:00-13:00 and 14:00-20:00, never on public holidays
+const CALLING_HOURS = ['mon', 'tue', 'wed', 'thu', 'fri'].map(day => [
+  day,
+  [{ open: '10:00', close: '13:00' }, { open: '14:00', close: '20:00' }]
+]);
+
+// Easter Sunday of a year (anonymous Gregorian algorithm)
+const easterSunday = (year: number) => {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const h = (19 * a + b - Math.floor(b / 4) - Math.floor((b - Math.floor((b + 8) / 25) + 1) / 3) + 15) % 30;
+  const l = (32 + 2 * (b % 4) + 2 * Math.floor(c / 4) - h - (c % 4)) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+const frenchPublicHolidays = (year: number) => {
+  const easter = easterSunday(year);
+  const afterEaster = (days: number) => new Date(easter.getTime() + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+  return [
+    `${year}-01-01`, afterEaster(1), `${year}-05-01`, `${year}-05-08`, afterEaster(39), afterEaster(50),
+    `${year}-07-14`, `${year}-08-15`, `${year}-11-01`, `${year}-11-11`, `${year}-12-25`
+  ];
+};
+
+/**
+ * Whether contacts may be called at a given instant.
+ */
+export const isWithinCallingHours = (at: Date = new Date()) => {
+  const year = at.getUTCFullYear();
+  return isOpenAt({
+    timezone: 'Europe/Paris',
+    weekly_hours: Object.fromEntries(CALLING_HOURS),
+    live_transfer: false,
+    // The year changes in Paris before it does in UTC
+    holidays: [...frenchPublicHolidays(year), ...frenchPublicHolidays(year + 1)]
+      .map(date => ({ starts_on: date, ends_on: date }))
+  }, at);
+};
+
+// Greeting and instructions of outbound calls, layered on the agent's own
+const OUTBOUND_VARIANT = {
+  instructions: [
+    '## Appel sortant',
+    "C'est toi qui appelles : l'interlocuteur a récemment contacté {{agency_name}} ou laissé ses coordonnées au sujet d'un projet immobilier.",
+    "Présente-toi, rappelle pourquoi tu appelles, puis qualifie son projet comme tu le ferais pour un appel entrant.",
+    "Si ce n'est pas le bon moment, propose un rendez-vous téléphonique. S'il ne souhaite plus être appelé, excuse-toi, confirme-lui qu'il ne le sera plus et termine l'appel poliment.",
+    "Si tu tombes sur une messagerie, laisse un message court avec le nom de l'agence et raccroche."
+  ].join('\n'),
+  first_message: "Bonjour, ici {{agent_name}}, l'assistant de {{agency_name}}. Vous nous avez contactés récemment au sujet d'un projet immobilier, avez-vous deux minutes ?"
+};
+
+/**
+ * Contacts of a user matching an audience, oldest first. Fetches one more than
+ * MAX_CAMPAIGN_CONTACTS so callers can tell the audience is too large.
+ */
+export const findAudienceContacts = async (supabase: SupabaseClient, userId: string, audience: CampaignAudience) => {
+  let query = supabase
+    .from('contacts')
+    .select('id, phone, do_not_call')
+    .eq('user_id', userId)
+    .in('status', audience.statuses)
+    .order('created_at', { ascending: true })
+    .limit(MAX_CAMPAIGN_CONTACTS + 1);
+
+  if (audience.created_from) query = query.gte('created_at', audience.created_from);
+  if (audience.created_to) query = query.lte('created_at', audience.created_to);
+
+  const { data, error } = await query;
+
+  if (error) {
+    console.error('Database audience lookup error:', error);
+    throw new Error('Failed to select campaign contacts');
+  }
+
+  return data || [];
+};
+
+/**
+ * Creates a campaign with its call queue. Contacts who cannot be called are queued
+ * as skipped, so the campaign accounts for everyone it was pointed at.
+ */
+export const createVoiceCampaign = async (
+  supabase: SupabaseClient,
+  campaign: {
+    userId: string;
+    name: string;
+    aiAgentId: string;
+    phoneNumberId: string;
+    audience: CampaignAudience;
+    max_attempts: number;
+    retry_delay_minutes: number;
+    max_concurrent_calls: number;
+  },
+  contacts: { id: string; phone: string | null; do_not_call: boolean }[]
+) => {
+  const { data: created, error: campaignError } = await supabase
+    .from('voice_campaigns')
+    .insert({
+      user_id: campaign.userId,
+      name: campaign.name,
+      ai_agent_id: campaign.aiAgentId,
+      phone_number_id: campaign.phoneNumberId,
+      audience: campaign.audience,
+      max_attempts: campaign.max_attempts,
+      retry_delay_minutes: campaign.retry_delay_minutes,
+      max_concurrent_calls: campaign.max_concurrent_calls
+    })
+    .select('id')
+    .single();
+
+  if (campaignError) {
+    console.error('Database campaign insert error:', campaignError);
+    throw new Error('Failed to create campaign');
+  }
+
+  const seenNumbers = new Set<string>();
+  const queue = contacts.map(contact => {
+    const phoneNumber = normalizePhoneNumber(contact.phone);
+    const skipReason = contact.do_not_call ? 'do_not_call'
+      : !phoneNumber ? 'no_phone'
+      : seenNumbers.has(phoneNumber) ? 'duplicate_phone'
+      : null;
+    if (phoneNumber) seenNumbers.add(phoneNumber);
+
+    return {
+      campaign_id: created.id,
+      contact_id: contact.id,
+      phone_number: phoneNumber || contact.phone || '',
+      status: skipReason ? 'skipped' : 'pending',
+      skip_reason: skipReason
+    };
+  });
+
+  if (queue.length > 0) {
+    const { error: queueError } = await supabase
+      .from('voice_campaign_contacts')
+      .insert(queue);
+
+    if (queueError) {
+      console.error('Database campaign queue insert error:', queueError);
+      await supabase.from('voice_campaigns').delete().eq('id', created.id);
+      throw new Error('Failed to queue campaign contacts');
+    }
+  }
+
+  return created.id as string;
+};
+
+/**
+ * Loads what a user can run a campaign with: their assigned agent and their numbers in service.
+ */
+export const loadCampaignResources = async (supabase: SupabaseClient, userId: string) => {
+  const [{ data: assignment, error: assignmentError }, { data: phoneNumbers, error: phoneNumbersError }] =
+    await Promise.all([
+      supabase
+        .from('user_assigned_agents')
+        .select('agent:ai_agents(id, agent_name, elevenlabs_agent_id)')
+        .eq('user_id', userId)
+        .maybeSingle(),
+      supabase
+        .from('phone_numbers')
+        .select('id, phone_number, label')
+        .eq('user_id', userId)
+        .is('released_at', null)
+        .order('phone_number', { ascending: true })
+    ]);
+
+  if (assignmentError || phoneNumbersError) {
+    console.error('Database campaign resources error:', assignmentError || phoneNumbersError);
+    throw new Error('Failed to load campaign resources');
+  }
+
+  return {
+    agent: (assignment?.agent ?? null) as { id: string; agent_name: string; elevenlabs_agent_id: string | null } | null,
+    phone_numbers: phoneNumbers || []
+  };
+};
+
+const CAMPAIGN_SELECT = `
+  id, name, status, audience, max_attempts, retry_delay_minutes, max_concurrent_calls,
+  pause_reason, created_at, updated_at, completed_at,
+  agent:ai_agents(id, agent_name),
+  phone_number:phone_numbers(id, phone_number, label)
+`;
+
+const emptyProgress = {
+  total: 0, pending: 0, calling: 0, completed: 0, failed: 0, skipped: 0, attempts: 0
+};
+
+/**
+ * Lists the campaigns of a user, newest first, with how far each has got.
+ */
+export const listVoiceCampaigns = async (supabase: SupabaseClient, userId: string) => {
+  const { data: campaigns, error } = await supabase
+    .from('voice_campaigns')
+    .select(CAMPAIGN_SELECT)
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false })
+    .limit(50);
+
+  if (error) {
+    console.error('Database campaigns lookup error:', error);
+    throw new Error('Failed to load campaigns');
+  }
+
+  if (!campaigns?.length) return [];
+
+  const { data: progress, error: progressError } = await supabase
+    .from('voice_campaign_progress')
+    .select('campaign_id, total, pending, calling, completed, failed, skipped, attempts')
+    .in('campaign_id', campaigns.map(campaign => campaign.id));
+
+  if (progressError) {
+    console.error('Database campaign progress error:', progressError);
+    throw new Error('Failed to load campaign progress');
+  }
+
+  const progressById = new Map((progress || []).map(({ campaign_id, ...counts }) => [campaign_id, counts]));
+
+  return campaigns.map(campaign => ({
+    ...campaign,
+    progress: progressById.get(campaign.id) ?? emptyProgress
+  }));
+};
+
+/**
+ * Loads one campaign of a user, or null if it does not exist.
+ */
+export const getVoiceCampaign = async (supabase: SupabaseClient, userId: string, campaignId: string) => {
+  const { data, error } = await supabase
+    .from('voice_campaigns')
+    .select(CAMPAIGN_SELECT)
+    .eq('id', campaignId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Database campaign lookup error:', error);
+    throw new Error('Failed to load campaign');
+  }
+
+  return data;
+};
+
+const setCampaignStatus = async (
+  supabase: SupabaseClient,
+  campaignId: string,
+  status: 'active' | 'paused' | 'completed' | 'cancelled',
+  pauseReason: string | null = null
+) => {
+  const { error } = await supabase
+    .from('voice_campaigns')
+    .update({
+      status,
+      pause_reason: pauseReason,
+      ...(status === 'completed' || status === 'cancelled' ? { completed_at: new Date().toISOString() } : {})
+    })
+    .eq('id', campaignId);
+
+  if (error) {
+    console.error('Database campaign status error:', error);
+    throw new Error('Failed to update campaign');
+  }
+};
+
+/**
+ * Pauses, resumes or cancels a campaign. Cancelling skips the contacts not called yet.
+ */
+export const updateVoiceCampaignStatus = async (
+  supabase: SupabaseClient,
+  campaignId: string,
+  status: 'active' | 'paused' | 'cancelled'
+) => {
+  await setCampaignStatus(supabase, campaignId, status);
+
+  if (status === 'cancelled') {
+    const { error } = await supabase
+      .from('voice_campaign_contacts')
+      .update({ status: 'skipped', skip_reason: 'cancelled' })
+      .eq('campaign_id', campaignId)
+      .eq('status', 'pending');
+
+    if (error) {
+      console.error('Database campaign queue cancel error:', error);
+      throw new Error('Failed to cancel campaign');
+    }
+  }
+};
+
+// A campaign is done once nobody is left to call nor being called
+const completeIfDone = async (supabase: SupabaseClient, campaignId: string) => {
+  const { count, error } = await supabase
+    .from('voice_campaign_contacts')
+    .select('id', { count: 'exact', head: true })
+    .eq('campaign_id', campaignId)
+    .in('status', ['pending', 'calling']);
+
+  if (error) {
+    console.error('Database campaign queue count error:', error);
+    throw new Error('Failed to check campaign progress');
+  }
+
+  if (count === 0) {
+    await setCampaignStatus(supabase, campaignId, 'completed');
+  }
+};
+
+/**
+ * Records the outcome of a campaign call on its queue entry: a contact who picked up is
+ * done, any other contact is called back after the retry delay until attempts run out.
+ */
+export const recordCampaignCallOutcome = async (
+  supabase: SupabaseClient,
+  campaignContactId: string,
+  outcome: { callId: string | null; callStatus: string; error?: string | null }
+) => {
+  const { data: entry, error: entryError } = await supabase
+    .from('voice_campaign_contacts')
+    .select('id, campaign_id, attempts, campaign:voice_campaigns(max_attempts, retry_delay_minutes)')
+    .eq('id', campaignContactId)
+    .maybeSingle();
+
+  if (entryError || !entry) {
+    console.error('Database campaign queue lookup error:', entryError);
+    throw new Error('Failed to record campaign call outcome');
+  }
+
+  const campaign = entry.campaign as unknown as { max_attempts: number; retry_delay_minutes: number };
+  const answered = ANSWERED_STATUSES.includes(outcome.callStatus);
+
+  const { error } = await supabase
+    .from('voice_campaign_contacts')
+    .update({
+      status: answered ? 'completed' : entry.attempts < campaign.max_attempts ? 'pending' : 'failed',
+      next_attempt_at: new Date(Date.now() + campaign.retry_delay_minutes * 60 * 1000).toISOString(),
+      last_call_id: outcome.callId,
+      last_error: outcome.error ?? null
+    })
+    .eq('id', campaignContactId);
+
+  if (error) {
+    console.error('Database campaign queue update error:', error);
+    throw new Error('Failed to record campaign call outcome');
+  }
+
+  await completeIfDone(supabase, entry.campaign_id);
+  return entry.campaign_id as string;
+};
+
+/**
+ * Flags a contact who asked not to be called again during a call.
+ */
+export const markDoNotCall = async (supabase: SupabaseClient, contactId: string) => {
+  const { error } = await supabase
+    .from('contacts')
+    .update({ do_not_call: true })
+    .eq('id', contactId);
+
+  if (error) {
+    console.error('Database do not call update error:', error);
+    throw new Error('Failed to flag contact as do not call');
+  }
+};
+
+type CampaignRow = { id: string; user_id: string; ai_agent_id: string; phone_number_id: string };
+type QueueEntry = { id: string; contact_id: string; phone_number: string };
+
+// Dials one contact and records the attempt in call_history, failed or not
+const placeCampaignCall = async (
+  supabase: SupabaseClient,
+  campaign: CampaignRow,
+  line: { elevenlabsAgentId: string; elevenlabsPhoneNumberId: string; provider: 'twilio' | 'sip_trunk'; phoneNumber: string },
+  entry: QueueEntry
+) => {
+  const callRecord = {
+    user_id: campaign.user_id,
+    ai_agent_id: campaign.ai_agent_id,
+    contact_id: entry.contact_id,
+    caller_number: entry.phone_number,
+    called_number: line.phoneNumber,
+    phone_number_id: campaign.phone_number_id,
+    direction: 'outbound',
+    voice_campaign_id: campaign.id,
+    voice_campaign_contact_id: entry.id,
+    call_timestamp: new Date().toISOString()
+  };
+
+  let conversationId: string;
+  try {
+    const [dynamicVariables, override] = await Promise.all([
+      resolvePromptVariables(supabase, campaign.user_id, entry.phone_number),
+      buildUserConversationOverride(supabase, campaign.user_id, line.elevenlabsAgentId, null, OUTBOUND_VARIANT)
+    ]);
+
+    conversationId = await startElevenLabsOutboundCall({
+      agentId: line.elevenlabsAgentId,
+      phoneNumberId: line.elevenlabsPhoneNumberId,
+      provider: line.provider,
+      toNumber: entry.phone_number,
+      clientData: {
+        dynamic_variables: dynamicVariables,
+        ...(override ? { conversation_config_override: override } : {})
+      }
+    });
+  } catch (callError) {
+    const message = callError?.message || 'Outbound call failed';
+    console.error(`Could not call ${entry.phone_number} for campaign ${campaign.id}:`, callError);
+
+    const { data: failedCall, error: failedError } = await supabase
+      .from('call_history')
+      .insert({ ...callRecord, duration_seconds: 0, status: 'failed' })
+      .select('id')
+      .single();
+
+    if (failedError) {
+      console.error('Database failed call insert error:', failedError);
+    }
+
+    await recordCampaignCallOutcome(supabase, entry.id, { callId: failedCall?.id ?? null, callStatus: 'failed', error: message });
+    return false;
+  }
+
+  // The post-call webhook completes this row, and the queue entry with it
+  const { data: call, error: insertError } = await supabase
+    .from('call_history')
+    .insert({ ...callRecord, elevenlabs_conversation_id: conversationId, status: 'in-progress' })
+    .select('id')
+    .single();
+
+  if (insertError) {
+    console.error('Database outbound call insert error:', insertError);
+    return true;
+  }
+
+  await supabase
+    .from('voice_campaign_contacts')
+    .update({ last_call_id: call.id })
+    .eq('id', entry.id);
+
+  return true;
+};
+
+/**
+ * Runs one dialling pass of a campaign: calls the contacts due, as long as it is within
+ * calling hours, the user has minutes left and the campaign's line still works.
+ * Safe to run concurrently, the claim is atomic.
+ * @returns How many calls were placed, or why none could be
+ */
+export const runVoiceCampaign = async (
+  supabase: SupabaseClient,
+  campaignId: string
+): Promise<{ dialled: number; reason?: string }> => {
+  const { data: campaign, error: campaignError } = await supabase
+    .from('voice_campaigns')
+    .select(`
+      id, user_id, ai_agent_id, phone_number_id, status,
+      agent:ai_agents(elevenlabs_agent_id),
+      line:phone_numbers(phone_number, elevenlabs_phone_number_id, provider, released_at)
+    `)
+    .eq('id', campaignId)
+    .maybeSingle();
+
+  if (campaignError) {
+    console.error('Database campaign lookup error:', campaignError);
+    throw new Error('Failed to load campaign');
+  }
+
+  if (campaign?.status !== 'active') return { dialled: 0, reason: 'not_active' };
+  if (!isWithinCallingHours()) return { dialled: 0, reason: 'outside_calling_hours' };
+
+  const agent = campaign.agent as unknown as { elevenlabs_agent_id: string | null } | null;
+  const line = campaign.line as unknown as {
+    phone_number: string; elevenlabs_phone_number_id: string; provider: 'twilio' | 'sip_trunk'; released_at: string | null
+  } | null;
+
+  // Problems the user has to fix: the campaign waits for them
+  let pauseReason: string | null = null;
+  if (!agent?.elevenlabs_agent_id) {
+    pauseReason = 'agent_unavailable';
+  } else if (!line || line.released_at) {
+    pauseReason = 'phone_number_unavailable';
+  } else if ((await loadUsageStatus(supabase, campaign.user_id)).exceeded) {
+    pauseReason = 'quota_exceeded';
+  }
+
+  if (pauseReason) {
+    await setCampaignStatus(supabase, campaign.id, 'paused', pauseReason);
+    return { dialled: 0, reason: pauseReason };
+  }
+
+  const { data: due, error: claimError } = await supabase.rpc('claim_voice_campaign_contacts', {
+    p_campaign_id: campaign.id
+  });
+
+  if (claimError) {
+    console.error('Database campaign claim error:', claimError);
+    throw new Error('Failed to claim campaign contacts');
+  }
+
+  let dialled = 0;
+  for (const entry of (due || []) as QueueEntry[]) {
+    const placed = await placeCampaignCall(supabase, campaign, {
+      elevenlabsAgentId: agent!.elevenlabs_agent_id!,
+      elevenlabsPhoneNumberId: line!.elevenlabs_phone_number_id,
+      provider: line!.provider,
+      phoneNumber: line!.phone_number
+    }, entry);
+    if (placed) dialled++;
+  }
+
+  await completeIfDone(supabase, campaign.id);
+  return { dialled };
+};
+
+/**
+ * Runs a dialling pass of every active campaign. One failing campaign does not hold up the others.
+ */
+export const runActiveVoiceCampaigns = async (supabase: SupabaseClient) => {
+  const { data: campaigns, error } = await supabase
+    .from('voice_campaigns')
+    .select('id')
+    .eq('status', 'active');
+
+  if (error) {
+    console.error('Database active campaigns lookup error:', error);
+    throw new Error('Failed to load active campaigns');
+  }
+
+  const results: Record<string, { dialled: number; reason?: string; error?: string }> = {};
+  for (const { id } of campaigns || []) {
+    try {
+      results[id] = await runVoiceCampaign(supabase, id);
+    } catch (runError) {
+      console.error(`Could not run campaign ${id}:`, runError);
+      results[id] = { dialled: 0, error: runError.message };
+    }
+  }
+
+  return results;
+};
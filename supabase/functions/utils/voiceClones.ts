@@ -0,0 +1,311 @@
+import { getSupabaseServiceClient } from "./supabaseServiceClient.ts";
+import { addElevenLabsVoice, deleteElevenLabsVoice } from "./elevenlabsClient.ts";
+
+type SupabaseClient = ReturnType<typeof getSupabaseServiceClient>;
+
+// Private bucket created by the 20250406193851_velvet_echo migration
+export const VOICE_SAMPLES_BUCKET = 'voice-samples';
+
+// Instant voice cloning limits of ElevenLabs
+export const MAX_SAMPLES = 25;
+export const MAX_SAMPLE_BYTES = 10 * 1024 * 1024;
+export const SAMPLE_MIME_TYPES = ['audio/mpeg', 'audio/mp3', 'audio/wav', 'audio/x-wav', 'audio/ogg', 'audio/webm', 'audio/mp4', 'audio/x-m4a', 'audio/flac'];
+
+/**
+ * Wording the speaker signs. Bump the version whenever the text changes:
+ * each consent record keeps the version and text it was signed with.
+ */
+export const CONSENT_VERSION = '2025-04-06';
+export const CONSENT_TEXT = [
+  "J'autorise Prospeo à créer une reproduction synthétique de ma voix à partir des enregistrements fournis,",
+  "et à l'utiliser comme voix d'agent téléphonique pour l'agence désignée ci-dessus.",
+  "J'atteste que ces enregistrements sont de ma propre voix et que je les fournis librement.",
+  "Je peux retirer mon consentement à tout moment en le demandant à l'agence : la voix sera alors supprimée."
+].join(' ');
+
+export interface VoiceSample {
+  file: File;
+  fileName: string;
+}
+
+export interface ConsentSignature {
+  speaker_name: string;
+  speaker_email: string;
+  signature: string;
+}
+
+const VOICE_CLONE_SELECT = `
+  id, name, agency_name, description, elevenlabs_voice_id, status, error, created_at, deleted_at,
+  creator:users!voice_clones_created_by_fkey(email),
+  samples:voice_clone_samples(id, file_name, mime_type, size_bytes),
+  consent:voice_clone_consents(speaker_name, speaker_email, consent_version, signed_at)
+`;
+
+const sha256Hex = async (data: ArrayBuffer | string) => {
+  const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * Finds what is wrong with a set of samples, or null if ElevenLabs will accept them.
+ */
+export const findSamplesIssue = (samples: VoiceSample[]): string | null => {
+  if (samples.length === 0) return 'At least one audio sample is required';
+  if (samples.length > MAX_SAMPLES) return `At most ${MAX_SAMPLES} audio samples are allowed`;
+
+  for (const sample of samples) {
+    if (!SAMPLE_MIME_TYPES.includes(sample.file.type)) {
+      return `${sample.fileName} is not a supported audio file`;
+    }
+    if (sample.file.size > MAX_SAMPLE_BYTES) {
+      return `${sample.fileName} is larger than 10 MB`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Whether the typed signature is the speaker's full name. Case and spacing do not matter.
+ */
+export const isSignatureValid = (consent: ConsentSignature) => {
+  const normalize = (value: string) => value.trim().replace(/\s+/g, ' ').toLocaleLowerCase('fr');
+  return normalize(consent.signature) === normalize(consent.speaker_name);
+};
+
+/**
+ * Whether a voice is a clone made for an agency other than the user's. Clones are
+ * per agency: the consent covers that agency only. Any other voice is not a clone.
+ */
+export const isVoiceCloneOfOtherAgency = async (supabase: SupabaseClient, voiceId: string, userId: string) => {
+  const [{ data: clone, error: cloneError }, { data: user, error: userError }] = await Promise.all([
+    supabase
+      .from('voice_clones')
+      .select('agency_name')
+      .eq('elevenlabs_voice_id', voiceId)
+      .maybeSingle(),
+    supabase
+      .from('users')
+      .select('agency_name')
+      .eq('id', userId)
+      .maybeSingle()
+  ]);
+
+  if (cloneError || userError) {
+    console.error('Database voice clone lookup error:', cloneError || userError);
+    throw new Error('Failed to load voice clones');
+  }
+
+  if (!clone) return false;
+
+  const normalize = (value: string | null | undefined) => (value || '').trim().replace(/\s+/g, ' ').toLocaleLowerCase('fr');
+  return !user?.agency_name || normalize(clone.agency_name) !== normalize(user.agency_name);
+};
+
+/**
+ * Lists the voice clones, newest first. Deleted clones are kept for their consent record.
+ */
+export const listVoiceClones = async (supabase: SupabaseClient, options: { readyOnly?: boolean } = {}) => {
+  let query = supabase
+    .from('voice_clones')
+    .select(VOICE_CLONE_SELECT)
+    .order('created_at', { ascending: false });
+
+  if (options.readyOnly) {
+    query = query.eq('status', 'ready');
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    console.error('Database voice clones lookup error:', error);
+    throw new Error('Failed to load voice clones');
+  }
+
+  return data || [];
+};
+
+const storeSamples = async (supabase: SupabaseClient, voiceCloneId: string, samples: VoiceSample[]) => {
+  const rows = [];
+
+  for (const [index, sample] of samples.entries()) {
+    const audio = await sample.file.arrayBuffer();
+    const safeName = sample.fileName.replace(/[^a-zA-Z0-9._-]/g, '_');
+    const storagePath = `${voiceCloneId}/${index + 1}-${safeName}`;
+
+    const { error: uploadError } = await supabase.storage
+      .from(VOICE_SAMPLES_BUCKET)
+      .upload(storagePath, audio, { contentType: sample.file.type, upsert: true });
+
+    if (uploadError) {
+      console.error(`Storage upload error for sample ${storagePath}:`, uploadError);
+      throw new Error('Failed to store voice samples');
+    }
+
+    rows.push({
+      voice_clone_id: voiceCloneId,
+      file_name: sample.fileName,
+      mime_type: sample.file.type,
+      size_bytes: sample.file.size,
+      sha256: await sha256Hex(audio),
+      storage_path: storagePath
+    });
+  }
+
+  const { error } = await supabase.from('voice_clone_samples').insert(rows);
+  if (error) {
+    console.error('Database sample insert error:', error);
+    throw new Error('Failed to store voice samples');
+  }
+
+  return rows;
+};
+
+/**
+ * Creates a voice clone for an agency. The samples and the signed consent are stored first,
+ * so every voice that reaches ElevenLabs has its consent on record.
+ * @returns The clone, with status 'failed' and the error if ElevenLabs refused it
+ */
+export const createVoiceClone = async (
+  supabase: SupabaseClient,
+  params: {
+    name: string;
+    agencyName: string;
+    description: string | null;
+    samples: VoiceSample[];
+    consent: ConsentSignature;
+    recordedBy: string;
+    ipAddress: string | null;
+    userAgent: string | null;
+  }
+) => {
+  const { data: clone, error: cloneError } = await supabase
+    .from('voice_clones')
+    .insert({
+      name: params.name,
+      agency_name: params.agencyName,
+      description: params.description,
+      created_by: params.recordedBy,
+      status: 'pending'
+    })
+    .select('id')
+    .single();
+
+  if (cloneError) {
+    console.error('Database voice clone insert error:', cloneError);
+    throw new Error('Failed to create voice clone');
+  }
+
+  const sampleRows = await storeSamples(supabase, clone.id, params.samples);
+
+  const signedAt = new Date().toISOString();
+  const signedRecord = {
+    voice_clone_id: clone.id,
+    speaker_name: params.consent.speaker_name,
+    speaker_email: params.consent.speaker_email,
+    consent_version: CONSENT_VERSION,
+    consent_text: CONSENT_TEXT,
+    signature: params.consent.signature,
+    signed_at: signedAt,
+    sample_sha256: sampleRows.map(row => row.sha256)
+  };
+
+  const { error: consentError } = await supabase
+    .from('voice_clone_consents')
+    .insert({
+      voice_clone_id: clone.id,
+      recorded_by: params.recordedBy,
+      speaker_name: signedRecord.speaker_name,
+      speaker_email: signedRecord.speaker_email,
+      consent_version: CONSENT_VERSION,
+      consent_text: CONSENT_TEXT,
+      signature: signedRecord.signature,
+      signed_at: signedAt,
+      ip_address: params.ipAddress,
+      user_agent: params.userAgent,
+      record_sha256: await sha256Hex(JSON.stringify(signedRecord))
+    });
+
+  if (consentError) {
+    console.error('Database consent insert error:', consentError);
+    throw new Error('Failed to record consent');
+  }
+
+  let update: Record<string, unknown>;
+  try {
+    const voice = await addElevenLabsVoice(params.name, params.samples, {
+      description: params.description,
+      labels: { agency: params.agencyName }
+    });
+    update = { status: 'ready', elevenlabs_voice_id: voice.voice_id, error: null };
+  } catch (elError: any) {
+    console.error(`ElevenLabs voice clone error for ${clone.id}:`, elError);
+    update = { status: 'failed', error: elError?.message || 'ElevenLabs could not create the voice' };
+  }
+
+  const { data: saved, error: updateError } = await supabase
+    .from('voice_clones')
+    .update(update)
+    .eq('id', clone.id)
+    .select(VOICE_CLONE_SELECT)
+    .single();
+
+  if (updateError) {
+    console.error('Database voice clone update error:', updateError);
+    throw new Error('Failed to save voice clone');
+  }
+
+  return saved;
+};
+
+/**
+ * Deletes a voice clone from ElevenLabs and removes its audio samples. The clone, its sample
+ * metadata and its consent record stay, marked as deleted.
+ * @returns The clone, or null if it does not exist
+ */
+export const deleteVoiceClone = async (supabase: SupabaseClient, voiceCloneId: string) => {
+  const { data: clone, error: cloneError } = await supabase
+    .from('voice_clones')
+    .select('id, elevenlabs_voice_id, samples:voice_clone_samples(storage_path)')
+    .eq('id', voiceCloneId)
+    .maybeSingle();
+
+  if (cloneError) {
+    console.error('Database voice clone lookup error:', cloneError);
+    throw new Error('Failed to load voice clone');
+  }
+  if (!clone) return null;
+
+  if (clone.elevenlabs_voice_id) {
+    await deleteElevenLabsVoice(clone.elevenlabs_voice_id);
+  }
+
+  const paths = (clone.samples || []).map((sample: { storage_path: string | null }) => sample.storage_path).filter(Boolean);
+  if (paths.length > 0) {
+    const { error: removeError } = await supabase.storage.from(VOICE_SAMPLES_BUCKET).remove(paths);
+    if (removeError) {
+      console.error(`Storage removal error for voice clone ${voiceCloneId}:`, removeError);
+      throw new Error('Failed to remove voice samples');
+    }
+
+    await supabase
+      .from('voice_clone_samples')
+      .update({ storage_path: null })
+      .eq('voice_clone_id', voiceCloneId);
+  }
+
+  const { data: deleted, error: updateError } = await supabase
+    .from('voice_clones')
+    .update({ status: 'deleted', deleted_at: new Date().toISOString() })
+    .eq('id', voiceCloneId)
+    .select(VOICE_CLONE_SELECT)
+    .single();
+
+  if (updateError) {
+    console.error('Database voice clone update error:', updateError);
+    throw new Error('Failed to delete voice clone');
+  }
+
+  return deleted;
+};
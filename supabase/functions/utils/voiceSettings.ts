@@ -0,0 +1,71 @@
+import { z } from "npm:zod@3.22.4";
+
+export const TTS_MODELS = ['eleven_turbo_v2', 'eleven_turbo_v2_5', 'eleven_flash_v2', 'eleven_flash_v2_5'] as const;
+
+// Convai only speaks languages other than English with the v2.5 models
+const MULTILINGUAL_TTS_MODELS = ['eleven_turbo_v2_5', 'eleven_flash_v2_5'];
+
+// Values ElevenLabs uses when a setting is left empty, sent explicitly so clearing a setting resets it
+const CONVAI_TTS_DEFAULTS = {
+  stability: 0.5,
+  similarity_boost: 0.8,
+  style: 0,
+  use_speaker_boost: true,
+  speed: 1
+};
+
+/**
+ * Voice settings stored on `ai_agents`. NULL means the ElevenLabs default.
+ */
+export const voiceSettingsShape = {
+  tts_model_id: z.enum(TTS_MODELS).nullable().optional(),
+  tts_stability: z.number().min(0).max(1).nullable().optional(),
+  tts_similarity_boost: z.number().min(0).max(1).nullable().optional(),
+  tts_style: z.number().min(0).max(1).nullable().optional(),
+  tts_use_speaker_boost: z.boolean().nullable().optional(),
+  tts_speed: z.number().min(0.7).max(1.2).nullable().optional(),
+  language: z.string().regex(/^[a-z]{2}$/, "Language must be an ISO 639-1 code").nullable().optional(),
+};
+
+export type VoiceSettings = {
+  [K in keyof typeof voiceSettingsShape]?: z.infer<typeof voiceSettingsShape[K]>;
+};
+
+export const VOICE_SETTING_FIELDS = Object.keys(voiceSettingsShape) as (keyof VoiceSettings)[];
+
+/**
+ * Keeps only the voice settings of an agent row or request body.
+ */
+export const pickVoiceSettings = (source: Record<string, unknown>): VoiceSettings =>
+  Object.fromEntries(
+    VOICE_SETTING_FIELDS.filter(field => source[field] !== undefined).map(field => [field, source[field]])
+  ) as VoiceSettings;
+
+/**
+ * Whether a TTS model can speak a language. No model means the ElevenLabs default, which can.
+ */
+export const modelSupportsLanguage = (modelId: string | null | undefined, language: string) =>
+  language === 'en' || !modelId || MULTILINGUAL_TTS_MODELS.includes(modelId);
+
+/**
+ * Explains why a combination of settings cannot work, or returns null.
+ */
+export const findVoiceSettingsIssue = (settings: VoiceSettings): string | null => {
+  if (settings.language && !modelSupportsLanguage(settings.tts_model_id, settings.language)) {
+    return `Language "${settings.language}" needs a v2.5 model (${MULTILINGUAL_TTS_MODELS.join(', ')})`;
+  }
+  return null;
+};
+
+/**
+ * Builds the Convai `conversation_config.tts` of an agent.
+ */
+export const buildConvaiTtsConfig = (voiceId: string | undefined, settings: VoiceSettings) => ({
+  ...(voiceId !== undefined ? { voice_id: voiceId } : {}),
+  ...(settings.tts_model_id ? { model_id: settings.tts_model_id } : {}),
+  stability: settings.tts_stability ?? CONVAI_TTS_DEFAULTS.stability,
+  similarity_boost: settings.tts_similarity_boost ?? CONVAI_TTS_DEFAULTS.similarity_boost,
+  style: settings.tts_style ?? CONVAI_TTS_DEFAULTS.style,
+  use_speaker_boost: settings.tts_use_speaker_boost ?? CONVAI_TTS_DEFAULTS.use_speaker_boost,
+  speed: settings.tts_speed ?? CONVAI_TTS_DEFAULTS.speed
+});
@@ -0,0 +1,39 @@
+/*
+  # Prepare Call History for ElevenLabs Webhook Ingestion
+
+  1. Changes
+    - Add `elevenlabs_conversation_id` column to `call_history`
+    - Add unique constraint so webhook replays update the same row
+    - Add comments describing the ingested columns
+
+  2. Security
+    - No new RLS policies: rows are written by the `elevenlabs-call-webhook`
+      Edge Function using the Service Role client
+*/
+
+-- Add elevenlabs_conversation_id column if it doesn't exist
+DO $$ BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'call_history' AND column_name = 'elevenlabs_conversation_id'
+  ) THEN
+    ALTER TABLE public.call_history
+    ADD COLUMN elevenlabs_conversation_id text NULL;
+  END IF;
+END $$;
+
+-- Add unique constraint for idempotent ingestion if not exists
+DO $$ BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE conname = 'call_history_elevenlabs_conversation_id_key'
+  ) THEN
+    ALTER TABLE public.call_history
+    ADD CONSTRAINT call_history_elevenlabs_conversation_id_key UNIQUE (elevenlabs_conversation_id);
+  END IF;
+END $$;
+
+-- Add comments
+COMMENT ON COLUMN public.call_history.elevenlabs_conversation_id IS 'Conversation ID from ElevenLabs Convai. Used to make post-call webhook ingestion idempotent.';
+COMMENT ON COLUMN public.call_history.summary IS 'Transcript summary produced by the ElevenLabs post-call analysis.';
+COMMENT ON COLUMN public.call_history.recording_url IS 'Recording location returned by the voice provider.';
@@ -0,0 +1,87 @@
+/*
+  # Caller-to-Contact Matching
+
+  1. Changes
+    - Create immutable `normalize_phone` function (French numbers default to +33)
+    - Add generated `phone_normalized` column to `contacts`
+    - Add index on (`user_id`, `phone_normalized`) for matching inbound callers
+    - Link existing calls to contacts of the same user by normalized number
+    - Document the `ai_call` contact source
+
+  2. Security
+    - No new RLS policies: matching and lead creation run in the
+      `elevenlabs-call-webhook` Edge Function using the Service Role client
+*/
+
+-- Normalize a phone number to E.164-like form (+<digits>)
+-- Keep in sync with normalizePhoneNumber() in supabase/functions/utils/contactMatching.ts
+CREATE OR REPLACE FUNCTION public.normalize_phone(raw_phone text)
+RETURNS text
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+DECLARE
+    digits text;
+BEGIN
+    IF raw_phone IS NULL THEN
+        RETURN NULL;
+    END IF;
+
+    digits := regexp_replace(raw_phone, '[^0-9]', '', 'g');
+
+    IF length(digits) < 8 THEN
+        RETURN NULL;
+    END IF;
+
+    -- International prefix written as 00
+    IF left(digits, 2) = '00' THEN
+        RETURN '+' || substr(digits, 3);
+    END IF;
+
+    -- Explicit + prefix
+    IF left(btrim(raw_phone), 1) = '+' THEN
+        RETURN '+' || digits;
+    END IF;
+
+    -- French national format: 0X XX XX XX XX
+    IF length(digits) = 10 AND left(digits, 1) = '0' THEN
+        RETURN '+33' || substr(digits, 2);
+    END IF;
+
+    RETURN '+' || digits;
+END;
+$$;
+
+COMMENT ON FUNCTION public.normalize_phone(text) IS
+'Normalizes a phone number to +<country><number>. National French numbers (0XXXXXXXXX) are assumed to be +33.';
+
+-- Add phone_normalized generated column if it doesn't exist
+DO $$ BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'contacts' AND column_name = 'phone_normalized'
+  ) THEN
+    ALTER TABLE public.contacts
+    ADD COLUMN phone_normalized text GENERATED ALWAYS AS (public.normalize_phone(phone)) STORED;
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_contacts_user_phone_normalized
+ON public.contacts(user_id, phone_normalized);
+
+-- Backfill contact_id on existing calls (oldest matching contact wins)
+UPDATE public.call_history ch
+SET contact_id = (
+  SELECT c.id
+  FROM public.contacts c
+  WHERE c.user_id = ch.user_id
+    AND c.phone_normalized = public.normalize_phone(ch.caller_number)
+  ORDER BY c.created_at ASC
+  LIMIT 1
+)
+WHERE ch.contact_id IS NULL
+  AND ch.user_id IS NOT NULL;
+
+-- Add comments
+COMMENT ON COLUMN public.contacts.phone_normalized IS 'Normalized form of `phone`, used to match inbound callers to contacts.';
+COMMENT ON COLUMN public.contacts.source IS 'Where the lead came from (e.g., Website, Referral). `ai_call` marks leads created automatically from an inbound AI call.';
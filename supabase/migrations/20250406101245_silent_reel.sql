@@ -0,0 +1,38 @@
+/*
+  # Private Storage for Call Recordings
+
+  1. Changes
+    - Create private `call-recordings` Storage bucket
+    - Add `recording_storage_path` column to `call_history`
+    - Add comments on recording columns
+
+  2. Security
+    - Bucket is not public and has no storage policies: recordings are
+      uploaded by the `elevenlabs-call-webhook` Edge Function and served
+      through short-lived signed URLs from `get-call-recording-url`
+*/
+
+-- Create call-recordings bucket if it doesn't exist
+INSERT INTO storage.buckets (id, name, public, allowed_mime_types)
+VALUES (
+  'call-recordings',
+  'call-recordings',
+  false,
+  ARRAY['audio/mpeg', 'audio/mp3', 'audio/wav', 'audio/x-wav', 'audio/ogg', 'audio/webm']
+)
+ON CONFLICT (id) DO NOTHING;
+
+-- Add recording_storage_path column if it doesn't exist
+DO $$ BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'call_history' AND column_name = 'recording_storage_path'
+  ) THEN
+    ALTER TABLE public.call_history
+    ADD COLUMN recording_storage_path text NULL;
+  END IF;
+END $$;
+
+-- Add comments
+COMMENT ON COLUMN public.call_history.recording_storage_path IS 'Object path of the archived recording in the private `call-recordings` bucket.';
+COMMENT ON COLUMN public.call_history.recording_url IS 'Recording location returned by the voice provider. May expire: play back from `recording_storage_path` instead.';
@@ -0,0 +1,54 @@
+/*
+  # Log AI Agent Tool Calls
+
+  1. New Tables
+    - `call_tool_invocations`
+      - `id` (uuid, primary key)
+      - `elevenlabs_conversation_id` (text) - conversation the tool was called in
+      - `call_id` (uuid, references call_history) - set once the call is ingested
+      - `user_id` (uuid, references auth.users) - owner whose data was queried
+      - `ai_agent_id` (uuid, references ai_agents)
+      - `tool_name` (text)
+      - `parameters` (jsonb) - arguments sent by the agent
+      - `result_count` (integer) - number of records returned
+      - `status` (text) - success or error
+      - `error_message` (text)
+      - `duration_ms` (integer)
+      - `created_at` (timestamptz)
+
+  2. Security
+    - Enable RLS on `call_tool_invocations`
+    - No policies: rows are written by the `agent-property-tools` Edge Function
+      using the Service Role client
+*/
+
+CREATE TABLE IF NOT EXISTS public.call_tool_invocations (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  elevenlabs_conversation_id text NOT NULL,
+  call_id uuid REFERENCES public.call_history(id) ON DELETE CASCADE,
+  user_id uuid REFERENCES auth.users(id) ON DELETE CASCADE,
+  ai_agent_id uuid REFERENCES public.ai_agents(id) ON DELETE SET NULL,
+  tool_name text NOT NULL,
+  parameters jsonb NOT NULL DEFAULT '{}'::jsonb,
+  result_count integer,
+  status text NOT NULL,
+  error_message text,
+  duration_ms integer,
+  created_at timestamptz NOT NULL DEFAULT now(),
+
+  CONSTRAINT call_tool_invocations_status_check CHECK (
+    status = ANY (ARRAY['success', 'error'])
+  )
+);
+
+ALTER TABLE public.call_tool_invocations ENABLE ROW LEVEL SECURITY;
+
+CREATE INDEX IF NOT EXISTS idx_call_tool_invocations_conversation
+ON public.call_tool_invocations(elevenlabs_conversation_id);
+
+CREATE INDEX IF NOT EXISTS idx_call_tool_invocations_call_id
+ON public.call_tool_invocations(call_id);
+
+-- Add comments
+COMMENT ON TABLE public.call_tool_invocations IS 'Server tool calls made by ElevenLabs agents during conversations.';
+COMMENT ON COLUMN public.call_tool_invocations.call_id IS 'Linked by the post-call webhook, since tools run before the call_history row exists.';
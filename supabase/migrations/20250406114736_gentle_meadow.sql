@@ -0,0 +1,25 @@
+/*
+  # Cal.com Event Type per User
+
+  1. Changes
+    - Add `calcom_event_type_id` column to `users`
+    - Add comment explaining how AI agent bookings pick the event type
+
+  2. Security
+    - No RLS changes: the column is read by the `agent-booking-tools`
+      Edge Function using the Service Role client
+*/
+
+-- Add calcom_event_type_id column if it doesn't exist
+DO $$ BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'users' AND column_name = 'calcom_event_type_id'
+  ) THEN
+    ALTER TABLE public.users
+    ADD COLUMN calcom_event_type_id text NULL;
+  END IF;
+END $$;
+
+-- Add comments
+COMMENT ON COLUMN public.users.calcom_event_type_id IS 'Cal.com event type used when the AI agent books visits for this user. Falls back to the CALCOM_EVENT_TYPE_ID function secret.';
@@ -0,0 +1,87 @@
+/*
+  # Buyer Criteria on Contacts
+
+  1. Changes
+    - Add buyer-criteria columns to `contacts`:
+      - `budget_min`, `budget_max` (numeric, euros)
+      - `desired_property_type` (Maison / Appartement)
+      - `desired_city` (text)
+      - `purchase_timeline` (immediate, within_3_months, within_6_months, within_12_months, undecided)
+      - `financing_status` (cash, mortgage_approved, mortgage_in_progress, not_started, unknown)
+      - `qualification_source` (agent / transcript / manual) - where the criteria came from
+      - `qualified_at` (timestamptz) - when the contact was automatically qualified
+    - Add check constraints for the enumerated columns
+
+  2. Security
+    - No RLS changes: existing contacts policies cover the new columns
+*/
+
+DO $$ BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'contacts' AND column_name = 'budget_min'
+  ) THEN
+    ALTER TABLE public.contacts
+      ADD COLUMN budget_min numeric NULL,
+      ADD COLUMN budget_max numeric NULL,
+      ADD COLUMN desired_property_type text NULL,
+      ADD COLUMN desired_city text NULL,
+      ADD COLUMN purchase_timeline text NULL,
+      ADD COLUMN financing_status text NULL,
+      ADD COLUMN qualification_source text NULL,
+      ADD COLUMN qualified_at timestamptz NULL;
+  END IF;
+END $$;
+
+-- Add constraints if they don't exist
+DO $$ BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE conname = 'contacts_desired_property_type_check'
+  ) THEN
+    ALTER TABLE public.contacts
+    ADD CONSTRAINT contacts_desired_property_type_check CHECK (
+      desired_property_type IS NULL OR desired_property_type = ANY (ARRAY['Maison', 'Appartement'])
+    );
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE conname = 'contacts_purchase_timeline_check'
+  ) THEN
+    ALTER TABLE public.contacts
+    ADD CONSTRAINT contacts_purchase_timeline_check CHECK (
+      purchase_timeline IS NULL OR purchase_timeline = ANY (ARRAY['immediate', 'within_3_months', 'within_6_months', 'within_12_months', 'undecided'])
+    );
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE conname = 'contacts_financing_status_check'
+  ) THEN
+    ALTER TABLE public.contacts
+    ADD CONSTRAINT contacts_financing_status_check CHECK (
+      financing_status IS NULL OR financing_status = ANY (ARRAY['cash', 'mortgage_approved', 'mortgage_in_progress', 'not_started', 'unknown'])
+    );
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE conname = 'contacts_qualification_source_check'
+  ) THEN
+    ALTER TABLE public.contacts
+    ADD CONSTRAINT contacts_qualification_source_check CHECK (
+      qualification_source IS NULL OR qualification_source = ANY (ARRAY['agent', 'transcript', 'manual'])
+    );
+  END IF;
+END $$;
+
+-- Add comments
+COMMENT ON COLUMN public.contacts.budget_min IS 'Lower bound of the buyer budget, in euros.';
+COMMENT ON COLUMN public.contacts.budget_max IS 'Upper bound of the buyer budget, in euros.';
+COMMENT ON COLUMN public.contacts.desired_property_type IS 'Property type the buyer is looking for (Maison or Appartement).';
+COMMENT ON COLUMN public.contacts.desired_city IS 'City or area the buyer is looking in.';
+COMMENT ON COLUMN public.contacts.purchase_timeline IS 'When the buyer intends to purchase.';
+COMMENT ON COLUMN public.contacts.financing_status IS 'How far along the buyer financing is.';
+COMMENT ON COLUMN public.contacts.qualification_source IS 'Where the buyer criteria came from: ElevenLabs data collection (agent), transcript extraction (transcript) or manual entry.';
+COMMENT ON COLUMN public.contacts.qualified_at IS 'When the contact was moved from new to qualified after a call.';
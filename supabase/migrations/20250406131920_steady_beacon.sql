@@ -0,0 +1,79 @@
+/*
+  # Automatic Call Tagging Rules
+
+  1. Changes
+    - Create `call_tag_rules` table: per-user rules that attach a tag to matching calls
+      - `conditions` (jsonb) - every condition present must match:
+        - `keywords` (text[]) - any of them appears in the transcript
+        - `min_duration_seconds` / `max_duration_seconds`
+        - `statuses` (text[]) - call status is one of them
+        - `property_mentioned` (boolean) - a catalogue property came up during the call
+        - `known_contact` (boolean) - the caller was already a contact before the call
+    - Add `call_tags.rule_id` to tell rule-applied tags from manual ones
+
+  2. Security
+    - Enable RLS on `call_tag_rules`
+    - Users can manage their own rules
+*/
+
+CREATE TABLE IF NOT EXISTS public.call_tag_rules (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  tag_id uuid NOT NULL REFERENCES public.tags(id) ON DELETE CASCADE,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+
+  name text NOT NULL,
+  conditions jsonb NOT NULL DEFAULT '{}'::jsonb,
+  is_active boolean NOT NULL DEFAULT true
+);
+
+-- Add comments
+COMMENT ON TABLE public.call_tag_rules IS 'User-defined rules that automatically tag calls when they are ingested.';
+COMMENT ON COLUMN public.call_tag_rules.conditions IS 'Conditions a call must all meet: keywords, min/max_duration_seconds, statuses, property_mentioned, known_contact.';
+
+-- Enable RLS
+ALTER TABLE public.call_tag_rules ENABLE ROW LEVEL SECURITY;
+
+-- Create RLS Policies for call_tag_rules
+DO $$ BEGIN
+  -- Allow users to manage their own rules
+  CREATE POLICY "Users can manage their own tag rules"
+    ON public.call_tag_rules
+    FOR ALL
+    TO authenticated
+    USING (auth.uid() = user_id)
+    WITH CHECK (auth.uid() = user_id);
+
+EXCEPTION
+  WHEN duplicate_object THEN
+    NULL;
+END $$;
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_call_tag_rules_user_id ON public.call_tag_rules(user_id);
+CREATE INDEX IF NOT EXISTS idx_call_tag_rules_tag_id ON public.call_tag_rules(tag_id);
+
+-- Create updated_at trigger
+DO $$ BEGIN
+  CREATE TRIGGER update_call_tag_rules_updated_at
+    BEFORE UPDATE ON public.call_tag_rules
+    FOR EACH ROW
+    EXECUTE PROCEDURE public.update_updated_at_column();
+EXCEPTION
+  WHEN duplicate_object THEN
+    NULL;
+END $$;
+
+-- Remember which rule attached a tag
+DO $$ BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'call_tags' AND column_name = 'rule_id'
+  ) THEN
+    ALTER TABLE public.call_tags
+      ADD COLUMN rule_id uuid NULL REFERENCES public.call_tag_rules(id) ON DELETE SET NULL;
+  END IF;
+END $$;
+
+COMMENT ON COLUMN public.call_tags.rule_id IS 'Rule that attached the tag automatically. NULL for tags added by hand.';
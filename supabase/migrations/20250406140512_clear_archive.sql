@@ -0,0 +1,73 @@
+/*
+  # Property Knowledge Base Sync
+
+  1. Changes
+    - Create `knowledge_base_syncs` table: one row per user tracking the ElevenLabs
+      knowledge base document generated from their property catalogue
+      - `elevenlabs_document_id` - current document, replaced on every sync
+      - `ai_agent_id` - agent the document is attached to
+      - `status` (pending, synced, failed, no_agent)
+      - `property_count`, `last_synced_at`, `last_error`
+
+  2. Security
+    - Enable RLS on `knowledge_base_syncs`
+    - Users can read their own sync status; writes go through Edge Functions
+*/
+
+CREATE TABLE IF NOT EXISTS public.knowledge_base_syncs (
+  user_id uuid PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+  ai_agent_id uuid REFERENCES public.ai_agents(id) ON DELETE SET NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+
+  elevenlabs_document_id text,
+  status text NOT NULL DEFAULT 'pending',
+  property_count integer NOT NULL DEFAULT 0,
+  last_synced_at timestamptz,
+  last_error text
+);
+
+-- Add constraints if they don't exist
+DO $$ BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE conname = 'knowledge_base_syncs_status_check'
+  ) THEN
+    ALTER TABLE public.knowledge_base_syncs
+    ADD CONSTRAINT knowledge_base_syncs_status_check
+    CHECK (status = ANY (ARRAY['pending', 'synced', 'failed', 'no_agent']));
+  END IF;
+END $$;
+
+-- Add comments
+COMMENT ON TABLE public.knowledge_base_syncs IS 'Sync state of the per-user ElevenLabs knowledge base document built from the property catalogue.';
+COMMENT ON COLUMN public.knowledge_base_syncs.elevenlabs_document_id IS 'ElevenLabs knowledge base document currently attached to the agent.';
+COMMENT ON COLUMN public.knowledge_base_syncs.status IS 'pending while a sync runs, synced, failed (see last_error) or no_agent when the user has no assigned agent.';
+
+-- Enable RLS
+ALTER TABLE public.knowledge_base_syncs ENABLE ROW LEVEL SECURITY;
+
+-- Create RLS Policies for knowledge_base_syncs
+DO $$ BEGIN
+  -- Allow users to read their own sync status
+  CREATE POLICY "Users can read own knowledge base sync"
+    ON public.knowledge_base_syncs
+    FOR SELECT
+    TO authenticated
+    USING (auth.uid() = user_id);
+
+EXCEPTION
+  WHEN duplicate_object THEN
+    NULL;
+END $$;
+
+-- Create updated_at trigger
+DO $$ BEGIN
+  CREATE TRIGGER update_knowledge_base_syncs_updated_at
+    BEFORE UPDATE ON public.knowledge_base_syncs
+    FOR EACH ROW
+    EXECUTE PROCEDURE public.update_updated_at_column();
+EXCEPTION
+  WHEN duplicate_object THEN
+    NULL;
+END $$;
@@ -0,0 +1,23 @@
+/*
+  # Agency Name on Users
+
+  1. Changes
+    - Add `agency_name` (text) to `users`, used as the `{{agency_name}}` prompt variable
+      of the AI agents. Falls back to the user's name when empty.
+
+  2. Security
+    - No RLS changes: existing users policies cover the new column
+*/
+
+DO $$ BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'users' AND column_name = 'agency_name'
+  ) THEN
+    ALTER TABLE public.users
+      ADD COLUMN agency_name text NULL;
+  END IF;
+END $$;
+
+-- Add comments
+COMMENT ON COLUMN public.users.agency_name IS 'Agency the user works for, spoken by the AI agent as {{agency_name}}. Falls back to name.';
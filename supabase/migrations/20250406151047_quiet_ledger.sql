@@ -0,0 +1,75 @@
+/*
+  # AI Agent Version History
+
+  1. Changes
+    - Create `ai_agent_versions` table: one row per saved configuration of an agent
+      - `version_number` - increments per agent, starting at 1
+      - `agent_name`, `system_prompt`, `elevenlabs_voice_id`, `description` - snapshot
+      - `diff` (jsonb) - `{ field: { before, after } }` against the previous version
+      - `created_by` - author of the change
+      - `rollback_of_version_id` - set when the version restores an older one
+    - Backfill version 1 for existing agents
+    - Add `ai_agent_version_id` to `call_history`: configuration that handled the call
+
+  2. Security
+    - Enable RLS on `ai_agent_versions` without policies: history is read and
+      written by the admin Edge Functions only
+*/
+
+CREATE TABLE IF NOT EXISTS public.ai_agent_versions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  ai_agent_id uuid NOT NULL REFERENCES public.ai_agents(id) ON DELETE CASCADE,
+  version_number integer NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  created_by uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+
+  agent_name text,
+  system_prompt text,
+  elevenlabs_voice_id text,
+  description text,
+  diff jsonb NOT NULL DEFAULT '{}'::jsonb,
+  rollback_of_version_id uuid REFERENCES public.ai_agent_versions(id) ON DELETE SET NULL
+);
+
+-- Add constraints if they don't exist
+DO $$ BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE conname = 'unique_ai_agent_version_number'
+  ) THEN
+    ALTER TABLE public.ai_agent_versions
+    ADD CONSTRAINT unique_ai_agent_version_number UNIQUE (ai_agent_id, version_number);
+  END IF;
+END $$;
+
+-- Backfill the current configuration of existing agents as version 1
+INSERT INTO public.ai_agent_versions (ai_agent_id, version_number, created_at, created_by, agent_name, system_prompt, elevenlabs_voice_id, description)
+SELECT a.id, 1, a.updated_at, a.owner_user_id, a.agent_name, a.system_prompt, a.elevenlabs_voice_id, a.description
+FROM public.ai_agents a
+WHERE NOT EXISTS (
+  SELECT 1 FROM public.ai_agent_versions v WHERE v.ai_agent_id = a.id
+);
+
+-- Link calls to the agent version that handled them
+DO $$ BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'call_history' AND column_name = 'ai_agent_version_id'
+  ) THEN
+    ALTER TABLE public.call_history
+      ADD COLUMN ai_agent_version_id uuid NULL REFERENCES public.ai_agent_versions(id) ON DELETE SET NULL;
+  END IF;
+END $$;
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_ai_agent_versions_agent_created ON public.ai_agent_versions(ai_agent_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_call_history_ai_agent_version_id ON public.call_history(ai_agent_version_id);
+
+-- Add comments
+COMMENT ON TABLE public.ai_agent_versions IS 'Saved configurations of each AI agent, used for history, diffs and rollback.';
+COMMENT ON COLUMN public.ai_agent_versions.diff IS 'Fields changed against the previous version, as { field: { before, after } }.';
+COMMENT ON COLUMN public.ai_agent_versions.rollback_of_version_id IS 'Older version this one restores, when created by a rollback.';
+COMMENT ON COLUMN public.call_history.ai_agent_version_id IS 'Agent configuration in effect when the call started.';
+
+-- Enable RLS
+ALTER TABLE public.ai_agent_versions ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,111 @@
+/*
+  # Agent A/B Experiments
+
+  1. Changes
+    - Create `agent_experiments` table: splits a user's inbound conversations between
+      their assigned agent (`control_agent_id`) and another configuration (`variant_agent_id`)
+      - `variant_percentage` - share of conversations handled by the variant (1-99)
+      - `status` (running, completed, cancelled) - one running experiment per user
+      - `winner_agent_id` - configuration promoted to the user's assignment, if any
+    - Add to `call_history`:
+      - `experiment_id`, `experiment_variant` (control / variant) - who handled the call
+      - `qualified_lead` (boolean) - the call qualified its contact
+
+  2. Security
+    - Enable RLS on `agent_experiments` without policies: experiments are managed
+      by admins through Edge Functions
+*/
+
+CREATE TABLE IF NOT EXISTS public.agent_experiments (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  created_by uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+
+  name text NOT NULL,
+  control_agent_id uuid NOT NULL REFERENCES public.ai_agents(id) ON DELETE CASCADE,
+  variant_agent_id uuid NOT NULL REFERENCES public.ai_agents(id) ON DELETE CASCADE,
+  variant_percentage integer NOT NULL DEFAULT 50,
+  status text NOT NULL DEFAULT 'running',
+  started_at timestamptz NOT NULL DEFAULT now(),
+  ended_at timestamptz,
+  winner_agent_id uuid REFERENCES public.ai_agents(id) ON DELETE SET NULL
+);
+
+-- Add constraints if they don't exist
+DO $$ BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE conname = 'agent_experiments_status_check'
+  ) THEN
+    ALTER TABLE public.agent_experiments
+    ADD CONSTRAINT agent_experiments_status_check
+    CHECK (status = ANY (ARRAY['running', 'completed', 'cancelled']));
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE conname = 'agent_experiments_variant_percentage_check'
+  ) THEN
+    ALTER TABLE public.agent_experiments
+    ADD CONSTRAINT agent_experiments_variant_percentage_check
+    CHECK (variant_percentage BETWEEN 1 AND 99);
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE conname = 'agent_experiments_distinct_agents_check'
+  ) THEN
+    ALTER TABLE public.agent_experiments
+    ADD CONSTRAINT agent_experiments_distinct_agents_check
+    CHECK (control_agent_id <> variant_agent_id);
+  END IF;
+END $$;
+
+-- Record the experiment arm and lead qualification on calls
+DO $$ BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'call_history' AND column_name = 'experiment_id'
+  ) THEN
+    ALTER TABLE public.call_history
+      ADD COLUMN experiment_id uuid NULL REFERENCES public.agent_experiments(id) ON DELETE SET NULL,
+      ADD COLUMN experiment_variant text NULL,
+      ADD COLUMN qualified_lead boolean NOT NULL DEFAULT false;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE conname = 'call_history_experiment_variant_check'
+  ) THEN
+    ALTER TABLE public.call_history
+    ADD CONSTRAINT call_history_experiment_variant_check
+    CHECK (experiment_variant IS NULL OR experiment_variant = ANY (ARRAY['control', 'variant']));
+  END IF;
+END $$;
+
+-- Create indexes
+CREATE UNIQUE INDEX IF NOT EXISTS idx_agent_experiments_one_running_per_user
+ON public.agent_experiments(user_id) WHERE status = 'running';
+CREATE INDEX IF NOT EXISTS idx_call_history_experiment_id ON public.call_history(experiment_id);
+
+-- Add comments
+COMMENT ON TABLE public.agent_experiments IS 'A/B tests splitting a user''s inbound conversations between two agent configurations.';
+COMMENT ON COLUMN public.agent_experiments.variant_percentage IS 'Share of conversations (1-99) handled by the variant configuration.';
+COMMENT ON COLUMN public.call_history.experiment_variant IS 'Experiment arm (control or variant) that handled the call.';
+COMMENT ON COLUMN public.call_history.qualified_lead IS 'True when the call qualified its contact.';
+
+-- Enable RLS
+ALTER TABLE public.agent_experiments ENABLE ROW LEVEL SECURITY;
+
+-- Create updated_at trigger
+DO $$ BEGIN
+  CREATE TRIGGER update_agent_experiments_updated_at
+    BEFORE UPDATE ON public.agent_experiments
+    FOR EACH ROW
+    EXECUTE PROCEDURE public.update_updated_at_column();
+EXCEPTION
+  WHEN duplicate_object THEN
+    NULL;
+END $$;
@@ -0,0 +1,23 @@
+/*
+  # Test Calls
+
+  1. Changes
+    - Add `is_test` (boolean) to `call_history`: conversations held from the browser
+      with the "Test my agent" panel and saved by the user
+
+  2. Security
+    - No RLS changes: existing call_history policies cover the new column
+*/
+
+DO $$ BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'call_history' AND column_name = 'is_test'
+  ) THEN
+    ALTER TABLE public.call_history
+      ADD COLUMN is_test boolean NOT NULL DEFAULT false;
+  END IF;
+END $$;
+
+-- Add comments
+COMMENT ON COLUMN public.call_history.is_test IS 'True for in-browser test conversations with the agent, saved by the user.';
@@ -0,0 +1,77 @@
+/*
+  # Agent Voice Settings
+
+  1. Changes
+    - Add TTS settings to `ai_agents`, pushed to the Convai `conversation_config.tts`
+      (NULL keeps the ElevenLabs default):
+      - `tts_model_id` (eleven_turbo_v2, eleven_turbo_v2_5, eleven_flash_v2, eleven_flash_v2_5)
+      - `tts_stability`, `tts_similarity_boost`, `tts_style` (0 to 1)
+      - `tts_use_speaker_boost` (boolean)
+      - `tts_speed` (0.7 to 1.2)
+      - `language` - output language (ISO 639-1), pushed as `agent.language`
+    - Add the same columns to `ai_agent_versions` so rollbacks restore them
+
+  2. Security
+    - No RLS changes: existing policies cover the new columns
+*/
+
+DO $$ BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'ai_agents' AND column_name = 'tts_model_id'
+  ) THEN
+    ALTER TABLE public.ai_agents
+      ADD COLUMN tts_model_id text NULL,
+      ADD COLUMN tts_stability numeric NULL,
+      ADD COLUMN tts_similarity_boost numeric NULL,
+      ADD COLUMN tts_style numeric NULL,
+      ADD COLUMN tts_use_speaker_boost boolean NULL,
+      ADD COLUMN tts_speed numeric NULL,
+      ADD COLUMN language text NULL;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'ai_agent_versions' AND column_name = 'tts_model_id'
+  ) THEN
+    ALTER TABLE public.ai_agent_versions
+      ADD COLUMN tts_model_id text NULL,
+      ADD COLUMN tts_stability numeric NULL,
+      ADD COLUMN tts_similarity_boost numeric NULL,
+      ADD COLUMN tts_style numeric NULL,
+      ADD COLUMN tts_use_speaker_boost boolean NULL,
+      ADD COLUMN tts_speed numeric NULL,
+      ADD COLUMN language text NULL;
+  END IF;
+END $$;
+
+-- Add constraints if they don't exist
+DO $$ BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE conname = 'ai_agents_tts_model_id_check'
+  ) THEN
+    ALTER TABLE public.ai_agents
+    ADD CONSTRAINT ai_agents_tts_model_id_check
+    CHECK (tts_model_id IS NULL OR tts_model_id = ANY (ARRAY['eleven_turbo_v2', 'eleven_turbo_v2_5', 'eleven_flash_v2', 'eleven_flash_v2_5']));
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE conname = 'ai_agents_tts_ranges_check'
+  ) THEN
+    ALTER TABLE public.ai_agents
+    ADD CONSTRAINT ai_agents_tts_ranges_check
+    CHECK (
+      (tts_stability IS NULL OR tts_stability BETWEEN 0 AND 1) AND
+      (tts_similarity_boost IS NULL OR tts_similarity_boost BETWEEN 0 AND 1) AND
+      (tts_style IS NULL OR tts_style BETWEEN 0 AND 1) AND
+      (tts_speed IS NULL OR tts_speed BETWEEN 0.7 AND 1.2)
+    );
+  END IF;
+END $$;
+
+-- Add comments
+COMMENT ON COLUMN public.ai_agents.tts_model_id IS 'ElevenLabs TTS model of the agent. Languages other than English need a v2.5 model.';
+COMMENT ON COLUMN public.ai_agents.tts_speed IS 'Speaking speed, 1 is normal (0.7 to 1.2).';
+COMMENT ON COLUMN public.ai_agents.language IS 'Output language of the agent (ISO 639-1, e.g. fr).';
@@ -0,0 +1,73 @@
+/*
+  # Agent Conversation Settings
+
+  1. Changes
+    - Add conversation settings to `ai_agents`, pushed to the Convai agent:
+      - `first_message` - greeting spoken when the call is picked up (`agent.first_message`)
+      - `first_messages` - greetings in other languages, keyed by ISO 639-1 code;
+        each entry becomes a Convai language preset the agent can switch to
+      - `max_duration_seconds` - hard limit of a conversation
+      - `silence_end_call_timeout_seconds` - hang up after this much caller silence
+      - `end_call_conditions` - when the agent should end the call by itself
+    - Add the same columns to `ai_agent_versions` so rollbacks restore them
+
+  2. Security
+    - No RLS changes: existing policies cover the new columns
+*/
+
+DO $$ BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'ai_agents' AND column_name = 'first_message'
+  ) THEN
+    ALTER TABLE public.ai_agents
+      ADD COLUMN first_message text NULL,
+      ADD COLUMN first_messages jsonb NULL,
+      ADD COLUMN max_duration_seconds integer NULL,
+      ADD COLUMN silence_end_call_timeout_seconds integer NULL,
+      ADD COLUMN end_call_conditions text NULL;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'ai_agent_versions' AND column_name = 'first_message'
+  ) THEN
+    ALTER TABLE public.ai_agent_versions
+      ADD COLUMN first_message text NULL,
+      ADD COLUMN first_messages jsonb NULL,
+      ADD COLUMN max_duration_seconds integer NULL,
+      ADD COLUMN silence_end_call_timeout_seconds integer NULL,
+      ADD COLUMN end_call_conditions text NULL;
+  END IF;
+END $$;
+
+-- Add constraints if they don't exist
+DO $$ BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE conname = 'ai_agents_conversation_limits_check'
+  ) THEN
+    ALTER TABLE public.ai_agents
+    ADD CONSTRAINT ai_agents_conversation_limits_check
+    CHECK (
+      (max_duration_seconds IS NULL OR max_duration_seconds BETWEEN 30 AND 3600) AND
+      (silence_end_call_timeout_seconds IS NULL OR silence_end_call_timeout_seconds BETWEEN 5 AND 300)
+    );
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE conname = 'ai_agents_first_messages_check'
+  ) THEN
+    ALTER TABLE public.ai_agents
+    ADD CONSTRAINT ai_agents_first_messages_check
+    CHECK (first_messages IS NULL OR jsonb_typeof(first_messages) = 'object');
+  END IF;
+END $$;
+
+-- Add comments
+COMMENT ON COLUMN public.ai_agents.first_message IS 'Greeting spoken by the agent in its main language. NULL lets the caller speak first.';
+COMMENT ON COLUMN public.ai_agents.first_messages IS 'Greetings in the other languages of the agent, e.g. {"en": "Hello..."}.';
+COMMENT ON COLUMN public.ai_agents.max_duration_seconds IS 'Maximum conversation length in seconds (30 to 3600). NULL keeps the ElevenLabs default.';
+COMMENT ON COLUMN public.ai_agents.silence_end_call_timeout_seconds IS 'Caller silence in seconds after which the call is ended. NULL disables it.';
+COMMENT ON COLUMN public.ai_agents.end_call_conditions IS 'Instructions telling the agent when to hang up, given to its end_call tool.';
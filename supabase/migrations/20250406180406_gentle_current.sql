@@ -0,0 +1,56 @@
+/*
+  # Personal Agent Overrides
+
+  1. Changes
+    - Create `user_agent_overrides` table: what a user changes on the agent assigned to them,
+      without touching the shared configuration (one row per user)
+      - `agent_name` - name the agent introduces itself with, as the `{{agent_name}}` prompt variable
+      - `elevenlabs_voice_id` - voice used instead of the agent's voice
+    - NULL keeps the value of the assigned agent
+
+  2. Security
+    - Enable RLS on `user_agent_overrides`
+    - Users can manage their own overrides
+*/
+
+CREATE TABLE IF NOT EXISTS public.user_agent_overrides (
+  user_id uuid PRIMARY KEY REFERENCES public.users(id) ON DELETE CASCADE,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+
+  agent_name text NULL,
+  elevenlabs_voice_id text NULL
+);
+
+-- Add comments
+COMMENT ON TABLE public.user_agent_overrides IS 'Personal changes of a user layered on the agent assigned to them.';
+COMMENT ON COLUMN public.user_agent_overrides.agent_name IS 'Name the agent introduces itself with for this user. NULL uses the placeholder.';
+COMMENT ON COLUMN public.user_agent_overrides.elevenlabs_voice_id IS 'Voice used on this user''s conversations. NULL uses the agent''s voice.';
+
+-- Enable RLS
+ALTER TABLE public.user_agent_overrides ENABLE ROW LEVEL SECURITY;
+
+-- Create RLS Policies for user_agent_overrides
+DO $$ BEGIN
+  CREATE POLICY "Users can manage their own agent overrides"
+    ON public.user_agent_overrides
+    FOR ALL
+    TO authenticated
+    USING (auth.uid() = user_id)
+    WITH CHECK (auth.uid() = user_id);
+
+EXCEPTION
+  WHEN duplicate_object THEN
+    NULL;
+END $$;
+
+-- Create updated_at trigger
+DO $$ BEGIN
+  CREATE TRIGGER update_user_agent_overrides_updated_at
+    BEFORE UPDATE ON public.user_agent_overrides
+    FOR EACH ROW
+    EXECUTE PROCEDURE public.update_updated_at_column();
+EXCEPTION
+  WHEN duplicate_object THEN
+    NULL;
+END $$;
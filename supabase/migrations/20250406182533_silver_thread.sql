@@ -0,0 +1,51 @@
+/*
+  # Layered Agent Overrides
+
+  1. Changes
+    - Add personal layers to `user_agent_overrides`, applied on top of the assigned agent
+      for every conversation, so admin changes to the agent keep flowing through:
+      - `agency_name` - replaces the `{{agency_name}}` prompt variable
+      - `first_message` - greeting used instead of the agent's
+      - `signature` - sentence the agent ends calls with
+      - `opening_hours` - free text given to the agent
+      - `extra_instructions` - appended to the agent's prompt
+
+  2. Security
+    - No RLS changes: existing policies cover the new columns
+*/
+
+DO $$ BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'user_agent_overrides' AND column_name = 'agency_name'
+  ) THEN
+    ALTER TABLE public.user_agent_overrides
+      ADD COLUMN agency_name text NULL,
+      ADD COLUMN first_message text NULL,
+      ADD COLUMN signature text NULL,
+      ADD COLUMN opening_hours text NULL,
+      ADD COLUMN extra_instructions text NULL;
+  END IF;
+END $$;
+
+-- Add constraints if they don't exist
+DO $$ BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE conname = 'user_agent_overrides_lengths_check'
+  ) THEN
+    ALTER TABLE public.user_agent_overrides
+    ADD CONSTRAINT user_agent_overrides_lengths_check
+    CHECK (
+      (first_message IS NULL OR length(first_message) <= 1000) AND
+      (signature IS NULL OR length(signature) <= 300) AND
+      (opening_hours IS NULL OR length(opening_hours) <= 500) AND
+      (extra_instructions IS NULL OR length(extra_instructions) <= 4000)
+    );
+  END IF;
+END $$;
+
+-- Add comments
+COMMENT ON COLUMN public.user_agent_overrides.agency_name IS 'Agency name used in this user''s conversations. NULL uses the profile.';
+COMMENT ON COLUMN public.user_agent_overrides.first_message IS 'Greeting used instead of the agent''s first message.';
+COMMENT ON COLUMN public.user_agent_overrides.extra_instructions IS 'Instructions appended to the agent''s prompt for this user.';
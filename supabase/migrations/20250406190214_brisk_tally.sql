@@ -0,0 +1,176 @@
+/*
+  # Conversation Minutes Usage and Quotas
+
+  1. Changes
+    - Create `usage_ledger` table: one entry per conversation a user was billed for
+      - `source` - 'call' for conversations of the agent, 'test' for in-browser test sessions
+      - `period_month` - first day of the (UTC) month the conversation counts towards
+      - `elevenlabs_conversation_id` - unique, so webhook replays are only counted once
+    - Backfill the ledger from `call_history.duration_seconds`
+    - Create `monthly_usage` view: ledger totals per user and month
+    - Create `usage_quotas` table: monthly conversation minutes allowed to a user, set by admins
+      - `warned_period` - month the 80% warning was last sent for
+    - Create `notifications` table: in-app notifications of a user
+
+  2. Security
+    - Enable RLS on the new tables
+    - Users can read their own ledger entries, quota and notifications
+    - Users can mark their own notifications as read
+*/
+
+CREATE TABLE IF NOT EXISTS public.usage_ledger (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  call_id uuid NULL REFERENCES public.call_history(id) ON DELETE SET NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+
+  source text NOT NULL,
+  elevenlabs_conversation_id text NULL UNIQUE,
+  period_month date NOT NULL,
+  occurred_at timestamptz NOT NULL,
+  duration_seconds integer NOT NULL
+);
+
+DO $$ BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE conname = 'usage_ledger_values_check'
+  ) THEN
+    ALTER TABLE public.usage_ledger
+    ADD CONSTRAINT usage_ledger_values_check
+    CHECK (
+      source = ANY (ARRAY['call', 'test']) AND
+      duration_seconds >= 0 AND
+      period_month = date_trunc('month', period_month)::date
+    );
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_usage_ledger_user_period ON public.usage_ledger(user_id, period_month);
+
+-- Backfill from the calls stored so far
+INSERT INTO public.usage_ledger (user_id, call_id, source, elevenlabs_conversation_id, period_month, occurred_at, duration_seconds)
+SELECT
+  ch.user_id,
+  ch.id,
+  CASE WHEN ch.is_test THEN 'test' ELSE 'call' END,
+  ch.elevenlabs_conversation_id,
+  date_trunc('month', ch.call_timestamp AT TIME ZONE 'UTC')::date,
+  ch.call_timestamp,
+  ch.duration_seconds
+FROM public.call_history ch
+WHERE ch.user_id IS NOT NULL
+  AND ch.duration_seconds IS NOT NULL
+  AND EXISTS (SELECT 1 FROM public.users u WHERE u.id = ch.user_id)
+  AND NOT EXISTS (SELECT 1 FROM public.usage_ledger ul WHERE ul.call_id = ch.id)
+ON CONFLICT (elevenlabs_conversation_id) DO NOTHING;
+
+CREATE OR REPLACE VIEW public.monthly_usage
+WITH (security_invoker = true) AS
+SELECT
+  user_id,
+  period_month,
+  count(*)::integer AS conversation_count,
+  coalesce(sum(duration_seconds) FILTER (WHERE source = 'call'), 0)::integer AS call_seconds,
+  coalesce(sum(duration_seconds) FILTER (WHERE source = 'test'), 0)::integer AS test_seconds,
+  sum(duration_seconds)::integer AS total_seconds
+FROM public.usage_ledger
+GROUP BY user_id, period_month;
+
+CREATE TABLE IF NOT EXISTS public.usage_quotas (
+  user_id uuid PRIMARY KEY REFERENCES public.users(id) ON DELETE CASCADE,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+
+  monthly_minutes integer NOT NULL CHECK (monthly_minutes > 0),
+  warned_period date NULL
+);
+
+CREATE TABLE IF NOT EXISTS public.notifications (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  created_at timestamptz NOT NULL DEFAULT now(),
+
+  type text NOT NULL,
+  title text NOT NULL,
+  body text NULL,
+  read_at timestamptz NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_user_created ON public.notifications(user_id, created_at DESC);
+
+-- Add comments
+COMMENT ON TABLE public.usage_ledger IS 'Conversation minutes used by each user, one entry per ElevenLabs conversation.';
+COMMENT ON COLUMN public.usage_ledger.source IS 'call for conversations of the agent, test for in-browser test sessions, saved or not.';
+COMMENT ON COLUMN public.usage_ledger.period_month IS 'First day of the UTC month the conversation counts towards.';
+COMMENT ON VIEW public.monthly_usage IS 'Conversation seconds used per user and month, split by source.';
+COMMENT ON TABLE public.usage_quotas IS 'Monthly conversation minutes allowed to a user. No row means no limit.';
+COMMENT ON COLUMN public.usage_quotas.warned_period IS 'Month the 80% usage warning was last sent for, so it is sent once per month.';
+COMMENT ON TABLE public.notifications IS 'In-app notifications shown to a user.';
+COMMENT ON COLUMN public.notifications.type IS 'Kind of notification, e.g. usage_quota_warning.';
+
+-- Enable RLS
+ALTER TABLE public.usage_ledger ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.usage_quotas ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.notifications ENABLE ROW LEVEL SECURITY;
+
+-- Create RLS Policies
+DO $$ BEGIN
+  CREATE POLICY "Users can read their own usage"
+    ON public.usage_ledger
+    FOR SELECT
+    TO authenticated
+    USING (auth.uid() = user_id);
+
+EXCEPTION
+  WHEN duplicate_object THEN
+    NULL;
+END $$;
+
+DO $$ BEGIN
+  CREATE POLICY "Users can read their own usage quota"
+    ON public.usage_quotas
+    FOR SELECT
+    TO authenticated
+    USING (auth.uid() = user_id);
+
+EXCEPTION
+  WHEN duplicate_object THEN
+    NULL;
+END $$;
+
+DO $$ BEGIN
+  CREATE POLICY "Users can read their own notifications"
+    ON public.notifications
+    FOR SELECT
+    TO authenticated
+    USING (auth.uid() = user_id);
+
+EXCEPTION
+  WHEN duplicate_object THEN
+    NULL;
+END $$;
+
+DO $$ BEGIN
+  CREATE POLICY "Users can mark their own notifications as read"
+    ON public.notifications
+    FOR UPDATE
+    TO authenticated
+    USING (auth.uid() = user_id)
+    WITH CHECK (auth.uid() = user_id);
+
+EXCEPTION
+  WHEN duplicate_object THEN
+    NULL;
+END $$;
+
+-- Create updated_at trigger
+DO $$ BEGIN
+  CREATE TRIGGER update_usage_quotas_updated_at
+    BEFORE UPDATE ON public.usage_quotas
+    FOR EACH ROW
+    EXECUTE PROCEDURE public.update_updated_at_column();
+EXCEPTION
+  WHEN duplicate_object THEN
+    NULL;
+END $$;
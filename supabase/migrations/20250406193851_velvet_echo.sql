@@ -0,0 +1,110 @@
+/*
+  # Agency Voice Clones
+
+  1. Changes
+    - Create private `voice-samples` Storage bucket for the audio samples of cloned voices
+    - Create `voice_clones` table: instant voice clones created by admins for an agency
+      - `elevenlabs_voice_id` - the resulting ElevenLabs voice, once created
+      - `status` - 'pending' while ElevenLabs creates it, then 'ready', 'failed' or 'deleted'
+    - Create `voice_clone_samples` table: metadata of the uploaded samples (path, type, size, SHA-256)
+    - Create `voice_clone_consents` table: consent of the speaker, signed before the clone is created
+      - `consent_text` / `consent_version` - exact wording the speaker agreed to
+      - `signature` - full name typed by the speaker
+      - `record_sha256` - hash of the signed record and sample hashes, to detect later edits
+
+  2. Security
+    - Enable RLS on the new tables, without policies: voice clones are managed
+      by admins through the `admin/voice-clones` Edge Function only
+    - Bucket is not public and has no storage policies
+*/
+
+-- Create voice-samples bucket if it doesn't exist
+INSERT INTO storage.buckets (id, name, public, allowed_mime_types)
+VALUES (
+  'voice-samples',
+  'voice-samples',
+  false,
+  ARRAY['audio/mpeg', 'audio/mp3', 'audio/wav', 'audio/x-wav', 'audio/ogg', 'audio/webm', 'audio/mp4', 'audio/x-m4a', 'audio/flac']
+)
+ON CONFLICT (id) DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS public.voice_clones (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  created_by uuid NULL REFERENCES public.users(id) ON DELETE SET NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+
+  name text NOT NULL,
+  agency_name text NOT NULL,
+  description text NULL,
+  elevenlabs_voice_id text NULL UNIQUE,
+  status text NOT NULL DEFAULT 'pending',
+  error text NULL,
+  deleted_at timestamptz NULL
+);
+
+DO $$ BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE conname = 'voice_clones_status_check'
+  ) THEN
+    ALTER TABLE public.voice_clones
+    ADD CONSTRAINT voice_clones_status_check
+    CHECK (status = ANY (ARRAY['pending', 'ready', 'failed', 'deleted']));
+  END IF;
+END $$;
+
+CREATE TABLE IF NOT EXISTS public.voice_clone_samples (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  voice_clone_id uuid NOT NULL REFERENCES public.voice_clones(id) ON DELETE CASCADE,
+  created_at timestamptz NOT NULL DEFAULT now(),
+
+  file_name text NOT NULL,
+  mime_type text NOT NULL,
+  size_bytes integer NOT NULL CHECK (size_bytes > 0),
+  sha256 text NOT NULL,
+  storage_path text NULL
+);
+
+CREATE TABLE IF NOT EXISTS public.voice_clone_consents (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  voice_clone_id uuid NOT NULL UNIQUE REFERENCES public.voice_clones(id) ON DELETE CASCADE,
+  recorded_by uuid NULL REFERENCES public.users(id) ON DELETE SET NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+
+  speaker_name text NOT NULL,
+  speaker_email text NOT NULL,
+  consent_version text NOT NULL,
+  consent_text text NOT NULL,
+  signature text NOT NULL,
+  signed_at timestamptz NOT NULL,
+  ip_address text NULL,
+  user_agent text NULL,
+  record_sha256 text NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_voice_clone_samples_clone_id ON public.voice_clone_samples(voice_clone_id);
+
+-- Add comments
+COMMENT ON TABLE public.voice_clones IS 'Instant voice clones created by admins for an agency, selectable as agent voices once ready.';
+COMMENT ON COLUMN public.voice_clones.status IS 'pending while ElevenLabs creates the voice, then ready, failed or deleted. Deleted clones keep their consent and sample metadata.';
+COMMENT ON TABLE public.voice_clone_samples IS 'Audio samples a voice clone was created from. The audio is removed from storage when the clone is deleted.';
+COMMENT ON COLUMN public.voice_clone_samples.storage_path IS 'Object path in the private `voice-samples` bucket. NULL once the clone is deleted.';
+COMMENT ON TABLE public.voice_clone_consents IS 'Consent of the speaker to the cloning of their voice, signed before the clone is created.';
+COMMENT ON COLUMN public.voice_clone_consents.record_sha256 IS 'SHA-256 of the consent fields and sample hashes at signature time.';
+
+-- Enable RLS (no policies: admin-only, through Edge Functions)
+ALTER TABLE public.voice_clones ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.voice_clone_samples ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.voice_clone_consents ENABLE ROW LEVEL SECURITY;
+
+-- Create updated_at trigger
+DO $$ BEGIN
+  CREATE TRIGGER update_voice_clones_updated_at
+    BEFORE UPDATE ON public.voice_clones
+    FOR EACH ROW
+    EXECUTE PROCEDURE public.update_updated_at_column();
+EXCEPTION
+  WHEN duplicate_object THEN
+    NULL;
+END $$;
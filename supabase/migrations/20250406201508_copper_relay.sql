@@ -0,0 +1,92 @@
+/*
+  # Phone Number Inventory
+
+  1. Changes
+    - Create `phone_numbers` table: our numbers, imported from the telephony provider through ElevenLabs
+      - `elevenlabs_phone_number_id` - the number in the ElevenLabs workspace
+      - `phone_normalized` - generated with `normalize_phone`, matched against the dialled number
+      - `user_id` / `ai_agent_id` - who the number belongs to and which agent answers it, set by admins
+      - `released_at` - set when the number is no longer in the provider account
+    - Add `called_number` and `phone_number_id` to `call_history`: the number that received the call
+
+  2. Security
+    - Enable RLS on `phone_numbers`, without policies: the inventory is managed
+      by admins through the `admin/phone-numbers` Edge Function only
+*/
+
+CREATE TABLE IF NOT EXISTS public.phone_numbers (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+
+  phone_number text NOT NULL,
+  phone_normalized text GENERATED ALWAYS AS (public.normalize_phone(phone_number)) STORED,
+  label text NULL,
+  provider text NOT NULL DEFAULT 'twilio',
+  elevenlabs_phone_number_id text NOT NULL UNIQUE,
+  user_id uuid NULL REFERENCES public.users(id) ON DELETE SET NULL,
+  ai_agent_id uuid NULL REFERENCES public.ai_agents(id) ON DELETE SET NULL,
+  imported_at timestamptz NOT NULL DEFAULT now(),
+  released_at timestamptz NULL
+);
+
+DO $$ BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE conname = 'phone_numbers_provider_check'
+  ) THEN
+    ALTER TABLE public.phone_numbers
+    ADD CONSTRAINT phone_numbers_provider_check
+    CHECK (provider = ANY (ARRAY['twilio', 'sip_trunk']));
+  END IF;
+END $$;
+
+-- A number can only be in service once
+CREATE UNIQUE INDEX IF NOT EXISTS idx_phone_numbers_normalized_active
+ON public.phone_numbers(phone_normalized)
+WHERE released_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_phone_numbers_user_id ON public.phone_numbers(user_id);
+CREATE INDEX IF NOT EXISTS idx_phone_numbers_ai_agent_id ON public.phone_numbers(ai_agent_id);
+
+-- Add called_number and phone_number_id to call_history if they don't exist
+DO $$ BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'call_history' AND column_name = 'called_number'
+  ) THEN
+    ALTER TABLE public.call_history ADD COLUMN called_number text NULL;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'call_history' AND column_name = 'phone_number_id'
+  ) THEN
+    ALTER TABLE public.call_history
+    ADD COLUMN phone_number_id uuid NULL REFERENCES public.phone_numbers(id) ON DELETE SET NULL;
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_call_history_phone_number_id ON public.call_history(phone_number_id);
+
+-- Add comments
+COMMENT ON TABLE public.phone_numbers IS 'Our phone numbers, imported from the telephony provider. Inbound calls are routed to the agent of the dialled number.';
+COMMENT ON COLUMN public.phone_numbers.user_id IS 'User the calls to this number are attributed to. NULL while the number is unassigned.';
+COMMENT ON COLUMN public.phone_numbers.ai_agent_id IS 'Agent answering this number. Pushed to ElevenLabs when an admin changes it.';
+COMMENT ON COLUMN public.phone_numbers.released_at IS 'When the number disappeared from the provider account. Released numbers keep their call history.';
+COMMENT ON COLUMN public.call_history.called_number IS 'Number dialled by the caller, as reported by ElevenLabs.';
+COMMENT ON COLUMN public.call_history.phone_number_id IS 'The phone number of our inventory that received the call, if known.';
+
+-- Enable RLS (no policies: admin-only, through Edge Functions)
+ALTER TABLE public.phone_numbers ENABLE ROW LEVEL SECURITY;
+
+-- Create updated_at trigger
+DO $$ BEGIN
+  CREATE TRIGGER update_phone_numbers_updated_at
+    BEFORE UPDATE ON public.phone_numbers
+    FOR EACH ROW
+    EXECUTE PROCEDURE public.update_updated_at_column();
+EXCEPTION
+  WHEN duplicate_object THEN
+    NULL;
+END $$;
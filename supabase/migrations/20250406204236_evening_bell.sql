@@ -0,0 +1,110 @@
+/*
+  # Business Hours and Agent Modes
+
+  1. Changes
+    - Create `user_business_hours` table: opening hours of each user's agency
+      - `timezone` - IANA time zone the hours are expressed in
+      - `weekly_hours` - opening intervals per weekday, e.g. {"mon": [{"open": "09:00", "close": "12:30"}]}
+      - `live_transfer` - whether the agent offers to put callers through to the user during opening hours
+    - Create `user_holidays` table: days the agency is closed, as inclusive date ranges
+    - Add `agent_mode` to `call_history`: 'in_hours' or 'after_hours', the mode the agent
+      answered in. NULL when the user has no opening hours.
+
+  2. Security
+    - Enable RLS on the new tables
+    - Users can read their own hours and holidays; changes go through the
+      `update-business-hours` Edge Function
+*/
+
+CREATE TABLE IF NOT EXISTS public.user_business_hours (
+  user_id uuid PRIMARY KEY REFERENCES public.users(id) ON DELETE CASCADE,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+
+  timezone text NOT NULL DEFAULT 'Europe/Paris',
+  weekly_hours jsonb NOT NULL DEFAULT '{}'::jsonb,
+  live_transfer boolean NOT NULL DEFAULT false
+);
+
+CREATE TABLE IF NOT EXISTS public.user_holidays (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  created_at timestamptz NOT NULL DEFAULT now(),
+
+  starts_on date NOT NULL,
+  ends_on date NOT NULL,
+  label text NULL,
+  CONSTRAINT user_holidays_range_check CHECK (ends_on >= starts_on)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_holidays_user_id ON public.user_holidays(user_id, ends_on);
+
+-- Add agent_mode to call_history if it doesn't exist
+DO $$ BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'call_history' AND column_name = 'agent_mode'
+  ) THEN
+    ALTER TABLE public.call_history ADD COLUMN agent_mode text NULL;
+  END IF;
+END $$;
+
+DO $$ BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE conname = 'call_history_agent_mode_check'
+  ) THEN
+    ALTER TABLE public.call_history
+    ADD CONSTRAINT call_history_agent_mode_check
+    CHECK (agent_mode = ANY (ARRAY['in_hours', 'after_hours']));
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_call_history_user_agent_mode ON public.call_history(user_id, agent_mode);
+
+-- Add comments
+COMMENT ON TABLE public.user_business_hours IS 'Opening hours of the agency of a user. Decides whether their agent answers in the in-hours or the after-hours mode.';
+COMMENT ON COLUMN public.user_business_hours.weekly_hours IS 'Opening intervals per weekday (mon..sun) as {"open": "HH:MM", "close": "HH:MM"}, in `timezone`. A missing day is closed.';
+COMMENT ON COLUMN public.user_business_hours.live_transfer IS 'During opening hours, the agent offers to put callers through to the user.';
+COMMENT ON TABLE public.user_holidays IS 'Days the agency of a user is closed, from starts_on to ends_on included. The agent answers in the after-hours mode.';
+COMMENT ON COLUMN public.call_history.agent_mode IS 'Mode the agent answered in: in_hours or after_hours. NULL when the user had no opening hours.';
+
+-- Enable RLS
+ALTER TABLE public.user_business_hours ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.user_holidays ENABLE ROW LEVEL SECURITY;
+
+-- Create policies
+DO $$ BEGIN
+  CREATE POLICY "Users can read their own business hours"
+    ON public.user_business_hours
+    FOR SELECT
+    TO authenticated
+    USING (auth.uid() = user_id);
+
+EXCEPTION
+  WHEN duplicate_object THEN
+    NULL;
+END $$;
+
+DO $$ BEGIN
+  CREATE POLICY "Users can read their own holidays"
+    ON public.user_holidays
+    FOR SELECT
+    TO authenticated
+    USING (auth.uid() = user_id);
+
+EXCEPTION
+  WHEN duplicate_object THEN
+    NULL;
+END $$;
+
+-- Create updated_at trigger
+DO $$ BEGIN
+  CREATE TRIGGER update_user_business_hours_updated_at
+    BEFORE UPDATE ON public.user_business_hours
+    FOR EACH ROW
+    EXECUTE PROCEDURE public.update_updated_at_column();
+EXCEPTION
+  WHEN duplicate_object THEN
+    NULL;
+END $$;
@@ -0,0 +1,74 @@
+/*
+  # Live Transfer to a Human Agent
+
+  1. Changes
+    - Add `mobile_number` to `users`: the number callers are put through to during opening hours
+    - Add transfer columns to `call_history`, filled by the `transfer_to_advisor` agent tool
+      - `transfer_status` - 'ringing' while the user's mobile rings, then 'connected',
+        'no_answer', 'busy' or 'failed'
+      - `transfer_number` - number the call was transferred to
+      - `transfer_provider_id` - transfer ID at the telephony provider
+      - `transfer_requested_at`, `transfer_ended_at` - when ringing started and stopped
+      - `transfer_error` - why the provider could not place the transfer
+    - Allow the 'transferred' call status: the caller ended up speaking to the user
+
+  2. Security
+    - No policy changes: users already read their own calls, and transfers are
+      recorded by the agent tool with the service role
+*/
+
+-- Add mobile_number to users if it doesn't exist
+DO $$ BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'users' AND column_name = 'mobile_number'
+  ) THEN
+    ALTER TABLE public.users ADD COLUMN mobile_number text NULL;
+  END IF;
+END $$;
+
+-- Add transfer columns to call_history if they don't exist
+DO $$ BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'call_history' AND column_name = 'transfer_status'
+  ) THEN
+    ALTER TABLE public.call_history
+      ADD COLUMN transfer_status text NULL,
+      ADD COLUMN transfer_number text NULL,
+      ADD COLUMN transfer_provider_id text NULL,
+      ADD COLUMN transfer_requested_at timestamptz NULL,
+      ADD COLUMN transfer_ended_at timestamptz NULL,
+      ADD COLUMN transfer_error text NULL;
+  END IF;
+END $$;
+
+DO $$ BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE conname = 'call_history_transfer_status_check'
+  ) THEN
+    ALTER TABLE public.call_history
+    ADD CONSTRAINT call_history_transfer_status_check
+    CHECK (transfer_status = ANY (ARRAY['ringing', 'connected', 'no_answer', 'busy', 'failed']));
+  END IF;
+END $$;
+
+-- Allow the transferred status
+DO $$ BEGIN
+  ALTER TABLE public.call_history
+  DROP CONSTRAINT IF EXISTS call_history_status_check;
+
+  ALTER TABLE public.call_history
+  ADD CONSTRAINT call_history_status_check
+  CHECK (status = ANY (ARRAY['completed', 'missed', 'failed', 'in-progress', 'requires_review', 'transferred']));
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_call_history_transfer_status
+ON public.call_history(user_id, transfer_status)
+WHERE transfer_status IS NOT NULL;
+
+-- Add comments
+COMMENT ON COLUMN public.users.mobile_number IS 'Mobile number, in E.164, the AI agent puts callers through to during opening hours.';
+COMMENT ON COLUMN public.call_history.transfer_status IS 'Outcome of the live transfer the agent attempted during the call: ringing, connected, no_answer, busy or failed. NULL when no transfer was attempted.';
+COMMENT ON COLUMN public.call_history.transfer_provider_id IS 'ID of the warm transfer at the telephony provider.';
@@ -0,0 +1,255 @@
+/*
+  # Outbound Voice Campaigns
+
+  1. Changes
+    - Add `do_not_call` to `contacts`: the contact asked not to be called, campaigns skip them
+    - Create `voice_campaigns` table: a user's agent calling a list of contacts
+      - `audience` - filter the contacts were picked with, e.g. {"statuses": ["new"], "created_from": "..."}
+      - `max_attempts` - calls per contact at most, 4 being the legal limit over 30 days
+      - `retry_delay_minutes` - wait before calling back a contact who did not pick up
+      - `max_concurrent_calls` - calls of the campaign in progress at once, at most
+      - `pause_reason` - why the dialer paused the campaign on its own (quota, number released)
+    - Create `voice_campaign_contacts` table: the call queue of each campaign
+      - `status` - 'pending' until the contact is due, 'calling' while a call is in progress,
+        then 'completed', 'failed' once attempts run out, or 'skipped'
+      - `next_attempt_at` - when the contact may be called (again)
+      - `last_call_id` - call_history row of the latest attempt
+    - Add `direction`, `voice_campaign_id` and `voice_campaign_contact_id` to `call_history`:
+      every campaign attempt gets a call record, outbound
+    - Create `voice_campaign_progress` view: queue counts per status of each campaign
+    - Create `claim_voice_campaign_contacts` function: hands the dialer the contacts due,
+      within the campaign's concurrency cap
+
+  2. Security
+    - Enable RLS on the new tables
+    - Users can read their own campaigns and queues; changes go through the Edge Functions
+    - `claim_voice_campaign_contacts` can only be executed by the service role
+*/
+
+-- Add do_not_call to contacts if it doesn't exist
+DO $$ BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'contacts' AND column_name = 'do_not_call'
+  ) THEN
+    ALTER TABLE public.contacts ADD COLUMN do_not_call boolean NOT NULL DEFAULT false;
+  END IF;
+END $$;
+
+CREATE TABLE IF NOT EXISTS public.voice_campaigns (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+
+  name text NOT NULL,
+  status text NOT NULL DEFAULT 'active',
+  ai_agent_id uuid NOT NULL REFERENCES public.ai_agents(id) ON DELETE CASCADE,
+  phone_number_id uuid NOT NULL REFERENCES public.phone_numbers(id) ON DELETE CASCADE,
+  audience jsonb NOT NULL DEFAULT '{}'::jsonb,
+  max_attempts integer NOT NULL DEFAULT 3,
+  retry_delay_minutes integer NOT NULL DEFAULT 240,
+  max_concurrent_calls integer NOT NULL DEFAULT 2,
+  pause_reason text NULL,
+  completed_at timestamptz NULL,
+  CONSTRAINT voice_campaigns_status_check CHECK (status = ANY (ARRAY['active', 'paused', 'completed', 'cancelled'])),
+  CONSTRAINT voice_campaigns_max_attempts_check CHECK (max_attempts BETWEEN 1 AND 4),
+  CONSTRAINT voice_campaigns_retry_delay_check CHECK (retry_delay_minutes >= 30),
+  CONSTRAINT voice_campaigns_max_concurrent_calls_check CHECK (max_concurrent_calls BETWEEN 1 AND 10)
+);
+
+CREATE INDEX IF NOT EXISTS idx_voice_campaigns_user_id ON public.voice_campaigns(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_voice_campaigns_active ON public.voice_campaigns(status) WHERE status = 'active';
+
+CREATE TABLE IF NOT EXISTS public.voice_campaign_contacts (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  campaign_id uuid NOT NULL REFERENCES public.voice_campaigns(id) ON DELETE CASCADE,
+  contact_id uuid NOT NULL REFERENCES public.contacts(id) ON DELETE CASCADE,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+
+  phone_number text NOT NULL,
+  status text NOT NULL DEFAULT 'pending',
+  attempts integer NOT NULL DEFAULT 0,
+  next_attempt_at timestamptz NOT NULL DEFAULT now(),
+  last_attempt_at timestamptz NULL,
+  last_call_id uuid NULL REFERENCES public.call_history(id) ON DELETE SET NULL,
+  last_error text NULL,
+  skip_reason text NULL,
+  CONSTRAINT voice_campaign_contacts_status_check CHECK (status = ANY (ARRAY['pending', 'calling', 'completed', 'failed', 'skipped'])),
+  CONSTRAINT voice_campaign_contacts_unique UNIQUE (campaign_id, contact_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_voice_campaign_contacts_due ON public.voice_campaign_contacts(campaign_id, status, next_attempt_at);
+
+-- Add campaign columns to call_history if they don't exist
+DO $$ BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'call_history' AND column_name = 'direction'
+  ) THEN
+    ALTER TABLE public.call_history
+      ADD COLUMN direction text NOT NULL DEFAULT 'inbound',
+      ADD COLUMN voice_campaign_id uuid NULL REFERENCES public.voice_campaigns(id) ON DELETE SET NULL,
+      ADD COLUMN voice_campaign_contact_id uuid NULL REFERENCES public.voice_campaign_contacts(id) ON DELETE SET NULL;
+  END IF;
+END $$;
+
+DO $$ BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE conname = 'call_history_direction_check'
+  ) THEN
+    ALTER TABLE public.call_history
+    ADD CONSTRAINT call_history_direction_check
+    CHECK (direction = ANY (ARRAY['inbound', 'outbound']));
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_call_history_voice_campaign_id ON public.call_history(voice_campaign_id) WHERE voice_campaign_id IS NOT NULL;
+
+-- Where each campaign stands, for the campaigns list
+CREATE OR REPLACE VIEW public.voice_campaign_progress
+WITH (security_invoker = true)
+AS
+SELECT
+  campaign_id,
+  count(*)::integer AS total,
+  (count(*) FILTER (WHERE status = 'pending'))::integer AS pending,
+  (count(*) FILTER (WHERE status = 'calling'))::integer AS calling,
+  (count(*) FILTER (WHERE status = 'completed'))::integer AS completed,
+  (count(*) FILTER (WHERE status = 'failed'))::integer AS failed,
+  (count(*) FILTER (WHERE status = 'skipped'))::integer AS skipped,
+  coalesce(sum(attempts), 0)::integer AS attempts
+FROM public.voice_campaign_contacts
+GROUP BY campaign_id;
+
+-- Contacts due for a call, claimed under a lock on the campaign so concurrent
+-- dialer runs never exceed its cap nor call the same contact twice
+CREATE OR REPLACE FUNCTION public.claim_voice_campaign_contacts(p_campaign_id uuid)
+RETURNS SETOF public.voice_campaign_contacts
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_campaign public.voice_campaigns;
+  v_in_progress integer;
+BEGIN
+  SELECT * INTO v_campaign
+  FROM public.voice_campaigns
+  WHERE id = p_campaign_id AND status = 'active'
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN;
+  END IF;
+
+  -- Calls never reported back by the post-call webhook count as failed attempts
+  UPDATE public.voice_campaign_contacts
+  SET status = CASE WHEN attempts < v_campaign.max_attempts THEN 'pending' ELSE 'failed' END,
+      next_attempt_at = now() + make_interval(mins => v_campaign.retry_delay_minutes),
+      last_error = 'No call outcome received',
+      updated_at = now()
+  WHERE campaign_id = p_campaign_id
+    AND status = 'calling'
+    AND last_attempt_at < now() - interval '30 minutes';
+
+  -- Contacts who asked not to be called since the campaign started
+  UPDATE public.voice_campaign_contacts q
+  SET status = 'skipped', skip_reason = 'do_not_call', updated_at = now()
+  FROM public.contacts c
+  WHERE q.contact_id = c.id
+    AND q.campaign_id = p_campaign_id
+    AND q.status = 'pending'
+    AND c.do_not_call;
+
+  SELECT count(*) INTO v_in_progress
+  FROM public.voice_campaign_contacts
+  WHERE campaign_id = p_campaign_id AND status = 'calling';
+
+  RETURN QUERY
+  UPDATE public.voice_campaign_contacts
+  SET status = 'calling',
+      attempts = attempts + 1,
+      last_attempt_at = now(),
+      last_error = NULL,
+      updated_at = now()
+  WHERE id IN (
+    SELECT id FROM public.voice_campaign_contacts
+    WHERE campaign_id = p_campaign_id
+      AND status = 'pending'
+      AND next_attempt_at <= now()
+    ORDER BY next_attempt_at, created_at
+    LIMIT greatest(v_campaign.max_concurrent_calls - v_in_progress, 0)
+  )
+  RETURNING *;
+END;
+$$;
+
+-- Only the dialler (service role) may claim contacts: a claim uses up attempts
+REVOKE EXECUTE ON FUNCTION public.claim_voice_campaign_contacts(uuid) FROM public, anon, authenticated;
+
+-- Add comments
+COMMENT ON COLUMN public.contacts.do_not_call IS 'The contact asked not to be called: outbound campaigns skip them.';
+COMMENT ON TABLE public.voice_campaigns IS 'Outbound calling campaigns: the user''s agent calls a list of contacts during legal calling hours.';
+COMMENT ON COLUMN public.voice_campaigns.pause_reason IS 'Why the dialer paused the campaign: quota_exceeded, phone_number_unavailable or agent_unavailable. NULL when paused by the user.';
+COMMENT ON TABLE public.voice_campaign_contacts IS 'Call queue of a voice campaign, one row per contact.';
+COMMENT ON COLUMN public.call_history.direction IS 'inbound for calls received by the agent, outbound for calls it placed.';
+COMMENT ON FUNCTION public.claim_voice_campaign_contacts(uuid) IS 'Marks the contacts of an active campaign due for a call as calling, up to its concurrency cap, and returns them.';
+
+-- Enable RLS
+ALTER TABLE public.voice_campaigns ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.voice_campaign_contacts ENABLE ROW LEVEL SECURITY;
+
+-- Create policies
+DO $$ BEGIN
+  CREATE POLICY "Users can read their own voice campaigns"
+    ON public.voice_campaigns
+    FOR SELECT
+    TO authenticated
+    USING (auth.uid() = user_id);
+
+EXCEPTION
+  WHEN duplicate_object THEN
+    NULL;
+END $$;
+
+DO $$ BEGIN
+  CREATE POLICY "Users can read their own voice campaign queues"
+    ON public.voice_campaign_contacts
+    FOR SELECT
+    TO authenticated
+    USING (
+      EXISTS (
+        SELECT 1 FROM public.voice_campaigns
+        WHERE voice_campaigns.id = voice_campaign_contacts.campaign_id
+        AND voice_campaigns.user_id = auth.uid()
+      )
+    );
+
+EXCEPTION
+  WHEN duplicate_object THEN
+    NULL;
+END $$;
+
+-- Create updated_at triggers
+DO $$ BEGIN
+  CREATE TRIGGER update_voice_campaigns_updated_at
+    BEFORE UPDATE ON public.voice_campaigns
+    FOR EACH ROW
+    EXECUTE PROCEDURE public.update_updated_at_column();
+EXCEPTION
+  WHEN duplicate_object THEN
+    NULL;
+END $$;
+
+DO $$ BEGIN
+  CREATE TRIGGER update_voice_campaign_contacts_updated_at
+    BEFORE UPDATE ON public.voice_campaign_contacts
+    FOR EACH ROW
+    EXECUTE PROCEDURE public.update_updated_at_column();
+EXCEPTION
+  WHEN duplicate_object THEN
+    NULL;
+END $$;
@@ -0,0 +1,20 @@
+/*
+  # Knowledge Base Sync: Shared Agents
+
+  1. Changes
+    - Allow `shared_agent` in `knowledge_base_syncs.status`: the user's agent serves other
+      users too, so their catalogue is not attached to it. The agent reads the catalogue
+      of the conversation's user with the `get_property_catalogue` tool instead.
+
+  2. Security
+    - No changes
+*/
+
+ALTER TABLE public.knowledge_base_syncs
+  DROP CONSTRAINT IF EXISTS knowledge_base_syncs_status_check;
+
+ALTER TABLE public.knowledge_base_syncs
+  ADD CONSTRAINT knowledge_base_syncs_status_check
+  CHECK (status = ANY (ARRAY['pending', 'synced', 'failed', 'no_agent', 'shared_agent']));
+
+COMMENT ON COLUMN public.knowledge_base_syncs.status IS 'pending while a sync runs, synced, failed (see last_error), no_agent when the user has no assigned agent, or shared_agent when the agent serves other users and reads the catalogue through a tool instead of a document.';
@@ -0,0 +1,46 @@
+/*
+  # Agent Test Sessions
+
+  1. Changes
+    - Create `agent_test_sessions` table: one row per in-browser test minted by
+      create-agent-test-session, bound to the user who started it
+      - `expires_at` - the conversation must start before then
+      - `elevenlabs_conversation_id` - set by the first tool call or webhook that sees the
+        conversation; the session then attributes that conversation only
+
+  2. Security
+    - Enable RLS on `agent_test_sessions`
+    - Users can read their own sessions; they are created and bound by the Edge Functions
+*/
+
+CREATE TABLE IF NOT EXISTS public.agent_test_sessions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  ai_agent_id uuid NOT NULL REFERENCES public.ai_agents(id) ON DELETE CASCADE,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  expires_at timestamptz NOT NULL DEFAULT now() + interval '10 minutes',
+  elevenlabs_conversation_id text NULL,
+  CONSTRAINT agent_test_sessions_conversation_unique UNIQUE (elevenlabs_conversation_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_agent_test_sessions_user_id ON public.agent_test_sessions(user_id, created_at DESC);
+
+-- Add comments
+COMMENT ON TABLE public.agent_test_sessions IS 'In-browser agent tests. Tools and webhooks attribute test conversations through this table, never through variables sent by the browser.';
+COMMENT ON COLUMN public.agent_test_sessions.elevenlabs_conversation_id IS 'Conversation the session was used for, bound on first use.';
+
+-- Enable RLS
+ALTER TABLE public.agent_test_sessions ENABLE ROW LEVEL SECURITY;
+
+-- Create policies
+DO $$ BEGIN
+  CREATE POLICY "Users can read their own test sessions"
+    ON public.agent_test_sessions
+    FOR SELECT
+    TO authenticated
+    USING (auth.uid() = user_id);
+
+EXCEPTION
+  WHEN duplicate_object THEN
+    NULL;
+END $$;
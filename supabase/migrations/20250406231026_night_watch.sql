@@ -0,0 +1,32 @@
+/*
+  # Agent Drift Runs
+
+  1. Changes
+    - Create `agent_drift_runs` table: one row per comparison of the agents with ElevenLabs,
+      run on a schedule by run-agent-drift-check or on demand from the admin screen
+      - `agents` - status and differences of every ai_agents row, with `drifted_since`
+        on the ones out of sync: the first run they were seen out of sync in a row
+      - `remote_only` - ElevenLabs agents no row points at, with `seen_since`
+      - `out_of_sync_count` - agents out of sync plus ElevenLabs-only agents
+
+  2. Security
+    - Enable RLS on `agent_drift_runs`, without policies: admins read it through the
+      admin Edge Function
+*/
+
+CREATE TABLE IF NOT EXISTS public.agent_drift_runs (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  checked_at timestamptz NOT NULL DEFAULT now(),
+  agents jsonb NOT NULL DEFAULT '[]'::jsonb,
+  remote_only jsonb NOT NULL DEFAULT '[]'::jsonb,
+  out_of_sync_count integer NOT NULL DEFAULT 0
+);
+
+CREATE INDEX IF NOT EXISTS idx_agent_drift_runs_checked_at ON public.agent_drift_runs(checked_at DESC);
+
+-- Add comments
+COMMENT ON TABLE public.agent_drift_runs IS 'Results of the comparisons between ai_agents and the ElevenLabs agents, latest first for the admin screen.';
+COMMENT ON COLUMN public.agent_drift_runs.agents IS 'Report of every ai_agents row: status, differences and, when out of sync, drifted_since.';
+
+-- Enable RLS
+ALTER TABLE public.agent_drift_runs ENABLE ROW LEVEL SECURITY;
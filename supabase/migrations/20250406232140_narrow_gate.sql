@@ -0,0 +1,25 @@
+/*
+  # Personal Agent Overrides: Read Only
+
+  1. Changes
+    - No schema changes
+
+  2. Security
+    - Replace "Users can manage their own agent overrides" on `user_agent_overrides` with a
+      read-only policy: writes go through update-ai-agent, which validates the prompt
+      templates and the voice (a voice clone of another agency is refused)
+*/
+
+DROP POLICY IF EXISTS "Users can manage their own agent overrides" ON public.user_agent_overrides;
+
+DO $$ BEGIN
+  CREATE POLICY "Users can read their own agent overrides"
+    ON public.user_agent_overrides
+    FOR SELECT
+    TO authenticated
+    USING (auth.uid() = user_id);
+
+EXCEPTION
+  WHEN duplicate_object THEN
+    NULL;
+END $$;
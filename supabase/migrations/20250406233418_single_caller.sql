@@ -0,0 +1,58 @@
+/*
+  # One Automatic Lead per Caller
+
+  1. Changes
+    - Merge the `ai_call` leads created twice for the same caller of a user (concurrent webhook
+      deliveries or tool calls) into the oldest: their calls, appointments and campaign queue
+      entries move to it, then they are deleted
+    - Add a unique index on (`user_id`, `phone_normalized`) of `ai_call` leads, so concurrent
+      calls from a new number create one lead. Contacts entered by hand may still share a
+      number (e.g. a couple), so the index is limited to automatic leads
+
+  2. Security
+    - No changes
+*/
+
+CREATE TEMP TABLE duplicate_caller_leads ON COMMIT DROP AS
+SELECT id AS duplicate_id, kept_id
+FROM (
+  SELECT
+    id,
+    first_value(id) OVER (PARTITION BY user_id, phone_normalized ORDER BY created_at, id) AS kept_id
+  FROM public.contacts
+  WHERE source = 'ai_call'
+    AND phone_normalized IS NOT NULL
+) leads
+WHERE id <> kept_id;
+
+UPDATE public.call_history ch
+SET contact_id = d.kept_id
+FROM duplicate_caller_leads d
+WHERE ch.contact_id = d.duplicate_id;
+
+UPDATE public.appointments a
+SET contact_id = d.kept_id
+FROM duplicate_caller_leads d
+WHERE a.contact_id = d.duplicate_id;
+
+-- One queue entry per campaign and contact: the others go with the duplicate lead
+UPDATE public.voice_campaign_contacts vcc
+SET contact_id = moved.kept_id
+FROM (
+  SELECT DISTINCT ON (q.campaign_id, d.kept_id) q.id, d.kept_id
+  FROM public.voice_campaign_contacts q
+  JOIN duplicate_caller_leads d ON q.contact_id = d.duplicate_id
+  WHERE NOT EXISTS (
+    SELECT 1 FROM public.voice_campaign_contacts o
+    WHERE o.campaign_id = q.campaign_id AND o.contact_id = d.kept_id
+  )
+  ORDER BY q.campaign_id, d.kept_id, q.attempts DESC
+) moved
+WHERE vcc.id = moved.id;
+
+DELETE FROM public.contacts
+WHERE id IN (SELECT duplicate_id FROM duplicate_caller_leads);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_contacts_user_caller_lead
+ON public.contacts(user_id, phone_normalized)
+WHERE source = 'ai_call';
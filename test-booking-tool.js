@@ -0,0 +1,61 @@
+const supabaseUrl = process.env.VITE_SUPABASE_URL;
+const toolSecret = process.env.ELEVENLABS_TOOL_SECRET;
+const agentId = process.env.TEST_ELEVENLABS_AGENT_ID;
+
+if (!supabaseUrl || !toolSecret || !agentId) {
+  throw new Error('Missing VITE_SUPABASE_URL, ELEVENLABS_TOOL_SECRET or TEST_ELEVENLABS_AGENT_ID environment variables');
+}
+
+// Point the functions at mock-calcom-server.js (CALCOM_API_URL) before running this
+const toolsUrl = `${supabaseUrl}/functions/v1/agent-booking-tools`;
+const context = {
+  agent_id: agentId,
+  conversation_id: `conv_test_${Date.now()}`,
+  caller_id: '+33612345678'
+};
+
+async function callTool(name, params) {
+  const response = await fetch(`${toolsUrl}/${name}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Prospeo-Tool-Secret': toolSecret
+    },
+    body: JSON.stringify({ ...context, ...params })
+  });
+  const data = await response.json().catch(() => ({}));
+  return { status: response.status, data };
+}
+
+async function testBookingTool() {
+  try {
+    console.log(`Checking availability against ${toolsUrl}...`);
+    const availability = await callTool('check_availability', {});
+    console.log('Availability:', availability.status, availability.data);
+
+    const slot = availability.data.slots?.[0];
+    if (!slot) {
+      console.error('No slot returned');
+      return;
+    }
+
+    const booking = await callTool('book_visit', {
+      start: slot.start,
+      attendee_name: 'Jean Test',
+      attendee_email: 'jean.test@example.com'
+    });
+    console.log('Booking:', booking.status, booking.data);
+
+    if (!booking.data.booked) {
+      console.error('Visit was not booked');
+      return;
+    }
+
+    console.log('Booking tool behaves as expected');
+
+  } catch (error) {
+    console.error('Test failed:', error);
+  }
+}
+
+testBookingTool();
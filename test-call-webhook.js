@@ -0,0 +1,66 @@
+import { readFile } from 'fs/promises';
+import { createHmac } from 'crypto';
+
+const supabaseUrl = process.env.VITE_SUPABASE_URL;
+const webhookSecret = process.env.ELEVENLABS_WEBHOOK_SECRET;
+
+if (!supabaseUrl || !webhookSecret) {
+  throw new Error('Missing VITE_SUPABASE_URL or ELEVENLABS_WEBHOOK_SECRET environment variables');
+}
+
+const webhookUrl = `${supabaseUrl}/functions/v1/elevenlabs-call-webhook`;
+const fixturePath = process.argv[2]
+  || new URL('./supabase/functions/elevenlabs-call-webhook/fixtures/post_call_transcription.json', import.meta.url);
+
+// Sign the payload the same way ElevenLabs does: HMAC-SHA256 over "<timestamp>.<body>"
+function sign(body) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const hash = createHmac('sha256', webhookSecret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v0=${hash}`;
+}
+
+async function deliver(body, signature) {
+  const response = await fetch(webhookUrl, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'ElevenLabs-Signature': signature
+    },
+    body
+  });
+  const data = await response.json().catch(() => ({}));
+  return { status: response.status, data };
+}
+
+async function testCallWebhook() {
+  try {
+    const body = await readFile(fixturePath, 'utf8');
+    console.log(`Replaying fixture against ${webhookUrl}...`);
+
+    const first = await deliver(body, sign(body));
+    console.log('First delivery:', first.status, first.data);
+
+    const replay = await deliver(body, sign(body));
+    console.log('Replay:', replay.status, replay.data);
+
+    if (!first.data.call_id || first.data.call_id !== replay.data.call_id || !replay.data.replayed) {
+      console.error('Replay was not idempotent');
+      return;
+    }
+
+    const rejected = await deliver(body, sign(`${body} `));
+    console.log('Bad signature:', rejected.status, rejected.data);
+
+    if (rejected.status !== 401) {
+      console.error('Expected a tampered payload to be rejected with 401');
+      return;
+    }
+
+    console.log('Webhook ingestion behaves as expected');
+
+  } catch (error) {
+    console.error('Test failed:', error);
+  }
+}
+
+testCallWebhook();
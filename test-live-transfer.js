@@ -0,0 +1,62 @@
+const supabaseUrl = process.env.VITE_SUPABASE_URL;
+const toolSecret = process.env.ELEVENLABS_TOOL_SECRET;
+const agentId = process.env.TEST_ELEVENLABS_AGENT_ID;
+
+if (!supabaseUrl || !toolSecret || !agentId) {
+  throw new Error('Missing VITE_SUPABASE_URL, ELEVENLABS_TOOL_SECRET or TEST_ELEVENLABS_AGENT_ID environment variables');
+}
+
+// Point the functions at mock-telephony-server.js (TELEPHONY_API_URL) before running this.
+// The agent's user needs live transfer turned on, a mobile number, and to be open right now.
+const toolsUrl = `${supabaseUrl}/functions/v1/agent-transfer-tools`;
+const context = {
+  agent_id: agentId,
+  conversation_id: `conv_test_${Date.now()}`,
+  caller_id: '+33612345678'
+};
+
+async function callTool(name, params) {
+  const response = await fetch(`${toolsUrl}/${name}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Prospeo-Tool-Secret': toolSecret
+    },
+    body: JSON.stringify({ ...context, ...params })
+  });
+  const data = await response.json().catch(() => ({}));
+  return { status: response.status, data };
+}
+
+async function testLiveTransfer() {
+  try {
+    console.log(`Testing a web session against ${toolsUrl}...`);
+    const webSession = await callTool('transfer_to_advisor', { reason: 'Souhaite visiter' });
+    console.log('Without call SID:', webSession.status, webSession.data);
+
+    if (webSession.data.transferred !== false) {
+      console.error('A conversation without a phone call should not be transferred');
+      return;
+    }
+
+    console.log('Requesting a transfer, this rings for a few seconds...');
+    const transfer = await callTool('transfer_to_advisor', {
+      call_sid: `CA_test_${Date.now()}`,
+      caller_name: 'Jean Test',
+      reason: 'Veut faire une offre sur l\'appartement de la rue Victor Hugo'
+    });
+    console.log('Transfer:', transfer.status, transfer.data);
+
+    if (!transfer.data.transferred) {
+      console.error('Call was not transferred');
+      return;
+    }
+
+    console.log('Live transfer behaves as expected');
+
+  } catch (error) {
+    console.error('Test failed:', error);
+  }
+}
+
+testLiveTransfer();
@@ -0,0 +1,54 @@
+const supabaseUrl = process.env.VITE_SUPABASE_URL;
+const toolSecret = process.env.ELEVENLABS_TOOL_SECRET;
+
+if (!supabaseUrl || !toolSecret) {
+  throw new Error('Missing VITE_SUPABASE_URL or ELEVENLABS_TOOL_SECRET environment variables');
+}
+
+// Runs one pass of the dialler, as the scheduler does every minute.
+// Outside calling hours every active campaign reports outside_calling_hours.
+const runUrl = `${supabaseUrl}/functions/v1/run-voice-campaigns`;
+
+async function run(headers) {
+  const response = await fetch(runUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: '{}'
+  });
+  const data = await response.json().catch(() => ({}));
+  return { status: response.status, data };
+}
+
+async function testVoiceCampaigns() {
+  try {
+    console.log(`Testing ${runUrl} without the tool secret...`);
+    const anonymous = await run({});
+    console.log('Without secret:', anonymous.status, anonymous.data);
+
+    if (anonymous.status !== 401) {
+      console.error('The dialler should refuse requests without the tool secret');
+      return;
+    }
+
+    const result = await run({ 'X-Prospeo-Tool-Secret': toolSecret });
+    console.log('Dialler run:', result.status, JSON.stringify(result.data, null, 2));
+
+    if (result.status !== 200) {
+      console.error('Dialler run failed');
+      return;
+    }
+
+    const failed = Object.entries(result.data.campaigns).filter(([, outcome]) => outcome.error);
+    if (failed.length > 0) {
+      console.error('Some campaigns could not run:', failed);
+      return;
+    }
+
+    console.log('Voice campaign dialler behaves as expected');
+
+  } catch (error) {
+    console.error('Test failed:', error);
+  }
+}
+
+testVoiceCampaigns();
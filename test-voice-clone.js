@@ -0,0 +1,104 @@
+const supabaseUrl = process.env.VITE_SUPABASE_URL;
+const adminToken = process.env.TEST_ADMIN_ACCESS_TOKEN;
+
+if (!supabaseUrl || !adminToken) {
+  throw new Error('Missing VITE_SUPABASE_URL or TEST_ADMIN_ACCESS_TOKEN environment variables');
+}
+
+// Point the functions at mock-elevenlabs-voices-server.js (ELEVENLABS_VOICES_API_URL) before running this
+const voiceClonesUrl = `${supabaseUrl}/functions/v1/admin/voice-clones`;
+
+async function request(path, options = {}) {
+  const response = await fetch(`${voiceClonesUrl}${path}`, {
+    ...options,
+    headers: {
+      Authorization: `Bearer ${adminToken}`,
+      ...options.headers
+    }
+  });
+  const data = await response.json().catch(() => ({}));
+  return { status: response.status, data };
+}
+
+// A second of silence, enough for the mock to accept it as a sample
+function silentWav() {
+  const sampleRate = 8000;
+  const buffer = Buffer.alloc(44 + sampleRate);
+  buffer.write('RIFF', 0);
+  buffer.writeUInt32LE(36 + sampleRate, 4);
+  buffer.write('WAVEfmt ', 8);
+  buffer.writeUInt32LE(16, 16);
+  buffer.writeUInt16LE(1, 20);
+  buffer.writeUInt16LE(1, 22);
+  buffer.writeUInt32LE(sampleRate, 24);
+  buffer.writeUInt32LE(sampleRate, 28);
+  buffer.writeUInt16LE(1, 32);
+  buffer.writeUInt16LE(8, 34);
+  buffer.write('data', 36);
+  buffer.writeUInt32LE(sampleRate, 40);
+  buffer.fill(128, 44);
+  return new Blob([buffer], { type: 'audio/wav' });
+}
+
+function cloneForm(consent, overrides = {}) {
+  const fields = {
+    name: `Voix test ${Date.now()}`,
+    agency_name: 'Agence Test',
+    speaker_name: 'Jean Test',
+    speaker_email: 'jean.test@example.com',
+    signature: 'jean test',
+    consent_version: consent.version,
+    consent_accepted: 'true',
+    ...overrides
+  };
+
+  const form = new FormData();
+  Object.entries(fields).forEach(([key, value]) => form.append(key, value));
+  form.append('files', silentWav(), 'sample.wav');
+  return form;
+}
+
+async function testVoiceClone() {
+  try {
+    console.log(`Loading consent from ${voiceClonesUrl}...`);
+    const list = await request('');
+    if (list.status !== 200 || !list.data.consent) {
+      console.error('Could not load voice clones:', list.status, list.data);
+      return;
+    }
+
+    const unsigned = await request('', { method: 'POST', body: cloneForm(list.data.consent, { signature: 'Someone Else' }) });
+    console.log('Wrong signature:', unsigned.status, unsigned.data.error);
+    if (unsigned.status !== 400) {
+      console.error('A clone with a signature that is not the speaker name was accepted');
+      return;
+    }
+
+    const created = await request('', { method: 'POST', body: cloneForm(list.data.consent) });
+    console.log('Clone:', created.status, created.data.voice_clone?.status, created.data.voice_clone?.elevenlabs_voice_id);
+    if (created.status !== 201 || created.data.voice_clone.status !== 'ready') {
+      console.error('Voice was not cloned:', created.data);
+      return;
+    }
+
+    const ready = await request('?status=ready');
+    if (!ready.data.voice_clones?.some(clone => clone.id === created.data.voice_clone.id)) {
+      console.error('Cloned voice is missing from the ready voices');
+      return;
+    }
+
+    const deleted = await request(`/${created.data.voice_clone.id}`, { method: 'DELETE' });
+    console.log('Delete:', deleted.status, deleted.data.voice_clone?.status);
+    if (deleted.data.voice_clone?.status !== 'deleted' || !deleted.data.voice_clone.consent) {
+      console.error('Voice was not deleted, or its consent record was lost');
+      return;
+    }
+
+    console.log('Voice cloning behaves as expected');
+
+  } catch (error) {
+    console.error('Test failed:', error);
+  }
+}
+
+testVoiceClone();